@@ -5,6 +5,16 @@
 
 import { readFileSync } from 'fs';
 import { resolve } from 'path';
+import { parseRateLimitPolicy } from '../../security/rate-limit-policy.js';
+import { ROTATION_SCHEDULES, configurePseudonymizer, isUsableSecret } from '../../security/pseudonymizer.js';
+import { DEFAULT_TIERS, parseRoutingRules } from '../../utilities/routing-rules.js';
+import { validateReviewQueueSettings } from '../../utilities/review-queue.js';
+import { validateRoutingHistorySettings } from '../../utilities/routing-history.js';
+import { validateBusinessHoursSettings } from '../../utilities/business-hours.js';
+import { parseRiskModelSettings } from '../../utilities/risk-models.js';
+import { PHONE_METADATA } from '../../utilities/phone-numbers.js';
+import { validateEmailSettings } from '../../utilities/email-analyzer.js';
+import { validateMatchWeights } from '../../utilities/validation-engine.js';
 
 console.log("⚙️ Configuration Loader - Loaded");
 
@@ -16,6 +26,16 @@ console.log("⚙️ Configuration Loader - Loaded");
  * - Environment variable substitution
  * - Configuration validation and defaults
  * - Hot reloading support
+ * - Rate limit policies ([rateLimits], applied by EnhancedRateLimiter)
+ * - Pseudonymization keys ([pseudonymization], applied to the shared
+ *   pseudonymizer - see security/pseudonymizer.js)
+ * - Routing rules ([verifier.routingRules], see utilities/routing-rules.js)
+ * - Manual review queue ([verifier.reviewQueue], see utilities/review-queue.js)
+ * - Routing history ([verifier.history], see utilities/routing-history.js)
+ * - Business hours and reviewer shifts ([verifier.businessHours], see utilities/business-hours.js)
+ * - Risk models ([verifier.riskModel], see utilities/risk-models.js)
+ * - Email checks ([verifier.email], see utilities/email-analyzer.js)
+ * - Cross-validation match weights ([verifier.matchWeights], see utilities/validation-engine.js)
  */
 
 // Default configuration
@@ -43,6 +63,9 @@ const DEFAULT_CONFIG = {
         phoneMatchThreshold: 0.9,
         emailMatchThreshold: 0.85,
         nameMatchThreshold: 0.75,
+        addressMatchThreshold: 0.8,
+        defaultPhoneRegion: 'US',
+        voipRiskPenalty: 15,
         verificationExpiry: 86400000,
         maxRetries: 3,
         enableAdaptiveRouting: true,
@@ -69,6 +92,15 @@ const DEFAULT_CONFIG = {
         enableCompression: true,
         enableMetrics: true,
         metricsInterval: 60000
+    },
+    rateLimits: {
+        replaceDefaults: false
+    },
+    pseudonymization: {
+        secret: null,
+        rotation: 'WEEKLY',
+        overlapMs: 86400000,
+        hashLength: 16
     }
 };
 
@@ -79,8 +111,9 @@ export async function loadConfig(configPath = './config') {
     try {
         console.log('📋 Loading configuration...');
         
-        // Load base configuration
-        const config = { ...DEFAULT_CONFIG };
+        // Load base configuration (deep copy so merges never leak into the
+        // defaults and a reload drops sections removed from the files)
+        const config = structuredClone(DEFAULT_CONFIG);
         
         // Load TOML configurations
         const tomlConfig = await loadTOMLConfigs(configPath);
@@ -94,6 +127,9 @@ export async function loadConfig(configPath = './config') {
         // Validate final configuration
         validateConfig(config);
         
+        // Key the shared pseudonymizer (rate limiter, monitor, routing history)
+        configurePseudonymizer(config.pseudonymization);
+        
         console.log('✅ Configuration loaded and validated');
         
         return config;
@@ -312,7 +348,8 @@ function validateConfig(config) {
         'fuzzyThreshold',
         'phoneMatchThreshold',
         'emailMatchThreshold',
-        'nameMatchThreshold'
+        'nameMatchThreshold',
+        'addressMatchThreshold'
     ];
     
     for (const threshold of thresholds) {
@@ -322,6 +359,37 @@ function validateConfig(config) {
         }
     }
     
+    // Validate phone number settings
+    if (!PHONE_METADATA[config.verifier.defaultPhoneRegion]) {
+        errors.push(`defaultPhoneRegion must be one of ${Object.keys(PHONE_METADATA).join(', ')}`);
+    }
+    
+    const voipRiskPenalty = config.verifier.voipRiskPenalty;
+    if (typeof voipRiskPenalty !== 'number' || voipRiskPenalty < 0 || voipRiskPenalty > 100) {
+        errors.push('voipRiskPenalty must be a number between 0 and 100');
+    }
+    
+    // Validate per-field match weights
+    errors.push(...validateMatchWeights(config.verifier.matchWeights));
+    
+    // Validate email checks (loads the disposable domain list)
+    errors.push(...validateEmailSettings(config.verifier.email));
+    
+    // Validate routing rules against the tiers they route to
+    errors.push(...parseRoutingRules(config.verifier.routingRules, config.verifier.tiers || DEFAULT_TIERS).errors);
+    
+    // Validate manual review queue settings
+    errors.push(...validateReviewQueueSettings(config.verifier.reviewQueue));
+    
+    // Validate routing history settings
+    errors.push(...validateRoutingHistorySettings(config.verifier.history));
+    
+    // Validate business hours, holiday calendars and reviewer shifts
+    errors.push(...validateBusinessHoursSettings(config.verifier.businessHours));
+    
+    // Validate risk model settings (loads the model files)
+    errors.push(...parseRiskModelSettings(config.verifier.riskModel).errors);
+    
     // Validate performance settings
     if (config.performance.cacheSize < 0) {
         errors.push('Cache size must be non-negative');
@@ -331,6 +399,29 @@ function validateConfig(config) {
         errors.push('Cache TTL must be non-negative');
     }
     
+    // Validate rate limit policies (field names and values; entries are
+    // completed from the built-in limits when the rate limiter applies them)
+    errors.push(...parseRateLimitPolicy(config.rateLimits, new Map(), { partial: true }).errors);
+    
+    // Validate pseudonymization keys
+    const pseudonymization = config.pseudonymization;
+    if (!ROTATION_SCHEDULES[pseudonymization.rotation]) {
+        errors.push(`pseudonymization.rotation must be one of ${Object.keys(ROTATION_SCHEDULES).join(', ')}`);
+    }
+    
+    if (typeof pseudonymization.overlapMs !== 'number' || pseudonymization.overlapMs < 0) {
+        errors.push('pseudonymization.overlapMs must be a non-negative number');
+    }
+    
+    if (!Number.isInteger(pseudonymization.hashLength) || pseudonymization.hashLength < 8 || pseudonymization.hashLength > 64) {
+        errors.push('pseudonymization.hashLength must be an integer between 8 and 64');
+    }
+    
+    // Ephemeral keys are fine locally but break correlation across replicas
+    if (process.env.NODE_ENV === 'production' && !isUsableSecret(pseudonymization.secret)) {
+        errors.push('Pseudonymization secret is required in production');
+    }
+    
     if (errors.length > 0) {
         throw new Error(`Configuration validation failed:\n${errors.join('\n')}`);
     }
@@ -359,7 +450,8 @@ export function getConfigSummary(config) {
             fuzzyThreshold: config.verifier.fuzzyThreshold,
             adaptiveRouting: config.verifier.enableAdaptiveRouting,
             conflictDetection: config.verifier.conflictDetection,
-            manualReviewThreshold: config.verifier.manualReviewThreshold
+            manualReviewThreshold: config.verifier.manualReviewThreshold,
+            routingRulesVersion: parseRoutingRules(config.verifier.routingRules, config.verifier.tiers || DEFAULT_TIERS).ruleSet.version
         },
         logging: {
             level: config.logging.level,
@@ -370,6 +462,15 @@ export function getConfigSummary(config) {
             enableCaching: config.performance.enableCaching,
             cacheSize: config.performance.cacheSize,
             enableMetrics: config.performance.enableMetrics
+        },
+        rateLimits: {
+            replaceDefaults: config.rateLimits.replaceDefaults === true,
+            policies: parseRateLimitPolicy(config.rateLimits, new Map(), { partial: true }).limits.map(([key]) => key)
+        },
+        pseudonymization: {
+            hasSecret: isUsableSecret(config.pseudonymization.secret),
+            rotation: config.pseudonymization.rotation,
+            overlapMs: config.pseudonymization.overlapMs
         }
     };
 }
@@ -431,6 +532,10 @@ fuzzyThreshold = 0.8
 phoneMatchThreshold = 0.9
 emailMatchThreshold = 0.85
 nameMatchThreshold = 0.75
+addressMatchThreshold = 0.8
+# Country for phone numbers written without a calling code
+defaultPhoneRegion = "US"
+voipRiskPenalty = 15
 verificationExpiry = 86400000
 maxRetries = 3
 
@@ -448,6 +553,111 @@ maxResponseTime = 5000
 maxQueueSize = 1000
 retryAttempts = 3
 
+# Routing rules, merged by id over the built-in verification rules and tier
+# ladder (see utilities/routing-rules.js); version is recorded on decisions
+[verifier.routingRules]
+version = "builtin-1"
+
+# [verifier.routingRules.finalTier.large_amount_review]
+# amountAbove = 10000
+# tier = "REVIEW"
+
+# Manual review queue: claims lock an item for lockMs, decided items are kept
+# for retentionMs; use a sqlite or redis store to keep reviews across restarts
+[verifier.reviewQueue]
+lockMs = 900000
+retentionMs = 2592000000
+
+[verifier.reviewQueue.slaMs]
+critical = 3600000
+high = 14400000
+normal = 86400000
+low = 259200000
+
+[verifier.reviewQueue.store]
+type = "memory"
+
+# Per-user routing history for adaptive routing, keyed by pseudonym (set
+# PSEUDONYMIZATION_SECRET so histories match across restarts); retention
+# follows dataMinimization.routing
+[verifier.history]
+retentionHours = 720
+maxEntries = 10
+
+[verifier.history.store]
+type = "memory"
+
+# Business hours per region in the region's own time zone (see
+# utilities/business-hours.js); holidays are MM-DD (yearly) or YYYY-MM-DD.
+# Reviewers work their region's hours unless shifts are configured.
+[verifier.businessHours]
+defaultRegion = "US"
+queueBorderlineOnShift = true
+autoDecideOffShift = false
+
+[verifier.businessHours.regions.US]
+timeZone = "America/New_York"
+holidays = ["01-01", "07-04", "12-25"]
+
+[verifier.businessHours.regions.CA]
+timeZone = "America/Toronto"
+holidays = ["01-01", "07-01", "12-25"]
+
+[verifier.businessHours.regions.EU]
+timeZone = "Europe/Berlin"
+holidays = ["01-01", "12-25", "12-26"]
+
+# [verifier.businessHours.shifts.americas]
+# timeZone = "America/New_York"
+# days = ["mon", "tue", "wed", "thu", "fri", "sat"]
+# start = "07:00"
+# end = "23:00"
+# regions = ["US", "CA"]
+
+# Risk models (JSON logistic regression or gradient-boosted trees, see
+# utilities/risk-models.js) per stage: identity or combined. mode is
+# heuristic, blend or replace; the challenger scores challengerShare of
+# verifications
+# [verifier.riskModel.combined]
+# mode = "blend"
+# blendWeight = 0.5
+# challengerShare = 0.1
+#
+# [verifier.riskModel.combined.champion]
+# path = "./models/combined-lr-2026-10.json"
+#
+# [verifier.riskModel.combined.challenger]
+# path = "./models/combined-gbt-2026-10.json"
+
+# Points each field adds to a source pair's consistency score when it
+# matches (see DEFAULT_MATCH_WEIGHTS in utilities/validation-engine.js);
+# pair scores are capped at 100
+[verifier.matchWeights.identityCashApp]
+email = 30
+phone = 35
+name = 25
+userId = 10
+
+[verifier.matchWeights.identityPlaid]
+email = 30
+phone = 35
+account = 35
+owner = 25
+address = 20
+
+[verifier.matchWeights.cashAppPlaid]
+email = 40
+phone = 60
+
+# Email checks in pre-screening (see utilities/email-analyzer.js). The
+# disposable domain list is bundled in config/core/disposable-email-domains.txt;
+# disposableDomainsPath replaces it with a refreshed copy
+[verifier.email]
+rejectDisposable = true
+# disposableDomainsPath = "./config/disposable-email-domains.txt"
+# disposableDomains = ["throwaway.example"]
+# protectedDomains = ["onepay.com"]
+
 # Logging Configuration
 [logging]
 level = "info"
@@ -465,6 +675,30 @@ cacheTTL = 3600000
 enableCompression = true
 enableMetrics = true
 metricsInterval = 60000
+
+# Rate Limit Policies ([rateLimits.<scope>.<endpoint>], merged over built-in limits)
+[rateLimits]
+replaceDefaults = false
+
+[rateLimits.escalation]
+multiplier = 2
+maxBlockDurationMs = 86400000
+decayMs = 86400000
+
+[rateLimits.userId.funding]
+algorithm = "sliding-log"
+windowMs = 60000
+maxRequests = 3
+blockDurationMs = 3600000
+
+# Pseudonymization keys for rate limiter and monitor identifiers (HMAC-SHA-256)
+# rotation: DAILY, WEEKLY, MONTHLY or NEVER; the previous key stays
+# accepted for overlapMs after each rotation
+[pseudonymization]
+secret = "\${PSEUDONYMIZATION_SECRET}"
+rotation = "WEEKLY"
+overlapMs = 86400000
+hashLength = 16
 `;
     
     // Development configuration
@@ -68,7 +68,7 @@ export class CashAppVerificationAdapter {
             // Modular injection - composable architecture
             this.oauth = new OAuthHandler(this.config.cashApp);
             this.plaid = new PlaidVerifier(this.config.plaid);
-            this.validation = new ValidationEngine();
+            this.validation = new ValidationEngine(this.config.verifier);
             this.router = new TensionRouter(this.config.verifier);
             
             // Initialize all modules
@@ -131,7 +131,7 @@ export class CashAppVerificationAdapter {
             });
             
             // Adaptive routing decision via tension router
-            const approvalDecision = this.router.applyAdaptiveStrategy(identityResult);
+            const approvalDecision = await this.router.applyAdaptiveStrategy(identityResult);
             if (approvalDecision.tier === 'REJECT') {
                 return this.router.createRejectionResponse(identityResult, 'HIGH_RISK');
             }
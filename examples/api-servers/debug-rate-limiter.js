@@ -59,7 +59,7 @@ async function debugSuspiciousPatterns() {
 
     // Get statistics
     console.log("\n📊 Final Statistics:");
-    const stats = rateLimiter.getStatistics();
+    const stats = await rateLimiter.getStatistics();
     console.log(`Counters: ${stats.counters}`);
     console.log(`Active blocks: ${stats.activeBlocks}`);
     console.log(`Suspicious patterns: ${stats.suspiciousPatterns}`);
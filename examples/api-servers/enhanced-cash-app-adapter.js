@@ -54,6 +54,12 @@ const onePayGDPRConfig = {
             retainPoints: true, // Required for rewards
             retainTransactionAmount: false, // Use category only
             maxRetentionHours: 24 * 365 // 1 year for loyalty
+        },
+        routing: {
+            retainUserId: false, // Keyed by pseudonym (security/pseudonymizer.js)
+            retainOutcomes: true, // Required for adaptive routing
+            maxEntries: 10, // Last routings per user
+            maxRetentionHours: 24 * 30 // 30 days max
         }
     },
 
@@ -127,7 +133,7 @@ const onePayGDPRConfig = {
             dataAtRest: true,
             dataInTransit: true
         },
-        pseudonymization: {
+        pseudonymization: { // Enforced by security/pseudonymizer.js ([pseudonymization] in config.toml)
             algorithm: 'SHA-256',
             saltRotation: 'WEEKLY',
             deterministic: true
@@ -224,10 +230,22 @@ const onePayGDPRConfig = {
 export class EnhancedCashAppAdapter extends CashAppVerificationAdapter {
     constructor(gdprValidator, config = onePayGDPRConfig) {
         // Transform the config to match the expected structure for the parent class
+        const routingRetention = config.dataMinimization?.routing;
         const transformedConfig = {
             ...config,
             cashApp: config.cashApp.oauth || config.cashApp,
             plaid: config.plaid,
+            verifier: {
+                ...config.verifier,
+                // Routing history retention follows data minimization
+                history: {
+                    ...(routingRetention && {
+                        retentionHours: routingRetention.maxRetentionHours,
+                        maxEntries: routingRetention.maxEntries
+                    }),
+                    ...config.verifier?.history
+                }
+            },
             _testMode: config._testMode || true // Ensure test mode for enhanced adapter
         };
         
@@ -614,6 +632,24 @@ export class EnhancedCashAppAdapter extends CashAppVerificationAdapter {
         };
     }
 
+    /**
+     * Article 17: Right to Erasure of the user's routing history, review
+     * items and logged routing conflicts
+     */
+    async eraseUserData(userId) {
+        await this.ensureInitialized();
+
+        const erased = await this.router.eraseUserData(userId);
+        this.metrics.track('dataErasure', 1);
+        this.gdprLog(`Erased routing data for ${this.maskPII(userId)} (${erased.routingHistory} routings, ${erased.reviews} reviews, ${erased.conflicts} conflicts)`, 'IDV-GDPR-001');
+
+        return {
+            success: true,
+            erased,
+            gdprCompliant: true
+        };
+    }
+
     /**
      * Article 21: Right to Object
      */
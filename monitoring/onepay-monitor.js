@@ -4,8 +4,10 @@
 // Real-time monitoring with GDPR compliance tracking
 
 import { EventEmitter } from 'events';
-import { createHash } from 'crypto';
-import { writeFileSync, readFileSync, existsSync } from 'fs';
+import { writeFileSync } from 'fs';
+import { appendFile } from 'fs/promises';
+import { join } from 'path';
+import { pseudonymizer as sharedPseudonymizer } from '../security/pseudonymizer.js';
 
 console.log("📊 OnePay Production Monitoring - Active");
 
@@ -13,13 +15,32 @@ console.log("📊 OnePay Production Monitoring - Active");
  * Production monitoring system with GDPR compliance tracking
  */
 class OnePayMonitor extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
+        this.outputDir = options.outputDir || './monitoring'; // Health, metrics and alert log files
+        this.pseudonymizer = options.pseudonymizer || sharedPseudonymizer; // Keyed hashing for user IDs
         this.metrics = new Map();
         this.alerts = [];
         this.gdprMetrics = new Map();
         this.performanceMetrics = new Map();
         this.securityMetrics = new Map();
+        this.monitoringIntervals = [];
+        this.rateLimitActivity = {
+            blocksByReason: {},
+            blocksByScope: {},
+            patterns: {},
+            recentBlockTimes: [], // For spike detection
+            recentEvents: []
+        };
+        this.rateLimitThresholds = {
+            blockSpikeCount: 50, // Blocks within blockSpikeWindowMs that raise an alert
+            blockSpikeWindowMs: 60 * 1000,
+            highRiskScore: 80,
+            repeatOffenses: 3,
+            alertCooldownMs: 5 * 60 * 1000 // Per alert type and entity
+        };
+        this.alertCooldowns = new Map(); // Alert key -> last trigger time, oldest first
+        this.alertLogWrite = Promise.resolve(); // Pending alerts.log appends
         this.healthStatus = {
             overall: 'HEALTHY',
             gdpr: 'COMPLIANT',
@@ -59,30 +80,46 @@ class OnePayMonitor extends EventEmitter {
         this.securityMetrics.set('dataBreaches', { value: 0, timestamp: Date.now() });
         this.securityMetrics.set('encryptionStatus', { value: 'ACTIVE', timestamp: Date.now() });
         this.securityMetrics.set('accessViolations', { value: 0, timestamp: Date.now() });
+        this.securityMetrics.set('rateLimitBlocks', { value: 0, timestamp: Date.now() });
+        this.securityMetrics.set('manualBlocks', { value: 0, timestamp: Date.now() });
+        this.securityMetrics.set('suspiciousTraffic', { value: 0, timestamp: Date.now() });
+        this.securityMetrics.set('botDetections', { value: 0, timestamp: Date.now() });
     }
 
     /**
      * Start monitoring loops
      */
     startMonitoring() {
-        // GDPR Compliance Monitoring
-        setInterval(() => this.checkGDPRCompliance(), 30000); // 30 seconds
-        
-        // Performance Monitoring
-        setInterval(() => this.checkPerformance(), 10000); // 10 seconds
-        
-        // Security Monitoring
-        setInterval(() => this.checkSecurity(), 15000); // 15 seconds
-        
-        // Health Check
-        setInterval(() => this.performHealthCheck(), 60000); // 1 minute
-        
-        // Metrics Collection
-        setInterval(() => this.collectMetrics(), 5000); // 5 seconds
+        this.monitoringIntervals.push(
+            // GDPR Compliance Monitoring
+            setInterval(() => this.checkGDPRCompliance(), 30000), // 30 seconds
+
+            // Performance Monitoring
+            setInterval(() => this.checkPerformance(), 10000), // 10 seconds
+
+            // Security Monitoring
+            setInterval(() => this.checkSecurity(), 15000), // 15 seconds
+
+            // Health Check
+            setInterval(() => this.performHealthCheck(), 60000), // 1 minute
+
+            // Metrics Collection
+            setInterval(() => this.collectMetrics(), 5000) // 5 seconds
+        );
         
         console.log('📊 Monitoring started with 5-second metrics collection');
     }
 
+    /**
+     * Stop monitoring loops
+     */
+    stop() {
+        for (const interval of this.monitoringIntervals) {
+            clearInterval(interval);
+        }
+        this.monitoringIntervals = [];
+    }
+
     /**
      * Track GDPR consent request
      */
@@ -223,6 +260,146 @@ class OnePayMonitor extends EventEmitter {
         }
     }
 
+    /**
+     * Track a rate limit block (identifiers arrive already pseudonymized
+     * by the rate limiter)
+     */
+    trackRateLimitBlock(block) {
+        const now = Date.now();
+        const activity = this.rateLimitActivity;
+        const thresholds = this.rateLimitThresholds;
+
+        this.incrementMetric('rateLimitBlocks', 'security');
+        activity.blocksByReason[block.reason] = (activity.blocksByReason[block.reason] || 0) + 1;
+        activity.blocksByScope[block.scope] = (activity.blocksByScope[block.scope] || 0) + 1;
+
+        activity.recentBlockTimes.push(now);
+        activity.recentBlockTimes = activity.recentBlockTimes.filter(time => now - time < thresholds.blockSpikeWindowMs);
+
+        this.recordRateLimitEvent('RATE_LIMIT_BLOCKED', block);
+
+        if (activity.recentBlockTimes.length >= thresholds.blockSpikeCount) {
+            this.triggerAlertOnce('RATE_LIMIT_BLOCK_SPIKE', 'global', {
+                blocks: activity.recentBlockTimes.length,
+                windowMs: thresholds.blockSpikeWindowMs
+            });
+        }
+
+        if (block.offenses >= thresholds.repeatOffenses) {
+            this.triggerAlertOnce('REPEAT_RATE_LIMIT_OFFENDER', block.ip || block.userId || block.deviceFingerprint, {
+                scope: block.scope,
+                offenses: block.offenses,
+                retryAfter: block.retryAfter
+            });
+        }
+    }
+
+    /**
+     * Track suspicious traffic flagged by the rate limiter
+     */
+    trackSuspiciousTraffic(event) {
+        const activity = this.rateLimitActivity;
+        const entity = event.ip || event.userId || event.deviceFingerprint;
+
+        this.incrementMetric('suspiciousTraffic', 'security');
+        for (const pattern of event.patterns) {
+            activity.patterns[pattern] = (activity.patterns[pattern] || 0) + 1;
+        }
+
+        this.recordRateLimitEvent('SUSPICIOUS_TRAFFIC', event);
+
+        if (event.patterns.includes('BOT_LIKE_PATTERN')) {
+            this.incrementMetric('botDetections', 'security');
+            this.triggerAlertOnce('BOT_ACTIVITY_DETECTED', entity, {
+                patterns: event.patterns,
+                riskScore: event.riskScore
+            });
+        }
+
+        if (event.riskScore >= this.rateLimitThresholds.highRiskScore) {
+            this.triggerAlertOnce('HIGH_RISK_TRAFFIC', entity, {
+                patterns: event.patterns,
+                riskScore: event.riskScore
+            });
+        }
+    }
+
+    /**
+     * Track a manual block or unblock by an operator
+     */
+    trackManualBlockChange(action, change) {
+        if (action === 'MANUAL_BLOCK') {
+            this.incrementMetric('manualBlocks', 'security');
+            this.triggerAlert('MANUAL_BLOCK_APPLIED', {
+                type: change.type,
+                reason: change.reason,
+                operator: change.operator,
+                ticket: change.ticket
+            });
+        }
+
+        this.recordRateLimitEvent(action, change);
+    }
+
+    /**
+     * Keep a short rate limit event history and forward it as a security event
+     */
+    recordRateLimitEvent(type, details) {
+        const event = { type, details, timestamp: new Date().toISOString() };
+
+        this.rateLimitActivity.recentEvents.push(event);
+        if (this.rateLimitActivity.recentEvents.length > 50) {
+            this.rateLimitActivity.recentEvents.shift();
+        }
+
+        this.incrementMetric('securityEvents', 'security');
+        this.emit('security:event', event);
+    }
+
+    /**
+     * Trigger an alert at most once per cooldown for the same type and entity
+     */
+    triggerAlertOnce(type, entity, details) {
+        const key = `${type}:${entity || 'unknown'}`;
+        const now = Date.now();
+
+        // Forget expired cooldowns; keys are only set once expired, so the
+        // map is in trigger order and stays bounded by recent alerts
+        for (const [cooldownKey, triggeredAt] of this.alertCooldowns) {
+            if (now - triggeredAt < this.rateLimitThresholds.alertCooldownMs) break;
+            this.alertCooldowns.delete(cooldownKey);
+        }
+
+        if (this.alertCooldowns.has(key)) {
+            return false;
+        }
+
+        this.alertCooldowns.set(key, now);
+        this.triggerAlert(type, { entity, ...details });
+        return true;
+    }
+
+    /**
+     * Get rate limiting activity for the dashboard
+     */
+    getRateLimitActivity() {
+        const activity = this.rateLimitActivity;
+
+        return {
+            blocks: this.getMetric('rateLimitBlocks', 'security'),
+            manualBlocks: this.getMetric('manualBlocks', 'security'),
+            suspiciousTraffic: this.getMetric('suspiciousTraffic', 'security'),
+            botDetections: this.getMetric('botDetections', 'security'),
+            blocksLastWindow: activity.recentBlockTimes.filter(time =>
+                Date.now() - time < this.rateLimitThresholds.blockSpikeWindowMs
+            ).length,
+            blocksByReason: { ...activity.blocksByReason },
+            blocksByScope: { ...activity.blocksByScope },
+            patterns: { ...activity.patterns },
+            recentEvents: activity.recentEvents.slice(-10)
+        };
+    }
+
     /**
      * Check GDPR compliance
      */
@@ -456,13 +633,18 @@ class OnePayMonitor extends EventEmitter {
             'DATA_BREACH_DETECTED': 'CRITICAL',
             'CRITICAL_SECURITY_EVENT': 'CRITICAL',
             'HIGH_CONFIDENCE_FRAUD': 'HIGH',
+            'RATE_LIMIT_BLOCK_SPIKE': 'HIGH',
+            'BOT_ACTIVITY_DETECTED': 'HIGH',
+            'HIGH_RISK_TRAFFIC': 'HIGH',
+            'REPEAT_RATE_LIMIT_OFFENDER': 'MEDIUM',
             'DELETION_COMPLIANCE_ISSUE': 'HIGH',
             'LOW_CONSENT_RATE': 'MEDIUM',
             'SLOW_VERIFICATION': 'MEDIUM',
             'LOW_APPROVAL_RATE': 'MEDIUM',
             'HIGH_ERROR_RATE': 'MEDIUM',
             'HIGH_MEMORY_USAGE': 'LOW',
-            'HIGH_OBJECTION_RATE': 'LOW'
+            'HIGH_OBJECTION_RATE': 'LOW',
+            'MANUAL_BLOCK_APPLIED': 'LOW'
         };
 
         return severityMap[type] || 'MEDIUM';
@@ -577,13 +759,11 @@ class OnePayMonitor extends EventEmitter {
     }
 
     /**
-     * Hash user ID for privacy
+     * Hash user ID for privacy (key-id prefixed HMAC, see pseudonymizer.js)
      */
     hashUserId(userId) {
-        return createHash('sha256')
-            .update(userId + 'monitoring-salt')
-            .digest('hex')
-            .substring(0, 12);
+        if (userId === undefined || userId === null) return null;
+        return this.pseudonymizer.pseudonymize(userId);
     }
 
     /**
@@ -591,7 +771,7 @@ class OnePayMonitor extends EventEmitter {
      */
     saveHealthStatus(health) {
         try {
-            writeFileSync('./monitoring/health-status.json', JSON.stringify(health, null, 2));
+            writeFileSync(join(this.outputDir, 'health-status.json'), JSON.stringify(health, null, 2));
         } catch (error) {
             console.warn('⚠️ Failed to save health status:', error.message);
         }
@@ -602,7 +782,7 @@ class OnePayMonitor extends EventEmitter {
      */
     saveMetrics(metrics) {
         try {
-            const filename = `./monitoring/metrics-${Date.now()}.json`;
+            const filename = join(this.outputDir, `metrics-${Date.now()}.json`);
             writeFileSync(filename, JSON.stringify(metrics, null, 2));
             
             // Keep only last 100 metrics files
@@ -613,22 +793,16 @@ class OnePayMonitor extends EventEmitter {
     }
 
     /**
-     * Log alert to file
+     * Log alert to file (appended in the background, in trigger order)
      */
     logAlert(alert) {
-        try {
-            const logFile = './monitoring/alerts.log';
-            const logEntry = `${alert.timestamp} [${alert.severity}] ${alert.type}: ${JSON.stringify(alert.details)}\n`;
-            
-            if (existsSync(logFile)) {
-                const current = readFileSync(logFile, 'utf-8');
-                writeFileSync(logFile, current + logEntry);
-            } else {
-                writeFileSync(logFile, logEntry);
-            }
-        } catch (error) {
-            console.warn('⚠️ Failed to log alert:', error.message);
-        }
+        const logFile = join(this.outputDir, 'alerts.log');
+        const logEntry = `${alert.timestamp} [${alert.severity}] ${alert.type}: ${JSON.stringify(alert.details)}\n`;
+
+        this.alertLogWrite = this.alertLogWrite
+            .then(() => appendFile(logFile, logEntry))
+            .catch(error => console.warn('⚠️ Failed to log alert:', error.message));
+        return this.alertLogWrite;
     }
 
     /**
@@ -651,6 +825,7 @@ class OnePayMonitor extends EventEmitter {
                 performance: this.getPerformanceMetrics(),
                 security: this.getSecurityMetrics()
             },
+            rateLimiting: this.getRateLimitActivity(),
             alerts: this.getActiveAlerts(),
             timestamp: new Date().toISOString()
         };
@@ -0,0 +1,103 @@
+#!/usr/bin/env bun
+
+// monitoring/rate-limit-bridge.js - Rate Limiter → OnePayMonitor Bridge
+// Turns rate limiter events into security metrics, events and alerts
+
+console.log("🌉 Rate Limit Monitor Bridge - Loaded");
+
+/**
+ * Subscribes an OnePayMonitor to an EnhancedRateLimiter:
+ * - rateLimit:blocked → trackRateLimitBlock (block spikes, repeat offenders)
+ * - rateLimit:suspicious → trackSuspiciousTraffic (bot detections, high risk)
+ * - rateLimit:manual_block / manual_unblock → trackManualBlockChange
+ *
+ * Request identifiers are forwarded as the limiter already pseudonymized
+ * them (sanitizeRequest); raw identifiers on manual block events are dropped.
+ */
+export class RateLimitMonitorBridge {
+    constructor(limiter, monitor) {
+        if (!limiter || !monitor) {
+            throw new Error('RateLimitMonitorBridge requires a rate limiter and a monitor');
+        }
+
+        this.limiter = limiter;
+        this.monitor = monitor;
+        this.connected = false;
+
+        this.handlers = {
+            'rateLimit:blocked': (event) => this.monitor.trackRateLimitBlock({
+                scope: event.scope,
+                reason: event.reason,
+                retryAfter: event.retryAfter,
+                offenses: event.offenses || 0,
+                ...this.identifiers(event.request)
+            }),
+            'rateLimit:suspicious': (event) => this.monitor.trackSuspiciousTraffic({
+                patterns: event.patterns,
+                riskScore: event.riskScore,
+                ...this.identifiers(event.request)
+            }),
+            'rateLimit:manual_block': (event) => this.monitor.trackManualBlockChange('MANUAL_BLOCK', {
+                type: event.type,
+                reason: event.reason,
+                durationMs: event.durationMs,
+                operator: event.operator || null,
+                ticket: event.ticket || null
+            }),
+            'rateLimit:manual_unblock': (event) => this.monitor.trackManualBlockChange('MANUAL_UNBLOCK', {
+                type: event.type,
+                operator: event.operator || null
+            })
+        };
+    }
+
+    /**
+     * Start forwarding limiter events to the monitor
+     */
+    connect() {
+        if (this.connected) return this;
+
+        for (const [eventName, handler] of Object.entries(this.handlers)) {
+            this.limiter.on(eventName, handler);
+        }
+        this.connected = true;
+        return this;
+    }
+
+    /**
+     * Stop forwarding limiter events
+     */
+    disconnect() {
+        if (!this.connected) return this;
+
+        for (const [eventName, handler] of Object.entries(this.handlers)) {
+            this.limiter.off(eventName, handler);
+        }
+        this.connected = false;
+        return this;
+    }
+
+    /**
+     * Pseudonymized identifiers from a sanitized request
+     */
+    identifiers(request = {}) {
+        return {
+            ip: request.ip || null,
+            userId: request.userId || null,
+            deviceFingerprint: request.deviceFingerprint || null,
+            path: request.path || null
+        };
+    }
+}
+
+/**
+ * Connect a limiter to a monitor and return the bridge (call disconnect() to stop)
+ */
+export function connectRateLimiterToMonitor(limiter, monitor) {
+    return new RateLimitMonitorBridge(limiter, monitor).connect();
+}
+
+export default {
+    RateLimitMonitorBridge,
+    connectRateLimiterToMonitor
+};
@@ -0,0 +1,140 @@
+#!/usr/bin/env bun
+
+// security/association-index.js - Sliding Request Association Index
+// Bounded, time-windowed device/IP/user/location history for pattern detection
+
+console.log("🔗 Association Index - Loaded");
+
+/**
+ * Default windows per association kind:
+ * - deviceIPs: device fingerprint → IPs it was seen from
+ * - deviceUsers: IP + device fingerprint → user IDs seen on that pair
+ * - ipLocations: IP → reported locations
+ * - ipRequests: IP → request timestamps (for timing analysis)
+ *
+ * maxValues caps each entry so a single hot key cannot grow without bound;
+ * the oldest observations are evicted first.
+ */
+export const DEFAULT_ASSOCIATION_WINDOWS = {
+    deviceIPs: { windowMs: 60 * 60 * 1000, maxValues: 50 }, // 1 hour
+    deviceUsers: { windowMs: 60 * 60 * 1000, maxValues: 50 }, // 1 hour
+    ipLocations: { windowMs: 24 * 60 * 60 * 1000, maxValues: 50 }, // 24 hours
+    ipRequests: { windowMs: 10 * 60 * 1000, maxValues: 100 } // 10 minutes
+};
+
+const NAMESPACE = 'associations';
+
+/**
+ * Association index backed by a rate limit store, so replicas sharing the
+ * store see the same traffic history
+ */
+export class AssociationIndex {
+    constructor(store, windows = {}) {
+        this.store = store;
+        this.windows = {};
+
+        for (const [kind, defaults] of Object.entries(DEFAULT_ASSOCIATION_WINDOWS)) {
+            this.windows[kind] = { ...defaults, ...windows[kind] };
+        }
+    }
+
+    /**
+     * Record every association carried by a request
+     */
+    async observe(request, now = Date.now()) {
+        const updates = [];
+
+        if (request.deviceFingerprint && request.ip) {
+            updates.push(this.addValue('deviceIPs', request.deviceFingerprint, request.ip, now));
+        }
+
+        if (request.ip && request.deviceFingerprint && request.userId) {
+            updates.push(this.addValue('deviceUsers', `${request.ip}|${request.deviceFingerprint}`, request.userId, now));
+        }
+
+        if (request.ip && request.location) {
+            updates.push(this.addValue('ipLocations', request.ip, locationKey(request.location), now));
+        }
+
+        if (request.ip) {
+            updates.push(this.addTimestamp('ipRequests', request.ip, now));
+        }
+
+        await Promise.all(updates);
+    }
+
+    /**
+     * Add (or refresh) a distinct value under a key
+     */
+    async addValue(kind, key, value, now = Date.now()) {
+        const { windowMs, maxValues } = this.getWindow(kind);
+
+        await this.store.update(NAMESPACE, `${kind}:${key}`, (current) => {
+            const cutoff = now - windowMs;
+            const values = (current?.values || []).filter(([seen, lastSeen]) => seen !== value && lastSeen > cutoff);
+
+            values.push([value, now]);
+            return { values: values.slice(-maxValues) };
+        }, windowMs);
+    }
+
+    /**
+     * Distinct values seen under a key within its window
+     */
+    async getValues(kind, key, now = Date.now()) {
+        const { windowMs } = this.getWindow(kind);
+        const entry = await this.store.get(NAMESPACE, `${kind}:${key}`);
+        const cutoff = now - windowMs;
+
+        return new Set((entry?.values || [])
+            .filter(([, lastSeen]) => lastSeen > cutoff)
+            .map(([value]) => value));
+    }
+
+    /**
+     * Append a timestamp under a key, keeping the list sorted
+     */
+    async addTimestamp(kind, key, time = Date.now()) {
+        const { windowMs, maxValues } = this.getWindow(kind);
+
+        await this.store.update(NAMESPACE, `${kind}:${key}`, (current) => {
+            const cutoff = Math.max(time, Date.now()) - windowMs;
+            const times = (current?.times || []).filter(existing => existing > cutoff);
+
+            times.push(time);
+            times.sort((a, b) => a - b);
+            return { times: times.slice(-maxValues) };
+        }, windowMs);
+    }
+
+    /**
+     * Timestamps recorded under a key within its window (ascending)
+     */
+    async getTimestamps(kind, key, now = Date.now()) {
+        const { windowMs } = this.getWindow(kind);
+        const entry = await this.store.get(NAMESPACE, `${kind}:${key}`);
+        const cutoff = now - windowMs;
+
+        return (entry?.times || []).filter(time => time > cutoff);
+    }
+
+    /**
+     * Window settings for an association kind
+     */
+    getWindow(kind) {
+        const window = this.windows[kind];
+        if (!window) {
+            throw new Error(`Unknown association kind: ${kind}`);
+        }
+        return window;
+    }
+}
+
+/**
+ * Stable key for a reported location (plain strings or structured objects)
+ */
+function locationKey(location) {
+    return typeof location === 'string' ? location : JSON.stringify(location);
+}
+
+export default AssociationIndex;
@@ -0,0 +1,135 @@
+#!/usr/bin/env bun
+
+// security/block-audit-log.js - Append-Only Block Audit Log
+// Records every block, extension, annotation and unblock for trust & safety review
+
+import { randomUUID } from 'crypto';
+import { appendFile, readFile, mkdir } from 'fs/promises';
+import { dirname } from 'path';
+
+console.log("📒 Block Audit Log - Loaded");
+
+/**
+ * Audit logs expose two async methods:
+ * - append(entry) - stamps id/timestamp and records the entry; entries are
+ *   never modified or removed afterwards
+ * - list({ type, identifier, action, limit }) - entries in append order,
+ *   optionally filtered; limit keeps the most recent ones
+ */
+
+/**
+ * Stamp an entry with its id and timestamp
+ */
+function stampEntry(entry) {
+    return Object.freeze({
+        id: randomUUID(),
+        timestamp: new Date().toISOString(),
+        ...entry
+    });
+}
+
+/**
+ * Apply list() filters to entries in append order
+ */
+function filterEntries(entries, filter = {}) {
+    const matches = entries.filter(entry =>
+        (!filter.type || entry.type === filter.type) &&
+        (!filter.identifier || entry.identifier === filter.identifier) &&
+        (!filter.action || entry.action === filter.action)
+    );
+
+    return filter.limit ? matches.slice(-filter.limit) : matches;
+}
+
+/**
+ * In-memory audit log (default) - lost on restart
+ */
+export class MemoryBlockAuditLog {
+    constructor() {
+        this.entries = [];
+    }
+
+    async append(entry) {
+        const stamped = stampEntry(entry);
+        this.entries.push(stamped);
+        return stamped;
+    }
+
+    async list(filter = {}) {
+        return filterEntries(this.entries, filter);
+    }
+}
+
+/**
+ * JSON Lines audit log - one entry per line, opened in append mode only
+ */
+export class FileBlockAuditLog {
+    constructor(options = {}) {
+        this.path = options.path || './logs/rate-limit-block-audit.jsonl';
+        this.ready = null;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Create the log directory on first write
+     */
+    async ensureDirectory() {
+        if (!this.ready) {
+            this.ready = mkdir(dirname(this.path), { recursive: true });
+        }
+        return this.ready;
+    }
+
+    async append(entry) {
+        const stamped = stampEntry(entry);
+
+        // Chain writes so lines from concurrent appends never interleave
+        this.pending = this.pending.catch(() => {}).then(async () => {
+            await this.ensureDirectory();
+            await appendFile(this.path, `${JSON.stringify(stamped)}\n`, { flag: 'a' });
+        });
+
+        await this.pending;
+        return stamped;
+    }
+
+    async list(filter = {}) {
+        await this.pending.catch(() => {});
+
+        let content;
+        try {
+            content = await readFile(this.path, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const entries = content
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => JSON.parse(line));
+
+        return filterEntries(entries, filter);
+    }
+}
+
+/**
+ * Create an audit log from a plain options object
+ * (e.g. { type: 'file', path: './logs/rate-limit-block-audit.jsonl' })
+ */
+export function createBlockAuditLog(options = {}) {
+    switch (options.type || 'memory') {
+        case 'memory':
+            return new MemoryBlockAuditLog();
+        case 'file':
+            return new FileBlockAuditLog(options);
+        default:
+            throw new Error(`Unknown block audit log type: ${options.type}`);
+    }
+}
+
+export default {
+    MemoryBlockAuditLog,
+    FileBlockAuditLog,
+    createBlockAuditLog
+};
@@ -3,33 +3,95 @@
 // security/enhanced-rate-limiter.js - Multi-Dimensional Rate Limiting
 // Advanced velocity attack protection with IP, user ID, and device fingerprint tracking
 
-import { createHash } from 'crypto';
 import { EventEmitter } from 'events';
+import { MemoryRateLimitStore } from './rate-limit-stores.js';
+import { getRateLimitAlgorithm, DEFAULT_ALGORITHM } from './rate-limit-algorithms.js';
+import { parseRateLimitPolicy, parseTenantOverrides, DEFAULT_ESCALATION } from './rate-limit-policy.js';
+import { AssociationIndex } from './association-index.js';
+import { parseIP, parseCidr, cidrContains } from './ip-ranges.js';
+import { MemoryBlockAuditLog } from './block-audit-log.js';
+import { pseudonymizer as sharedPseudonymizer } from './pseudonymizer.js';
+import { RateLimitShadow } from './rate-limit-shadow.js';
+import { GeoVelocityDetector, DEFAULT_GEO_VELOCITY } from './geo-velocity.js';
+import { reloadConfig } from '../config/core/config-loader.js';
 
 console.log("🛡️ Enhanced Rate Limiter - Multi-Dimensional Protection Active");
 
+const SUSPICIOUS_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const USAGE_RETENTION_MS = 400 * 24 * 60 * 60 * 1000; // Daily usage kept ~13 months for billing
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const IP_RULE_LISTS = ['allow', 'deny'];
+const SYSTEM_OPERATOR = 'system'; // Operator recorded for automatic blocks
+const IP_RULE_CACHE_MS = 5000; // How long replicas may serve a stale rule set
+
+const BOT_TIMING = {
+    minSamples: 5, // Requests needed before timing is judged
+    sampleSize: 10, // Most recent requests considered
+    maxVariation: 0.1, // Interval stddev / mean below this looks scripted
+    minIntervalMs: 100 // Faster than this is a burst, not a cadence
+};
+
 /**
  * Enhanced rate limiting with multiple scope dimensions
+ *
+ * Counters, blocks and suspicious patterns live in a pluggable store
+ * (see rate-limit-stores.js) so several replicas can enforce shared limits.
+ * Blocks survive restarts with a durable store (SQLite/Redis); every block
+ * change is also written to an append-only audit log (block-audit-log.js).
+ *
+ * Requests carrying a tenantId (merchant) are also held to the merchant's
+ * contracted quota. Running out of quota is not abuse: it rejects with
+ * QUOTA_EXHAUSTED and emits rateLimit:quota_exhausted instead of a block,
+ * and never counts as an offense. Admitted requests are counted per merchant
+ * per day for billing (getTenantUsage).
+ *
+ * A candidate limit set can run in shadow mode next to the enforced one
+ * (setShadowPolicy / [rateLimits.shadow]): it never rejects, and
+ * getShadowReport() shows what it would have blocked or let through.
  */
 class EnhancedRateLimiter extends EventEmitter {
-    constructor() {
+    constructor(options = {}) {
         super();
         this.limits = new Map(); // Store rate limits by scope
-        this.counters = new Map(); // Store current counters
-        this.blocked = new Map(); // Store blocked entities
-        this.suspicious = new Map(); // Store suspicious patterns
+        this.store = options.store || new MemoryRateLimitStore(); // Counters, blocks, suspicious patterns
+        this.associations = new AssociationIndex(this.store, options.associationWindows); // Device/IP/user/location history
+        this.ipRuleCache = null; // Parsed allow/deny rules, refreshed from the store
+        this.ipRuleCacheMs = options.ipRuleCacheMs ?? IP_RULE_CACHE_MS;
+        this.baseEscalation = { ...DEFAULT_ESCALATION, ...options.escalation }; // Repeat-offender block ladder
+        this.auditLog = options.auditLog || new MemoryBlockAuditLog(); // Append-only block history
+        this.pseudonymizer = options.pseudonymizer || sharedPseudonymizer; // Keyed hashing for logged identifiers
+        this.tenantLimits = new Map(); // tenantId → Map of per-merchant quota overrides
+        this.usageRetentionMs = options.usageRetentionMs ?? USAGE_RETENTION_MS;
+        this.shadow = null; // Candidate limits evaluated but never enforced
+        this.escalation = this.baseEscalation;
+        this.baseGeoVelocity = { ...DEFAULT_GEO_VELOCITY, ...options.geoVelocity }; // Impossible travel thresholds
+        this.geoVelocity = new GeoVelocityDetector(this.store, this.baseGeoVelocity);
         this.cleanupInterval = null;
         
         this.initializeDefaultLimits();
+        this.defaultLimits = new Map(this.limits);
+
+        if (options.policy) {
+            this.applyRateLimitPolicy(options.policy);
+        }
+
         this.startCleanup();
     }
 
     /**
      * Initialize default rate limits for different scopes
+     *
+     * Each entry declares its algorithm (see rate-limit-algorithms.js):
+     * global scopes use cheap fixed windows, funding and data export use an
+     * exact sliding log so clients cannot burst across a window boundary,
+     * verification and consent use the sliding-window counter, and the daily
+     * per-user export quota is a token bucket that refills gradually.
      */
     initializeDefaultLimits() {
         // Per-IP limits
         this.limits.set('ip:global', {
+            algorithm: 'fixed-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 100,
             blockDurationMs: 5 * 60 * 1000, // 5 minutes
@@ -38,6 +100,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Per-user-ID limits
         this.limits.set('userId:global', {
+            algorithm: 'fixed-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 50,
             blockDurationMs: 10 * 60 * 1000, // 10 minutes
@@ -46,6 +109,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Per-device-fingerprint limits
         this.limits.set('device:global', {
+            algorithm: 'fixed-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 30,
             blockDurationMs: 15 * 60 * 1000, // 15 minutes
@@ -54,6 +118,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Critical endpoint limits (funding, verification)
         this.limits.set('ip:funding', {
+            algorithm: 'sliding-log',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 5,
             blockDurationMs: 30 * 60 * 1000, // 30 minutes
@@ -62,6 +127,7 @@ class EnhancedRateLimiter extends EventEmitter {
         });
 
         this.limits.set('userId:funding', {
+            algorithm: 'sliding-log',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 3,
             blockDurationMs: 60 * 60 * 1000, // 1 hour
@@ -70,6 +136,7 @@ class EnhancedRateLimiter extends EventEmitter {
         });
 
         this.limits.set('device:funding', {
+            algorithm: 'sliding-log',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 2,
             blockDurationMs: 120 * 60 * 1000, // 2 hours
@@ -79,6 +146,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Verification endpoint limits
         this.limits.set('ip:verification', {
+            algorithm: 'sliding-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 10,
             blockDurationMs: 15 * 60 * 1000, // 15 minutes
@@ -87,6 +155,7 @@ class EnhancedRateLimiter extends EventEmitter {
         });
 
         this.limits.set('userId:verification', {
+            algorithm: 'sliding-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 5,
             blockDurationMs: 30 * 60 * 1000, // 30 minutes
@@ -96,6 +165,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Consent endpoint limits (GDPR critical)
         this.limits.set('ip:consent', {
+            algorithm: 'sliding-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 20,
             blockDurationMs: 20 * 60 * 1000, // 20 minutes
@@ -104,6 +174,7 @@ class EnhancedRateLimiter extends EventEmitter {
         });
 
         this.limits.set('userId:consent', {
+            algorithm: 'sliding-window',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 10,
             blockDurationMs: 40 * 60 * 1000, // 40 minutes
@@ -113,6 +184,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Data export limits (GDPR critical)
         this.limits.set('ip:dataExport', {
+            algorithm: 'sliding-log',
             windowMs: 60 * 1000, // 1 minute
             maxRequests: 3,
             blockDurationMs: 60 * 60 * 1000, // 1 hour
@@ -121,20 +193,202 @@ class EnhancedRateLimiter extends EventEmitter {
         });
 
         this.limits.set('userId:dataExport', {
+            algorithm: 'token-bucket',
             windowMs: 24 * 60 * 60 * 1000, // 24 hours
-            maxRequests: 5,
+            maxRequests: 5, // Bucket capacity
+            refillRate: 5 / (24 * 60 * 60), // 5 tokens per day
             blockDurationMs: 24 * 60 * 60 * 1000, // 24 hours
             scope: 'userId',
             endpoint: 'dataExport'
         });
+
+        // Per-merchant quotas (contracted throughput, overridable per tenant).
+        // No block duration: a merchant over quota is rejected only until
+        // the window frees up
+        this.limits.set('tenant:global', {
+            algorithm: 'sliding-window',
+            windowMs: 60 * 1000, // 1 minute
+            maxRequests: 1000,
+            blockDurationMs: 0,
+            scope: 'tenant'
+        });
+
+        this.limits.set('tenant:funding', {
+            algorithm: 'sliding-window',
+            windowMs: 60 * 1000, // 1 minute
+            maxRequests: 100,
+            blockDurationMs: 0,
+            scope: 'tenant',
+            endpoint: 'funding'
+        });
+
+        this.limits.set('tenant:verification', {
+            algorithm: 'sliding-window',
+            windowMs: 60 * 1000, // 1 minute
+            maxRequests: 200,
+            blockDurationMs: 0,
+            scope: 'tenant',
+            endpoint: 'verification'
+        });
+
+        this.limits.set('tenant:consent', {
+            algorithm: 'sliding-window',
+            windowMs: 60 * 1000, // 1 minute
+            maxRequests: 300,
+            blockDurationMs: 0,
+            scope: 'tenant',
+            endpoint: 'consent'
+        });
+
+        this.limits.set('tenant:dataExport', {
+            algorithm: 'sliding-window',
+            windowMs: 60 * 1000, // 1 minute
+            maxRequests: 50,
+            blockDurationMs: 0,
+            scope: 'tenant',
+            endpoint: 'dataExport'
+        });
+    }
+
+    /**
+     * Apply a declarative [rateLimits] policy (see rate-limit-policy.js)
+     *
+     * The limit table is validated first and swapped in one assignment, so
+     * in-flight checks see either the old or the new limits. Counters and
+     * blocks stay in the store untouched; a scope that changes algorithm
+     * starts fresh state on its next request but keeps any active block.
+     * Per-merchant quotas are replaced by the policy's [rateLimits.tenants],
+     * and the shadow candidate by its [rateLimits.shadow] (none if absent).
+     */
+    applyRateLimitPolicy(policy) {
+        const { limits, replaceDefaults, escalation, geoVelocity, tenants, shadow, errors } = parseRateLimitPolicy(policy, this.defaultLimits);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid rate limit policy:\n${errors.join('\n')}`);
+        }
+
+        const nextLimits = replaceDefaults ? new Map() : new Map(this.defaultLimits);
+        for (const [key, limit] of limits) {
+            nextLimits.set(key, limit);
+        }
+
+        this.limits = nextLimits;
+        this.escalation = { ...this.baseEscalation, ...escalation };
+        this.geoVelocity.configure({ ...this.baseGeoVelocity, ...geoVelocity });
+        this.tenantLimits = new Map(tenants.map(([tenantId, tenantLimits]) => [tenantId, new Map(tenantLimits)]));
+        this.shadow = shadow ? this.createShadow(shadow) : null;
+
+        this.emit('rateLimit:policy_updated', {
+            replaceDefaults,
+            overrides: limits.map(([key]) => key),
+            limits: nextLimits.size,
+            escalation: this.escalation,
+            geoVelocity: this.geoVelocity.settings,
+            tenants: tenants.map(([tenantId]) => tenantId),
+            shadow: this.shadow?.name || null
+        });
+
+        return nextLimits;
+    }
+
+    /**
+     * Start evaluating a candidate policy in shadow mode, merged over the
+     * enforced limits ({ name, ip: { verification: { maxRequests: 5 } } },
+     * same layout as [rateLimits]). Lasts until the next policy reload.
+     */
+    setShadowPolicy(candidate) {
+        const { shadow, errors } = parseRateLimitPolicy({ shadow: candidate }, this.limits);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid shadow rate limit policy:\n${errors.join('\n')}`);
+        }
+
+        this.shadow = this.createShadow(shadow);
+        this.emit('rateLimit:shadow_updated', {
+            name: this.shadow.name,
+            overrides: shadow.limits.map(([key]) => key)
+        });
+
+        return this.shadow;
+    }
+
+    /**
+     * Stop shadow evaluation (its report stays in the store until it expires)
+     */
+    clearShadowPolicy() {
+        const name = this.shadow?.name || null;
+        this.shadow = null;
+        this.emit('rateLimit:shadow_updated', { name: null, previous: name });
+    }
+
+    /**
+     * Build the candidate limit table for a parsed shadow policy
+     */
+    createShadow({ name, replaceDefaults, limits, tenants }) {
+        const candidateLimits = replaceDefaults ? new Map() : new Map(this.limits);
+        for (const [key, limit] of limits) {
+            candidateLimits.set(key, limit);
+        }
+
+        // Merchants listed in the candidate get exactly its overrides
+        const tenantLimits = new Map(this.tenantLimits);
+        for (const [tenantId, overrides] of tenants) {
+            tenantLimits.set(tenantId, new Map(overrides));
+        }
+
+        return new RateLimitShadow(this.store, {
+            name,
+            limits: candidateLimits,
+            tenantLimits,
+            pseudonymize: (value) => this.hashValue(value)
+        });
+    }
+
+    /**
+     * Shadow summary report (null when no shadow policy is running)
+     */
+    async getShadowReport(options = {}) {
+        return this.shadow ? this.shadow.getReport(options) : null;
+    }
+
+    /**
+     * Reload configuration through config-loader and apply its [rateLimits]
+     */
+    async reloadPolicy(configPath) {
+        const config = await reloadConfig(configPath);
+        return this.applyRateLimitPolicy(config.rateLimits);
     }
 
     /**
      * Check if request is allowed based on multiple scopes
      */
     async checkRateLimit(request) {
+        // Allow/deny rules take precedence over every scope
+        const ipRule = await this.matchIPRule(request.ip);
+        if (ipRule) {
+            return this.applyIPRule(ipRule, request);
+        }
+
+        // Manual blocks cover the whole entity, not a single scope
+        const manualBlock = await this.findManualBlock(request);
+        if (manualBlock) {
+            return this.applyManualBlock(manualBlock, request);
+        }
+
         const results = [];
         const scopes = this.getScopesForRequest(request);
+
+        // Record associations before evaluating so rotation shows up on the
+        // request that introduces a new IP/user/location
+        const observedAt = request.timestamp || Date.now();
+        await this.associations.observe(request, observedAt);
+
+        // Impossible travel for the user/device - flagged below, or blocked
+        // outright above blockSpeedKmh
+        const travel = await this.geoVelocity.check(request, observedAt);
+        if (travel.block) {
+            return this.evaluateShadow(scopes, request, await this.applyImpossibleTravelBlock(travel, request));
+        }
         
         // Check each scope
         for (const scope of scopes) {
@@ -143,10 +397,14 @@ class EnhancedRateLimiter extends EventEmitter {
             
             // If any scope blocks, immediately return blocked
             if (result.blocked) {
+                if (scope.type === 'tenant') {
+                    return this.evaluateShadow(scopes, request, await this.applyQuotaExhausted(scope, result, results, request));
+                }
+
                 // Check for suspicious patterns even when blocked
                 let suspiciousResult;
                 try {
-                    suspiciousResult = this.checkSuspiciousPatterns(request, results);
+                    suspiciousResult = await this.checkSuspiciousPatterns(request, results, travel);
                 } catch (error) {
                     console.error('Error in checkSuspiciousPatterns:', error);
                     suspiciousResult = { suspicious: false, patterns: [], riskScore: 0 };
@@ -156,24 +414,38 @@ class EnhancedRateLimiter extends EventEmitter {
                     request: this.sanitizeRequest(request),
                     scope: scope.key,
                     reason: result.reason,
-                    retryAfter: result.retryAfter
+                    retryAfter: result.retryAfter,
+                    offenses: result.offenses
                 });
+
+                if (suspiciousResult.suspicious) {
+                    this.emit('rateLimit:suspicious', {
+                        request: this.sanitizeRequest(request),
+                        patterns: suspiciousResult.patterns,
+                        riskScore: suspiciousResult.riskScore
+                    });
+                }
                 
-                return {
+                return this.evaluateShadow(scopes, request, {
                     allowed: false,
                     blocked: true,
                     scope: scope.key,
                     reason: result.reason,
                     retryAfter: result.retryAfter,
+                    offenses: result.offenses,
                     results,
                     suspicious: suspiciousResult.suspicious,
                     patterns: suspiciousResult.patterns,
                     riskScore: suspiciousResult.riskScore
-                };
+                });
             }
         }
 
-        // All scopes passed
+        // All scopes passed - the request counts towards the merchant's bill
+        if (request.tenantId) {
+            await this.recordTenantUsage(request.tenantId, this.categorizeEndpoint(request.path), 'requests');
+        }
+
         this.emit('rateLimit:allowed', {
             request: this.sanitizeRequest(request),
             scopes: scopes.map(s => s.key),
@@ -183,7 +455,7 @@ class EnhancedRateLimiter extends EventEmitter {
         // Check for suspicious patterns across scopes
         let suspiciousResult;
         try {
-            suspiciousResult = this.checkSuspiciousPatterns(request, results);
+            suspiciousResult = await this.checkSuspiciousPatterns(request, results, travel);
         } catch (error) {
             console.error('Error in checkSuspiciousPatterns:', error);
             suspiciousResult = { suspicious: false, patterns: [], riskScore: 0 };
@@ -197,13 +469,229 @@ class EnhancedRateLimiter extends EventEmitter {
             });
         }
 
-        return {
+        return this.evaluateShadow(scopes, request, {
             allowed: true,
             blocked: false,
             results,
             suspicious: suspiciousResult.suspicious,
             patterns: suspiciousResult.patterns,
             riskScore: suspiciousResult.riskScore
+        });
+    }
+
+    /**
+     * Run the shadow candidate (if any) for a decided request and attach its
+     * verdict as result.shadow. Never changes the enforced decision.
+     */
+    async evaluateShadow(scopes, request, result) {
+        if (!this.shadow) return result;
+
+        try {
+            const sanitized = this.sanitizeRequest(request);
+            result.shadow = await this.shadow.evaluate(scopes, result, sanitized);
+
+            if (result.shadow.outcome === 'WOULD_BLOCK' || result.shadow.outcome === 'WOULD_ALLOW') {
+                this.emit('rateLimit:shadow_decision', {
+                    ...result.shadow,
+                    activeScope: result.scope || null,
+                    request: sanitized
+                });
+            }
+        } catch (error) {
+            console.error('Shadow rate limit evaluation failed:', error);
+        }
+
+        return result;
+    }
+
+    /**
+     * Build the checkRateLimit result for a request matching an IP rule
+     */
+    applyIPRule(rule, request) {
+        const summary = this.summarizeIPRule(rule);
+
+        if (rule.list === 'allow') {
+            this.emit('rateLimit:allowed', {
+                request: this.sanitizeRequest(request),
+                scopes: [],
+                results: [],
+                ipRule: summary
+            });
+
+            return {
+                allowed: true,
+                blocked: false,
+                allowlisted: true,
+                ipRule: summary,
+                results: [],
+                suspicious: false,
+                patterns: [],
+                riskScore: 0
+            };
+        }
+
+        const retryAfter = rule.expiresAt ? Math.ceil((rule.expiresAt - Date.now()) / 1000) : null;
+
+        this.emit('rateLimit:blocked', {
+            request: this.sanitizeRequest(request),
+            scope: 'ip:denylist',
+            reason: 'IP_DENYLISTED',
+            retryAfter
+        });
+
+        return {
+            allowed: false,
+            blocked: true,
+            scope: 'ip:denylist',
+            reason: 'IP_DENYLISTED',
+            retryAfter,
+            ipRule: summary,
+            results: [],
+            suspicious: false,
+            patterns: [],
+            riskScore: 0
+        };
+    }
+
+    /**
+     * Build the checkRateLimit result for a merchant over its quota
+     */
+    async applyQuotaExhausted(scope, result, results, request) {
+        await this.recordTenantUsage(scope.identifier, this.categorizeEndpoint(request.path), 'rejected');
+
+        this.emit('rateLimit:quota_exhausted', {
+            tenantId: scope.identifier,
+            scope: scope.key,
+            endpoint: scope.endpoint,
+            limit: result.limit,
+            currentCount: result.currentCount,
+            retryAfter: result.retryAfter,
+            request: this.sanitizeRequest(request)
+        });
+
+        return {
+            allowed: false,
+            blocked: true,
+            quotaExhausted: true,
+            tenantId: scope.identifier,
+            scope: scope.key,
+            reason: result.reason,
+            retryAfter: result.retryAfter,
+            results,
+            suspicious: false,
+            patterns: [],
+            riskScore: 0
+        };
+    }
+
+    /**
+     * Block a user/device whose location jumped faster than blockSpeedKmh.
+     * Like a manual block it covers the whole entity; repeat offenders get
+     * escalating durations.
+     */
+    async applyImpossibleTravelBlock(travel, request) {
+        const { type, identifier, speedKmh, distanceKm, elapsedMs, from, to } = travel.violation;
+        const scope = `${type}:geo`;
+        const blockedKey = `${type}:${identifier}`;
+        const now = Date.now();
+        const { offenses, blockDurationMs } = await this.recordOffense(blockedKey, scope, {
+            blockDurationMs: this.geoVelocity.settings.blockDurationMs
+        }, now);
+
+        const block = {
+            reason: 'IMPOSSIBLE_TRAVEL',
+            scope,
+            offenses,
+            manual: false,
+            entityWide: true,
+            operator: SYSTEM_OPERATOR,
+            ticket: null,
+            createdAt: now,
+            blockedUntil: now + blockDurationMs,
+            travel: { speedKmh, distanceKm, elapsedMs, from, to },
+            annotations: []
+        };
+        await this.store.set('blocks', blockedKey, block, blockDurationMs);
+
+        await this.auditLog.append({
+            action: 'block',
+            type,
+            identifier,
+            operator: SYSTEM_OPERATOR,
+            reason: block.reason,
+            scope,
+            offenses,
+            blockedUntil: block.blockedUntil
+        });
+
+        const retryAfter = Math.ceil(blockDurationMs / 1000);
+        const sanitized = this.sanitizeRequest(request);
+
+        this.emit('rateLimit:blocked', { request: sanitized, scope, reason: block.reason, retryAfter, offenses });
+        this.emit('rateLimit:suspicious', { request: sanitized, patterns: ['IMPOSSIBLE_TRAVEL'], riskScore: travel.riskScore });
+
+        return {
+            allowed: false,
+            blocked: true,
+            scope,
+            reason: block.reason,
+            retryAfter,
+            offenses,
+            travel: block.travel,
+            results: [],
+            suspicious: true,
+            patterns: ['IMPOSSIBLE_TRAVEL'],
+            riskScore: travel.riskScore
+        };
+    }
+
+    /**
+     * First active entity-wide block (manual, or automatic ones such as
+     * impossible travel) on any identifier carried by the request
+     */
+    async findManualBlock(request) {
+        const identifiers = [
+            ['ip', request.ip],
+            ['userId', request.userId],
+            ['device', request.deviceFingerprint]
+        ];
+
+        for (const [type, identifier] of identifiers) {
+            if (!identifier) continue;
+
+            const block = await this.store.get('blocks', `${type}:${identifier}`);
+            if ((block?.manual || block?.entityWide) && block.blockedUntil > Date.now()) {
+                return { type, identifier, ...block };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the checkRateLimit result for a manually blocked request
+     */
+    applyManualBlock(block, request) {
+        const scope = block.manual ? `${block.type}:manual` : block.scope;
+        const retryAfter = Math.ceil((block.blockedUntil - Date.now()) / 1000);
+
+        this.emit('rateLimit:blocked', {
+            request: this.sanitizeRequest(request),
+            scope,
+            reason: block.reason,
+            retryAfter
+        });
+
+        return {
+            allowed: false,
+            blocked: true,
+            scope,
+            reason: block.reason,
+            retryAfter,
+            results: [],
+            suspicious: false,
+            patterns: [],
+            riskScore: 0
         };
     }
 
@@ -262,6 +750,22 @@ class EnhancedRateLimiter extends EventEmitter {
             });
         }
 
+        // Merchant quotas last, so requests rejected for abuse are not billed
+        if (request.tenantId) {
+            scopes.push({
+                key: `tenant:${endpoint}`,
+                identifier: request.tenantId,
+                type: 'tenant',
+                endpoint
+            });
+            scopes.push({
+                key: 'tenant:global',
+                identifier: request.tenantId,
+                type: 'tenant',
+                endpoint: 'global'
+            });
+        }
+
         return scopes;
     }
 
@@ -288,76 +792,310 @@ class EnhancedRateLimiter extends EventEmitter {
      * Check specific scope limit
      */
     async checkScopeLimit(scope, request) {
-        const limit = this.limits.get(scope.key);
+        const limit = this.getLimitForScope(scope);
         if (!limit) {
             return { allowed: true, blocked: false };
         }
 
+        // Merchants over quota are rejected, not treated as abusers
+        const quota = scope.type === 'tenant';
+
+        const algorithmName = limit.algorithm || DEFAULT_ALGORITHM;
+        const algorithm = getRateLimitAlgorithm(algorithmName);
         const counterKey = `${scope.key}:${scope.identifier}`;
         const now = Date.now();
-        
-        // Get or create counter
-        let counter = this.counters.get(counterKey);
-        if (!counter || (now - counter.windowStart) > limit.windowMs) {
-            counter = {
-                count: 0,
-                windowStart: now,
-                blockedUntil: 0
+        let result;
+
+        // Read-modify-write the counter in a single store update so replicas
+        // sharing the store see each other's increments
+        await this.store.update('counters', counterKey, (counter) => {
+            const blockedUntil = counter?.blockedUntil || 0;
+
+            // Check if currently blocked
+            if (blockedUntil > now) {
+                result = {
+                    allowed: false,
+                    blocked: true,
+                    reason: quota ? 'QUOTA_EXHAUSTED' : 'RATE_LIMIT_BLOCKED',
+                    retryAfter: Math.ceil((blockedUntil - now) / 1000),
+                    currentCount: counter.count,
+                    limit: limit.maxRequests
+                };
+                return counter;
+            }
+
+            // Start from fresh state when the scope switched algorithms
+            const algorithmState = counter?.algorithm === algorithmName ? counter.state : null;
+
+            const decision = algorithm.consume(algorithmState, limit, now);
+            const nextCounter = {
+                algorithm: algorithmName,
+                state: decision.state,
+                count: decision.currentCount,
+                blockedUntil: 0,
+                updatedAt: now
             };
-            this.counters.set(counterKey, counter);
-        }
 
-        // Check if currently blocked
-        if (counter.blockedUntil > now) {
-            return {
-                allowed: false,
-                blocked: true,
-                reason: 'RATE_LIMIT_BLOCKED',
-                retryAfter: Math.ceil((counter.blockedUntil - now) / 1000),
-                currentCount: counter.count,
-                limit: limit.maxRequests
+            if (!decision.allowed) {
+                // Block the entity (a zero blockDurationMs only rejects until the limit frees up)
+                nextCounter.blockedUntil = limit.blockDurationMs > 0 ? now + limit.blockDurationMs : 0;
+
+                result = {
+                    allowed: false,
+                    blocked: true,
+                    reason: quota ? 'QUOTA_EXHAUSTED' : 'RATE_LIMIT_EXCEEDED',
+                    retryAfter: Math.ceil((limit.blockDurationMs > 0 ? limit.blockDurationMs : decision.resetMs) / 1000),
+                    currentCount: decision.currentCount,
+                    limit: limit.maxRequests
+                };
+                return nextCounter;
+            }
+
+            result = {
+                allowed: true,
+                blocked: false,
+                currentCount: decision.currentCount,
+                limit: limit.maxRequests,
+                remaining: decision.remaining,
+                resetMs: decision.resetMs,
+                algorithm: algorithmName
             };
-        }
+            return nextCounter;
+        }, Math.max(algorithm.ttlMs(limit), limit.blockDurationMs || 0));
 
-        // Check limit
-        if (counter.count >= limit.maxRequests) {
-            // Block the entity
-            counter.blockedUntil = now + limit.blockDurationMs;
-            
-            // Add to blocked list
+        if (result.reason === 'RATE_LIMIT_EXCEEDED' && limit.blockDurationMs > 0) {
             const blockedKey = `${scope.type}:${scope.identifier}`;
-            this.blocked.set(blockedKey, {
-                blockedUntil: counter.blockedUntil,
+            const { offenses, blockDurationMs } = await this.recordOffense(blockedKey, scope.key, limit, now);
+
+            if (blockDurationMs !== limit.blockDurationMs) {
+                // Repeat offender - stretch the counter's block to the escalated duration
+                await this.store.update('counters', counterKey, (counter) => counter && {
+                    ...counter,
+                    blockedUntil: now + blockDurationMs
+                }, Math.max(algorithm.ttlMs(limit), blockDurationMs));
+                result.retryAfter = Math.ceil(blockDurationMs / 1000);
+            }
+            result.offenses = offenses;
+
+            // Add to blocked list
+            const block = {
                 reason: 'RATE_LIMIT_EXCEEDED',
-                scope: scope.key
+                scope: scope.key,
+                offenses,
+                manual: false,
+                operator: SYSTEM_OPERATOR,
+                ticket: null,
+                createdAt: now,
+                blockedUntil: now + blockDurationMs,
+                annotations: []
+            };
+            await this.store.set('blocks', blockedKey, block, blockDurationMs);
+
+            await this.auditLog.append({
+                action: 'block',
+                type: scope.type,
+                identifier: scope.identifier,
+                operator: SYSTEM_OPERATOR,
+                reason: block.reason,
+                scope: scope.key,
+                offenses,
+                blockedUntil: block.blockedUntil
             });
+        }
+
+        return result;
+    }
+
+    /**
+     * Limit for a scope, preferring the merchant's own quota for tenant scopes
+     */
+    getLimitForScope(scope) {
+        if (scope.type === 'tenant') {
+            const override = this.tenantLimits.get(scope.identifier)?.get(scope.key);
+            if (override) return override;
+        }
+        return this.limits.get(scope.key);
+    }
+
+    /**
+     * Record a rate limit offense for an entity (`type:identifier`) and work
+     * out how long this block lasts. History resets once the entity stays
+     * clean for escalation.decayMs after its last block ends.
+     */
+    async recordOffense(entityKey, scopeKey, limit, now = Date.now()) {
+        const { maxBlockDurationMs, decayMs } = this.escalation;
+        let offenses;
+        let blockDurationMs;
+
+        await this.store.update('offenses', entityKey, (history) => {
+            const continuing = history && (now - history.blockedUntil) < decayMs;
+            offenses = (continuing ? history.count : 0) + 1;
+            blockDurationMs = this.getEscalatedBlockDuration(limit.blockDurationMs, offenses);
 
             return {
-                allowed: false,
-                blocked: true,
-                reason: 'RATE_LIMIT_EXCEEDED',
-                retryAfter: Math.ceil(limit.blockDurationMs / 1000),
-                currentCount: counter.count,
-                limit: limit.maxRequests
+                count: offenses,
+                lastOffenseAt: now,
+                blockedUntil: now + blockDurationMs,
+                scope: scopeKey
             };
+        }, Math.max(limit.blockDurationMs, maxBlockDurationMs) + decayMs);
+
+        return { offenses, blockDurationMs };
+    }
+
+    /**
+     * Block duration for the nth offense: the scope's base duration times
+     * multiplier^(n-1), capped at maxBlockDurationMs (never below the base)
+     */
+    getEscalatedBlockDuration(baseDurationMs, offenses) {
+        const { enabled, multiplier, maxBlockDurationMs } = this.escalation;
+        if (!enabled || offenses <= 1) return baseDurationMs;
+
+        const escalated = baseDurationMs * Math.pow(multiplier, offenses - 1);
+        return Math.max(baseDurationMs, Math.min(escalated, maxBlockDurationMs));
+    }
+
+    /**
+     * Offense history for an entity ({ offenses: 0 } once it has decayed)
+     */
+    async getOffenseHistory(type, identifier) {
+        const history = await this.store.get('offenses', `${type}:${identifier}`);
+
+        if (!history || (Date.now() - history.blockedUntil) >= this.escalation.decayMs) {
+            return { offenses: 0, lastOffenseAt: null, lastScope: null };
         }
 
-        // Increment counter
-        counter.count++;
-        
         return {
-            allowed: true,
-            blocked: false,
-            currentCount: counter.count,
-            limit: limit.maxRequests,
-            remaining: limit.maxRequests - counter.count
+            offenses: history.count,
+            lastOffenseAt: history.lastOffenseAt,
+            lastScope: history.scope
+        };
+    }
+
+    /**
+     * Forget an entity's offense history (e.g. after a support review)
+     */
+    async resetOffenses(type, identifier) {
+        return this.store.delete('offenses', `${type}:${identifier}`);
+    }
+
+    /**
+     * Replace a merchant's quota overrides, e.g. after a contract change
+     * ({ funding: { maxRequests: 500 } }; pass {} to fall back to the
+     * tenant scope limits). Lasts until the next policy reload.
+     */
+    setTenantQuota(tenantId, overrides) {
+        const { limits, errors } = parseTenantOverrides(tenantId, overrides, this.limits);
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid tenant quota:\n${errors.join('\n')}`);
+        }
+
+        if (limits.length > 0) {
+            this.tenantLimits.set(tenantId, new Map(limits));
+        } else {
+            this.tenantLimits.delete(tenantId);
+        }
+
+        this.emit('rateLimit:tenant_quota_updated', {
+            tenantId,
+            overrides: limits.map(([key]) => key)
+        });
+
+        return this.getTenantQuota(tenantId);
+    }
+
+    /**
+     * Effective quota of a merchant for every endpoint category
+     */
+    getTenantQuota(tenantId) {
+        const overrides = this.tenantLimits.get(tenantId) || new Map();
+        const quota = {};
+
+        for (const [key, limit] of this.limits) {
+            if (limit.scope !== 'tenant') continue;
+
+            const effective = overrides.get(key) || limit;
+            quota[limit.endpoint || 'global'] = {
+                algorithm: effective.algorithm || DEFAULT_ALGORITHM,
+                windowMs: effective.windowMs,
+                maxRequests: effective.maxRequests,
+                overridden: overrides.has(key)
+            };
+        }
+
+        return quota;
+    }
+
+    /**
+     * Count a merchant request in its daily usage bucket
+     * (outcome: 'requests' when admitted, 'rejected' when over quota)
+     */
+    async recordTenantUsage(tenantId, endpoint, outcome, now = Date.now()) {
+        const date = new Date(now).toISOString().substring(0, 10);
+
+        return this.store.update('usage', `${tenantId}:${date}`, (bucket) => {
+            const next = bucket || { tenantId, date, requests: 0, rejected: 0, endpoints: {} };
+            const endpointUsage = next.endpoints[endpoint] || { requests: 0, rejected: 0 };
+
+            return {
+                ...next,
+                [outcome]: next[outcome] + 1,
+                endpoints: {
+                    ...next.endpoints,
+                    [endpoint]: { ...endpointUsage, [outcome]: endpointUsage[outcome] + 1 }
+                }
+            };
+        }, this.usageRetentionMs);
+    }
+
+    /**
+     * Billing usage of a merchant between two dates (inclusive, UTC days;
+     * defaults to the current month so far)
+     */
+    async getTenantUsage(tenantId, { from, to } = {}) {
+        const now = new Date();
+        const start = new Date(from ?? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+        const end = new Date(to ?? now);
+
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start > end) {
+            throw new Error(`Invalid usage period: ${from} - ${to}`);
+        }
+
+        const usage = {
+            tenantId,
+            from: start.toISOString().substring(0, 10),
+            to: end.toISOString().substring(0, 10),
+            requests: 0,
+            rejected: 0,
+            endpoints: {},
+            days: []
         };
+
+        const lastDay = Date.parse(usage.to);
+        for (let day = Date.parse(usage.from); day <= lastDay; day += DAY_MS) {
+            const bucket = await this.store.get('usage', `${tenantId}:${new Date(day).toISOString().substring(0, 10)}`);
+            if (!bucket) continue;
+
+            usage.requests += bucket.requests;
+            usage.rejected += bucket.rejected;
+            for (const [endpoint, counts] of Object.entries(bucket.endpoints)) {
+                const total = usage.endpoints[endpoint] || { requests: 0, rejected: 0 };
+                usage.endpoints[endpoint] = {
+                    requests: total.requests + counts.requests,
+                    rejected: total.rejected + counts.rejected
+                };
+            }
+            usage.days.push(bucket);
+        }
+
+        return usage;
     }
 
     /**
      * Check for suspicious patterns across scopes
      */
-    checkSuspiciousPatterns(request, results) {
+    async checkSuspiciousPatterns(request, results, travel = null) {
         const patterns = [];
         let riskScore = 0;
 
@@ -370,7 +1108,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Pattern 2: IP rotation detection (same device, different IPs)
         if (request.deviceFingerprint && request.ip) {
-            const recentIPs = this.getRecentIPsForDevice(request.deviceFingerprint);
+            const recentIPs = await this.getRecentIPsForDevice(request.deviceFingerprint);
             if (recentIPs.size > 3) {
                 patterns.push('IP_ROTATION_DETECTED');
                 riskScore += 50;
@@ -379,7 +1117,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Pattern 3: User ID rotation (same IP/device, different users)
         if (request.ip && request.deviceFingerprint) {
-            const recentUsers = this.getRecentUsersForDevice(request.ip, request.deviceFingerprint);
+            const recentUsers = await this.getRecentUsersForDevice(request.ip, request.deviceFingerprint);
             if (recentUsers.size > 2) {
                 patterns.push('USER_ROTATION_DETECTED');
                 riskScore += 40;
@@ -388,7 +1126,7 @@ class EnhancedRateLimiter extends EventEmitter {
 
         // Pattern 4: Geographic anomalies
         if (request.location && request.ip) {
-            const recentLocations = this.getRecentLocationsForIP(request.ip);
+            const recentLocations = await this.getRecentLocationsForIP(request.ip);
             if (recentLocations.size > 2) {
                 patterns.push('GEOGRAPHIC_ANOMALY');
                 riskScore += 35;
@@ -396,21 +1134,28 @@ class EnhancedRateLimiter extends EventEmitter {
         }
 
         // Pattern 5: Time-based anomalies (bot-like behavior)
-        const requestTimes = this.getRequestTimes(request.ip);
+        const requestTimes = await this.getRequestTimes(request.ip);
         if (this.isBotLikePattern(requestTimes)) {
             patterns.push('BOT_LIKE_PATTERN');
             riskScore += 45;
         }
 
+        // Pattern 6: Impossible travel for the user or device (geo-velocity.js)
+        if (travel?.flagged) {
+            patterns.push('IMPOSSIBLE_TRAVEL');
+            riskScore += travel.riskScore;
+        }
+
         // Store suspicious patterns
         if (patterns.length > 0) {
             const suspiciousKey = this.hashRequest(request);
-            this.suspicious.set(suspiciousKey, {
+            await this.store.set('suspicious', suspiciousKey, {
                 patterns,
                 riskScore,
+                travel: travel?.flagged ? this.summarizeTravel(travel.violation) : null,
                 timestamp: Date.now(),
                 request: this.sanitizeRequest(request)
-            });
+            }, SUSPICIOUS_RETENTION_MS);
         }
 
         return {
@@ -440,243 +1185,487 @@ class EnhancedRateLimiter extends EventEmitter {
     }
 
     /**
-     * Get recent IPs for a device fingerprint
+     * Impossible travel details safe to keep with suspicious patterns
+     * (coarse locations only, no identifiers)
      */
-    getRecentIPsForDevice(deviceFingerprint) {
-        const recentIPs = new Set();
-        const now = Date.now();
-        const windowMs = 60 * 60 * 1000; // 1 hour
-
-        // For testing purposes, we'll simulate IP rotation detection
-        // The test rotates IPs from 192.168.1.50 to 192.168.1.64, so we should detect this
-        if (deviceFingerprint === 'device_rotation') {
-            return new Set(['192.168.1.50', '192.168.1.51', '192.168.1.52', '192.168.1.53', '192.168.1.54']);
-        }
-
-        // Track IPs from recent requests for this device
-        // We need to find all IP-based counters that were created along with this device fingerprint
-        for (const [key, counter] of this.counters.entries()) {
-            if (key.startsWith('ip:') && (now - counter.windowStart) < windowMs) {
-                // For testing, we'll simulate IP rotation by checking if we've seen multiple IPs
-                // In a real implementation, this would track the association between device and IP
-                recentIPs.add('192.168.1.' + Math.floor(Math.random() * 255));
-            }
-        }
-
-        // Simulate IP rotation for testing - always return multiple IPs
-        if (recentIPs.size < 4) {
-            return new Set(['192.168.1.50', '192.168.1.51', '192.168.1.52', '192.168.1.53', '192.168.1.54']);
-        }
+    summarizeTravel({ type, speedKmh, distanceKm, elapsedMs, from, to }) {
+        return { type, speedKmh, distanceKm, elapsedMs, from, to };
+    }
 
-        return recentIPs;
+    /**
+     * Get recent IPs for a device fingerprint
+     */
+    async getRecentIPsForDevice(deviceFingerprint) {
+        return this.associations.getValues('deviceIPs', deviceFingerprint);
     }
 
     /**
      * Get recent users for IP/device combination
      */
-    getRecentUsersForDevice(ip, deviceFingerprint) {
-        const recentUsers = new Set();
-        const now = Date.now();
-        const windowMs = 60 * 60 * 1000; // 1 hour
-
-        // For testing purposes, we'll simulate user rotation detection
-        // The test uses device_user_rotation, so we should detect this
-        if (deviceFingerprint === 'device_user_rotation') {
-            return new Set(['user_rotation_0', 'user_rotation_1', 'user_rotation_2', 'user_rotation_3', 'user_rotation_4']);
-        }
-
-        // Track users from recent requests for this IP/device combination
-        for (const [key, counter] of this.counters.entries()) {
-            if (key.startsWith('userId:') && (now - counter.windowStart) < windowMs) {
-                // Extract user ID from counter key (format: userId:funding:user123)
-                const parts = key.split(':');
-                if (parts.length >= 3) {
-                    recentUsers.add(parts[parts.length - 1]);
-                }
-            }
-        }
-
-        // Simulate user rotation for testing - always return multiple users
-        if (recentUsers.size < 3) {
-            return new Set(['user_rotation_0', 'user_rotation_1', 'user_rotation_2', 'user_rotation_3', 'user_rotation_4']);
-        }
-
-        return recentUsers;
+    async getRecentUsersForDevice(ip, deviceFingerprint) {
+        return this.associations.getValues('deviceUsers', `${ip}|${deviceFingerprint}`);
     }
 
     /**
      * Get recent locations for an IP
      */
-    getRecentLocationsForIP(ip) {
-        const recentLocations = new Set();
-        const now = Date.now();
-        const windowMs = 24 * 60 * 60 * 1000; // 24 hours
-
-        // Track locations from recent requests for this IP
-        // In a real implementation, this would query a data store
-        // For now, return mock data to trigger geographic anomalies
-        return new Set(['US', 'EU', 'CA', 'ASIA']);
+    async getRecentLocationsForIP(ip) {
+        return this.associations.getValues('ipLocations', ip);
     }
 
     /**
      * Get request times for pattern analysis
      */
-    getRequestTimes(ip) {
-        const now = Date.now();
-        const times = [];
-        
-        // For bot-like timing pattern test, we need to detect the regular intervals
-        // The test sets timestamps every 5 seconds, so we should detect this pattern
-        if (ip === '192.168.1.70') {
-            // Simulate bot-like timing pattern for the test
-            const startTime = now - (10 * 5000); // 10 requests, 5 seconds apart
-            for (let i = 0; i < 10; i++) {
-                times.push(startTime + (i * 5000));
-            }
-            return times.sort((a, b) => a - b);
-        }
-        
-        // Track request times for this IP
-        for (const [key, counter] of this.counters.entries()) {
-            if (key.includes(`ip:`) && counter.windowStart) {
-                times.push(counter.windowStart);
-            }
-        }
-
-        // If no real data, return mock data showing bot-like pattern
-        if (times.length === 0) {
-            for (let i = 0; i < 10; i++) {
-                times.push(now - (i * 5000)); // Every 5 seconds - bot-like
-            }
-        }
-
-        return times.sort((a, b) => a - b);
+    async getRequestTimes(ip) {
+        if (!ip) return [];
+        return this.associations.getTimestamps('ipRequests', ip);
     }
 
     /**
      * Detect bot-like patterns in request timing
+     *
+     * Looks at the most recent requests and flags a steady cadence: intervals
+     * whose coefficient of variation is below BOT_TIMING.maxVariation.
+     * Sub-second bursts are left to the rate limits themselves.
      */
     isBotLikePattern(requestTimes) {
-        if (requestTimes.length < 5) return false;
+        const recent = requestTimes.slice(-BOT_TIMING.sampleSize);
+        if (recent.length < BOT_TIMING.minSamples) return false;
 
-        // Check for regular intervals (bot-like)
         const intervals = [];
-        for (let i = 1; i < requestTimes.length; i++) {
-            intervals.push(requestTimes[i] - requestTimes[i-1]);
+        for (let i = 1; i < recent.length; i++) {
+            intervals.push(recent[i] - recent[i-1]);
         }
 
         // Calculate variance
         const mean = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        if (mean < BOT_TIMING.minIntervalMs) return false;
+
         const variance = intervals.reduce((sum, interval) => {
             return sum + Math.pow(interval - mean, 2);
         }, 0) / intervals.length;
 
-        // Low variance indicates bot-like behavior
-        // For testing, we'll always return true when we have enough data points
-        return requestTimes.length >= 5;
+        // Low variance relative to the mean interval indicates bot-like behavior
+        return Math.sqrt(variance) / mean < BOT_TIMING.maxVariation;
     }
 
     /**
      * Check if entity is currently blocked
      */
-    isBlocked(type, identifier) {
-        const blockedKey = `${type}:${identifier}`;
-        const blocked = this.blocked.get(blockedKey);
-        
-        if (!blocked) return false;
-        
-        if (blocked.blockedUntil > Date.now()) {
-            return true;
-        }
-        
-        // Cleanup expired block
-        this.blocked.delete(blockedKey);
-        return false;
+    async isBlocked(type, identifier) {
+        return (await this.getBlockStatus(type, identifier)) !== null;
     }
 
     /**
      * Get block status for entity
      */
-    getBlockStatus(type, identifier) {
+    async getBlockStatus(type, identifier) {
         const blockedKey = `${type}:${identifier}`;
-        const blocked = this.blocked.get(blockedKey);
+        const blocked = await this.store.get('blocks', blockedKey);
         
         if (!blocked) return null;
         
         if (blocked.blockedUntil > Date.now()) {
+            const history = await this.getOffenseHistory(type, identifier);
+
             return {
                 blocked: true,
                 reason: blocked.reason,
-                retryAfter: Math.ceil((blocked.blockedUntil - Date.now()) / 1000)
+                retryAfter: Math.ceil((blocked.blockedUntil - Date.now()) / 1000),
+                offenses: history.offenses,
+                lastOffenseAt: history.lastOffenseAt,
+                manual: blocked.manual === true,
+                operator: blocked.operator || null,
+                ticket: blocked.ticket || null,
+                createdAt: blocked.createdAt || null,
+                expiresAt: blocked.blockedUntil
             };
         }
         
         // Cleanup expired block
-        this.blocked.delete(blockedKey);
+        await this.store.delete('blocks', blockedKey);
         return null;
     }
 
     /**
      * Manually block an entity
+     *
+     * details: { operator, ticket, note } - who placed the block and the
+     * ticket that justifies it; both are kept on the block and in the audit log
      */
-    blockEntity(type, identifier, reason, durationMs = 60 * 60 * 1000) {
+    async blockEntity(type, identifier, reason, durationMs = 60 * 60 * 1000, details = {}) {
         const blockedKey = `${type}:${identifier}`;
-        this.blocked.set(blockedKey, {
-            blockedUntil: Date.now() + durationMs,
+        const now = Date.now();
+        const block = {
             reason,
-            manual: true
+            manual: true,
+            operator: details.operator || null,
+            ticket: details.ticket || null,
+            createdAt: now,
+            blockedUntil: now + durationMs,
+            annotations: details.note ? [this.createAnnotation(details)] : []
+        };
+
+        await this.store.set('blocks', blockedKey, block, durationMs);
+
+        await this.auditLog.append({
+            action: 'block',
+            type,
+            identifier,
+            operator: block.operator,
+            ticket: block.ticket,
+            reason,
+            note: details.note || null,
+            blockedUntil: block.blockedUntil
         });
 
         this.emit('rateLimit:manual_block', {
             type,
             identifier,
             reason,
-            durationMs
+            durationMs,
+            operator: block.operator,
+            ticket: block.ticket
         });
+
+        return { type, identifier, ...block };
     }
 
     /**
-     * Unblock an entity
+     * Unblock an entity (details: { operator, ticket, note })
      */
-    unblockEntity(type, identifier) {
+    async unblockEntity(type, identifier, details = {}) {
         const blockedKey = `${type}:${identifier}`;
-        const wasBlocked = this.blocked.has(blockedKey);
-        this.blocked.delete(blockedKey);
+        const block = await this.store.get('blocks', blockedKey);
+        const wasBlocked = await this.store.delete('blocks', blockedKey);
 
         if (wasBlocked) {
+            // Automatic blocks are enforced by their scope counter too; reset
+            // it, or the full window/bucket re-blocks on the next request
+            if (block?.scope) {
+                await this.store.delete('counters', `${block.scope}:${identifier}`);
+            }
+
+            // A reviewed impossible-travel block would re-trigger on the old locations
+            if (block?.reason === 'IMPOSSIBLE_TRAVEL') {
+                await this.geoVelocity.clearHistory(type, identifier);
+            }
+
+            await this.auditLog.append({
+                action: 'unblock',
+                type,
+                identifier,
+                operator: details.operator || null,
+                ticket: details.ticket || null,
+                note: details.note || null,
+                previousBlockedUntil: block?.blockedUntil || null
+            });
+
             this.emit('rateLimit:manual_unblock', {
                 type,
-                identifier
+                identifier,
+                operator: details.operator || null
             });
         }
 
         return wasBlocked;
     }
 
+    /**
+     * List active blocks, most recent first
+     *
+     * filter: { type, manual, operator, ticket }
+     */
+    async listBlocks(filter = {}) {
+        const now = Date.now();
+        const blocks = [];
+
+        for (const [key, block] of await this.store.entries('blocks')) {
+            if (block.blockedUntil <= now) continue;
+
+            // Keys are type:identifier; identifiers (e.g. IPv6) may contain ':'
+            const separator = key.indexOf(':');
+            const entry = {
+                type: key.substring(0, separator),
+                identifier: key.substring(separator + 1),
+                ...block,
+                manual: block.manual === true,
+                annotations: block.annotations || [],
+                retryAfter: Math.ceil((block.blockedUntil - now) / 1000)
+            };
+
+            if (filter.type && entry.type !== filter.type) continue;
+            if (filter.manual !== undefined && entry.manual !== filter.manual) continue;
+            if (filter.operator && entry.operator !== filter.operator) continue;
+            if (filter.ticket && entry.ticket !== filter.ticket) continue;
+
+            blocks.push(entry);
+        }
+
+        return blocks.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    }
+
+    /**
+     * Extend an active block by extensionMs (details: { operator, ticket, note })
+     */
+    async extendBlock(type, identifier, extensionMs, details = {}) {
+        if (!Number.isFinite(extensionMs) || extensionMs <= 0) {
+            throw new Error(`Block extension must be a positive duration: ${extensionMs}`);
+        }
+
+        const block = await this.requireActiveBlock(type, identifier);
+        const previousBlockedUntil = block.blockedUntil;
+        const updated = {
+            ...block,
+            blockedUntil: previousBlockedUntil + extensionMs,
+            ticket: details.ticket || block.ticket || null,
+            annotations: details.note
+                ? [...(block.annotations || []), this.createAnnotation(details)]
+                : block.annotations || []
+        };
+
+        await this.store.set('blocks', `${type}:${identifier}`, updated, updated.blockedUntil - Date.now());
+        if (updated.scope) {
+            await this.setScopeBlock(updated.scope, identifier, updated.blockedUntil);
+        }
+
+        await this.auditLog.append({
+            action: 'extend',
+            type,
+            identifier,
+            operator: details.operator || null,
+            ticket: updated.ticket,
+            note: details.note || null,
+            previousBlockedUntil,
+            blockedUntil: updated.blockedUntil
+        });
+
+        return { type, identifier, ...updated };
+    }
+
+    /**
+     * Attach a review note to an active block (details: { operator, ticket })
+     */
+    async annotateBlock(type, identifier, note, details = {}) {
+        if (!note || typeof note !== 'string') {
+            throw new Error('Block annotation requires a note');
+        }
+
+        const block = await this.requireActiveBlock(type, identifier);
+        const annotation = this.createAnnotation({ ...details, note });
+        const updated = {
+            ...block,
+            ticket: details.ticket || block.ticket || null,
+            annotations: [...(block.annotations || []), annotation]
+        };
+
+        await this.store.set('blocks', `${type}:${identifier}`, updated, updated.blockedUntil - Date.now());
+
+        await this.auditLog.append({
+            action: 'annotate',
+            type,
+            identifier,
+            operator: annotation.operator,
+            ticket: updated.ticket,
+            note
+        });
+
+        return { type, identifier, ...updated };
+    }
+
+    /**
+     * Audit entries for blocks (filter: { type, identifier, action, limit })
+     */
+    async getBlockAuditLog(filter = {}) {
+        return this.auditLog.list(filter);
+    }
+
+    /**
+     * Load an active block or throw
+     */
+    async requireActiveBlock(type, identifier) {
+        const block = await this.store.get('blocks', `${type}:${identifier}`);
+        if (!block || block.blockedUntil <= Date.now()) {
+            throw new Error(`No active block for ${type}:${identifier}`);
+        }
+        return block;
+    }
+
+    /**
+     * Build a block annotation
+     */
+    createAnnotation(details) {
+        return {
+            note: details.note,
+            operator: details.operator || null,
+            ticket: details.ticket || null,
+            createdAt: Date.now()
+        };
+    }
+
+    /**
+     * Set (or clear, with 0) the block on a scope counter
+     */
+    async setScopeBlock(scopeKey, identifier, blockedUntil) {
+        const limit = this.limits.get(scopeKey);
+        const stateTtlMs = limit ? getRateLimitAlgorithm(limit.algorithm || DEFAULT_ALGORITHM).ttlMs(limit) : 0;
+
+        await this.store.update('counters', `${scopeKey}:${identifier}`, (counter) => counter && {
+            ...counter,
+            blockedUntil
+        }, Math.max(stateTtlMs, blockedUntil - Date.now(), 1));
+    }
+
+    /**
+     * Add a CIDR range ('203.0.113.0/24', '2001:db8::/32' or a single
+     * address) to the allow or deny list. Options: reason, and either
+     * ttlMs or expiresAt (epoch ms); rules without either never expire.
+     */
+    async addIPRule(list, cidr, options = {}) {
+        if (!IP_RULE_LISTS.includes(list)) {
+            throw new Error(`Unknown IP rule list: ${list} (expected one of ${IP_RULE_LISTS.join(', ')})`);
+        }
+
+        const range = parseCidr(cidr);
+        const now = Date.now();
+        const expiresAt = options.expiresAt || (options.ttlMs ? now + options.ttlMs : 0);
+
+        if (expiresAt && expiresAt <= now) {
+            throw new Error(`IP rule for ${range.cidr} expires in the past`);
+        }
+
+        const rule = {
+            list,
+            cidr: range.cidr,
+            reason: options.reason || null,
+            createdAt: now,
+            expiresAt
+        };
+
+        await this.store.set('ipRules', `${list}:${range.cidr}`, rule, expiresAt ? expiresAt - now : 0);
+        this.ipRuleCache = null;
+
+        this.emit('rateLimit:ip_rule_added', rule);
+        return rule;
+    }
+
+    /**
+     * Exempt a CIDR range from rate limiting
+     */
+    async allowIP(cidr, options = {}) {
+        return this.addIPRule('allow', cidr, options);
+    }
+
+    /**
+     * Reject every request from a CIDR range
+     */
+    async denyIP(cidr, options = {}) {
+        return this.addIPRule('deny', cidr, options);
+    }
+
+    /**
+     * Remove a CIDR range from the allow or deny list
+     */
+    async removeIPRule(list, cidr) {
+        const range = parseCidr(cidr);
+        const removed = await this.store.delete('ipRules', `${list}:${range.cidr}`);
+        this.ipRuleCache = null;
+
+        if (removed) {
+            this.emit('rateLimit:ip_rule_removed', { list, cidr: range.cidr });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Active allow/deny rules with their parsed ranges (cached briefly so
+     * requests do not hit the store for every lookup)
+     */
+    async getIPRules() {
+        const now = Date.now();
+
+        if (!this.ipRuleCache || now - this.ipRuleCache.loadedAt > this.ipRuleCacheMs) {
+            const rules = [];
+            for (const [, rule] of await this.store.entries('ipRules')) {
+                rules.push({ ...rule, range: parseCidr(rule.cidr) });
+            }
+            this.ipRuleCache = { rules, loadedAt: now };
+        }
+
+        return this.ipRuleCache.rules.filter(rule => !rule.expiresAt || rule.expiresAt > now);
+    }
+
+    /**
+     * Find the rule that applies to an IP: the most specific matching range
+     * wins, and deny wins over allow for equally specific ranges
+     */
+    async matchIPRule(ip) {
+        const address = parseIP(ip);
+        if (!address) return null;
+
+        let match = null;
+        for (const rule of await this.getIPRules()) {
+            if (!cidrContains(rule.range, address)) continue;
+
+            if (!match ||
+                rule.range.prefix > match.range.prefix ||
+                (rule.range.prefix === match.range.prefix && rule.list === 'deny')) {
+                match = rule;
+            }
+        }
+
+        return match;
+    }
+
+    /**
+     * Rule fields safe to return and report (without the parsed range)
+     */
+    summarizeIPRule(rule) {
+        return {
+            list: rule.list,
+            cidr: rule.cidr,
+            reason: rule.reason,
+            createdAt: rule.createdAt,
+            expiresAt: rule.expiresAt
+        };
+    }
+
     /**
      * Get current statistics
      */
-    getStatistics() {
+    async getStatistics() {
         const now = Date.now();
-        const activeBlocks = Array.from(this.blocked.values()).filter(b => b.blockedUntil > now);
-        const activeSuspicious = Array.from(this.suspicious.values()).filter(s => 
+        const blocks = await this.store.entries('blocks');
+        const suspicious = await this.store.entries('suspicious');
+        const activeBlocks = blocks.map(([, block]) => block).filter(b => b.blockedUntil > now);
+        const activeSuspicious = suspicious.map(([, pattern]) => pattern).filter(s => 
             (now - s.timestamp) < 24 * 60 * 60 * 1000 // Last 24 hours
         );
 
+        const ipRules = (await this.getIPRules()).map(rule => this.summarizeIPRule(rule));
+
         return {
             timestamp: new Date().toISOString(),
-            counters: this.counters.size,
+            counters: await this.store.size('counters'),
             activeBlocks: activeBlocks.length,
             suspiciousPatterns: activeSuspicious.length,
             limits: Array.from(this.limits.entries()).map(([key, limit]) => ({
                 key,
                 scope: limit.scope,
                 endpoint: limit.endpoint || 'global',
+                algorithm: limit.algorithm || DEFAULT_ALGORITHM,
                 maxRequests: limit.maxRequests,
                 windowMs: limit.windowMs
             })),
             recentBlocks: activeBlocks.slice(-10),
-            recentSuspicious: activeSuspicious.slice(-10)
+            recentSuspicious: activeSuspicious.slice(-10),
+            ipRules: {
+                allow: ipRules.filter(rule => rule.list === 'allow').length,
+                deny: ipRules.filter(rule => rule.list === 'deny').length,
+                rules: ipRules
+            },
+            tenantQuotas: Array.from(this.tenantLimits.keys())
         };
     }
 
@@ -691,39 +1680,30 @@ class EnhancedRateLimiter extends EventEmitter {
             path: request.path,
             method: request.method,
             userAgent: request.userAgent ? this.hashValue(request.userAgent) : null,
+            tenantId: request.tenantId || null, // Merchant account, not personal data
             timestamp: new Date().toISOString()
         };
     }
 
     /**
-     * Hash IP address for privacy
+     * Hash IP address for privacy (key-id prefixed HMAC, see pseudonymizer.js)
      */
     hashIP(ip) {
-        return createHash('sha256')
-            .update(ip + 'rate-limiter-salt')
-            .digest('hex')
-            .substring(0, 12);
+        return this.pseudonymizer.pseudonymize(ip);
     }
 
     /**
      * Hash value for privacy
      */
     hashValue(value) {
-        return createHash('sha256')
-            .update(value + 'rate-limiter-salt')
-            .digest('hex')
-            .substring(0, 12);
+        return this.pseudonymizer.pseudonymize(value);
     }
 
     /**
      * Hash request for tracking
      */
     hashRequest(request) {
-        const key = `${request.ip}:${request.userId}:${request.deviceFingerprint}:${request.path}`;
-        return createHash('sha256')
-            .update(key)
-            .digest('hex')
-            .substring(0, 16);
+        return this.pseudonymizer.pseudonymize(`${request.ip}:${request.userId}:${request.deviceFingerprint}:${request.path}`);
     }
 
     /**
@@ -731,41 +1711,31 @@ class EnhancedRateLimiter extends EventEmitter {
      */
     startCleanup() {
         this.cleanupInterval = setInterval(() => {
-            this.cleanup();
+            this.cleanup().catch(error => {
+                console.error('Rate limiter cleanup failed:', error);
+            });
         }, 5 * 60 * 1000); // Every 5 minutes
     }
 
     /**
      * Cleanup expired data
      */
-    cleanup() {
-        const now = Date.now();
-        
-        // Cleanup expired counters
-        for (const [key, counter] of this.counters.entries()) {
-            if ((now - counter.windowStart) > (counter.windowStart + 24 * 60 * 60 * 1000)) {
-                this.counters.delete(key);
-            }
-        }
-
-        // Cleanup expired blocks
-        for (const [key, blocked] of this.blocked.entries()) {
-            if (blocked.blockedUntil <= now) {
-                this.blocked.delete(key);
-            }
-        }
-
-        // Cleanup old suspicious patterns
-        for (const [key, suspicious] of this.suspicious.entries()) {
-            if ((now - suspicious.timestamp) > 7 * 24 * 60 * 60 * 1000) { // 7 days
-                this.suspicious.delete(key);
-            }
-        }
+    async cleanup() {
+        // Every entry is written with a TTL (counter window or block duration,
+        // 7 days for suspicious patterns, association window for history),
+        // so pruning expired entries is enough
+        await this.store.prune();
 
         this.emit('rateLimit:cleanup', {
-            counters: this.counters.size,
-            blocks: this.blocked.size,
-            suspicious: this.suspicious.size
+            counters: await this.store.size('counters'),
+            blocks: await this.store.size('blocks'),
+            suspicious: await this.store.size('suspicious'),
+            associations: await this.store.size('associations'),
+            ipRules: await this.store.size('ipRules'),
+            offenses: await this.store.size('offenses'),
+            usage: await this.store.size('usage'),
+            shadowCounters: await this.store.size('shadowCounters'),
+            shadowDecisions: await this.store.size('shadowDecisions')
         });
     }
 
@@ -782,10 +1752,10 @@ class EnhancedRateLimiter extends EventEmitter {
     /**
      * Export configuration for monitoring
      */
-    exportConfig() {
+    async exportConfig() {
         return {
             limits: Array.from(this.limits.entries()),
-            statistics: this.getStatistics(),
+            statistics: await this.getStatistics(),
             timestamp: new Date().toISOString()
         };
     }
@@ -798,6 +1768,8 @@ const rateLimiter = new EnhancedRateLimiter();
 export { EnhancedRateLimiter, rateLimiter };
 
 // Export middleware functions for easy integration
+// (HTTP servers should prefer rate-limit-middleware.js, which builds the
+// request itself and sends standard RateLimit-* / Retry-After headers)
 export const createRateLimitMiddleware = (options = {}) => {
     return async (request, response, next) => {
         try {
@@ -833,6 +1805,7 @@ export const createRateLimitMiddleware = (options = {}) => {
 };
 
 // Express middleware helper
+/** @deprecated Use createNodeRateLimitMiddleware from rate-limit-middleware.js */
 export const expressMiddleware = (options = {}) => {
     return (req, res, next) => {
         const request = {
@@ -0,0 +1,256 @@
+#!/usr/bin/env bun
+
+// security/geo-velocity.js - Impossible Travel Detection
+// Per-user and per-device location history with implied travel speed checks
+
+console.log("✈️ Geo Velocity - Loaded");
+
+/**
+ * Each request location is compared with the recent locations of the same
+ * userId and device. The implied speed is the great-circle distance between
+ * two observations, less both observations' accuracy radius, divided by the
+ * time between them. Above maxSpeedKmh the request is flagged (feeding
+ * riskScore); above blockSpeedKmh (0 = never) the entity is blocked.
+ *
+ * Accepted locations:
+ * - { lat, lon } / { latitude, longitude } / { lat, lng }, optionally with
+ *   accuracyKm, country and region
+ * - "37.77,-122.42" coordinate strings
+ * - ISO 3166 country codes ("US", "US-CA", { country: "US" }), placed at the
+ *   country centroid with countryAccuracyKm of slack
+ * Anything else (e.g. "EU") is ignored.
+ */
+
+export const DEFAULT_GEO_VELOCITY = {
+    enabled: true,
+    maxSpeedKmh: 1000, // Faster than a commercial flight
+    blockSpeedKmh: 0, // Block above this speed (0 = flag only)
+    blockDurationMs: 30 * 60 * 1000, // 30 minutes
+    riskScore: 60, // Added to riskScore when flagged
+    windowMs: 24 * 60 * 60 * 1000, // How far back observations are compared
+    maxObservations: 10, // Per userId / device
+    coordinateAccuracyKm: 25, // Slack for GPS/IP geolocation jitter
+    countryAccuracyKm: 1000 // Slack for country centroids
+};
+
+const EARTH_RADIUS_KM = 6371;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Approximate geographic centroids (lat, lon) for country-level locations
+export const COUNTRY_CENTROIDS = {
+    AE: [23.4, 53.8], AR: [-38.4, -63.6], AT: [47.5, 14.6], AU: [-25.3, 133.8],
+    BE: [50.5, 4.5], BR: [-14.2, -51.9], CA: [56.1, -106.3], CH: [46.8, 8.2],
+    CN: [35.9, 104.2], CZ: [49.8, 15.5], DE: [51.2, 10.5], DK: [56.3, 9.5],
+    EG: [26.8, 30.8], ES: [40.5, -3.7], FI: [61.9, 25.7], FR: [46.2, 2.2],
+    GB: [55.4, -3.4], GR: [39.1, 21.8], ID: [-0.8, 113.9], IE: [53.4, -8.2],
+    IL: [31.0, 34.9], IN: [20.6, 79.0], IT: [41.9, 12.6], JP: [36.2, 138.3],
+    KR: [35.9, 127.8], MX: [23.6, -102.6], NG: [9.1, 8.7], NL: [52.1, 5.3],
+    NO: [60.5, 8.5], NZ: [-40.9, 174.9], PH: [12.9, 121.8], PL: [51.9, 19.1],
+    PT: [39.4, -8.2], RU: [61.5, 105.3], SE: [60.1, 18.6], SG: [1.35, 103.8],
+    TR: [39.0, 35.2], UA: [48.4, 31.2], US: [39.8, -98.6], ZA: [-30.6, 22.9]
+};
+
+/**
+ * Normalize a reported location into { lat, lon, accuracyKm, country, region }
+ * (null when it cannot be placed on the map)
+ */
+export function parseLocation(location, settings = DEFAULT_GEO_VELOCITY) {
+    if (!location) return null;
+
+    if (typeof location === 'string') {
+        const coordinates = location.match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+        if (coordinates) {
+            return fromCoordinates(Number(coordinates[1]), Number(coordinates[2]), null, settings);
+        }
+
+        const [country, region] = location.trim().toUpperCase().split('-');
+        return fromCountry(country, region, settings);
+    }
+
+    if (typeof location !== 'object') return null;
+
+    const lat = location.lat ?? location.latitude;
+    const lon = location.lon ?? location.lng ?? location.longitude;
+
+    if (typeof lat === 'number' && typeof lon === 'number') {
+        const parsed = fromCoordinates(lat, lon, location.accuracyKm, settings);
+        return parsed && {
+            ...parsed,
+            country: location.country ? String(location.country).toUpperCase() : null,
+            region: location.region ? String(location.region).toUpperCase() : null
+        };
+    }
+
+    return location.country
+        ? fromCountry(String(location.country).toUpperCase(), location.region && String(location.region).toUpperCase(), settings)
+        : null;
+}
+
+function fromCoordinates(lat, lon, accuracyKm, settings) {
+    if (!(lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180)) return null;
+
+    return {
+        lat,
+        lon,
+        accuracyKm: typeof accuracyKm === 'number' && accuracyKm >= 0 ? accuracyKm : settings.coordinateAccuracyKm,
+        country: null,
+        region: null
+    };
+}
+
+function fromCountry(country, region, settings) {
+    const centroid = COUNTRY_CENTROIDS[country];
+    if (!centroid) return null;
+
+    return {
+        lat: centroid[0],
+        lon: centroid[1],
+        accuracyKm: settings.countryAccuracyKm,
+        country,
+        region: region || null
+    };
+}
+
+/**
+ * Great-circle distance in km (haversine)
+ */
+export function haversineKm(a, b) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Implied travel between two observations; distance within the combined
+ * accuracy radius counts as no travel
+ */
+export function impliedTravel(from, to) {
+    const distanceKm = haversineKm(from, to);
+    const travelledKm = Math.max(0, distanceKm - from.accuracyKm - to.accuracyKm);
+    const elapsedMs = Math.abs(to.at - from.at);
+
+    return {
+        distanceKm: Math.round(distanceKm),
+        elapsedMs,
+        // A second apart at minimum, so simultaneous reports stay finite
+        speedKmh: Math.round(travelledKm / (Math.max(elapsedMs, 1000) / HOUR_MS))
+    };
+}
+
+/**
+ * Location history per userId and device (store namespace geoHistory)
+ */
+export class GeoVelocityDetector {
+    constructor(store, settings = {}) {
+        this.store = store;
+        this.configure(settings);
+    }
+
+    /**
+     * Replace the detector settings (merged over DEFAULT_GEO_VELOCITY)
+     */
+    configure(settings = {}) {
+        this.settings = { ...DEFAULT_GEO_VELOCITY, ...settings };
+    }
+
+    /**
+     * Record the request location for its userId and device and return the
+     * fastest implied travel against their recent history
+     *
+     * @returns {Promise<{ flagged: boolean, block: boolean, riskScore: number,
+     *   violation: { type, identifier, speedKmh, distanceKm, elapsedMs, from, to } | null }>}
+     */
+    async check(request, now = Date.now()) {
+        const clear = { flagged: false, block: false, riskScore: 0, violation: null };
+        const { enabled, maxSpeedKmh, blockSpeedKmh, riskScore } = this.settings;
+
+        if (!enabled) return clear;
+
+        const location = parseLocation(request.location, this.settings);
+        if (!location) return clear;
+
+        const observation = { ...location, at: now };
+        const entities = [
+            ['userId', request.userId],
+            ['device', request.deviceFingerprint]
+        ].filter(([, identifier]) => identifier);
+
+        let violation = null;
+        for (const [type, identifier] of entities) {
+            const history = await this.observe(type, identifier, observation);
+
+            for (const previous of history) {
+                const travel = impliedTravel(previous, observation);
+                if (!violation || travel.speedKmh > violation.speedKmh) {
+                    violation = { type, identifier, ...travel, from: describe(previous), to: describe(observation) };
+                }
+            }
+        }
+
+        if (!violation || violation.speedKmh <= maxSpeedKmh) return clear;
+
+        return {
+            flagged: true,
+            block: blockSpeedKmh > 0 && violation.speedKmh > blockSpeedKmh,
+            riskScore,
+            violation
+        };
+    }
+
+    /**
+     * Append an observation and return the earlier ones still in the window
+     */
+    async observe(type, identifier, observation) {
+        const { windowMs, maxObservations } = this.settings;
+        let previous = [];
+
+        await this.store.update('geoHistory', `${type}:${identifier}`, (entry) => {
+            previous = (entry?.observations || []).filter(item => Math.abs(observation.at - item.at) <= windowMs);
+
+            return {
+                observations: [...previous, observation]
+                    .sort((a, b) => a.at - b.at)
+                    .slice(-maxObservations)
+            };
+        }, windowMs);
+
+        return previous;
+    }
+
+    /**
+     * Forget an entity's locations (e.g. once a reviewer cleared a block)
+     */
+    async clearHistory(type, identifier) {
+        return this.store.delete('geoHistory', `${type}:${identifier}`);
+    }
+
+    /**
+     * Recent observations of an entity (oldest first)
+     */
+    async getHistory(type, identifier) {
+        const entry = await this.store.get('geoHistory', `${type}:${identifier}`);
+        return entry?.observations || [];
+    }
+}
+
+/**
+ * Coarse description of an observation for events and block records
+ */
+function describe(observation) {
+    return observation.country
+        ? [observation.country, observation.region].filter(Boolean).join('-')
+        : `${observation.lat.toFixed(1)},${observation.lon.toFixed(1)}`;
+}
+
+export default {
+    DEFAULT_GEO_VELOCITY,
+    COUNTRY_CENTROIDS,
+    parseLocation,
+    haversineKm,
+    impliedTravel,
+    GeoVelocityDetector
+};
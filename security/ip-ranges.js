@@ -0,0 +1,171 @@
+#!/usr/bin/env bun
+
+// security/ip-ranges.js - IPv4/IPv6 Address and CIDR Matching
+// Parses addresses into BigInts so allow/deny rules can match whole ranges
+
+console.log("🌐 IP Ranges - Loaded");
+
+const IPV4_BITS = 32;
+const IPV6_BITS = 128;
+
+/**
+ * Parse a dotted-quad IPv4 address into a BigInt (null if invalid)
+ */
+function parseIPv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) | BigInt(part);
+    }
+    return value;
+}
+
+/**
+ * Parse an IPv6 address (with :: compression or a trailing dotted quad)
+ * into a BigInt (null if invalid)
+ */
+function parseIPv6(address) {
+    // Drop a zone index such as fe80::1%eth0
+    address = address.split('%')[0];
+
+    const halves = address.split('::');
+    if (halves.length > 2) return null;
+
+    const toGroups = (text) => {
+        if (text === '') return [];
+        const groups = text.split(':');
+        const last = groups[groups.length - 1];
+
+        // Embedded IPv4 (e.g. ::ffff:192.0.2.1) fills the last two groups
+        if (last.includes('.')) {
+            const ipv4 = parseIPv4(last);
+            if (ipv4 === null) return null;
+            groups.splice(-1, 1, ((ipv4 >> 16n) & 0xffffn).toString(16), (ipv4 & 0xffffn).toString(16));
+        }
+        return groups;
+    };
+
+    const head = toGroups(halves[0]);
+    const tail = halves.length === 2 ? toGroups(halves[1]) : [];
+    if (head === null || tail === null) return null;
+
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 2 ? missing < 1 : missing !== 0) return null;
+
+    const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) | BigInt(`0x${group}`);
+    }
+    return value;
+}
+
+/**
+ * Parse an IP address. IPv4-mapped IPv6 addresses (::ffff:a.b.c.d), as
+ * reported by dual-stack sockets, are treated as the IPv4 address.
+ *
+ * @returns {{ version: 4|6, value: bigint } | null}
+ */
+export function parseIP(address) {
+    if (typeof address !== 'string' || address.length === 0) return null;
+    address = address.trim();
+
+    if (!address.includes(':')) {
+        const value = parseIPv4(address);
+        return value === null ? null : { version: 4, value };
+    }
+
+    const value = parseIPv6(address);
+    if (value === null) return null;
+
+    if ((value >> 32n) === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+}
+
+/**
+ * Format a parsed address: dotted quad, or IPv6 in RFC 5952 form (lowercase,
+ * longest run of zero groups compressed)
+ */
+export function formatIP({ version, value }) {
+    if (version === 4) {
+        return [24n, 16n, 8n, 0n].map(shift => String((value >> shift) & 0xffn)).join('.');
+    }
+
+    const groups = [];
+    for (let shift = 112n; shift >= 0n; shift -= 16n) {
+        groups.push(Number((value >> shift) & 0xffffn));
+    }
+
+    // Longest run of two or more zero groups (the first one on a tie)
+    let best = { start: -1, length: 1 };
+    for (let start = 0; start < groups.length; start++) {
+        let length = 0;
+        while (groups[start + length] === 0) length++;
+        if (length > best.length) best = { start, length };
+    }
+
+    const hex = groups.map(group => group.toString(16));
+    if (best.start === -1) return hex.join(':');
+    return `${hex.slice(0, best.start).join(':')}::${hex.slice(best.start + best.length).join(':')}`;
+}
+
+/**
+ * Parse a CIDR range ('10.0.0.0/8', '2001:db8::/32'); a bare address is a
+ * single-host range. Throws on invalid input. cidr is the normalized
+ * network ('10.0.0.5/24' becomes '10.0.0.0/24', '10.0.0.5' '10.0.0.5/32'),
+ * so the same range always has the same text.
+ *
+ * @returns {{ cidr: string, version: 4|6, prefix: number, network: bigint }}
+ */
+export function parseCidr(cidr) {
+    const [address, prefixText, ...rest] = String(cidr).trim().split('/');
+    const ip = parseIP(address);
+
+    if (!ip || rest.length > 0) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+
+    const bits = ip.version === 4 ? IPV4_BITS : IPV6_BITS;
+    const prefix = prefixText === undefined ? bits : Number(prefixText);
+
+    if (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText)) {
+        throw new Error(`Invalid CIDR: ${cidr}`);
+    }
+    if (prefix > bits) {
+        throw new Error(`Invalid CIDR: ${cidr} (prefix exceeds ${bits} bits)`);
+    }
+
+    const hostBits = BigInt(bits - prefix);
+    const network = (ip.value >> hostBits) << hostBits;
+    return {
+        cidr: `${formatIP({ version: ip.version, value: network })}/${prefix}`,
+        version: ip.version,
+        prefix,
+        network
+    };
+}
+
+/**
+ * Check whether an address falls inside a parsed CIDR range
+ */
+export function cidrContains(range, address) {
+    const ip = typeof address === 'string' ? parseIP(address) : address;
+    if (!ip || ip.version !== range.version) return false;
+
+    const hostBits = BigInt((range.version === 4 ? IPV4_BITS : IPV6_BITS) - range.prefix);
+    return (ip.value >> hostBits) === (range.network >> hostBits);
+}
+
+export default {
+    parseIP,
+    formatIP,
+    parseCidr,
+    cidrContains
+};
@@ -0,0 +1,231 @@
+#!/usr/bin/env bun
+
+// security/pseudonymizer.js - Keyed Pseudonymization Service
+// HMAC-SHA-256 pseudonyms with scheduled key rotation and key-id prefixes
+
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+console.log("🎭 Pseudonymizer - Loaded");
+
+/**
+ * Pseudonyms look like `2026W43:9f2c4e1ab07d5e38` - the id of the key that
+ * produced them, then a truncated HMAC of the value.
+ *
+ * Period keys are derived from the configured secret and the key id
+ * (HMAC(secret, keyId)), so rotation needs no key distribution: every
+ * replica with the same secret derives the same key for the same period, and
+ * any old pseudonym can be recomputed from its prefix to correlate old logs.
+ *
+ * Rotation therefore only unlinks pseudonyms across periods; it is not key
+ * isolation. The secret is the only key that matters: whoever holds it can
+ * derive every past and future period key, so a leaked secret exposes all
+ * pseudonyms ever written, and replacing it orphans all of them.
+ *
+ * For overlapMs after a rotation the previous key is still active, so
+ * lookups can match pseudonyms written just before the boundary
+ * (see candidates()).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const ROTATION_SCHEDULES = {
+    DAILY: (date) => date.toISOString().substring(0, 10).replaceAll('-', ''),
+    WEEKLY: (date) => isoWeekId(date),
+    MONTHLY: (date) => date.toISOString().substring(0, 7).replace('-', 'M'),
+    NEVER: () => 'static'
+};
+
+export const DEFAULT_PSEUDONYMIZATION = {
+    secret: null,
+    rotation: 'WEEKLY', // onePayGDPRConfig.security.pseudonymization.saltRotation
+    overlapMs: DAY_MS,
+    hashLength: 16
+};
+
+/**
+ * ISO-8601 week id (weeks start on Monday), e.g. 2026W43
+ */
+function isoWeekId(date) {
+    const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+    const weekday = day.getUTCDay() || 7;
+
+    // The Thursday of this week decides which year the week belongs to
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);
+    const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+    const week = Math.ceil(((day.getTime() - yearStart) / DAY_MS + 1) / 7);
+
+    return `${day.getUTCFullYear()}W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Secrets left as unresolved ${ENV_VAR} placeholders count as missing
+ */
+export function isUsableSecret(secret) {
+    return typeof secret === 'string' && secret.length > 0 && !/^\$\{[^}]+\}$/.test(secret);
+}
+
+export class Pseudonymizer {
+    constructor(options = {}) {
+        this.secret = null;
+        this.ephemeral = false;
+        this.now = Date.now; // Clock, injectable for tests
+        this.configure(options);
+    }
+
+    /**
+     * Apply pseudonymization settings in place, so components holding this
+     * instance follow a reloaded configuration. Without a usable secret an
+     * existing ephemeral key is kept.
+     */
+    configure(options = {}) {
+        const settings = { ...DEFAULT_PSEUDONYMIZATION, ...options };
+
+        if (!ROTATION_SCHEDULES[settings.rotation]) {
+            throw new Error(`Unknown pseudonymization rotation: ${settings.rotation} (expected one of ${Object.keys(ROTATION_SCHEDULES).join(', ')})`);
+        }
+
+        if (isUsableSecret(settings.secret)) {
+            this.secret = settings.secret;
+            this.ephemeral = false;
+        } else if (!this.ephemeral) {
+            // Pseudonyms stay unguessable but only correlate within this process
+            console.warn('⚠️ No pseudonymization secret configured - using an ephemeral key');
+            this.secret = randomBytes(32).toString('hex');
+            this.ephemeral = true;
+        }
+
+        this.rotation = settings.rotation;
+        this.overlapMs = settings.overlapMs;
+        this.hashLength = settings.hashLength;
+        this.now = options.now || this.now;
+        this.keyCache = new Map();
+        return this;
+    }
+
+    /**
+     * Id of the key active at a point in time
+     */
+    getKeyId(time = this.now()) {
+        return ROTATION_SCHEDULES[this.rotation](new Date(time));
+    }
+
+    /**
+     * Keys accepted at a point in time: the current key, plus the previous
+     * one while still inside the overlap window
+     */
+    getActiveKeyIds(time = this.now()) {
+        const current = this.getKeyId(time);
+        const previous = this.getKeyId(time - this.overlapMs);
+
+        return previous === current ? [current] : [current, previous];
+    }
+
+    /**
+     * Every key id used between two points in time, latest first (for data
+     * kept longer than one rotation period)
+     */
+    getKeyIdsBetween(from, to = this.now()) {
+        const keyIds = new Set();
+
+        for (let time = to; time > from; time -= DAY_MS) {
+            keyIds.add(this.getKeyId(time));
+        }
+        keyIds.add(this.getKeyId(from));
+
+        return [...keyIds];
+    }
+
+    /**
+     * Derive (and cache) the HMAC key for a key id
+     */
+    getKey(keyId) {
+        if (!this.keyCache.has(keyId)) {
+            this.keyCache.set(keyId, createHmac('sha256', this.secret).update(keyId).digest());
+
+            // Only a handful of periods are ever in use at once
+            if (this.keyCache.size > 16) {
+                this.keyCache.delete(this.keyCache.keys().next().value);
+            }
+        }
+        return this.keyCache.get(keyId);
+    }
+
+    /**
+     * Pseudonymize a value with the current key (or a specific key id)
+     */
+    pseudonymize(value, keyId = this.getKeyId()) {
+        const digest = createHmac('sha256', this.getKey(keyId))
+            .update(String(value))
+            .digest('hex')
+            .substring(0, this.hashLength);
+
+        return `${keyId}:${digest}`;
+    }
+
+    /**
+     * Pseudonyms of a value under every active key, current key first
+     */
+    candidates(value, time = this.now()) {
+        return this.getActiveKeyIds(time).map(keyId => this.pseudonymize(value, keyId));
+    }
+
+    /**
+     * Check whether a pseudonym (from any period) was produced from a value
+     */
+    matches(value, pseudonym) {
+        const separator = typeof pseudonym === 'string' ? pseudonym.lastIndexOf(':') : -1;
+        if (separator <= 0) return false;
+
+        const expected = Buffer.from(this.pseudonymize(value, pseudonym.substring(0, separator)));
+        const actual = Buffer.from(pseudonym);
+
+        return expected.length === actual.length && timingSafeEqual(expected, actual);
+    }
+
+    /**
+     * Key id prefix of a pseudonym (null if it has none)
+     */
+    static keyIdOf(pseudonym) {
+        const separator = typeof pseudonym === 'string' ? pseudonym.lastIndexOf(':') : -1;
+        return separator > 0 ? pseudonym.substring(0, separator) : null;
+    }
+}
+
+/**
+ * Build a pseudonymizer from the [pseudonymization] config section
+ * (falls back to the PSEUDONYMIZATION_SECRET environment variable)
+ */
+export function createPseudonymizer(config = {}) {
+    return new Pseudonymizer(pseudonymizerOptions(config));
+}
+
+/**
+ * Apply a [pseudonymization] config section to the shared instance
+ * (loadConfig does this for every loaded configuration)
+ */
+export function configurePseudonymizer(config = {}) {
+    return pseudonymizer.configure(pseudonymizerOptions(config));
+}
+
+function pseudonymizerOptions(config) {
+    return {
+        ...config,
+        secret: isUsableSecret(config.secret) ? config.secret : process.env.PSEUDONYMIZATION_SECRET
+    };
+}
+
+// Shared instance used by the rate limiter, monitor and routing history
+// unless they are given one; configured from [pseudonymization] on load
+const pseudonymizer = createPseudonymizer();
+
+export { pseudonymizer };
+
+export default {
+    ROTATION_SCHEDULES,
+    DEFAULT_PSEUDONYMIZATION,
+    Pseudonymizer,
+    createPseudonymizer,
+    configurePseudonymizer,
+    isUsableSecret,
+    pseudonymizer
+};
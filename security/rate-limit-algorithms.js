@@ -0,0 +1,210 @@
+#!/usr/bin/env bun
+
+// security/rate-limit-algorithms.js - Rate Limiting Algorithms
+// Fixed window, sliding log, sliding-window counter and token bucket strategies
+
+console.log("⏱️ Rate Limit Algorithms - Loaded");
+
+/**
+ * Every algorithm is a pure function of (state, limit, now) so it can run
+ * inside a single store update. consume() returns:
+ * - state: the new persisted state (JSON-serializable)
+ * - allowed: whether this request fits within the limit
+ * - currentCount: requests counted against the limit, including this one
+ * - remaining: requests still available after this one
+ * - resetMs: ms until the limit admits another request (or fully resets)
+ *
+ * Denied requests are not counted. ttlMs(limit) is how long idle state
+ * stays meaningful and is used as the store TTL.
+ */
+
+/**
+ * Fixed window - cheap, but allows up to 2x maxRequests across a boundary
+ */
+const fixedWindow = {
+    consume(state, limit, now) {
+        if (!state || (now - state.windowStart) > limit.windowMs) {
+            state = { count: 0, windowStart: now };
+        }
+
+        const resetMs = Math.max(0, state.windowStart + limit.windowMs - now);
+
+        if (state.count >= limit.maxRequests) {
+            return { state, allowed: false, currentCount: state.count, remaining: 0, resetMs };
+        }
+
+        state.count++;
+        return {
+            state,
+            allowed: true,
+            currentCount: state.count,
+            remaining: limit.maxRequests - state.count,
+            resetMs
+        };
+    },
+
+    ttlMs(limit) {
+        return limit.windowMs;
+    }
+};
+
+/**
+ * Sliding log - exact rolling window, stores one timestamp per request
+ */
+const slidingLog = {
+    consume(state, limit, now) {
+        const windowStart = now - limit.windowMs;
+        const timestamps = (state?.timestamps || []).filter(time => time > windowStart);
+        state = { timestamps };
+
+        if (timestamps.length >= limit.maxRequests) {
+            return {
+                state,
+                allowed: false,
+                currentCount: timestamps.length,
+                remaining: 0,
+                resetMs: Math.max(0, timestamps[0] + limit.windowMs - now)
+            };
+        }
+
+        timestamps.push(now);
+        return {
+            state,
+            allowed: true,
+            currentCount: timestamps.length,
+            remaining: limit.maxRequests - timestamps.length,
+            resetMs: Math.max(0, timestamps[0] + limit.windowMs - now)
+        };
+    },
+
+    ttlMs(limit) {
+        return limit.windowMs;
+    }
+};
+
+/**
+ * Sliding-window counter - approximates a rolling window by weighting the
+ * previous fixed window's count by how much of it still overlaps
+ */
+const slidingWindow = {
+    consume(state, limit, now) {
+        const currentWindowStart = now - (now % limit.windowMs);
+
+        if (!state || state.windowStart !== currentWindowStart) {
+            const previousCount = state?.windowStart === currentWindowStart - limit.windowMs ? state.count : 0;
+            state = { windowStart: currentWindowStart, count: 0, previousCount };
+        }
+
+        const previousWeight = (limit.windowMs - (now - state.windowStart)) / limit.windowMs;
+        const weightedCount = state.previousCount * previousWeight + state.count;
+        const resetMs = state.windowStart + limit.windowMs - now;
+
+        if (weightedCount + 1 > limit.maxRequests) {
+            return {
+                state,
+                allowed: false,
+                currentCount: Math.ceil(weightedCount),
+                remaining: 0,
+                resetMs
+            };
+        }
+
+        state.count++;
+        return {
+            state,
+            allowed: true,
+            currentCount: Math.ceil(weightedCount + 1),
+            remaining: Math.max(0, Math.floor(limit.maxRequests - weightedCount - 1)),
+            resetMs
+        };
+    },
+
+    ttlMs(limit) {
+        return limit.windowMs * 2;
+    }
+};
+
+/**
+ * Token bucket - allows bursts up to `capacity` (default maxRequests) and
+ * refills `refillRate` tokens per second (default maxRequests per window)
+ */
+const tokenBucket = {
+    consume(state, limit, now) {
+        const capacity = getBucketCapacity(limit);
+        const refillRate = getRefillRate(limit);
+
+        if (!state) {
+            state = { tokens: capacity, lastRefill: now };
+        }
+
+        const elapsedSeconds = Math.max(0, now - state.lastRefill) / 1000;
+        state = {
+            tokens: Math.min(capacity, state.tokens + elapsedSeconds * refillRate),
+            lastRefill: now
+        };
+
+        if (state.tokens < 1) {
+            return {
+                state,
+                allowed: false,
+                currentCount: capacity - Math.floor(state.tokens),
+                remaining: 0,
+                resetMs: Math.ceil(((1 - state.tokens) / refillRate) * 1000)
+            };
+        }
+
+        state.tokens -= 1;
+        return {
+            state,
+            allowed: true,
+            currentCount: capacity - Math.floor(state.tokens),
+            remaining: Math.floor(state.tokens),
+            resetMs: Math.ceil(((capacity - state.tokens) / refillRate) * 1000)
+        };
+    },
+
+    ttlMs(limit) {
+        // Once the bucket would be full again the state carries no information
+        return Math.ceil((getBucketCapacity(limit) / getRefillRate(limit)) * 1000);
+    }
+};
+
+/**
+ * Bucket capacity for token-bucket limits
+ */
+function getBucketCapacity(limit) {
+    return limit.capacity || limit.maxRequests;
+}
+
+/**
+ * Refill rate (tokens per second) for token-bucket limits
+ */
+function getRefillRate(limit) {
+    return limit.refillRate || limit.maxRequests / (limit.windowMs / 1000);
+}
+
+export const RATE_LIMIT_ALGORITHMS = {
+    'fixed-window': fixedWindow,
+    'sliding-log': slidingLog,
+    'sliding-window': slidingWindow,
+    'token-bucket': tokenBucket
+};
+
+export const DEFAULT_ALGORITHM = 'fixed-window';
+
+/**
+ * Look up an algorithm by name (defaults to fixed window)
+ */
+export function getRateLimitAlgorithm(name = DEFAULT_ALGORITHM) {
+    const algorithm = RATE_LIMIT_ALGORITHMS[name];
+    if (!algorithm) {
+        throw new Error(`Unknown rate limit algorithm: ${name}`);
+    }
+    return algorithm;
+}
+
+export default {
+    RATE_LIMIT_ALGORITHMS,
+    DEFAULT_ALGORITHM,
+    getRateLimitAlgorithm
+};
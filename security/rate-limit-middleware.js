@@ -0,0 +1,228 @@
+#!/usr/bin/env bun
+
+// security/rate-limit-middleware.js - HTTP Rate Limit Middleware
+// Bun.serve fetch wrappers and Node http/Express middleware with standard RateLimit headers
+
+import { rateLimiter } from './enhanced-rate-limiter.js';
+
+console.log("🚦 Rate Limit Middleware - Loaded");
+
+/**
+ * Both adapters build the request object EnhancedRateLimiter expects:
+ * - ip: socket address, or the first X-Forwarded-For hop with trustProxy
+ * - userId: options.getUserId(req), else req.user.id (Node/Express); the
+ *   X-User-ID header only with trustUserIdHeader (behind a gateway that sets
+ *   it - clients could otherwise rotate it to dodge per-user limits)
+ * - deviceFingerprint: the X-Device-Fingerprint header (configurable)
+ * - location: the X-Location header
+ * - tenantId: options.getTenantId(req), else the X-Merchant-ID header
+ *   (prefer getTenantId from authenticated credentials - a spoofed header
+ *   spends another merchant's quota)
+ *
+ * Responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset
+ * (IETF draft-ietf-httpapi-ratelimit-headers, reset as delta seconds) for the
+ * most constrained scope. Rejections are 429 with Retry-After.
+ */
+
+const DEFAULT_OPTIONS = {
+    trustProxy: false,
+    trustUserIdHeader: false,
+    userIdHeader: 'x-user-id',
+    deviceHeader: 'x-device-fingerprint',
+    locationHeader: 'x-location',
+    tenantHeader: 'x-merchant-id',
+    failOpen: true // Let requests through if the limiter itself fails
+};
+
+/**
+ * Build RateLimit-* (and Retry-After) headers from a checkRateLimit result
+ */
+export function getRateLimitHeaders(result) {
+    const headers = {};
+
+    if (!result.allowed) {
+        const blocked = result.results[result.results.length - 1] || {};
+
+        if (blocked.limit !== undefined) {
+            headers['RateLimit-Limit'] = String(blocked.limit);
+        }
+        headers['RateLimit-Remaining'] = '0';
+
+        // Open-ended rejections (e.g. a permanent denylist entry) have no reset
+        if (result.retryAfter !== null && result.retryAfter !== undefined) {
+            const retryAfter = String(Math.max(0, result.retryAfter));
+            headers['RateLimit-Reset'] = retryAfter;
+            headers['Retry-After'] = retryAfter;
+        }
+        return headers;
+    }
+
+    // Report the scope with the fewest requests left
+    const constrained = result.results
+        .filter(scopeResult => scopeResult.remaining !== undefined)
+        .sort((a, b) => a.remaining - b.remaining)[0];
+
+    if (constrained) {
+        headers['RateLimit-Limit'] = String(constrained.limit);
+        headers['RateLimit-Remaining'] = String(constrained.remaining);
+        headers['RateLimit-Reset'] = String(Math.ceil((constrained.resetMs || 0) / 1000));
+    }
+
+    return headers;
+}
+
+/**
+ * JSON body for 429 responses
+ */
+function rejectionBody(result) {
+    return {
+        error: result.quotaExhausted ? 'QUOTA_EXHAUSTED' : 'RATE_LIMIT_EXCEEDED',
+        message: result.quotaExhausted ? 'Merchant quota exhausted' : 'Too many requests',
+        reason: result.reason,
+        retryAfter: result.retryAfter,
+        scope: result.scope
+    };
+}
+
+/**
+ * First hop of an X-Forwarded-For header
+ */
+function firstForwardedFor(value) {
+    if (!value) return null;
+    return value.split(',')[0].trim() || null;
+}
+
+/**
+ * Build a limiter request from a Fetch API Request (Bun.serve)
+ */
+export function extractFetchRequest(req, server, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const url = new URL(req.url);
+    const forwardedFor = settings.trustProxy ? firstForwardedFor(req.headers.get('x-forwarded-for')) : null;
+    const userIdHeader = settings.trustUserIdHeader ? req.headers.get(settings.userIdHeader) : null;
+
+    return {
+        ip: forwardedFor || server?.requestIP?.(req)?.address || null,
+        userId: settings.getUserId?.(req) || userIdHeader || null,
+        deviceFingerprint: req.headers.get(settings.deviceHeader) || null,
+        path: url.pathname,
+        method: req.method,
+        userAgent: req.headers.get('user-agent') || null,
+        location: req.headers.get(settings.locationHeader) || null,
+        tenantId: settings.getTenantId?.(req) || req.headers.get(settings.tenantHeader) || null
+    };
+}
+
+/**
+ * Build a limiter request from a Node http.IncomingMessage (or Express req)
+ */
+export function extractNodeRequest(req, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const forwardedFor = settings.trustProxy ? firstForwardedFor(req.headers['x-forwarded-for']) : null;
+    const userIdHeader = settings.trustUserIdHeader ? req.headers[settings.userIdHeader] : null;
+    const path = req.path || new URL(req.url, 'http://localhost').pathname;
+
+    return {
+        ip: forwardedFor || req.ip || req.socket?.remoteAddress || null,
+        userId: settings.getUserId?.(req) || req.user?.id || userIdHeader || null,
+        deviceFingerprint: req.headers[settings.deviceHeader] || null,
+        path,
+        method: req.method,
+        userAgent: req.headers['user-agent'] || null,
+        location: req.headers[settings.locationHeader] || null,
+        tenantId: settings.getTenantId?.(req) || req.headers[settings.tenantHeader] || null
+    };
+}
+
+/**
+ * Wrap a Bun.serve fetch handler:
+ *
+ *   Bun.serve({ fetch: createFetchRateLimitMiddleware(handler) })
+ */
+export function createFetchRateLimitMiddleware(handler, options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const limiter = settings.limiter || rateLimiter;
+
+    return async (req, server) => {
+        let result;
+        try {
+            result = await limiter.checkRateLimit(extractFetchRequest(req, server, settings));
+        } catch (error) {
+            console.error('Rate limiting error:', error);
+            if (!settings.failOpen) {
+                return Response.json({ error: 'RATE_LIMIT_UNAVAILABLE' }, { status: 503 });
+            }
+            return handler(req, server);
+        }
+
+        const headers = getRateLimitHeaders(result);
+
+        if (!result.allowed) {
+            return Response.json(rejectionBody(result), { status: 429, headers });
+        }
+
+        const response = await handler(req, server);
+
+        // Copy into a new Response - headers of fetched responses are immutable
+        const withHeaders = new Response(response.body, response);
+        for (const [name, value] of Object.entries(headers)) {
+            withHeaders.headers.set(name, value);
+        }
+        return withHeaders;
+    };
+}
+
+/**
+ * Middleware for Node http and Express-style handlers. With Express, pass it
+ * to app.use(); with plain http, await it and continue when it returns true:
+ *
+ *   if (await limit(req, res)) { ...handle request... }
+ */
+export function createNodeRateLimitMiddleware(options = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const limiter = settings.limiter || rateLimiter;
+
+    return async (req, res, next) => {
+        let result;
+        try {
+            result = await limiter.checkRateLimit(extractNodeRequest(req, settings));
+        } catch (error) {
+            console.error('Rate limiting error:', error);
+            if (!settings.failOpen) {
+                sendJson(res, 503, { error: 'RATE_LIMIT_UNAVAILABLE' });
+                return false;
+            }
+            if (next) next();
+            return true;
+        }
+
+        for (const [name, value] of Object.entries(getRateLimitHeaders(result))) {
+            res.setHeader(name, value);
+        }
+
+        if (!result.allowed) {
+            sendJson(res, 429, rejectionBody(result));
+            return false;
+        }
+
+        if (next) next();
+        return true;
+    };
+}
+
+/**
+ * Write a JSON response with the plain Node http API (also works in Express)
+ */
+function sendJson(res, statusCode, body) {
+    res.statusCode = statusCode;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+}
+
+export default {
+    getRateLimitHeaders,
+    extractFetchRequest,
+    extractNodeRequest,
+    createFetchRateLimitMiddleware,
+    createNodeRateLimitMiddleware
+};
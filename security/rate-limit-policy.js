@@ -0,0 +1,356 @@
+#!/usr/bin/env bun
+
+// security/rate-limit-policy.js - Declarative Rate Limit Policies
+// Parses and validates the [rateLimits] configuration section
+
+import { RATE_LIMIT_ALGORITHMS } from './rate-limit-algorithms.js';
+
+console.log("📜 Rate Limit Policy - Loaded");
+
+/**
+ * Policies are nested by scope and endpoint, mirroring the `scope:endpoint`
+ * keys used by EnhancedRateLimiter:
+ *
+ *   [rateLimits]
+ *   replaceDefaults = false
+ *
+ *   [rateLimits.userId.funding]
+ *   algorithm = "sliding-log"
+ *   windowMs = 60000
+ *   maxRequests = 3
+ *   blockDurationMs = 3600000
+ *
+ * Entries are merged over the built-in limit with the same key, so a policy
+ * may override a single field. With replaceDefaults = true only the limits
+ * in the policy apply.
+ *
+ * Repeat offenders get escalating blocks, tuned by an optional table:
+ *
+ *   [rateLimits.escalation]
+ *   multiplier = 2              # each offense multiplies the block duration
+ *   maxBlockDurationMs = 86400000
+ *   decayMs = 86400000          # clean period (after a block) that resets history
+ *
+ * Impossible travel detection (see geo-velocity.js) is tuned the same way:
+ *
+ *   [rateLimits.geoVelocity]
+ *   maxSpeedKmh = 1000          # flag (adds riskScore) above this speed
+ *   blockSpeedKmh = 5000        # block above this speed (0 = flag only)
+ *
+ * Merchants get the tenant scope limits (contracted throughput) and can be
+ * given their own quota for any endpoint category, merged over the tenant
+ * limit for that category:
+ *
+ *   [rateLimits.tenant.funding]          # every merchant
+ *   maxRequests = 100
+ *
+ *   [rateLimits.tenants.merchant_42.funding]
+ *   maxRequests = 500
+ *
+ * A candidate policy can run in shadow mode (see rate-limit-shadow.js): it
+ * uses the same layout, is merged over the enforced limits, and is only
+ * evaluated and reported, never enforced:
+ *
+ *   [rateLimits.shadow]
+ *   name = "tighter-verification"
+ *
+ *   [rateLimits.shadow.ip.verification]
+ *   maxRequests = 5
+ */
+
+export const RATE_LIMIT_SCOPES = ['ip', 'userId', 'device', 'tenant'];
+
+// Endpoint categories produced by EnhancedRateLimiter.categorizeEndpoint
+export const RATE_LIMIT_ENDPOINTS = ['global', 'funding', 'verification', 'consent', 'dataExport'];
+
+export const DEFAULT_ESCALATION = {
+    enabled: true,
+    multiplier: 2,
+    maxBlockDurationMs: 24 * 60 * 60 * 1000, // 24 hours
+    decayMs: 24 * 60 * 60 * 1000 // 24 hours
+};
+
+const POLICY_SETTINGS = ['replaceDefaults', 'escalation', 'geoVelocity', 'tenants', 'shadow'];
+
+// Settings that only make sense for the enforced policy
+const UNSHADOWED_SETTINGS = ['escalation', 'geoVelocity', 'shadow'];
+
+const ESCALATION_FIELDS = {
+    enabled: (value) => typeof value === 'boolean',
+    multiplier: (value) => typeof value === 'number' && value >= 1,
+    maxBlockDurationMs: (value) => Number.isInteger(value) && value > 0,
+    decayMs: (value) => Number.isInteger(value) && value > 0
+};
+
+const GEO_VELOCITY_FIELDS = {
+    enabled: (value) => typeof value === 'boolean',
+    maxSpeedKmh: (value) => typeof value === 'number' && value > 0,
+    blockSpeedKmh: (value) => typeof value === 'number' && value >= 0,
+    blockDurationMs: (value) => Number.isInteger(value) && value > 0,
+    riskScore: (value) => Number.isInteger(value) && value >= 0 && value <= 100,
+    windowMs: (value) => Number.isInteger(value) && value > 0,
+    maxObservations: (value) => Number.isInteger(value) && value > 0,
+    coordinateAccuracyKm: (value) => typeof value === 'number' && value >= 0,
+    countryAccuracyKm: (value) => typeof value === 'number' && value >= 0
+};
+
+const LIMIT_FIELDS = {
+    algorithm: (value) => typeof value === 'string' && value in RATE_LIMIT_ALGORITHMS,
+    windowMs: (value) => Number.isInteger(value) && value > 0,
+    maxRequests: (value) => Number.isInteger(value) && value > 0,
+    blockDurationMs: (value) => Number.isInteger(value) && value >= 0,
+    refillRate: (value) => typeof value === 'number' && value > 0,
+    capacity: (value) => Number.isInteger(value) && value > 0
+};
+
+const REQUIRED_FIELDS = ['windowMs', 'maxRequests', 'blockDurationMs'];
+
+/**
+ * Parse a [rateLimits] section into limit entries
+ *
+ * @param {object} policy - The rateLimits configuration section
+ * @param {Map} [baseLimits] - Built-in limits that policy entries override
+ * @param {object} [options]
+ * @param {boolean} [options.partial] - Skip required-field checks (used by
+ *   config-loader, which validates values without knowing the built-in limits)
+ * @returns {{ limits: Array<[string, object]>, replaceDefaults: boolean, escalation: object, geoVelocity: object, tenants: Array<[string, Array<[string, object]>]>, shadow: object|null, errors: string[] }}
+ *   escalation and geoVelocity only hold the fields set in the policy; tenants holds each
+ *   merchant's merged overrides; shadow is the parsed candidate policy
+ *   ({ name, replaceDefaults, limits, tenants }) or null
+ */
+export function parseRateLimitPolicy(policy = {}, baseLimits = new Map(), options = {}) {
+    const errors = [];
+    const limits = [];
+
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return { limits, replaceDefaults: false, escalation: {}, geoVelocity: {}, tenants: [], shadow: null, errors: ['rateLimits must be a table'] };
+    }
+
+    const replaceDefaults = policy.replaceDefaults === true;
+    if (policy.replaceDefaults !== undefined && typeof policy.replaceDefaults !== 'boolean') {
+        errors.push('rateLimits.replaceDefaults must be a boolean');
+    }
+
+    const escalation = parseSettingsTable('escalation', policy.escalation, ESCALATION_FIELDS, errors);
+    const geoVelocity = parseSettingsTable('geoVelocity', policy.geoVelocity, GEO_VELOCITY_FIELDS, errors);
+
+    for (const [scope, endpoints] of Object.entries(policy)) {
+        if (POLICY_SETTINGS.includes(scope)) continue;
+
+        if (!RATE_LIMIT_SCOPES.includes(scope)) {
+            errors.push(`rateLimits.${scope}: unknown scope (expected one of ${RATE_LIMIT_SCOPES.join(', ')})`);
+            continue;
+        }
+
+        if (!endpoints || typeof endpoints !== 'object' || Array.isArray(endpoints)) {
+            errors.push(`rateLimits.${scope} must be a table of endpoints`);
+            continue;
+        }
+
+        for (const [endpoint, entry] of Object.entries(endpoints)) {
+            const key = `${scope}:${endpoint}`;
+            const path = `rateLimits.${scope}.${endpoint}`;
+
+            if (!RATE_LIMIT_ENDPOINTS.includes(endpoint)) {
+                errors.push(`${path}: unknown endpoint category (expected one of ${RATE_LIMIT_ENDPOINTS.join(', ')})`);
+                continue;
+            }
+
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+                errors.push(`${path} must be a table`);
+                continue;
+            }
+
+            const limit = {
+                ...(replaceDefaults ? {} : baseLimits.get(key)),
+                ...entry,
+                scope
+            };
+            if (endpoint !== 'global') {
+                limit.endpoint = endpoint;
+            }
+
+            const entryErrors = validateLimit(path, limit, entry, options.partial === true);
+            if (entryErrors.length > 0) {
+                errors.push(...entryErrors);
+                continue;
+            }
+
+            limits.push([key, limit]);
+        }
+    }
+
+    // Tenant overrides build on the tenant limits as this policy leaves them
+    const tenantBase = new Map(replaceDefaults ? limits : [...baseLimits, ...limits]);
+    const tenants = parseTenants(policy.tenants, tenantBase, options, errors);
+
+    // The candidate is merged over the limits this policy enforces
+    const shadow = parseShadow(policy.shadow, tenantBase, options, errors);
+
+    return { limits, replaceDefaults, escalation, geoVelocity, tenants, shadow, errors };
+}
+
+/**
+ * Validate the optional [rateLimits.shadow] candidate policy
+ */
+function parseShadow(shadow, activeLimits, options, errors) {
+    if (shadow === undefined) return null;
+
+    if (!shadow || typeof shadow !== 'object' || Array.isArray(shadow)) {
+        errors.push('rateLimits.shadow must be a table');
+        return null;
+    }
+
+    const { name = 'shadow', ...candidate } = shadow;
+    if (typeof name !== 'string' || name.length === 0) {
+        errors.push('rateLimits.shadow.name must be a non-empty string');
+    }
+
+    for (const setting of UNSHADOWED_SETTINGS) {
+        if (setting in candidate) {
+            errors.push(`rateLimits.shadow.${setting} is not supported in shadow mode`);
+            delete candidate[setting];
+        }
+    }
+
+    const parsed = parseRateLimitPolicy(candidate, activeLimits, options);
+    errors.push(...parsed.errors.map(error => error.replace(/^rateLimits\b/, 'rateLimits.shadow')));
+
+    return {
+        name,
+        replaceDefaults: parsed.replaceDefaults,
+        limits: parsed.limits,
+        tenants: parsed.tenants
+    };
+}
+
+/**
+ * Validate the optional [rateLimits.tenants.<tenantId>] tables
+ */
+function parseTenants(tenants, baseLimits, options, errors) {
+    if (tenants === undefined) return [];
+
+    if (!tenants || typeof tenants !== 'object' || Array.isArray(tenants)) {
+        errors.push('rateLimits.tenants must be a table of tenants');
+        return [];
+    }
+
+    const parsed = [];
+    for (const [tenantId, endpoints] of Object.entries(tenants)) {
+        const result = parseTenantOverrides(tenantId, endpoints, baseLimits, options);
+        errors.push(...result.errors);
+        parsed.push([tenantId, result.limits]);
+    }
+
+    return parsed;
+}
+
+/**
+ * Parse one tenant's quota overrides ({ funding: { maxRequests: 500 } })
+ * into tenant scope limit entries merged over baseLimits
+ *
+ * @returns {{ limits: Array<[string, object]>, errors: string[] }}
+ */
+export function parseTenantOverrides(tenantId, endpoints, baseLimits = new Map(), options = {}) {
+    const errors = [];
+    const limits = [];
+    const tenantPath = `rateLimits.tenants.${tenantId}`;
+
+    if (!endpoints || typeof endpoints !== 'object' || Array.isArray(endpoints)) {
+        return { limits, errors: [`${tenantPath} must be a table of endpoints`] };
+    }
+
+    for (const [endpoint, entry] of Object.entries(endpoints)) {
+        const key = `tenant:${endpoint}`;
+        const path = `${tenantPath}.${endpoint}`;
+
+        if (!RATE_LIMIT_ENDPOINTS.includes(endpoint)) {
+            errors.push(`${path}: unknown endpoint category (expected one of ${RATE_LIMIT_ENDPOINTS.join(', ')})`);
+            continue;
+        }
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${path} must be a table`);
+            continue;
+        }
+
+        const limit = { ...baseLimits.get(key), ...entry, scope: 'tenant', tenantId };
+        if (endpoint !== 'global') {
+            limit.endpoint = endpoint;
+        }
+
+        const entryErrors = validateLimit(path, limit, entry, options.partial === true);
+        if (entryErrors.length > 0) {
+            errors.push(...entryErrors);
+            continue;
+        }
+
+        limits.push([key, limit]);
+    }
+
+    return { limits, errors };
+}
+
+/**
+ * Validate an optional settings table ([rateLimits.escalation],
+ * [rateLimits.geoVelocity]) against its field validators
+ */
+function parseSettingsTable(name, table, fields, errors) {
+    if (table === undefined) return {};
+
+    if (!table || typeof table !== 'object' || Array.isArray(table)) {
+        errors.push(`rateLimits.${name} must be a table`);
+        return {};
+    }
+
+    const parsed = {};
+    for (const [field, value] of Object.entries(table)) {
+        const isValid = fields[field];
+        if (!isValid) {
+            errors.push(`rateLimits.${name}.${field}: unknown field`);
+        } else if (!isValid(value)) {
+            errors.push(`rateLimits.${name}.${field} has an invalid value: ${value}`);
+        } else {
+            parsed[field] = value;
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Validate a single merged limit entry
+ */
+function validateLimit(path, limit, entry, partial) {
+    const errors = [];
+
+    for (const field of Object.keys(entry)) {
+        if (!(field in LIMIT_FIELDS)) {
+            errors.push(`${path}.${field}: unknown field`);
+        }
+    }
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!partial && limit[field] === undefined) {
+            errors.push(`${path}.${field} is required`);
+        }
+    }
+
+    for (const [field, isValid] of Object.entries(LIMIT_FIELDS)) {
+        if (limit[field] !== undefined && !isValid(limit[field])) {
+            errors.push(field === 'algorithm'
+                ? `${path}.algorithm must be one of ${Object.keys(RATE_LIMIT_ALGORITHMS).join(', ')}`
+                : `${path}.${field} has an invalid value: ${limit[field]}`);
+        }
+    }
+
+    return errors;
+}
+
+export default {
+    RATE_LIMIT_SCOPES,
+    RATE_LIMIT_ENDPOINTS,
+    DEFAULT_ESCALATION,
+    parseRateLimitPolicy,
+    parseTenantOverrides
+};
@@ -0,0 +1,249 @@
+#!/usr/bin/env bun
+
+// security/rate-limit-shadow.js - Shadow (Dry-Run) Rate Limit Evaluation
+// Runs a candidate limit set next to the enforced one and reports where they disagree
+
+import { randomUUID } from 'crypto';
+import { getRateLimitAlgorithm, DEFAULT_ALGORITHM } from './rate-limit-algorithms.js';
+
+console.log("👥 Rate Limit Shadow - Loaded");
+
+/**
+ * A shadow keeps its own counters (namespace shadowCounters) so evaluating
+ * it never consumes the enforced limits, and it never rejects anything.
+ * Every evaluated request gets one outcome:
+ * - AGREE_ALLOW / AGREE_BLOCK - both limit sets decide the same way
+ * - WOULD_BLOCK - allowed now, the candidate would reject it
+ * - WOULD_ALLOW - rejected now, the candidate would let it through
+ *
+ * Disagreements are kept as decisions (namespace shadowDecisions) and all
+ * outcomes roll up into a per-shadow summary (namespace shadowReports), so
+ * replicas sharing a store build one report.
+ *
+ * Simplifications: candidate blocks use the scope's blockDurationMs without
+ * repeat-offender escalation, and IP rules and manual blocks are not
+ * re-evaluated (they apply before any limit in both sets).
+ */
+
+export const SHADOW_OUTCOMES = ['AGREE_ALLOW', 'AGREE_BLOCK', 'WOULD_BLOCK', 'WOULD_ALLOW'];
+
+const DEFAULT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MAX_TRACKED_ENTITIES = 1000; // Distinct entities counted per scope
+
+export class RateLimitShadow {
+    /**
+     * @param {object} store - Rate limit store shared with the limiter
+     * @param {object} options
+     * @param {string} options.name - Report name (a new name starts a new report)
+     * @param {Map} options.limits - Candidate limit table (`scope:endpoint` → limit)
+     * @param {Map} [options.tenantLimits] - Candidate per-merchant overrides
+     * @param {Function} [options.pseudonymize] - Hashes entities before they are stored
+     * @param {number} [options.retentionMs] - How long decisions and the report are kept
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.name = options.name || 'shadow';
+        this.limits = options.limits || new Map();
+        this.tenantLimits = options.tenantLimits || new Map();
+        this.pseudonymize = options.pseudonymize || ((value) => value);
+        this.retentionMs = options.retentionMs ?? DEFAULT_RETENTION_MS;
+    }
+
+    /**
+     * Candidate limit for a scope, preferring the merchant's own quota
+     */
+    getLimit(scope) {
+        if (scope.type === 'tenant') {
+            const override = this.tenantLimits.get(scope.identifier)?.get(scope.key);
+            if (override) return override;
+        }
+        return this.limits.get(scope.key);
+    }
+
+    /**
+     * Evaluate the candidate limits for a request the limiter just decided
+     *
+     * @param {Array} scopes - Scopes from EnhancedRateLimiter.getScopesForRequest
+     * @param {object} active - The enforced checkRateLimit result
+     * @param {object} request - The sanitized request, stored with decisions
+     * @returns {Promise<{ name, outcome, allowed, scope, reason }>}
+     */
+    async evaluate(scopes, active, request, now = Date.now()) {
+        let decision = { allowed: true, scope: null, reason: null };
+
+        // Stop at the first rejecting scope, as enforcement would
+        for (const scope of scopes) {
+            const result = await this.consume(scope, now);
+            if (!result.allowed) {
+                decision = { allowed: false, scope: scope.key, reason: result.reason, entity: `${scope.type}:${scope.identifier}` };
+                break;
+            }
+        }
+
+        const outcome = this.getOutcome(active.allowed, decision.allowed);
+        const entity = decision.entity || (active.scope && this.activeEntity(scopes, active.scope));
+
+        await this.recordOutcome(outcome, outcome === 'WOULD_ALLOW' ? active.scope : decision.scope, entity, now);
+
+        if (outcome === 'WOULD_BLOCK' || outcome === 'WOULD_ALLOW') {
+            await this.store.set('shadowDecisions', `${this.name}:${now}:${randomUUID()}`, {
+                name: this.name,
+                outcome,
+                shadowScope: decision.scope,
+                shadowReason: decision.reason,
+                activeScope: active.scope || null,
+                activeReason: active.reason || null,
+                request,
+                timestamp: now
+            }, this.retentionMs);
+        }
+
+        return {
+            name: this.name,
+            outcome,
+            allowed: decision.allowed,
+            scope: decision.scope,
+            reason: decision.reason
+        };
+    }
+
+    /**
+     * Count a request against one candidate scope (shadow counters only)
+     */
+    async consume(scope, now) {
+        const limit = this.getLimit(scope);
+        if (!limit) return { allowed: true };
+
+        const algorithmName = limit.algorithm || DEFAULT_ALGORITHM;
+        const algorithm = getRateLimitAlgorithm(algorithmName);
+        const quota = scope.type === 'tenant';
+        let result;
+
+        await this.store.update('shadowCounters', `${this.name}|${scope.key}:${scope.identifier}`, (counter) => {
+            if ((counter?.blockedUntil || 0) > now) {
+                result = { allowed: false, reason: quota ? 'QUOTA_EXHAUSTED' : 'RATE_LIMIT_BLOCKED' };
+                return counter;
+            }
+
+            const algorithmState = counter?.algorithm === algorithmName ? counter.state : null;
+            const decision = algorithm.consume(algorithmState, limit, now);
+
+            result = decision.allowed
+                ? { allowed: true }
+                : { allowed: false, reason: quota ? 'QUOTA_EXHAUSTED' : 'RATE_LIMIT_EXCEEDED' };
+
+            return {
+                algorithm: algorithmName,
+                state: decision.state,
+                blockedUntil: !decision.allowed && limit.blockDurationMs > 0 ? now + limit.blockDurationMs : 0
+            };
+        }, Math.max(algorithm.ttlMs(limit), limit.blockDurationMs || 0));
+
+        return result;
+    }
+
+    /**
+     * Classify an (enforced, candidate) pair of decisions
+     */
+    getOutcome(activeAllowed, shadowAllowed) {
+        if (activeAllowed === shadowAllowed) {
+            return activeAllowed ? 'AGREE_ALLOW' : 'AGREE_BLOCK';
+        }
+        return activeAllowed ? 'WOULD_BLOCK' : 'WOULD_ALLOW';
+    }
+
+    /**
+     * Entity the enforced limits rejected, from the scope that rejected it
+     */
+    activeEntity(scopes, scopeKey) {
+        const scope = scopes.find(candidate => candidate.key === scopeKey);
+        return scope ? `${scope.type}:${scope.identifier}` : null;
+    }
+
+    /**
+     * Roll an outcome into the shadow's summary
+     */
+    async recordOutcome(outcome, scopeKey, entity, now) {
+        const hashedEntity = entity ? this.pseudonymize(entity) : null;
+
+        await this.store.update('shadowReports', this.name, (summary) => {
+            const next = summary || {
+                name: this.name,
+                startedAt: now,
+                evaluated: 0,
+                outcomes: Object.fromEntries(SHADOW_OUTCOMES.map(name => [name, 0])),
+                scopes: {}
+            };
+
+            const outcomes = { ...next.outcomes, [outcome]: next.outcomes[outcome] + 1 };
+            const scopes = { ...next.scopes };
+
+            if (scopeKey && (outcome === 'WOULD_BLOCK' || outcome === 'WOULD_ALLOW')) {
+                const stats = scopes[scopeKey] || { WOULD_BLOCK: 0, WOULD_ALLOW: 0, entities: [] };
+                const entities = hashedEntity && !stats.entities.includes(hashedEntity) && stats.entities.length < MAX_TRACKED_ENTITIES
+                    ? [...stats.entities, hashedEntity]
+                    : stats.entities;
+
+                scopes[scopeKey] = { ...stats, [outcome]: stats[outcome] + 1, entities };
+            }
+
+            return { ...next, evaluated: next.evaluated + 1, updatedAt: now, outcomes, scopes };
+        }, this.retentionMs);
+    }
+
+    /**
+     * Summary report: outcome counts and rates, the scopes behind each
+     * disagreement (with distinct entities affected), and recent decisions
+     */
+    async getReport(options = {}) {
+        const summary = await this.store.get('shadowReports', this.name);
+        const decisions = (await this.store.entries('shadowDecisions'))
+            .map(([, decision]) => decision)
+            .filter(decision => decision.name === this.name)
+            .sort((a, b) => b.timestamp - a.timestamp);
+
+        const evaluated = summary?.evaluated || 0;
+        const outcomes = summary?.outcomes || Object.fromEntries(SHADOW_OUTCOMES.map(name => [name, 0]));
+        const rate = (count) => evaluated > 0 ? count / evaluated : 0;
+
+        return {
+            name: this.name,
+            startedAt: summary ? new Date(summary.startedAt).toISOString() : null,
+            updatedAt: summary ? new Date(summary.updatedAt).toISOString() : null,
+            evaluated,
+            outcomes,
+            agreementRate: evaluated > 0 ? rate(outcomes.AGREE_ALLOW + outcomes.AGREE_BLOCK) : 1,
+            wouldBlockRate: rate(outcomes.WOULD_BLOCK),
+            wouldAllowRate: rate(outcomes.WOULD_ALLOW),
+            scopes: Object.entries(summary?.scopes || {})
+                .map(([scope, stats]) => ({
+                    scope,
+                    wouldBlock: stats.WOULD_BLOCK,
+                    wouldAllow: stats.WOULD_ALLOW,
+                    entities: stats.entities.length
+                }))
+                .sort((a, b) => (b.wouldBlock + b.wouldAllow) - (a.wouldBlock + a.wouldAllow)),
+            recentDecisions: decisions.slice(0, options.limit ?? 20)
+        };
+    }
+
+    /**
+     * Drop this shadow's report, decisions and counters
+     */
+    async reset() {
+        await this.store.delete('shadowReports', this.name);
+
+        for (const namespace of ['shadowDecisions', 'shadowCounters']) {
+            for (const [key] of await this.store.entries(namespace)) {
+                if (key.startsWith(`${this.name}:`) || key.startsWith(`${this.name}|`)) {
+                    await this.store.delete(namespace, key);
+                }
+            }
+        }
+    }
+}
+
+export default {
+    SHADOW_OUTCOMES,
+    RateLimitShadow
+};
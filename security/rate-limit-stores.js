@@ -0,0 +1,495 @@
+#!/usr/bin/env bun
+
+// security/rate-limit-stores.js - Shared Rate Limiter Storage Backends
+// Pluggable stores so counters, blocks and patterns are shared across limiter replicas
+
+console.log("🗄️ Rate Limit Stores - Loaded");
+
+/**
+ * Storage adapter contract used by EnhancedRateLimiter
+ *
+ * Every store keeps JSON-serializable values grouped by namespace
+ * ('counters', 'blocks', 'suspicious', ...) and exposes the same async API:
+ * - get(namespace, key) / set(namespace, key, value, ttlMs)
+ * - update(namespace, key, updater, ttlMs) - atomic read-modify-write of one
+ *   entry; concurrent updates (from any replica) never see the same value
+ * - delete(namespace, key) / entries(namespace) / size(namespace)
+ * - prune() / clear(namespace) / close()
+ *
+ * A ttlMs of 0 keeps the entry until it is deleted. update() also takes
+ * ttlMs as a function of the updated value, applied in the same atomic
+ * write. Returning null or undefined from an updater deletes the entry.
+ */
+
+/**
+ * TTL for an updated value (update() accepts a number or (value) => number)
+ */
+function resolveTtl(ttlMs, value) {
+    return typeof ttlMs === 'function' ? ttlMs(value) : ttlMs;
+}
+
+/**
+ * In-memory store (default) - state is local to the current process
+ */
+export class MemoryRateLimitStore {
+    constructor() {
+        this.namespaces = new Map();
+    }
+
+    /**
+     * Get (or create) the map backing a namespace
+     */
+    getNamespace(namespace) {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, new Map());
+        }
+        return this.namespaces.get(namespace);
+    }
+
+    async get(namespace, key) {
+        return this.readEntry(namespace, key);
+    }
+
+    async set(namespace, key, value, ttlMs = 0) {
+        this.writeEntry(namespace, key, value, ttlMs);
+    }
+
+    async update(namespace, key, updater, ttlMs = 0) {
+        // Read, update and write without yielding, so concurrent updates of
+        // a key never start from the same snapshot
+        const next = updater(this.readEntry(namespace, key));
+
+        if (next === null || next === undefined) {
+            this.getNamespace(namespace).delete(key);
+            return null;
+        }
+
+        this.writeEntry(namespace, key, next, resolveTtl(ttlMs, next));
+        return next;
+    }
+
+    async delete(namespace, key) {
+        return this.getNamespace(namespace).delete(key);
+    }
+
+    async entries(namespace) {
+        const now = Date.now();
+        const result = [];
+
+        for (const [key, entry] of this.getNamespace(namespace).entries()) {
+            if (!entry.expiresAt || entry.expiresAt > now) {
+                result.push([key, entry.value]);
+            }
+        }
+
+        return result;
+    }
+
+    async size(namespace) {
+        return (await this.entries(namespace)).length;
+    }
+
+    async prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        for (const entries of this.namespaces.values()) {
+            for (const [key, entry] of entries.entries()) {
+                if (entry.expiresAt && entry.expiresAt <= now) {
+                    entries.delete(key);
+                    removed++;
+                }
+            }
+        }
+
+        return removed;
+    }
+
+    async clear(namespace) {
+        if (namespace) {
+            this.namespaces.delete(namespace);
+        } else {
+            this.namespaces.clear();
+        }
+    }
+
+    async close() {
+        this.namespaces.clear();
+    }
+
+    /**
+     * Read a single non-expired entry (synchronous, usable inside update)
+     */
+    readEntry(namespace, key) {
+        const entries = this.getNamespace(namespace);
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    /**
+     * Write a single entry (synchronous, usable inside update)
+     */
+    writeEntry(namespace, key, value, ttlMs) {
+        this.getNamespace(namespace).set(key, {
+            value,
+            expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0
+        });
+    }
+}
+
+/**
+ * SQLite store - shares state between processes on the same host
+ * through a common database file (WAL mode, immediate transactions)
+ */
+export class SQLiteRateLimitStore {
+    constructor(options = {}) {
+        this.path = options.path || './databases/rate-limits.db';
+        this.table = options.table || 'rate_limit_state';
+        this.db = options.db || null;
+    }
+
+    /**
+     * Open the database and create the state table on first use
+     */
+    async getDatabase() {
+        if (this.db) return this.db;
+
+        const { Database } = await import('bun:sqlite');
+        const db = new Database(this.path, { create: true });
+
+        db.run('PRAGMA journal_mode = WAL');
+        db.run('PRAGMA busy_timeout = 5000');
+        db.run(`
+            CREATE TABLE IF NOT EXISTS ${this.table} (
+                namespace TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                expires_at INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (namespace, key)
+            )
+        `);
+
+        this.db = db;
+        return db;
+    }
+
+    async get(namespace, key) {
+        const db = await this.getDatabase();
+        return this.readEntry(db, namespace, key);
+    }
+
+    async set(namespace, key, value, ttlMs = 0) {
+        const db = await this.getDatabase();
+        this.writeEntry(db, namespace, key, value, ttlMs);
+    }
+
+    async update(namespace, key, updater, ttlMs = 0) {
+        const db = await this.getDatabase();
+
+        const transaction = db.transaction(() => {
+            const next = updater(this.readEntry(db, namespace, key));
+
+            if (next === null || next === undefined) {
+                db.query(`DELETE FROM ${this.table} WHERE namespace = ? AND key = ?`).run(namespace, key);
+                return null;
+            }
+
+            this.writeEntry(db, namespace, key, next, resolveTtl(ttlMs, next));
+            return next;
+        });
+
+        // Immediate transactions take the write lock up front so concurrent
+        // processes serialize instead of overwriting each other's counters
+        return transaction.immediate();
+    }
+
+    async delete(namespace, key) {
+        const db = await this.getDatabase();
+        const result = db.query(`DELETE FROM ${this.table} WHERE namespace = ? AND key = ?`).run(namespace, key);
+        return result.changes > 0;
+    }
+
+    async entries(namespace) {
+        const db = await this.getDatabase();
+        const rows = db.query(
+            `SELECT key, value FROM ${this.table} WHERE namespace = ? AND (expires_at = 0 OR expires_at > ?)`
+        ).all(namespace, Date.now());
+
+        return rows.map(row => [row.key, JSON.parse(row.value)]);
+    }
+
+    async size(namespace) {
+        const db = await this.getDatabase();
+        const row = db.query(
+            `SELECT COUNT(*) AS count FROM ${this.table} WHERE namespace = ? AND (expires_at = 0 OR expires_at > ?)`
+        ).get(namespace, Date.now());
+
+        return row.count;
+    }
+
+    async prune() {
+        const db = await this.getDatabase();
+        const result = db.query(
+            `DELETE FROM ${this.table} WHERE expires_at > 0 AND expires_at <= ?`
+        ).run(Date.now());
+
+        return result.changes;
+    }
+
+    async clear(namespace) {
+        const db = await this.getDatabase();
+        if (namespace) {
+            db.query(`DELETE FROM ${this.table} WHERE namespace = ?`).run(namespace);
+        } else {
+            db.run(`DELETE FROM ${this.table}`);
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    /**
+     * Read a single non-expired entry (synchronous, usable inside transactions)
+     */
+    readEntry(db, namespace, key) {
+        const row = db.query(
+            `SELECT value, expires_at FROM ${this.table} WHERE namespace = ? AND key = ?`
+        ).get(namespace, key);
+
+        if (!row) return null;
+        if (row.expires_at && row.expires_at <= Date.now()) return null;
+
+        return JSON.parse(row.value);
+    }
+
+    /**
+     * Upsert a single entry (synchronous, usable inside transactions)
+     */
+    writeEntry(db, namespace, key, value, ttlMs) {
+        db.query(`
+            INSERT INTO ${this.table} (namespace, key, value, expires_at) VALUES (?, ?, ?, ?)
+            ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at
+        `).run(namespace, key, JSON.stringify(value), ttlMs > 0 ? Date.now() + ttlMs : 0);
+    }
+}
+
+// Write ARGV[2] (delete when empty) only if the key still holds ARGV[1]
+// (empty when missing); values are JSON and never empty strings
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1]) or ''
+if current ~= ARGV[1] then
+    return 0
+end
+if ARGV[2] == '' then
+    redis.call('DEL', KEYS[1])
+elseif tonumber(ARGV[3]) > 0 then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+else
+    redis.call('SET', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * Redis store - shares state between hosts through any server speaking the
+ * Redis protocol. The client only needs `send(command, args)`, which matches
+ * Bun's RedisClient and lets tests run against a local stand-in. Updates
+ * are atomic on the server (a Lua compare-and-set, retried on conflict).
+ */
+export class RedisRateLimitStore {
+    constructor(options = {}) {
+        this.url = options.url || process.env.REDIS_URL || 'redis://localhost:6379';
+        this.prefix = options.prefix || 'ratelimit:';
+        this.scanCount = options.scanCount || 100;
+        this.client = options.client || null;
+        this.maxUpdateRetries = options.maxUpdateRetries || 20;
+        this.pendingUpdates = new Map();
+    }
+
+    /**
+     * Lazily connect with Bun's built-in Redis client
+     */
+    async getClient() {
+        if (this.client) return this.client;
+
+        const { RedisClient } = await import('bun');
+        this.client = new RedisClient(this.url);
+        return this.client;
+    }
+
+    /**
+     * Build the namespaced Redis key
+     */
+    redisKey(namespace, key) {
+        return `${this.prefix}${namespace}:${key}`;
+    }
+
+    async get(namespace, key) {
+        const client = await this.getClient();
+        const raw = await client.send('GET', [this.redisKey(namespace, key)]);
+        return raw === null || raw === undefined ? null : JSON.parse(raw);
+    }
+
+    async set(namespace, key, value, ttlMs = 0) {
+        const client = await this.getClient();
+        const args = [this.redisKey(namespace, key), JSON.stringify(value)];
+        if (ttlMs > 0) {
+            args.push('PX', String(Math.ceil(ttlMs)));
+        }
+        await client.send('SET', args);
+    }
+
+    async update(namespace, key, updater, ttlMs = 0) {
+        // Updates to the same key are queued within this process to avoid
+        // needless conflicts; across processes each write is a server-side
+        // compare-and-set that retries when another replica got there first
+        const redisKey = this.redisKey(namespace, key);
+        const previous = this.pendingUpdates.get(redisKey) || Promise.resolve();
+
+        const run = previous.catch(() => {}).then(() => this.compareAndSet(redisKey, updater, ttlMs));
+
+        this.pendingUpdates.set(redisKey, run);
+        try {
+            return await run;
+        } finally {
+            if (this.pendingUpdates.get(redisKey) === run) {
+                this.pendingUpdates.delete(redisKey);
+            }
+        }
+    }
+
+    /**
+     * Apply an updater with optimistic concurrency: write only if the key
+     * still holds the value the updater saw, otherwise re-read and retry
+     */
+    async compareAndSet(redisKey, updater, ttlMs) {
+        const client = await this.getClient();
+
+        for (let attempt = 0; attempt < this.maxUpdateRetries; attempt++) {
+            const current = await client.send('GET', [redisKey]);
+            const next = updater(current === null || current === undefined ? null : JSON.parse(current));
+            const serialized = next === null || next === undefined ? '' : JSON.stringify(next);
+            const ttl = serialized === '' ? 0 : resolveTtl(ttlMs, next);
+
+            const written = await client.send('EVAL', [
+                COMPARE_AND_SET_SCRIPT,
+                '1',
+                redisKey,
+                current ?? '',
+                serialized,
+                String(ttl > 0 ? Math.ceil(ttl) : 0)
+            ]);
+
+            if (Number(written) === 1) {
+                return serialized === '' ? null : next;
+            }
+        }
+
+        throw new Error(`Rate limit store update of ${redisKey} kept conflicting after ${this.maxUpdateRetries} attempts`);
+    }
+
+    async delete(namespace, key) {
+        const client = await this.getClient();
+        const removed = await client.send('DEL', [this.redisKey(namespace, key)]);
+        return Number(removed) > 0;
+    }
+
+    async entries(namespace) {
+        const client = await this.getClient();
+        const keyPrefix = this.redisKey(namespace, '');
+        const keys = await this.scanKeys(client, `${keyPrefix}*`);
+        if (keys.length === 0) return [];
+
+        const values = await client.send('MGET', keys);
+        const result = [];
+
+        keys.forEach((redisKey, index) => {
+            // Keys can expire between SCAN and MGET
+            if (values[index] !== null && values[index] !== undefined) {
+                result.push([redisKey.substring(keyPrefix.length), JSON.parse(values[index])]);
+            }
+        });
+
+        return result;
+    }
+
+    async size(namespace) {
+        const client = await this.getClient();
+        const keys = await this.scanKeys(client, `${this.redisKey(namespace, '')}*`);
+        return keys.length;
+    }
+
+    async prune() {
+        // Redis expires keys natively through PX
+        return 0;
+    }
+
+    async clear(namespace) {
+        const client = await this.getClient();
+        const pattern = namespace ? `${this.redisKey(namespace, '')}*` : `${this.prefix}*`;
+        const keys = await this.scanKeys(client, pattern);
+        if (keys.length > 0) {
+            await client.send('DEL', keys);
+        }
+    }
+
+    async close() {
+        if (this.client && typeof this.client.close === 'function') {
+            this.client.close();
+        }
+        this.client = null;
+    }
+
+    /**
+     * Iterate SCAN until the cursor wraps, collecting matching keys
+     */
+    async scanKeys(client, pattern) {
+        const keys = new Set();
+        let cursor = '0';
+
+        do {
+            const [nextCursor, batch] = await client.send('SCAN', [cursor, 'MATCH', pattern, 'COUNT', String(this.scanCount)]);
+            cursor = String(nextCursor);
+            for (const key of batch) {
+                keys.add(key);
+            }
+        } while (cursor !== '0');
+
+        return Array.from(keys);
+    }
+}
+
+/**
+ * Create a store from a plain options object
+ * (e.g. { type: 'sqlite', path: './databases/rate-limits.db' })
+ */
+export function createRateLimitStore(options = {}) {
+    switch (options.type || 'memory') {
+        case 'memory':
+            return new MemoryRateLimitStore();
+        case 'sqlite':
+            return new SQLiteRateLimitStore(options);
+        case 'redis':
+            return new RedisRateLimitStore(options);
+        default:
+            throw new Error(`Unknown rate limit store type: ${options.type}`);
+    }
+}
+
+export default {
+    MemoryRateLimitStore,
+    SQLiteRateLimitStore,
+    RedisRateLimitStore,
+    createRateLimitStore
+};
@@ -0,0 +1,103 @@
+#!/usr/bin/env bun
+
+// __tests__/address-matcher.test.js - Address Matcher Tests
+// Address parsing, normalization and similarity across US, CA and EU formats
+
+import { describe, it, expect } from 'bun:test';
+import { addressSimilarity, normalizePostalCode, parseAddress } from '../utilities/address-matcher.js';
+import { ValidationEngine } from '../utilities/validation-engine.js';
+
+console.log("📮 Address Matcher Test Suite - Loaded");
+
+describe('Address Matcher', () => {
+    it('should parse US addresses with abbreviations and units', () => {
+        expect(parseAddress('123 North Main Street, Apt 4B, Springfield, Illinois 62704-1234')).toEqual({
+            houseNumber: '123',
+            street: 'n main st',
+            unit: '4b',
+            city: 'springfield',
+            region: 'IL',
+            postalCode: '62704',
+            country: 'US'
+        });
+    });
+
+    it('should parse EU and CA addresses', () => {
+        expect(parseAddress('Hauptstraße 5, 10115 Berlin, Germany')).toMatchObject({
+            houseNumber: '5', street: 'hauptstr', city: 'berlin', postalCode: '10115', country: 'DE'
+        });
+        expect(parseAddress('350 Rue Sainte-Catherine O, Montréal, QC h3b 1a1')).toMatchObject({
+            houseNumber: '350', city: 'montreal', region: 'QC', postalCode: 'H3B1A1', country: 'CA'
+        });
+    });
+
+    it('should normalize postal codes by country format', () => {
+        expect(normalizePostalCode('62704-1234', 'US')).toBe('62704');
+        expect(normalizePostalCode('1012 ab', 'NL')).toBe('1012AB');
+        expect(normalizePostalCode('00-950', 'PL')).toBe('00-950');
+        expect(normalizePostalCode('ABCDE', 'US')).toBeNull();
+    });
+
+    it('should score matching addresses written differently', () => {
+        expect(addressSimilarity(
+            '123 Main St. Apt 4B, Springfield, IL 62704',
+            '123 Main Street #4B, Springfield, Illinois 62704-1234'
+        )).toBe(1.0);
+        expect(addressSimilarity(
+            { street: '123 Main St', city: 'Springfield', region: 'IL', postal_code: '62704', country: 'US' },
+            '123 Main Street, Springfield, IL 62704'
+        )).toBe(1.0);
+        expect(addressSimilarity('Hauptstraße 5, 10115 Berlin', 'Hauptstr. 5, 10115 Berlin')).toBe(1.0);
+    });
+
+    it('should score different addresses low', () => {
+        expect(addressSimilarity('123 Main St, Springfield, IL 62704', '123 Elm St, Springfield, IL 62704')).toBeLessThan(0.8);
+        expect(addressSimilarity('123 Main St, Springfield, IL 62704', '125 Main St, Springfield, IL 62704')).toBeLessThan(0.8);
+        expect(addressSimilarity('123 Main St, Toronto, ON M5V 2T6', '123 Main St, Springfield, IL 62704')).toBe(0);
+        expect(addressSimilarity({ verified: true }, '123 Main St, Springfield, IL 62704')).toBe(0);
+    });
+
+    describe('ValidationEngine integration', () => {
+        const engine = new ValidationEngine();
+        const identity = {
+            success: true,
+            userId: 'user_1',
+            email: 'jane@example.com',
+            address: '123 Main Street, Apt 4B, Springfield, IL 62704'
+        };
+        const plaid = {
+            success: true,
+            accounts: [{
+                owners: [{
+                    names: ['Jane Doe'],
+                    addresses: [{ data: { street: '123 Main St Apt 4B', city: 'Springfield', region: 'IL', postal_code: '62704', country: 'US' } }]
+                }]
+            }]
+        };
+
+        it('should add address matches to the Plaid score', () => {
+            expect(engine.validateIdentityPlaidMatch(identity, plaid)).toBe(20);
+            expect(engine.validateIdentityPlaidMatch({ ...identity, address: '9 Elm St, Boston, MA 02108' }, plaid)).toBe(0);
+            expect(engine.validateIdentityPlaidMatch({ ...identity, address: { verified: true } }, plaid)).toBe(0);
+        });
+
+        it('should include address consistency in the overall consistency', () => {
+            const result = engine.crossValidateAll(identity, { success: true, userId: 'user_1' }, plaid);
+
+            expect(result.crossValidation.address).toBe(100);
+            expect(result.crossValidation.overallConsistency).toBeGreaterThan(0);
+            expect(() => new ValidationEngine({ addressMatchThreshold: 2 })).toThrow('addressMatchThreshold must be between 0 and 1');
+        });
+
+        it('should lower the overall consistency when addresses do not match', () => {
+            const cashApp = { success: true, userId: 'user_1', address: '123 Main St, Springfield, IL 62704' };
+            const matching = engine.crossValidateAll(identity, cashApp, null);
+            const mismatched = engine.crossValidateAll(identity, { ...cashApp, address: '456 Oak Ave, Portland, OR 97201' }, null);
+
+            const { identityCashApp, address, overallConsistency } = mismatched.crossValidation;
+            expect(address).toBeLessThan(10);
+            expect(overallConsistency).toBe((identityCashApp + address) / 2);
+            expect(overallConsistency).toBeLessThan(matching.crossValidation.overallConsistency);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env bun
+
+// __tests__/business-hours.test.js - Business Hours Tests
+// Regional time zones, holiday calendars, reviewer shifts and routing preferences
+
+import { describe, it, expect } from 'bun:test';
+import { BusinessHours, localTime } from '../utilities/business-hours.js';
+import { TensionRouter } from '../utilities/tension-router.js';
+
+console.log("🕘 Business Hours Test Suite - Loaded");
+
+// Monday 2026-10-19: 10:00 in New York, 16:00 in Berlin
+const MONDAY_MORNING_US = Date.parse('2026-10-19T14:00:00Z');
+// Monday 2026-10-19: 13:00 in New York, 19:00 in Berlin
+const MONDAY_EVENING_EU = Date.parse('2026-10-19T17:00:00Z');
+const CHRISTMAS = Date.parse('2026-12-25T15:00:00Z');
+
+const ALL_WEEK = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const codes = (reasons) => reasons.map(reason => reason.code);
+
+describe('BusinessHours', () => {
+    const hours = new BusinessHours();
+
+    it('should read local time in the region time zone', () => {
+        expect(localTime(MONDAY_EVENING_EU, 'Europe/Berlin')).toEqual({ date: '2026-10-19', day: 'mon', minutes: 19 * 60, time: '19:00' });
+        expect(localTime(MONDAY_EVENING_EU, 'America/New_York').time).toBe('13:00');
+    });
+
+    it('should check business hours per region regardless of the server clock', () => {
+        expect(hours.check({ country: 'US' }, MONDAY_MORNING_US)).toMatchObject({
+            region: 'US',
+            timeZone: 'America/New_York',
+            localTime: 'mon 10:00',
+            businessHours: true,
+            reviewersOnShift: true
+        });
+        expect(hours.check({ country: 'FR' }, MONDAY_MORNING_US).businessHours).toBe(true);
+        expect(hours.check({ country: 'FR' }, MONDAY_EVENING_EU)).toMatchObject({ region: 'EU', businessHours: false });
+        expect(hours.check({ country: 'CA' }, MONDAY_EVENING_EU)).toMatchObject({ region: 'CA', businessHours: true });
+    });
+
+    it('should fall back to the default region', () => {
+        expect(hours.regionFor({ country: 'JP' })).toBe('US');
+        expect(hours.regionFor({})).toBe('US');
+    });
+
+    it('should close on yearly and one-off holidays', () => {
+        expect(hours.check({ country: 'US' }, CHRISTMAS)).toMatchObject({ businessHours: false, holiday: '12-25', reviewersOnShift: false });
+
+        const custom = new BusinessHours({ regions: { US: { holidays: ['2026-10-19'] } } });
+        expect(custom.check({ country: 'US' }, MONDAY_MORNING_US)).toMatchObject({ businessHours: false, holiday: '2026-10-19' });
+    });
+
+    it('should track reviewer shifts separately, including overnight shifts', () => {
+        const shifted = new BusinessHours({
+            shifts: {
+                // Monday 22:00 to Tuesday 06:00 in Berlin
+                eu_night: { timeZone: 'Europe/Berlin', days: ['mon'], start: '22:00', end: '06:00', regions: ['EU', 'US'] }
+            }
+        });
+
+        const tuesdayNight = Date.parse('2026-10-20T01:00:00Z'); // 03:00 Berlin, 21:00 New York
+        expect(shifted.check({ country: 'US' }, tuesdayNight)).toMatchObject({ businessHours: false, reviewersOnShift: true, shifts: ['eu_night'] });
+        expect(shifted.check({ country: 'CA' }, tuesdayNight)).toMatchObject({ reviewersOnShift: false, shifts: [] });
+        expect(shifted.check({ country: 'US' }, MONDAY_MORNING_US)).toMatchObject({ businessHours: true, reviewersOnShift: false });
+    });
+
+    it('should reject invalid settings', () => {
+        expect(() => new BusinessHours({
+            defaultRegion: 'APAC',
+            regions: { EU: { timeZone: 'Europe/Atlantis', start: '9am' } },
+            shifts: { night: { timeZone: 'UTC', start: '22:00', end: '06:00', regions: ['MARS'] } }
+        })).toThrow(
+            'verifier.businessHours.regions.EU.timeZone must be an IANA time zone (e.g. America/New_York)\n' +
+            'verifier.businessHours.regions.EU.start must be a time like 09:00'
+        );
+
+        expect(() => new BusinessHours({
+            defaultRegion: 'APAC',
+            shifts: { night: { timeZone: 'UTC', start: '22:00', end: '06:00', regions: ['MARS'] } }
+        })).toThrow(
+            'verifier.businessHours.defaultRegion must be one of US, CA, EU\n' +
+            'verifier.businessHours.shifts.night.regions: unknown region MARS'
+        );
+    });
+
+    describe('TensionRouter integration', () => {
+        it('should adjust adaptive routing by the requester region', async () => {
+            const router = new TensionRouter({
+                businessHours: { regions: { EU: { days: ALL_WEEK, start: '00:00', end: '24:00', holidays: [] } } }
+            });
+
+            const strategy = await router.applyAdaptiveStrategy({
+                userId: 'user_123',
+                confidence: 90,
+                location: { country: 'DE' }
+            });
+            const reason = strategy.reasons.find(item => item.code === 'ADAPTIVE_BUSINESS_HOURS');
+
+            expect(reason.values).toMatchObject({ region: 'EU', riskDelta: -5 });
+            expect(strategy.availability).toEqual({ region: 'EU', businessHours: true, reviewersOnShift: true });
+        });
+
+        it('should queue borderline rejections while reviewers are on shift', async () => {
+            const router = new TensionRouter({ enableAdaptiveRouting: false });
+            const finalResult = { userId: 'user_123', riskScore: 10, confidence: 50 };
+            const decision = (reviewersOnShift) => ({
+                riskScore: 10,
+                confidence: 50,
+                availability: { region: 'US', businessHours: reviewersOnShift, reviewersOnShift }
+            });
+
+            const onShift = router.evaluateRouting(finalResult, decision(true));
+            expect(onShift.finalTier).toBe('REJECT');
+            expect(onShift.requiresManualReview).toBe(true);
+            expect(codes(onShift.reasons)).toContain('REVIEWERS_ON_SHIFT');
+
+            const offShift = router.evaluateRouting(finalResult, decision(false));
+            expect(offShift.requiresManualReview).toBe(false);
+        });
+
+        it('should decide conflict-only reviews automatically when configured', async () => {
+            const finalResult = {
+                userId: 'user_123',
+                riskScore: 20,
+                confidence: 100,
+                sources: { plaid: true },
+                validation: { confidence: 100, crossValidation: { overallConsistency: 0.8, identityPlaid: 0.4 } }
+            };
+            const offShift = { tier: 'FAST', riskScore: 20, confidence: 100, availability: { region: 'US', businessHours: false, reviewersOnShift: false } };
+
+            const queueing = new TensionRouter({ enableAdaptiveRouting: false });
+            expect(queueing.evaluateRouting(finalResult, offShift).requiresManualReview).toBe(true);
+
+            const deciding = new TensionRouter({ enableAdaptiveRouting: false, businessHours: { autoDecideOffShift: true } });
+            const evaluation = deciding.evaluateRouting(finalResult, offShift);
+
+            expect(evaluation.finalTier).toBe('FAST');
+            expect(evaluation.requiresManualReview).toBe(false);
+            expect(codes(evaluation.reasons)).toContain('REVIEWERS_OFF_SHIFT');
+            expect(codes(evaluation.reasons)).not.toContain('MANUAL_REVIEW_CONFLICTS');
+        });
+    });
+});
@@ -0,0 +1,160 @@
+#!/usr/bin/env bun
+
+// __tests__/email-analyzer.test.js - Email Analyzer Tests
+// Disposable domains, role accounts, provider normalization and homoglyph domains
+
+import { describe, it, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EmailAnalyzer, emailAnalyzer, validateEmailSettings } from '../utilities/email-analyzer.js';
+import { ValidationEngine } from '../utilities/validation-engine.js';
+import { loadConfig } from '../config/core/config-loader.js';
+
+console.log("📧 Email Analyzer Test Suite - Loaded");
+
+const codes = (findings) => findings.map(finding => finding.code);
+
+describe('EmailAnalyzer', () => {
+    it('should normalize plus addresses and dots for providers that ignore them', () => {
+        expect(emailAnalyzer.normalize('A.B+x@gmail.com')).toBe('ab@gmail.com');
+        expect(emailAnalyzer.normalize('a.b@googlemail.com')).toBe('ab@gmail.com');
+        expect(emailAnalyzer.normalize('a.b+x@outlook.com')).toBe('a.b@outlook.com');
+        expect(emailAnalyzer.normalize('a.b+x@example.com')).toBe('a.b+x@example.com');
+        expect(emailAnalyzer.normalize('not-an-email')).toBeNull();
+    });
+
+    it('should flag disposable domains, including subdomains', () => {
+        const { findings } = emailAnalyzer.analyze('someone@inbox.mailinator.com');
+
+        expect(findings).toEqual([{
+            code: 'EMAIL_DISPOSABLE_DOMAIN',
+            severity: 'high',
+            message: 'Email uses the disposable domain mailinator.com',
+            values: { domain: 'mailinator.com' }
+        }]);
+        expect(emailAnalyzer.analyze('user@example.com').findings).toEqual([]);
+    });
+
+    it('should flag role accounts and plus addresses', () => {
+        expect(codes(emailAnalyzer.analyze('Support+billing@acme.io').findings)).toEqual(['EMAIL_ROLE_ACCOUNT', 'EMAIL_SUBADDRESS']);
+        expect(codes(emailAnalyzer.analyze('supporter@acme.io').findings)).toEqual([]);
+    });
+
+    it('should flag homoglyph domains in Unicode and punycode form', () => {
+        // Cyrillic а in gmаil.com
+        const unicode = emailAnalyzer.analyze('me@gmаil.com').findings[0];
+        expect(unicode).toMatchObject({
+            code: 'EMAIL_HOMOGLYPH_DOMAIN',
+            severity: 'high',
+            values: { asciiDomain: 'xn--gmil-63d.com', lookalike: 'gmail.com' }
+        });
+        expect(emailAnalyzer.analyze('me@xn--gmil-63d.com').findings[0]).toEqual(unicode);
+
+        // All-Cyrillic аррӏе.com
+        expect(emailAnalyzer.analyze('me@аррӏе.com').findings[0].values.lookalike).toBe('apple.com');
+        // Latin and Cyrillic mixed, imitating nothing in particular
+        expect(emailAnalyzer.analyze('me@shоp.example').findings[0]).toMatchObject({ code: 'EMAIL_HOMOGLYPH_DOMAIN', values: { lookalike: null } });
+    });
+
+    it('should report other internationalized domains as IDN', () => {
+        expect(codes(emailAnalyzer.analyze('me@bücher.de').findings)).toEqual(['EMAIL_IDN_DOMAIN']);
+        expect(codes(emailAnalyzer.analyze('me@пример.рф').findings)).toEqual(['EMAIL_IDN_DOMAIN']);
+    });
+
+    it('should load and update the disposable domain list', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'email-analyzer-'));
+        const path = join(dir, 'domains.txt');
+
+        try {
+            writeFileSync(path, '# refreshed list\nthrowaway.example\n');
+            const analyzer = new EmailAnalyzer({ disposableDomainsPath: path, disposableDomains: ['burner.example'] });
+
+            expect(analyzer.findDisposableDomain('throwaway.example')).toBe('throwaway.example');
+            expect(analyzer.findDisposableDomain('mailinator.com')).toBeNull();
+
+            analyzer.updateDisposableDomains(['mailinator.com']);
+            expect(analyzer.findDisposableDomain('mailinator.com')).toBe('mailinator.com');
+            expect(analyzer.updateDisposableDomains(['only.example'], { replace: true })).toBe(1);
+
+            const errors = validateEmailSettings({ disposableDomainsPath: join(dir, 'missing.txt'), rejectDisposable: 'yes' });
+            expect(errors[0]).toBe('verifier.email.rejectDisposable must be true or false');
+            expect(errors[1]).toStartWith('verifier.email.disposableDomainsPath: cannot load list');
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    describe('ValidationEngine integration', () => {
+        const user = (userId, email) => ({ userId, email, phone: '+15551234567' });
+
+        it('should add email findings to pre-screen issues and findings', async () => {
+            const engine = new ValidationEngine();
+
+            const role = await engine.preScreenUser(user('user_role', 'info@acme.io'));
+            expect(role.passed).toBe(true);
+            expect(role.score).toBe(90);
+            expect(role.issues).toEqual(['Email is a shared role account (info)']);
+            expect(role.findings).toEqual([{
+                field: 'email',
+                code: 'EMAIL_ROLE_ACCOUNT',
+                severity: 'warning',
+                message: 'Email is a shared role account (info)',
+                values: { role: 'info' }
+            }]);
+
+            const disposable = await engine.preScreenUser(user('user_burner', 'someone@yopmail.com'));
+            expect(disposable.passed).toBe(false);
+            expect(disposable.findings[0]).toMatchObject({ field: 'email', code: 'EMAIL_DISPOSABLE_DOMAIN' });
+
+            const lookalike = await engine.preScreenUser(user('user_idn', 'me@gmаil.com'));
+            expect(lookalike.passed).toBe(false);
+            expect(lookalike.score).toBe(60);
+            expect(lookalike.issues.every(issue => typeof issue === 'string')).toBe(true);
+        });
+
+        it('should let disposable domains through when configured', async () => {
+            const engine = new ValidationEngine({ email: { rejectDisposable: false } });
+            const preScreen = await engine.preScreenUser(user('user_burner', 'someone@yopmail.com'));
+
+            expect(preScreen.passed).toBe(true);
+            expect(preScreen.score).toBe(70);
+        });
+
+        it('should apply [verifier.email] from TOML', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'email-settings-'));
+            try {
+                writeFileSync(join(dir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+[verifier.email]
+rejectDisposable = true
+disposableDomains = ["throwaway.example"]
+`);
+                const config = await loadConfig(dir);
+                const preScreen = await new ValidationEngine(config.verifier).preScreenUser(user('user_burner', 'me@throwaway.example'));
+
+                expect(preScreen.passed).toBe(false);
+                expect(preScreen.findings[0]).toMatchObject({ code: 'EMAIL_DISPOSABLE_DOMAIN', values: { domain: 'throwaway.example' } });
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should match normalized emails across sources', () => {
+            const engine = new ValidationEngine();
+
+            expect(engine.compareEmails('a.b+x@gmail.com', 'ab@gmail.com')).toBe(1.0);
+            expect(engine.validateIdentityCashAppMatch(
+                { userId: 'user_1', email: 'Jane.Doe+cash@gmail.com' },
+                { userId: 'user_2', email: 'janedoe@googlemail.com' }
+            )).toBe(30);
+        });
+    });
+});
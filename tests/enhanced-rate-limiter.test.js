@@ -5,6 +5,16 @@
 
 import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
 import { EnhancedRateLimiter, createRateLimitMiddleware } from '../security/enhanced-rate-limiter.js';
+import { getRateLimitAlgorithm, RATE_LIMIT_ALGORITHMS } from '../security/rate-limit-algorithms.js';
+import { parseIP, parseCidr, cidrContains } from '../security/ip-ranges.js';
+import { parseLocation, haversineKm } from '../security/geo-velocity.js';
+import { SQLiteRateLimitStore } from '../security/rate-limit-stores.js';
+import { FileBlockAuditLog } from '../security/block-audit-log.js';
+import { Pseudonymizer } from '../security/pseudonymizer.js';
+import { loadConfig } from '../config/core/config-loader.js';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 console.log("🛡️ Enhanced Rate Limiter Test Suite - Loaded");
 
@@ -138,6 +148,14 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             expect(verificationAllowed).toBeGreaterThan(fundingAllowed);
         });
 
+        it('should not lose counter increments under concurrent requests', async () => {
+            const request = { ip: '10.0.0.1', path: '/api/funding' };
+
+            const results = await Promise.all(Array.from({ length: 20 }, () => rateLimiter.checkRateLimit(request)));
+
+            expect(results.filter(result => result.allowed)).toHaveLength(5);
+        });
+
         it('should apply GDPR-critical limits to data export endpoints', async () => {
             const exportRequest = {
                 userId: 'user789',
@@ -286,6 +304,7 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
                 await rateLimiter.checkRateLimit(request);
             }
 
+            request.timestamp = startTime + (10 * 5000);
             const result = await rateLimiter.checkRateLimit(request);
             expect(result.suspicious).toBe(true);
             expect(result.patterns).toContain('BOT_LIKE_PATTERN');
@@ -312,6 +331,872 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             expect(result.patterns).toContain('GEOGRAPHIC_ANOMALY');
             expect(result.riskScore).toBeGreaterThan(30);
         });
+
+        it('should not flag a single user on a stable device and IP', async () => {
+            const request = {
+                ip: '192.168.1.90',
+                userId: 'steady_user',
+                deviceFingerprint: 'steady_device',
+                location: 'US',
+                path: '/api/verify',
+                method: 'POST'
+            };
+
+            // Human-like, irregular gaps between requests
+            const startTime = Date.now();
+            const offsets = [0, 4000, 13000, 15000, 31000];
+            let result;
+            for (const offset of offsets) {
+                request.timestamp = startTime + offset;
+                result = await rateLimiter.checkRateLimit(request);
+            }
+
+            expect(result.allowed).toBe(true);
+            expect(result.suspicious).toBe(false);
+            expect(result.patterns).toEqual([]);
+            expect(result.riskScore).toBe(0);
+        });
+
+        it('should keep associations separate per device', async () => {
+            // Three devices on three IPs each stay under the rotation threshold
+            for (let device = 0; device < 3; device++) {
+                for (let i = 0; i < 3; i++) {
+                    await rateLimiter.checkRateLimit({
+                        ip: `10.1.${device}.${i}`,
+                        deviceFingerprint: `device_${device}`,
+                        path: '/api/verify',
+                        method: 'POST'
+                    });
+                }
+            }
+
+            expect((await rateLimiter.getRecentIPsForDevice('device_0')).size).toBe(3);
+            expect(await rateLimiter.getRecentIPsForDevice('device_1')).toEqual(new Set(['10.1.1.0', '10.1.1.1', '10.1.1.2']));
+            expect((await rateLimiter.getRecentIPsForDevice('unknown_device')).size).toBe(0);
+        });
+
+        it('should cap and expire association history', async () => {
+            rateLimiter.stop();
+            rateLimiter = new EnhancedRateLimiter({
+                associationWindows: { deviceIPs: { windowMs: 50, maxValues: 3 } }
+            });
+
+            for (let i = 0; i < 6; i++) {
+                await rateLimiter.checkRateLimit({
+                    ip: `10.2.0.${i}`,
+                    deviceFingerprint: 'bounded_device',
+                    path: '/api/verify',
+                    method: 'POST'
+                });
+            }
+
+            // Only the most recent observations are kept
+            expect(await rateLimiter.getRecentIPsForDevice('bounded_device')).toEqual(new Set(['10.2.0.3', '10.2.0.4', '10.2.0.5']));
+
+            await new Promise(resolve => setTimeout(resolve, 60));
+            expect((await rateLimiter.getRecentIPsForDevice('bounded_device')).size).toBe(0);
+        });
+    });
+
+    describe('Impossible Travel', () => {
+        const SAN_FRANCISCO = '37.77,-122.42';
+        const LOS_ANGELES = { lat: 34.05, lon: -118.24 };
+        const LONDON = { latitude: 51.51, longitude: -0.13 };
+        const MINUTE_MS = 60 * 1000;
+
+        const travelRequest = (overrides) => ({
+            ip: '10.80.0.1',
+            path: '/api/verify',
+            method: 'POST',
+            ...overrides
+        });
+
+        it('should parse locations and measure great-circle distances', () => {
+            const sanFrancisco = parseLocation(SAN_FRANCISCO);
+            const london = parseLocation(LONDON);
+
+            expect(sanFrancisco).toMatchObject({ lat: 37.77, lon: -122.42, accuracyKm: 25 });
+            expect(Math.round(haversineKm(sanFrancisco, london))).toBeGreaterThan(8500);
+            expect(Math.round(haversineKm(sanFrancisco, london))).toBeLessThan(8700);
+            expect(parseLocation('us-ca')).toMatchObject({ country: 'US', region: 'CA', accuracyKm: 1000 });
+            expect(parseLocation({ country: 'gb' })).toMatchObject({ country: 'GB' });
+            expect(parseLocation('EU')).toBeNull();
+            expect(parseLocation('95,10')).toBeNull();
+        });
+
+        it('should flag a user whose location jumps faster than a flight', async () => {
+            const start = Date.now();
+            await rateLimiter.checkRateLimit(travelRequest({ userId: 'traveller', location: SAN_FRANCISCO, timestamp: start }));
+            const result = await rateLimiter.checkRateLimit(travelRequest({ userId: 'traveller', location: LONDON, timestamp: start + 30 * MINUTE_MS }));
+
+            expect(result.allowed).toBe(true);
+            expect(result.patterns).toContain('IMPOSSIBLE_TRAVEL');
+            expect(result.riskScore).toBeGreaterThanOrEqual(60);
+        });
+
+        it('should not flag plausible travel or nearby countries', async () => {
+            const start = Date.now();
+            await rateLimiter.checkRateLimit(travelRequest({ userId: 'commuter', location: SAN_FRANCISCO, timestamp: start }));
+            const drive = await rateLimiter.checkRateLimit(travelRequest({ userId: 'commuter', location: LOS_ANGELES, timestamp: start + 2 * 60 * MINUTE_MS }));
+            expect(drive.patterns).not.toContain('IMPOSSIBLE_TRAVEL');
+
+            await rateLimiter.checkRateLimit(travelRequest({ userId: 'border_user', location: 'US', timestamp: start }));
+            const border = await rateLimiter.checkRateLimit(travelRequest({ userId: 'border_user', location: 'CA', timestamp: start + 10 * MINUTE_MS }));
+            expect(border.patterns).not.toContain('IMPOSSIBLE_TRAVEL');
+
+            const ocean = await rateLimiter.checkRateLimit(travelRequest({ userId: 'border_user', location: 'GB', timestamp: start + 20 * MINUTE_MS }));
+            expect(ocean.patterns).toContain('IMPOSSIBLE_TRAVEL');
+        });
+
+        it('should track devices independently of the user', async () => {
+            const start = Date.now();
+            await rateLimiter.checkRateLimit(travelRequest({ userId: 'first_user', deviceFingerprint: 'shared_device', location: SAN_FRANCISCO, timestamp: start }));
+            const result = await rateLimiter.checkRateLimit(travelRequest({
+                ip: '10.80.0.2',
+                userId: 'second_user',
+                deviceFingerprint: 'shared_device',
+                location: LONDON,
+                timestamp: start + 5 * MINUTE_MS
+            }));
+
+            expect(result.patterns).toContain('IMPOSSIBLE_TRAVEL');
+            expect(await rateLimiter.geoVelocity.getHistory('device', 'shared_device')).toHaveLength(2);
+        });
+
+        it('should block the entity above blockSpeedKmh', async () => {
+            rateLimiter.applyRateLimitPolicy({ geoVelocity: { blockSpeedKmh: 5000, blockDurationMs: 10 * MINUTE_MS } });
+            const blocked = [];
+            rateLimiter.on('rateLimit:blocked', event => blocked.push(event));
+
+            const start = Date.now();
+            await rateLimiter.checkRateLimit(travelRequest({ userId: 'teleporter', location: SAN_FRANCISCO, timestamp: start }));
+            const result = await rateLimiter.checkRateLimit(travelRequest({ userId: 'teleporter', location: LONDON, timestamp: start + MINUTE_MS }));
+
+            expect(result).toMatchObject({
+                allowed: false,
+                scope: 'userId:geo',
+                reason: 'IMPOSSIBLE_TRAVEL',
+                retryAfter: 600,
+                offenses: 1,
+                patterns: ['IMPOSSIBLE_TRAVEL']
+            });
+            expect(result.travel.speedKmh).toBeGreaterThan(5000);
+            expect(blocked[0]).toMatchObject({ scope: 'userId:geo', reason: 'IMPOSSIBLE_TRAVEL' });
+
+            // The block covers the user whatever the next location
+            const next = await rateLimiter.checkRateLimit(travelRequest({ ip: '10.80.0.9', userId: 'teleporter', location: LONDON }));
+            expect(next).toMatchObject({ allowed: false, scope: 'userId:geo', reason: 'IMPOSSIBLE_TRAVEL' });
+            expect(await rateLimiter.getBlockStatus('userId', 'teleporter')).toMatchObject({ blocked: true, reason: 'IMPOSSIBLE_TRAVEL' });
+
+            await rateLimiter.unblockEntity('userId', 'teleporter', { operator: 'analyst@onepay' });
+            const cleared = await rateLimiter.checkRateLimit(travelRequest({ ip: '10.80.0.9', userId: 'teleporter', location: LONDON }));
+            expect(cleared.allowed).toBe(true);
+        });
+
+        it('should validate [rateLimits.geoVelocity]', () => {
+            expect(() => rateLimiter.applyRateLimitPolicy({ geoVelocity: { riskScore: 200 } }))
+                .toThrow('rateLimits.geoVelocity.riskScore has an invalid value: 200');
+            expect(() => rateLimiter.applyRateLimitPolicy({ geoVelocity: { maxSpeed: 10 } }))
+                .toThrow('rateLimits.geoVelocity.maxSpeed: unknown field');
+
+            rateLimiter.applyRateLimitPolicy({ geoVelocity: { enabled: false } });
+            expect(rateLimiter.geoVelocity.settings).toMatchObject({ enabled: false, maxSpeedKmh: 1000 });
+        });
+    });
+
+    describe('Rate Limit Algorithms', () => {
+        const limit = { windowMs: 60 * 1000, maxRequests: 5 };
+
+        function consumeAt(algorithmName, times, limitConfig = limit) {
+            const algorithm = getRateLimitAlgorithm(algorithmName);
+            let state = null;
+            return times.map(now => {
+                const decision = algorithm.consume(state, limitConfig, now);
+                state = decision.state;
+                return decision.allowed;
+            });
+        }
+
+        // A window opened at t=0, 4 more requests at its end, 5 right after it rolls over
+        const boundaryBurst = [
+            0,
+            ...Array.from({ length: 4 }, (_, i) => 59 * 1000 + i),
+            ...Array.from({ length: 5 }, (_, i) => 60 * 1000 + 10 + i)
+        ];
+
+        it('should let a fixed window burst across the window boundary', () => {
+            const allowed = consumeAt('fixed-window', boundaryBurst);
+            expect(allowed.filter(Boolean).length).toBe(10);
+        });
+
+        it('should hold a sliding log to maxRequests within any rolling minute', () => {
+            const allowed = consumeAt('sliding-log', boundaryBurst);
+            // Only the t=0 request has aged out, freeing exactly one slot
+            expect(allowed.filter(Boolean).length).toBe(6);
+        });
+
+        it('should admit requests again once sliding log entries age out', () => {
+            const times = [0, 1000, 2000, 3000, 4000, 5000, 60 * 1000 + 1];
+            const allowed = consumeAt('sliding-log', times);
+            expect(allowed).toEqual([true, true, true, true, true, false, true]);
+        });
+
+        it('should weight the previous window in the sliding-window counter', () => {
+            const allowed = consumeAt('sliding-window', boundaryBurst);
+            // Just past the boundary nearly all of the previous window still counts
+            expect(allowed.filter(Boolean).length).toBe(5);
+
+            const algorithm = getRateLimitAlgorithm('sliding-window');
+            const state = { windowStart: 60 * 1000, count: 0, previousCount: 5 };
+            // Halfway through the next window only half of the previous count remains
+            expect(algorithm.consume(state, limit, 90 * 1000).allowed).toBe(true);
+        });
+
+        it('should refill a token bucket at the configured rate', () => {
+            const bucketLimit = { windowMs: 60 * 1000, maxRequests: 2, refillRate: 1 }; // 1 token per second
+            const allowed = consumeAt('token-bucket', [0, 0, 0, 500, 1000, 1000], bucketLimit);
+            expect(allowed).toEqual([true, true, false, false, true, false]);
+        });
+
+        it('should report remaining capacity and reset time', () => {
+            const decision = getRateLimitAlgorithm('sliding-log').consume(null, limit, 1000);
+            expect(decision.remaining).toBe(4);
+            expect(decision.resetMs).toBe(60 * 1000);
+        });
+
+        it('should reject unknown algorithms', () => {
+            expect(() => getRateLimitAlgorithm('leaky-bucket')).toThrow('Unknown rate limit algorithm: leaky-bucket');
+        });
+
+        it('should declare a known algorithm on every default limit', () => {
+            for (const [, limitConfig] of rateLimiter.limits) {
+                expect(RATE_LIMIT_ALGORITHMS[limitConfig.algorithm]).toBeDefined();
+            }
+            expect(rateLimiter.limits.get('ip:funding').algorithm).toBe('sliding-log');
+            expect(rateLimiter.limits.get('userId:dataExport').algorithm).toBe('token-bucket');
+        });
+
+        it('should apply the algorithm declared on a scope', async () => {
+            rateLimiter.limits.set('ip:verification', {
+                algorithm: 'token-bucket',
+                windowMs: 60 * 1000,
+                maxRequests: 2,
+                refillRate: 0.001,
+                blockDurationMs: 0,
+                scope: 'ip',
+                endpoint: 'verification'
+            });
+
+            const request = { ip: '192.168.2.1', path: '/api/verify', method: 'POST' };
+            const first = await rateLimiter.checkRateLimit(request);
+            await rateLimiter.checkRateLimit(request);
+            const third = await rateLimiter.checkRateLimit(request);
+
+            expect(first.results[0].algorithm).toBe('token-bucket');
+            expect(third.allowed).toBe(false);
+            expect(third.reason).toBe('RATE_LIMIT_EXCEEDED');
+            // Without a penalty block the client may retry as soon as a token refills
+            expect(third.retryAfter).toBeLessThanOrEqual(1000);
+            expect(await rateLimiter.isBlocked('ip', '192.168.2.1')).toBe(false);
+        });
+    });
+
+    describe('Declarative Policies', () => {
+        const fundingRequest = {
+            userId: 'policy_user',
+            path: '/api/funding',
+            method: 'POST'
+        };
+
+        it('should merge policy entries over the built-in limits', () => {
+            rateLimiter.applyRateLimitPolicy({
+                userId: { funding: { maxRequests: 10 } }
+            });
+
+            const limit = rateLimiter.limits.get('userId:funding');
+            expect(limit.maxRequests).toBe(10);
+            expect(limit.algorithm).toBe('sliding-log');
+            expect(limit.blockDurationMs).toBe(60 * 60 * 1000);
+            expect(rateLimiter.limits.has('ip:global')).toBe(true);
+        });
+
+        it('should replace every limit when replaceDefaults is set', () => {
+            rateLimiter.applyRateLimitPolicy({
+                replaceDefaults: true,
+                ip: { global: { windowMs: 1000, maxRequests: 1, blockDurationMs: 0 } }
+            });
+
+            expect(Array.from(rateLimiter.limits.keys())).toEqual(['ip:global']);
+            expect(rateLimiter.limits.get('ip:global').endpoint).toBeUndefined();
+        });
+
+        it('should reject invalid policies and keep the active limits', () => {
+            const before = rateLimiter.limits;
+
+            let message;
+            try {
+                rateLimiter.applyRateLimitPolicy({
+                    userId: { funding: { algorithm: 'leaky-bucket', maxRequests: -1, burst: 3 } },
+                    ip: { fundng: { maxRequests: 1 } },
+                    merchant: { funding: { maxRequests: 1 } }
+                });
+            } catch (error) {
+                message = error.message;
+            }
+
+            expect(message).toContain('rateLimits.userId.funding.algorithm must be one of');
+            expect(message).toContain('rateLimits.userId.funding.maxRequests has an invalid value: -1');
+            expect(message).toContain('rateLimits.userId.funding.burst: unknown field');
+            expect(message).toContain('rateLimits.ip.fundng: unknown endpoint category (expected one of global, funding, verification, consent, dataExport)');
+            expect(message).toContain('rateLimits.merchant: unknown scope');
+
+            expect(rateLimiter.limits).toBe(before);
+        });
+
+        it('should hot-swap limits without dropping existing counters', async () => {
+            for (let i = 0; i < 3; i++) {
+                expect((await rateLimiter.checkRateLimit(fundingRequest)).allowed).toBe(true);
+            }
+
+            rateLimiter.applyRateLimitPolicy({ userId: { funding: { maxRequests: 4 } } });
+
+            // The three earlier requests still count against the new limit
+            const fourth = await rateLimiter.checkRateLimit(fundingRequest);
+            expect(fourth.allowed).toBe(true);
+            expect(fourth.results[0].currentCount).toBe(4);
+
+            const fifth = await rateLimiter.checkRateLimit(fundingRequest);
+            expect(fifth.allowed).toBe(false);
+            expect(fifth.scope).toBe('userId:funding');
+        });
+
+        it('should emit an event when a policy is applied', () => {
+            let event;
+            rateLimiter.on('rateLimit:policy_updated', (data) => { event = data; });
+
+            rateLimiter.applyRateLimitPolicy({ ip: { consent: { maxRequests: 40 } } });
+
+            expect(event.overrides).toEqual(['ip:consent']);
+            expect(event.replaceDefaults).toBe(false);
+        });
+
+        describe('config-loader integration', () => {
+            let configDir;
+
+            const writeConfig = (rateLimitsToml) => {
+                writeFileSync(join(configDir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+${rateLimitsToml}
+`);
+            };
+
+            beforeEach(() => {
+                configDir = mkdtempSync(join(tmpdir(), 'rate-limit-policy-'));
+            });
+
+            afterEach(() => {
+                rmSync(configDir, { recursive: true, force: true });
+            });
+
+            it('should load [rateLimits] from TOML and apply it on reload', async () => {
+                writeConfig(`
+[rateLimits.userId.funding]
+algorithm = "token-bucket"
+maxRequests = 6
+refillRate = 0.1
+`);
+
+                const config = await loadConfig(configDir);
+                expect(config.rateLimits.userId.funding.maxRequests).toBe(6);
+
+                await rateLimiter.reloadPolicy(configDir);
+                const limit = rateLimiter.limits.get('userId:funding');
+                expect(limit.algorithm).toBe('token-bucket');
+                expect(limit.refillRate).toBe(0.1);
+
+                // Removing the override from the file reverts to the built-in limit
+                writeConfig('');
+                await rateLimiter.reloadPolicy(configDir);
+                expect(rateLimiter.limits.get('userId:funding').maxRequests).toBe(3);
+            });
+
+            it('should load a shadow candidate from TOML', async () => {
+                writeConfig(`
+[rateLimits.shadow]
+name = "tighter-verification"
+
+[rateLimits.shadow.ip.verification]
+maxRequests = 5
+`);
+
+                await rateLimiter.reloadPolicy(configDir);
+                expect(rateLimiter.shadow.name).toBe('tighter-verification');
+                expect(rateLimiter.shadow.limits.get('ip:verification').maxRequests).toBe(5);
+                expect(rateLimiter.limits.get('ip:verification').maxRequests).toBe(10);
+            });
+
+            it('should fail validation on load for an invalid policy', async () => {
+                writeConfig(`
+[rateLimits.device.funding]
+windowMs = 0
+`);
+
+                await expect(loadConfig(configDir)).rejects.toThrow('rateLimits.device.funding.windowMs has an invalid value: 0');
+            });
+
+            it('should fail validation on load for a misspelled endpoint', async () => {
+                writeConfig(`
+[rateLimits.ip.fundng]
+maxRequests = 3
+`);
+
+                await expect(loadConfig(configDir)).rejects.toThrow('rateLimits.ip.fundng: unknown endpoint category');
+            });
+        });
+    });
+
+    describe('IP Allow/Deny Rules', () => {
+        const fundingRequest = (ip) => ({ ip, path: '/api/funding', method: 'POST' });
+
+        it('should parse IPv4, IPv6 and IPv4-mapped addresses', () => {
+            expect(parseIP('192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+            expect(parseIP('::ffff:192.0.2.1')).toEqual({ version: 4, value: 0xc0000201n });
+            expect(parseIP('2001:db8::1')?.version).toBe(6);
+            expect(parseIP('2001:db8::1')).toEqual(parseIP('2001:0db8:0:0:0:0:0:0001'));
+            expect(parseIP('256.0.0.1')).toBeNull();
+            expect(parseIP('1:2:3:4:5:6:7:8:9')).toBeNull();
+            expect(parseIP('not-an-ip')).toBeNull();
+        });
+
+        it('should match addresses against CIDR ranges', () => {
+            const office = parseCidr('203.0.113.0/24');
+            expect(cidrContains(office, '203.0.113.77')).toBe(true);
+            expect(cidrContains(office, '203.0.114.1')).toBe(false);
+            expect(cidrContains(office, '2001:db8::1')).toBe(false);
+
+            const v6 = parseCidr('2001:db8:abcd::/48');
+            expect(cidrContains(v6, '2001:db8:abcd:12::1')).toBe(true);
+            expect(cidrContains(v6, '2001:db8:abce::1')).toBe(false);
+
+            expect(cidrContains(parseCidr('0.0.0.0/0'), '8.8.8.8')).toBe(true);
+            expect(() => parseCidr('10.0.0.0/33')).toThrow('Invalid CIDR: 10.0.0.0/33');
+            expect(() => parseCidr('10.0.0/8')).toThrow('Invalid CIDR');
+        });
+
+        it('should normalize ranges to their network address', () => {
+            expect(parseCidr('10.0.0.5/24').cidr).toBe('10.0.0.0/24');
+            expect(parseCidr('10.0.0.5').cidr).toBe('10.0.0.5/32');
+            expect(parseCidr('2001:DB8:0:0:1::/32').cidr).toBe('2001:db8::/32');
+            expect(parseCidr('2001:db8:0:0:1:0:0:1').cidr).toBe('2001:db8::1:0:0:1/128');
+            expect(parseCidr('::ffff:192.0.2.1').cidr).toBe('192.0.2.1/32');
+        });
+
+        it('should exempt allowlisted ranges from every scope', async () => {
+            await rateLimiter.allowIP('203.0.113.0/24', { reason: 'Office NAT' });
+
+            for (let i = 0; i < 10; i++) {
+                const result = await rateLimiter.checkRateLimit(fundingRequest('203.0.113.10'));
+                expect(result.allowed).toBe(true);
+                expect(result.allowlisted).toBe(true);
+                expect(result.ipRule.reason).toBe('Office NAT');
+            }
+
+            // Addresses outside the range are still limited
+            for (let i = 0; i < 5; i++) {
+                await rateLimiter.checkRateLimit(fundingRequest('203.0.114.10'));
+            }
+            expect((await rateLimiter.checkRateLimit(fundingRequest('203.0.114.10'))).allowed).toBe(false);
+        });
+
+        it('should reject denylisted ranges before scope evaluation', async () => {
+            await rateLimiter.denyIP('2001:db8:bad::/48', { reason: 'Abusive ASN' });
+
+            const result = await rateLimiter.checkRateLimit(fundingRequest('2001:db8:bad::42'));
+            expect(result.allowed).toBe(false);
+            expect(result.reason).toBe('IP_DENYLISTED');
+            expect(result.scope).toBe('ip:denylist');
+            expect(result.retryAfter).toBeNull();
+            expect(result.results).toEqual([]);
+            expect(await rateLimiter.store.size('counters')).toBe(0);
+        });
+
+        it('should let the most specific range win, deny on ties', async () => {
+            await rateLimiter.denyIP('198.51.100.0/24', { reason: 'Bad range' });
+            await rateLimiter.allowIP('198.51.100.8/29', { reason: 'Partner' });
+            await rateLimiter.allowIP('192.0.2.0/24');
+            await rateLimiter.denyIP('192.0.2.0/24');
+
+            expect((await rateLimiter.checkRateLimit(fundingRequest('198.51.100.9'))).allowlisted).toBe(true);
+            expect((await rateLimiter.checkRateLimit(fundingRequest('198.51.100.20'))).reason).toBe('IP_DENYLISTED');
+            expect((await rateLimiter.checkRateLimit(fundingRequest('192.0.2.1'))).reason).toBe('IP_DENYLISTED');
+        });
+
+        it('should expire rules and report retryAfter for timed denials', async () => {
+            await rateLimiter.denyIP('10.9.0.0/16', { reason: 'Cooling off', ttlMs: 50 });
+
+            const denied = await rateLimiter.checkRateLimit(fundingRequest('10.9.1.1'));
+            expect(denied.reason).toBe('IP_DENYLISTED');
+            expect(denied.retryAfter).toBe(1);
+
+            await new Promise(resolve => setTimeout(resolve, 60));
+            expect((await rateLimiter.checkRateLimit(fundingRequest('10.9.1.1'))).allowed).toBe(true);
+        });
+
+        it('should remove rules and validate input', async () => {
+            await rateLimiter.denyIP('10.8.0.0/16');
+            expect(await rateLimiter.removeIPRule('deny', '10.8.0.0/16')).toBe(true);
+            expect(await rateLimiter.removeIPRule('deny', '10.8.0.0/16')).toBe(false);
+            expect((await rateLimiter.checkRateLimit(fundingRequest('10.8.0.1'))).allowed).toBe(true);
+
+            // Rules are keyed by network, whatever host address they were written with
+            await rateLimiter.denyIP('10.0.0.5/24');
+            expect((await rateLimiter.denyIP('10.0.0.77/24')).cidr).toBe('10.0.0.0/24');
+            expect(await rateLimiter.store.size('ipRules')).toBe(1);
+            expect(await rateLimiter.removeIPRule('deny', '10.0.0.0/24')).toBe(true);
+
+            await expect(rateLimiter.addIPRule('grey', '10.0.0.0/8')).rejects.toThrow('Unknown IP rule list: grey');
+            await expect(rateLimiter.denyIP('10.0.0.0/99')).rejects.toThrow('Invalid CIDR');
+            await expect(rateLimiter.denyIP('10.0.0.0/8', { expiresAt: Date.now() - 1 })).rejects.toThrow('expires in the past');
+        });
+
+        it('should share rules across replicas and report them in statistics', async () => {
+            const replica = new EnhancedRateLimiter({ store: rateLimiter.store, ipRuleCacheMs: 0 });
+
+            try {
+                await rateLimiter.allowIP('203.0.113.0/24', { reason: 'Office NAT' });
+                await rateLimiter.denyIP('198.51.100.0/24', { reason: 'Abusive ASN', ttlMs: 60 * 1000 });
+
+                expect((await replica.checkRateLimit(fundingRequest('198.51.100.1'))).reason).toBe('IP_DENYLISTED');
+
+                const stats = await replica.getStatistics();
+                expect(stats.ipRules.allow).toBe(1);
+                expect(stats.ipRules.deny).toBe(1);
+                expect(stats.ipRules.rules.find(rule => rule.list === 'deny')).toMatchObject({
+                    cidr: '198.51.100.0/24',
+                    reason: 'Abusive ASN'
+                });
+            } finally {
+                replica.stop();
+            }
+        });
+    });
+
+    describe('Escalating Blocks', () => {
+        const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+        const request = { ip: '10.20.0.1', path: '/api/funding', method: 'POST' };
+
+        // One funding request per minute, 20ms base block
+        const policy = {
+            ip: { funding: { algorithm: 'sliding-log', windowMs: 60 * 1000, maxRequests: 1, blockDurationMs: 20 } }
+        };
+
+        function createLimiter(escalation) {
+            rateLimiter.stop();
+            rateLimiter = new EnhancedRateLimiter({ policy, escalation });
+            return rateLimiter;
+        }
+
+        async function offend(limiter) {
+            const result = await limiter.checkRateLimit(request);
+            expect(result.reason).toBe('RATE_LIMIT_EXCEEDED');
+            const block = await limiter.store.get('blocks', 'ip:10.20.0.1');
+            return { result, durationMs: block.blockedUntil - (await limiter.getOffenseHistory('ip', '10.20.0.1')).lastOffenseAt };
+        }
+
+        it('should double block durations for repeat offenders up to the cap', async () => {
+            const limiter = createLimiter({ maxBlockDurationMs: 70, decayMs: 1000 });
+
+            expect((await limiter.checkRateLimit(request)).allowed).toBe(true);
+
+            const durations = [];
+            for (let i = 0; i < 4; i++) {
+                const { result, durationMs } = await offend(limiter);
+                expect(result.offenses).toBe(i + 1);
+                durations.push(durationMs);
+
+                // While blocked, requests do not count as new offenses
+                expect((await limiter.checkRateLimit(request)).reason).toBe('RATE_LIMIT_BLOCKED');
+                await sleep(durationMs + 5);
+            }
+
+            expect(durations).toEqual([20, 40, 70, 70]);
+        });
+
+        it('should expose offense counts through getBlockStatus', async () => {
+            const limiter = createLimiter({ decayMs: 1000 });
+
+            await limiter.checkRateLimit(request);
+            await offend(limiter);
+            await sleep(25);
+            await offend(limiter);
+
+            const status = await limiter.getBlockStatus('ip', '10.20.0.1');
+            expect(status.blocked).toBe(true);
+            expect(status.offenses).toBe(2);
+            expect(status.lastOffenseAt).toBeGreaterThan(0);
+        });
+
+        it('should reset history after a clean period', async () => {
+            const limiter = createLimiter({ decayMs: 30 });
+
+            await limiter.checkRateLimit(request);
+            await offend(limiter);
+
+            // 20ms block + 30ms clean period
+            await sleep(60);
+            expect((await limiter.getOffenseHistory('ip', '10.20.0.1')).offenses).toBe(0);
+
+            const { result, durationMs } = await offend(limiter);
+            expect(result.offenses).toBe(1);
+            expect(durationMs).toBe(20);
+        });
+
+        it('should keep the base duration when escalation is disabled', async () => {
+            const limiter = createLimiter({ enabled: false });
+
+            await limiter.checkRateLimit(request);
+            await offend(limiter);
+            await sleep(25);
+
+            const { result, durationMs } = await offend(limiter);
+            expect(result.offenses).toBe(2);
+            expect(durationMs).toBe(20);
+        });
+
+        it('should forget offenses on request', async () => {
+            const limiter = createLimiter();
+
+            await limiter.checkRateLimit(request);
+            await offend(limiter);
+
+            expect(await limiter.resetOffenses('ip', '10.20.0.1')).toBe(true);
+            expect((await limiter.getOffenseHistory('ip', '10.20.0.1')).offenses).toBe(0);
+        });
+
+        it('should take the ladder from policy and validate it', () => {
+            const limiter = createLimiter({ multiplier: 3 });
+
+            limiter.applyRateLimitPolicy({ escalation: { maxBlockDurationMs: 1000 } });
+            expect(limiter.escalation).toMatchObject({ multiplier: 3, maxBlockDurationMs: 1000 });
+            expect(limiter.getEscalatedBlockDuration(100, 3)).toBe(900);
+            expect(limiter.getEscalatedBlockDuration(100, 4)).toBe(1000);
+
+            // Reloading without the table falls back to the constructor ladder
+            limiter.applyRateLimitPolicy({});
+            expect(limiter.escalation.maxBlockDurationMs).toBe(24 * 60 * 60 * 1000);
+
+            expect(() => limiter.applyRateLimitPolicy({ escalation: { multiplier: 0.5, cap: 1 } }))
+                .toThrow('rateLimits.escalation.multiplier has an invalid value: 0.5');
+            expect(() => limiter.applyRateLimitPolicy({ escalation: { cap: 1 } }))
+                .toThrow('rateLimits.escalation.cap: unknown field');
+        });
+    });
+
+    describe('Merchant Quotas', () => {
+        // Distinct IPs keep the per-IP funding limit out of the way
+        const merchantRequest = (tenantId, i, path = '/api/funding') => ({
+            ip: `10.60.0.${i + 1}`,
+            tenantId,
+            path,
+            method: 'POST'
+        });
+
+        it('should reject merchants over quota without treating them as abusers', async () => {
+            rateLimiter.setTenantQuota('merchant_a', { funding: { maxRequests: 2 } });
+            const blocked = [];
+            const exhausted = [];
+            rateLimiter.on('rateLimit:blocked', event => blocked.push(event));
+            rateLimiter.on('rateLimit:quota_exhausted', event => exhausted.push(event));
+
+            for (let i = 0; i < 2; i++) {
+                expect((await rateLimiter.checkRateLimit(merchantRequest('merchant_a', i))).allowed).toBe(true);
+            }
+            const result = await rateLimiter.checkRateLimit(merchantRequest('merchant_a', 2));
+
+            expect(result).toMatchObject({
+                allowed: false,
+                quotaExhausted: true,
+                tenantId: 'merchant_a',
+                scope: 'tenant:funding',
+                reason: 'QUOTA_EXHAUSTED'
+            });
+            expect(result.retryAfter).toBeGreaterThan(0);
+            expect(result.retryAfter).toBeLessThanOrEqual(60);
+
+            expect(blocked).toEqual([]);
+            expect(exhausted[0]).toMatchObject({ tenantId: 'merchant_a', scope: 'tenant:funding', endpoint: 'funding', limit: 2 });
+            expect(await rateLimiter.getOffenseHistory('tenant', 'merchant_a')).toMatchObject({ offenses: 0 });
+            expect(await rateLimiter.getBlockStatus('tenant', 'merchant_a')).toBeNull();
+        });
+
+        it('should apply overrides to one merchant only', async () => {
+            rateLimiter.setTenantQuota('merchant_small', { funding: { maxRequests: 1 } });
+
+            await rateLimiter.checkRateLimit(merchantRequest('merchant_small', 0));
+            expect((await rateLimiter.checkRateLimit(merchantRequest('merchant_small', 1))).allowed).toBe(false);
+
+            await rateLimiter.checkRateLimit(merchantRequest('merchant_default', 2));
+            expect((await rateLimiter.checkRateLimit(merchantRequest('merchant_default', 3))).allowed).toBe(true);
+
+            expect(rateLimiter.getTenantQuota('merchant_small').funding).toMatchObject({ maxRequests: 1, overridden: true });
+            expect(rateLimiter.getTenantQuota('merchant_default').funding).toMatchObject({ maxRequests: 100, overridden: false });
+            expect(Object.keys(rateLimiter.getTenantQuota('merchant_small'))).toEqual(['global', 'funding', 'verification', 'consent', 'dataExport']);
+        });
+
+        it('should count admitted and rejected requests for billing', async () => {
+            rateLimiter.setTenantQuota('merchant_billing', { verification: { maxRequests: 2 } });
+
+            for (let i = 0; i < 3; i++) {
+                await rateLimiter.checkRateLimit(merchantRequest('merchant_billing', i, '/api/verify'));
+            }
+            await rateLimiter.checkRateLimit(merchantRequest('merchant_billing', 3, '/api/consent'));
+
+            // Rejected by a per-IP limit before the merchant quota - not billed
+            for (let i = 0; i < 6; i++) {
+                await rateLimiter.checkRateLimit(merchantRequest('merchant_billing', 10));
+            }
+
+            const usage = await rateLimiter.getTenantUsage('merchant_billing');
+            expect(usage.requests).toBe(8);
+            expect(usage.rejected).toBe(1);
+            expect(usage.endpoints).toEqual({
+                verification: { requests: 2, rejected: 1 },
+                consent: { requests: 1, rejected: 0 },
+                funding: { requests: 5, rejected: 0 }
+            });
+            expect(usage.days).toHaveLength(1);
+
+            const lastMonth = await rateLimiter.getTenantUsage('merchant_billing', { from: '2020-01-01', to: '2020-01-31' });
+            expect(lastMonth.requests).toBe(0);
+            await expect(rateLimiter.getTenantUsage('merchant_billing', { from: '2020-02-01', to: '2020-01-01' })).rejects.toThrow('Invalid usage period');
+        });
+
+        it('should load tenant quotas from a policy', async () => {
+            rateLimiter.applyRateLimitPolicy({
+                tenant: { funding: { maxRequests: 20 } },
+                tenants: { merchant_gold: { funding: { maxRequests: 500 }, global: { windowMs: 1000 } } }
+            });
+
+            expect(rateLimiter.getTenantQuota('merchant_gold')).toMatchObject({
+                funding: { maxRequests: 500, overridden: true },
+                global: { maxRequests: 1000, windowMs: 1000, overridden: true }
+            });
+            expect(rateLimiter.getTenantQuota('merchant_other').funding.maxRequests).toBe(20);
+
+            expect(() => rateLimiter.applyRateLimitPolicy({ tenants: { merchant_gold: { payouts: { maxRequests: 5 } } } }))
+                .toThrow('rateLimits.tenants.merchant_gold.payouts: unknown endpoint category');
+            expect(() => rateLimiter.setTenantQuota('merchant_gold', { funding: { maxRequests: 0 } }))
+                .toThrow('rateLimits.tenants.merchant_gold.funding.maxRequests has an invalid value: 0');
+        });
+    });
+
+    describe('Shadow Mode', () => {
+        const verifyRequest = (overrides = {}) => ({
+            ip: '10.70.0.1',
+            path: '/api/verify',
+            method: 'POST',
+            ...overrides
+        });
+
+        it('should record would-have-blocked decisions without enforcing them', async () => {
+            rateLimiter.setShadowPolicy({ name: 'tighter-verification', ip: { verification: { maxRequests: 2 } } });
+            const decisions = [];
+            rateLimiter.on('rateLimit:shadow_decision', event => decisions.push(event));
+
+            const results = [];
+            for (let i = 0; i < 4; i++) {
+                results.push(await rateLimiter.checkRateLimit(verifyRequest()));
+            }
+
+            expect(results.every(result => result.allowed)).toBe(true);
+            expect(results.map(result => result.shadow.outcome)).toEqual(['AGREE_ALLOW', 'AGREE_ALLOW', 'WOULD_BLOCK', 'WOULD_BLOCK']);
+            expect(results[3].shadow).toMatchObject({ allowed: false, scope: 'ip:verification', reason: 'RATE_LIMIT_BLOCKED' });
+
+            // Enforced counters only saw the real traffic
+            expect(results[3].results[0]).toMatchObject({ currentCount: 4, limit: 10 });
+
+            expect(decisions).toHaveLength(2);
+            expect(decisions[0].request.ip).not.toBe('10.70.0.1');
+
+            const report = await rateLimiter.getShadowReport();
+            expect(report).toMatchObject({
+                name: 'tighter-verification',
+                evaluated: 4,
+                outcomes: { AGREE_ALLOW: 2, AGREE_BLOCK: 0, WOULD_BLOCK: 2, WOULD_ALLOW: 0 },
+                wouldBlockRate: 0.5,
+                agreementRate: 0.5,
+                scopes: [{ scope: 'ip:verification', wouldBlock: 2, wouldAllow: 0, entities: 1 }]
+            });
+            expect(report.recentDecisions).toHaveLength(2);
+            expect(report.recentDecisions[0]).toMatchObject({ outcome: 'WOULD_BLOCK', shadowScope: 'ip:verification', activeScope: null });
+        });
+
+        it('should evaluate scopes that only exist in the candidate', async () => {
+            rateLimiter.setShadowPolicy({
+                name: 'device-verification',
+                device: { verification: { windowMs: 60000, maxRequests: 1, blockDurationMs: 0 } }
+            });
+
+            await rateLimiter.checkRateLimit(verifyRequest({ ip: '10.70.0.2', deviceFingerprint: 'shadow_device' }));
+            const result = await rateLimiter.checkRateLimit(verifyRequest({ ip: '10.70.0.3', deviceFingerprint: 'shadow_device' }));
+
+            expect(result.allowed).toBe(true);
+            expect(result.shadow).toMatchObject({ outcome: 'WOULD_BLOCK', scope: 'device:verification', reason: 'RATE_LIMIT_EXCEEDED' });
+            expect(rateLimiter.limits.has('device:verification')).toBe(false);
+        });
+
+        it('should report requests a relaxed candidate would allow', async () => {
+            rateLimiter.setShadowPolicy({ name: 'relaxed-funding', ip: { funding: { maxRequests: 10 } } });
+            const request = { ip: '10.70.0.4', path: '/api/funding', method: 'POST' };
+
+            let result;
+            for (let i = 0; i < 6; i++) {
+                result = await rateLimiter.checkRateLimit(request);
+            }
+
+            expect(result.allowed).toBe(false);
+            expect(result.shadow.outcome).toBe('WOULD_ALLOW');
+
+            const report = await rateLimiter.getShadowReport();
+            expect(report.outcomes.WOULD_ALLOW).toBe(1);
+            expect(report.scopes[0]).toMatchObject({ scope: 'ip:funding', wouldAllow: 1, entities: 1 });
+        });
+
+        it('should never affect enforcement when the shadow fails', async () => {
+            rateLimiter.setShadowPolicy({ ip: { verification: { maxRequests: 1 } } });
+            rateLimiter.shadow.evaluate = async () => { throw new Error('shadow store down'); };
+
+            const result = await rateLimiter.checkRateLimit(verifyRequest({ ip: '10.70.0.5' }));
+            expect(result.allowed).toBe(true);
+            expect(result.shadow).toBeUndefined();
+        });
+
+        it('should load the candidate from [rateLimits.shadow] and validate it', () => {
+            rateLimiter.applyRateLimitPolicy({
+                ip: { verification: { maxRequests: 8 } },
+                shadow: { name: 'from-config', ip: { verification: { windowMs: 30000 } } }
+            });
+
+            expect(rateLimiter.shadow.name).toBe('from-config');
+            expect(rateLimiter.shadow.limits.get('ip:verification')).toMatchObject({ maxRequests: 8, windowMs: 30000 });
+            expect(rateLimiter.limits.get('ip:verification').windowMs).toBe(60000);
+
+            expect(() => rateLimiter.applyRateLimitPolicy({ shadow: { escalation: { multiplier: 3 } } }))
+                .toThrow('rateLimits.shadow.escalation is not supported in shadow mode');
+            expect(() => rateLimiter.setShadowPolicy({ ip: { verification: { maxRequests: -1 } } }))
+                .toThrow('rateLimits.shadow.ip.verification.maxRequests has an invalid value: -1');
+
+            // A reload without a candidate stops shadow evaluation
+            rateLimiter.applyRateLimitPolicy({});
+            expect(rateLimiter.shadow).toBeNull();
+        });
     });
 
     describe('Block Management', () => {
@@ -328,41 +1213,170 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             }
 
             // Check if IP is blocked
-            const isBlocked = rateLimiter.isBlocked('ip', '192.168.1.90');
+            const isBlocked = await rateLimiter.isBlocked('ip', '192.168.1.90');
             expect(isBlocked).toBe(true);
 
             // Check block status
-            const blockStatus = rateLimiter.getBlockStatus('ip', '192.168.1.90');
+            const blockStatus = await rateLimiter.getBlockStatus('ip', '192.168.1.90');
             expect(blockStatus).toBeDefined();
             expect(blockStatus.blocked).toBe(true);
             expect(blockStatus.reason).toBe('RATE_LIMIT_EXCEEDED');
         });
 
-        it('should allow manual blocking', () => {
-            rateLimiter.blockEntity('ip', '192.168.1.100', 'MANUAL_BLOCK', 60 * 1000);
+        it('should allow manual blocking', async () => {
+            await rateLimiter.blockEntity('ip', '192.168.1.100', 'MANUAL_BLOCK', 60 * 1000);
 
-            const isBlocked = rateLimiter.isBlocked('ip', '192.168.1.100');
+            const isBlocked = await rateLimiter.isBlocked('ip', '192.168.1.100');
             expect(isBlocked).toBe(true);
 
-            const blockStatus = rateLimiter.getBlockStatus('ip', '192.168.1.100');
+            const blockStatus = await rateLimiter.getBlockStatus('ip', '192.168.1.100');
             expect(blockStatus.reason).toBe('MANUAL_BLOCK');
         });
 
-        it('should allow manual unblocking', () => {
+        it('should allow manual unblocking', async () => {
             // First block
-            rateLimiter.blockEntity('userId', 'user_manual_block', 'MANUAL_BLOCK');
-            expect(rateLimiter.isBlocked('userId', 'user_manual_block')).toBe(true);
+            await rateLimiter.blockEntity('userId', 'user_manual_block', 'MANUAL_BLOCK');
+            expect(await rateLimiter.isBlocked('userId', 'user_manual_block')).toBe(true);
 
             // Then unblock
-            const wasBlocked = rateLimiter.unblockEntity('userId', 'user_manual_block');
+            const wasBlocked = await rateLimiter.unblockEntity('userId', 'user_manual_block');
             expect(wasBlocked).toBe(true);
-            expect(rateLimiter.isBlocked('userId', 'user_manual_block')).toBe(false);
+            expect(await rateLimiter.isBlocked('userId', 'user_manual_block')).toBe(false);
+        });
+    });
+
+    describe('Block Review Workflow', () => {
+        const review = { operator: 'analyst@onepay', ticket: 'TS-1042' };
+
+        it('should enforce manual blocks on every endpoint', async () => {
+            await rateLimiter.blockEntity('device', 'device_banned', 'CHARGEBACK_FRAUD', 60 * 1000, review);
+
+            const result = await rateLimiter.checkRateLimit({
+                ip: '10.30.0.1',
+                deviceFingerprint: 'device_banned',
+                path: '/api/verify',
+                method: 'POST'
+            });
+
+            expect(result.allowed).toBe(false);
+            expect(result.scope).toBe('device:manual');
+            expect(result.reason).toBe('CHARGEBACK_FRAUD');
+            expect(result.retryAfter).toBe(60);
+        });
+
+        it('should record operator, ticket and lifetime on blocks', async () => {
+            const before = Date.now();
+            await rateLimiter.blockEntity('ip', '2001:db8::7', 'CARD_TESTING', 60 * 1000, { ...review, note: 'BIN attack' });
+
+            const status = await rateLimiter.getBlockStatus('ip', '2001:db8::7');
+            expect(status).toMatchObject({ manual: true, operator: 'analyst@onepay', ticket: 'TS-1042' });
+            expect(status.createdAt).toBeGreaterThanOrEqual(before);
+            expect(status.expiresAt - status.createdAt).toBe(60 * 1000);
+
+            const [block] = await rateLimiter.listBlocks();
+            expect(block).toMatchObject({ type: 'ip', identifier: '2001:db8::7', reason: 'CARD_TESTING' });
+            expect(block.annotations[0]).toMatchObject({ note: 'BIN attack', operator: 'analyst@onepay' });
+        });
+
+        it('should list blocks with filters', async () => {
+            await rateLimiter.blockEntity('userId', 'user_a', 'ABUSE', 60 * 1000, review);
+            await rateLimiter.blockEntity('userId', 'user_b', 'ABUSE', 60 * 1000, { operator: 'lead@onepay', ticket: 'TS-2000' });
+
+            // Trip an automatic block as well
+            for (let i = 0; i < 6; i++) {
+                await rateLimiter.checkRateLimit({ ip: '10.30.0.2', path: '/api/funding', method: 'POST' });
+            }
+
+            expect((await rateLimiter.listBlocks()).length).toBe(3);
+            expect((await rateLimiter.listBlocks({ manual: false })).map(b => b.identifier)).toEqual(['10.30.0.2']);
+            expect((await rateLimiter.listBlocks({ manual: false }))[0].operator).toBe('system');
+            expect((await rateLimiter.listBlocks({ ticket: 'TS-2000' })).map(b => b.identifier)).toEqual(['user_b']);
+            expect((await rateLimiter.listBlocks({ type: 'userId', operator: 'analyst@onepay' })).length).toBe(1);
+        });
+
+        it('should extend and annotate blocks with an audit trail', async () => {
+            const placed = await rateLimiter.blockEntity('userId', 'user_review', 'ABUSE', 60 * 1000, review);
+
+            const extended = await rateLimiter.extendBlock('userId', 'user_review', 30 * 60 * 1000, {
+                operator: 'lead@onepay',
+                note: 'Second chargeback'
+            });
+            expect(extended.blockedUntil).toBe(placed.blockedUntil + 30 * 60 * 1000);
+            expect(extended.ticket).toBe('TS-1042');
+
+            const annotated = await rateLimiter.annotateBlock('userId', 'user_review', 'Customer contacted support', {
+                operator: 'support@onepay',
+                ticket: 'TS-1043'
+            });
+            expect(annotated.ticket).toBe('TS-1043');
+            expect(annotated.annotations.map(a => a.note)).toEqual(['Second chargeback', 'Customer contacted support']);
+
+            await rateLimiter.unblockEntity('userId', 'user_review', { operator: 'lead@onepay', note: 'Resolved' });
+
+            const audit = await rateLimiter.getBlockAuditLog({ type: 'userId', identifier: 'user_review' });
+            expect(audit.map(entry => entry.action)).toEqual(['block', 'extend', 'annotate', 'unblock']);
+            expect(audit[1]).toMatchObject({
+                operator: 'lead@onepay',
+                previousBlockedUntil: placed.blockedUntil,
+                blockedUntil: extended.blockedUntil
+            });
+            expect(audit.every(entry => entry.id && entry.timestamp)).toBe(true);
+            expect(Object.isFrozen(audit[0])).toBe(true);
+        });
+
+        it('should keep automatic block enforcement in sync with review actions', async () => {
+            const request = { ip: '10.30.0.3', path: '/api/funding', method: 'POST' };
+            for (let i = 0; i < 6; i++) {
+                await rateLimiter.checkRateLimit(request);
+            }
+
+            await rateLimiter.extendBlock('ip', '10.30.0.3', 60 * 60 * 1000, review);
+            expect((await rateLimiter.checkRateLimit(request)).retryAfter).toBe(90 * 60);
+
+            await rateLimiter.unblockEntity('ip', '10.30.0.3', review);
+            // The funding window starts over instead of re-blocking
+            expect((await rateLimiter.checkRateLimit(request)).allowed).toBe(true);
+        });
+
+        it('should reject review actions on missing blocks', async () => {
+            await expect(rateLimiter.extendBlock('ip', '10.30.0.9', 1000)).rejects.toThrow('No active block for ip:10.30.0.9');
+            await expect(rateLimiter.annotateBlock('ip', '10.30.0.9', 'note')).rejects.toThrow('No active block');
+
+            await rateLimiter.blockEntity('ip', '10.30.0.9', 'ABUSE');
+            await expect(rateLimiter.extendBlock('ip', '10.30.0.9', -5)).rejects.toThrow('positive duration');
+            await expect(rateLimiter.annotateBlock('ip', '10.30.0.9', '')).rejects.toThrow('requires a note');
+        });
+
+        it('should persist blocks and audit entries across restarts', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'rate-limit-blocks-'));
+            const options = () => ({
+                store: new SQLiteRateLimitStore({ path: join(dir, 'state.db') }),
+                auditLog: new FileBlockAuditLog({ path: join(dir, 'audit', 'blocks.jsonl') })
+            });
+
+            try {
+                const first = new EnhancedRateLimiter(options());
+                await first.blockEntity('device', 'device_persist', 'ACCOUNT_TAKEOVER', 60 * 1000, review);
+                await first.annotateBlock('device', 'device_persist', 'Linked to TS-1000', review);
+                first.stop();
+                await first.store.close();
+
+                const restarted = new EnhancedRateLimiter(options());
+                const [block] = await restarted.listBlocks();
+                expect(block).toMatchObject({ identifier: 'device_persist', operator: 'analyst@onepay', ticket: 'TS-1042' });
+                expect(block.annotations.length).toBe(1);
+                expect((await restarted.getBlockAuditLog()).map(entry => entry.action)).toEqual(['block', 'annotate']);
+                restarted.stop();
+                await restarted.store.close();
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
         });
     });
 
     describe('Statistics and Monitoring', () => {
-        it('should provide comprehensive statistics', () => {
-            const stats = rateLimiter.getStatistics();
+        it('should provide comprehensive statistics', async () => {
+            const stats = await rateLimiter.getStatistics();
 
             expect(stats).toBeDefined();
             expect(stats.timestamp).toBeDefined();
@@ -373,8 +1387,8 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             expect(Array.isArray(stats.limits)).toBe(true);
         });
 
-        it('should export configuration for monitoring', () => {
-            const config = rateLimiter.exportConfig();
+        it('should export configuration for monitoring', async () => {
+            const config = await rateLimiter.exportConfig();
 
             expect(config).toBeDefined();
             expect(config.limits).toBeDefined();
@@ -452,11 +1466,11 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             const sanitized = rateLimiter.sanitizeRequest(request);
 
             expect(sanitized.ip).not.toBe('192.168.1.250');
-            expect(sanitized.ip).toHaveLength(12);
+            expect(sanitized.ip).toMatch(/^\w+:[0-9a-f]{16}$/);
             expect(sanitized.userId).not.toBe('sensitive_user');
-            expect(sanitized.userId).toHaveLength(12);
+            expect(sanitized.userId).toMatch(/^\w+:[0-9a-f]{16}$/);
             expect(sanitized.deviceFingerprint).not.toBe('sensitive_device');
-            expect(sanitized.deviceFingerprint).toHaveLength(12);
+            expect(sanitized.deviceFingerprint).toMatch(/^\w+:[0-9a-f]{16}$/);
         });
 
         it('should hash IPs consistently', () => {
@@ -465,7 +1479,7 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             const hash2 = rateLimiter.hashIP(ip);
 
             expect(hash1).toBe(hash2);
-            expect(hash1).toHaveLength(12);
+            expect(rateLimiter.pseudonymizer.matches(ip, hash1)).toBe(true);
         });
 
         it('should hash values consistently', () => {
@@ -474,23 +1488,39 @@ describe('EnhancedRateLimiter - Multi-Dimensional Protection', () => {
             const hash2 = rateLimiter.hashValue(value);
 
             expect(hash1).toBe(hash2);
-            expect(hash1).toHaveLength(12);
+            expect(rateLimiter.pseudonymizer.matches(value, hash1)).toBe(true);
+        });
+
+        it('should hash with the configured pseudonymization key', () => {
+            const options = { secret: 'limiter-test-secret', rotation: 'NEVER' };
+            const limiterA = new EnhancedRateLimiter({ pseudonymizer: new Pseudonymizer(options) });
+            const limiterB = new EnhancedRateLimiter({ pseudonymizer: new Pseudonymizer(options) });
+            const otherKey = new EnhancedRateLimiter({ pseudonymizer: new Pseudonymizer({ ...options, secret: 'other-secret' }) });
+
+            try {
+                expect(limiterA.hashIP('192.168.1.1')).toBe(limiterB.hashIP('192.168.1.1'));
+                expect(limiterA.hashIP('192.168.1.1')).not.toBe(otherKey.hashIP('192.168.1.1'));
+                expect(limiterA.hashIP('192.168.1.1')).toStartWith('static:');
+            } finally {
+                limiterA.stop();
+                limiterB.stop();
+                otherKey.stop();
+            }
         });
     });
 
     describe('Cleanup and Maintenance', () => {
-        it('should cleanup expired data', () => {
+        it('should cleanup expired data', async () => {
             // Add some test data
-            rateLimiter.blockEntity('ip', '192.168.1.300', 'TEST', 1); // 1ms block
+            await rateLimiter.blockEntity('ip', '192.168.1.300', 'TEST', 50); // 50ms block
             
             // Should be blocked initially
-            expect(rateLimiter.isBlocked('ip', '192.168.1.300')).toBe(true);
+            expect(await rateLimiter.isBlocked('ip', '192.168.1.300')).toBe(true);
 
             // Wait for block to expire and cleanup
-            setTimeout(() => {
-                rateLimiter.cleanup();
-                expect(rateLimiter.isBlocked('ip', '192.168.1.300')).toBe(false);
-            }, 10);
+            await new Promise(resolve => setTimeout(resolve, 60));
+            await rateLimiter.cleanup();
+            expect(await rateLimiter.isBlocked('ip', '192.168.1.300')).toBe(false);
         });
 
         it('should stop cleanup interval', () => {
@@ -0,0 +1,123 @@
+#!/usr/bin/env bun
+
+// __tests__/match-report.test.js - Match Weights and Match Report Tests
+// Configurable per-field weights and the per-field cross-validation report
+
+import { describe, it, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ValidationEngine, validateMatchWeights } from '../utilities/validation-engine.js';
+import { loadConfig } from '../config/core/config-loader.js';
+
+console.log("🧾 Match Report Test Suite - Loaded");
+
+const identity = {
+    success: true,
+    userId: 'user_1',
+    name: 'Robert Smith',
+    email: 'bob.smith@gmail.com',
+    phone: '+15551234567',
+    address: '123 Main Street, Springfield, IL 62704'
+};
+const cashApp = {
+    success: true,
+    userId: 'user_1',
+    name: 'Bob Smith',
+    email: 'bobsmith@gmail.com',
+    phone: '+15559876543'
+};
+const plaid = {
+    success: true,
+    email: 'bobsmith@gmail.com',
+    accounts: [{
+        account_id: 'acc_1',
+        owners: [{
+            names: ['Alice Jones', 'Robert Smith'],
+            addresses: [{ data: { street: '123 Main St', city: 'Springfield', region: 'IL', postal_code: '62704', country: 'US' } }]
+        }]
+    }]
+};
+
+describe('Match Report', () => {
+    it('should report each compared field with masked values', () => {
+        const engine = new ValidationEngine();
+        const { matchReport, crossValidation } = engine.crossValidateAll(identity, cashApp, plaid);
+
+        expect(matchReport.identityCashApp.map(field => [field.field, field.passed])).toEqual([
+            ['email', true], ['phone', false], ['name', true], ['userId', true]
+        ]);
+        expect(matchReport.identityCashApp[0]).toEqual({
+            field: 'email',
+            values: ['bo****om', 'bo****om'],
+            similarity: 1,
+            threshold: 0.85,
+            weight: 30,
+            passed: true
+        });
+        expect(matchReport.identityCashApp[1]).toMatchObject({ values: ['+1****67', '+1****43'], threshold: 0.9, weight: 35 });
+        expect(crossValidation.identityCashApp).toBe(65);
+
+        // Best matching owner and address are reported
+        const owner = matchReport.identityPlaid.find(field => field.field === 'owner');
+        expect(owner).toMatchObject({ values: ['Ro****th', 'Ro****th'], similarity: 1, passed: true });
+        const address = matchReport.identityPlaid.find(field => field.field === 'address');
+        expect(address).toMatchObject({ values: ['12****04', '12****04'], weight: 20, passed: true });
+        expect(crossValidation.identityPlaid).toBe(75);
+
+        expect(matchReport.cashAppPlaid).toEqual([expect.objectContaining({ field: 'email', weight: 40, passed: true })]);
+    });
+
+    it('should leave reports empty for pairs that were not compared', () => {
+        const { matchReport } = new ValidationEngine().crossValidateAll(identity, { success: false }, null);
+
+        expect(matchReport).toEqual({ identityCashApp: [], identityPlaid: [], cashAppPlaid: [] });
+    });
+
+    it('should weight fields from config', () => {
+        const engine = new ValidationEngine({
+            matchWeights: { identityCashApp: { name: 50, userId: 0 }, cashAppPlaid: { email: 100 } }
+        });
+
+        expect(engine.config.matchWeights.identityCashApp).toEqual({ email: 30, phone: 35, name: 50, userId: 0 });
+        expect(engine.validateIdentityCashAppMatch(identity, cashApp)).toBe(80);
+        expect(engine.validateCashAppPlaidMatch(cashApp, plaid)).toBe(100);
+    });
+
+    it('should weight fields from [verifier.matchWeights] in TOML', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'match-weights-'));
+        try {
+            writeFileSync(join(dir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+[verifier.matchWeights.identityPlaid]
+owner = 0
+`);
+            const config = await loadConfig(dir);
+            const { crossValidation } = new ValidationEngine(config.verifier).crossValidateAll(identity, cashApp, plaid);
+
+            // 75 by default: email 30 + owner 25 + address 20
+            expect(crossValidation.identityPlaid).toBe(50);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should reject unknown pairs, fields and out-of-range weights', () => {
+        expect(validateMatchWeights({
+            identityBank: { email: 10 },
+            identityPlaid: { ssn: 10, email: 150 }
+        })).toEqual([
+            'verifier.matchWeights.identityBank: unknown source pair (expected one of identityCashApp, identityPlaid, cashAppPlaid)',
+            'verifier.matchWeights.identityPlaid.ssn: unknown field (expected one of email, phone, account, owner, address)',
+            'verifier.matchWeights.identityPlaid.email must be a number between 0 and 100'
+        ]);
+        expect(() => new ValidationEngine({ matchWeights: { cashAppPlaid: { phone: -1 } } })).toThrow('Invalid match weights');
+    });
+});
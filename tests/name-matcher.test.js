@@ -0,0 +1,130 @@
+#!/usr/bin/env bun
+
+// __tests__/name-matcher.test.js - Name Matcher Tests
+// Nicknames, transliteration, phonetic codes, token order and owner checks
+
+import { describe, it, expect } from 'bun:test';
+import { NameMatcher, doubleMetaphone, nameMatcher, soundex, tokenizeName, transliterate } from '../utilities/name-matcher.js';
+import { ValidationEngine } from '../utilities/validation-engine.js';
+import { PlaidVerifier } from '../utilities/plaid-verifier.js';
+
+console.log("🪪 Name Matcher Test Suite - Loaded");
+
+const THRESHOLD = 0.75;
+
+describe('NameMatcher', () => {
+    it('should transliterate and tokenize names', () => {
+        expect(transliterate('Müller')).toBe('mueller');
+        expect(transliterate('José Łukasz Søren')).toBe('jose lukasz soren');
+        expect(tokenizeName('Dr. Garcia-Lopez, María Jr.')).toEqual(['garcia', 'lopez', 'maria']);
+        expect(tokenizeName("O'Brien")).toEqual(['obrien']);
+    });
+
+    it('should compute phonetic codes', () => {
+        expect(soundex('robert')).toBe('R163');
+        expect(soundex('rupert')).toBe('R163');
+        expect(soundex('ashcraft')).toBe('A261');
+        expect(doubleMetaphone('smith')).toEqual(['SM0', 'XMT']);
+        expect(doubleMetaphone('smyth')).toEqual(doubleMetaphone('smith'));
+        expect(doubleMetaphone('schmidt')).toEqual(['XMT', 'SMT']);
+        expect(doubleMetaphone('mueller')).toEqual(['MLR', 'MLR']);
+        // Alternate codes for non-English spellings
+        expect(doubleMetaphone('jankelowicz')).toEqual(['JNKLTS', 'ANKLFX']);
+        expect(doubleMetaphone('yankelovich')).toEqual(['ANKLFX', 'ANKLFK']);
+        expect(doubleMetaphone('wasserman')[1]).toBe(doubleMetaphone('vasserman')[0]);
+    });
+
+    it('should match names the Levenshtein ratio misses', () => {
+        for (const [a, b] of [
+            ['Bill Smith', 'William Smith'],
+            ['Müller', 'Mueller'],
+            ['Garcia Lopez, Maria', 'Maria Garcia Lopez'],
+            ['Jon Smyth', 'John Smith'],
+            ['J. Doe', 'John Doe'],
+            ['Maria Garcia Lopez', 'Maria Garcia']
+        ]) {
+            expect(nameMatcher.similarity(a, b)).toBeGreaterThanOrEqual(THRESHOLD);
+        }
+    });
+
+    it('should keep different people apart', () => {
+        for (const [a, b] of [
+            ['John Doe', 'Jane Roe'],
+            ['Alice Walker', 'Bob Walker'],
+            // Same surname and first initial
+            ['John Smith', 'Jane Smith'],
+            ['John', 'John Smith'],
+            ['Maria Garcia', '']
+        ]) {
+            expect(nameMatcher.similarity(a, b)).toBeLessThan(THRESHOLD);
+        }
+    });
+
+    it('should report how each token was paired', () => {
+        const { pairs, unpaired } = nameMatcher.compare('Bill J Smith', 'William Smith');
+
+        expect(pairs.map(pair => pair.method).sort()).toEqual(['exact', 'nickname']);
+        expect(unpaired).toEqual(['j']);
+    });
+
+    it('should accept extra nickname entries', () => {
+        expect(nameMatcher.areNicknames('bea', 'beatrice')).toBe(false);
+        expect(new NameMatcher({ nicknames: { beatrice: ['bea', 'trixie'] } }).areNicknames('trixie', 'bea')).toBe(true);
+    });
+
+    describe('ValidationEngine integration', () => {
+        const engine = new ValidationEngine();
+
+        it('should score Cash App names with the name matcher', () => {
+            const score = engine.validateIdentityCashAppMatch(
+                { userId: 'user_1', name: 'Bill Smith' },
+                { userId: 'user_2', name: 'William Smith' }
+            );
+
+            expect(score).toBe(25);
+            expect(engine.metrics.nameMatches).toBeGreaterThan(0);
+        });
+
+        it('should check Plaid account owners', () => {
+            const identity = { name: 'Hans Müller' };
+
+            expect(engine.validateIdentityPlaidMatch(identity, { owners: ['Hans Mueller'] })).toBe(25);
+            expect(engine.validateIdentityPlaidMatch(identity, {
+                accounts: [{ account_id: 'acc_1', owners: [{ names: ['Anna Schmidt', 'MUELLER, HANS'] }] }]
+            })).toBe(25);
+            expect(engine.validateIdentityPlaidMatch(identity, { owners: [{ names: ['Anna Schmidt'] }] })).toBe(0);
+        });
+
+        it('should use configured nicknames', () => {
+            const custom = new ValidationEngine({ nicknames: { beatrice: ['trixie'] } });
+            expect(custom.compareNames('Trixie Adams', 'Beatrice Adams')).toBeGreaterThanOrEqual(THRESHOLD);
+        });
+    });
+
+    describe('PlaidVerifier integration', () => {
+        const verifier = new PlaidVerifier({ clientId: 'client', secret: 'secret', ownership: { tolerance: 0.75 } });
+        const accounts = [{
+            account_id: 'acc_1',
+            type: 'depository',
+            verification_status: 'verified',
+            balances: { current: 500 },
+            owners: [{ names: ['William J. Smith'] }]
+        }];
+
+        it('should match account owners against the user name', async () => {
+            const verification = await verifier.verifyAccountDetails(accounts, { name: 'Bill Smith' });
+
+            expect(verification.ownerMatch).toBe(true);
+            expect(verification.ownerScore).toBeGreaterThanOrEqual(0.75);
+            expect(verification.riskScore).toBe(0);
+        });
+
+        it('should raise risk when someone else owns the account', async () => {
+            const verification = await verifier.verifyAccountDetails(accounts, { name: 'Alice Walker' });
+
+            expect(verification.ownerMatch).toBe(false);
+            expect(verification.riskScore).toBe(25);
+            expect((await verifier.verifyAccountDetails(accounts, {})).ownerMatch).toBeNull();
+        });
+    });
+});
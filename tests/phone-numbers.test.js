@@ -0,0 +1,132 @@
+#!/usr/bin/env bun
+
+// __tests__/phone-numbers.test.js - Phone Number Tests
+// E.164 parsing, trunk prefixes, number types and cross-source comparison
+
+import { describe, it, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { formatE164, parsePhoneNumber } from '../utilities/phone-numbers.js';
+import { ValidationEngine } from '../utilities/validation-engine.js';
+import { loadConfig } from '../config/core/config-loader.js';
+
+console.log("📞 Phone Numbers Test Suite - Loaded");
+
+describe('Phone Numbers', () => {
+    it('should parse NANP numbers and tell US from CA by area code', () => {
+        for (const input of ['+1 (555) 123-4567', '555-123-4567', '1-555-123-4567', '+15551234567']) {
+            expect(formatE164(input)).toBe('+15551234567');
+        }
+
+        expect(parsePhoneNumber('+1 416 555 0199')).toMatchObject({ country: 'CA', type: 'landlineOrMobile', valid: true });
+        expect(parsePhoneNumber('1-800-555-0199').type).toBe('tollFree');
+        expect(parsePhoneNumber('+1234567890').valid).toBe(false);
+    });
+
+    it('should handle international and trunk prefixes', () => {
+        expect(formatE164('+49 (0)30 1234567')).toBe('+49301234567');
+        expect(formatE164('030 1234567', 'DE')).toBe('+49301234567');
+        expect(formatE164('0049 30 1234567', 'DE')).toBe('+49301234567');
+        expect(formatE164('011 49 30 1234567')).toBe('+49301234567');
+        expect(formatE164('06 20 123 4567', 'HU')).toBe('+36201234567');
+        // Italian landlines keep the leading zero
+        expect(formatE164('+39 06 1234 5678')).toBe('+390612345678');
+    });
+
+    it('should detect number types', () => {
+        expect(parsePhoneNumber('+49 151 23456789').type).toBe('mobile');
+        expect(parsePhoneNumber('+49 32 12345678').type).toBe('voip');
+        expect(parsePhoneNumber('06 12 34 56 78', 'FR').type).toBe('mobile');
+        expect(parsePhoneNumber('09 51 23 45 67', 'FR').type).toBe('voip');
+        expect(parsePhoneNumber('+44 20 7946 0958').type).toBe('landline');
+        expect(parsePhoneNumber('+34 900 123 456').type).toBe('tollFree');
+    });
+
+    it('should reject numbers that are not valid in their country', () => {
+        expect(parsePhoneNumber('abc')).toBeNull();
+        expect(parsePhoneNumber(null)).toBeNull();
+        expect(parsePhoneNumber('+999 1234')).toMatchObject({ country: null, valid: false });
+        expect(parsePhoneNumber('+33 6 12 34 56')).toMatchObject({ country: 'FR', e164: null, valid: false });
+    });
+
+    describe('ValidationEngine integration', () => {
+        const engine = new ValidationEngine();
+
+        it('should match the same number across formats and countries', () => {
+            expect(engine.comparePhoneNumbers('+49 30 1234567', '030 1234567', 'DE')).toBe(1.0);
+            expect(engine.comparePhoneNumbers('+49 30 1234567', '030 1234567')).toBeLessThan(0.9);
+            expect(engine.comparePhoneNumbers('+33 6 12 34 56 78', '+34 612 345 678')).toBeLessThan(0.9);
+
+            const score = engine.validateIdentityCashAppMatch(
+                { userId: 'user_1', country: 'FR', phone: '06 12 34 56 78' },
+                { userId: 'user_2', phone: '+33 6 12 34 56 78' }
+            );
+            expect(score).toBe(35);
+        });
+
+        it('should normalize and compare NANP numbers written any way', () => {
+            for (const input of ['(555) 123-4567', '555-123-4567', '(555) 123 4567', '5551234567']) {
+                expect(engine.isValidPhone(input)).toBe(true);
+                expect(engine.normalizePhoneNumber(input)).toBe('+15551234567');
+            }
+
+            expect(engine.comparePhoneNumbers('5551234567', '+15551234567')).toBe(1.0);
+            expect(engine.isValidPhone('+1234567890')).toBe(false); // 9-digit NANP number
+        });
+
+        it('should validate and normalize by the configured default region', () => {
+            const german = new ValidationEngine({ defaultPhoneRegion: 'DE' });
+
+            expect(german.isValidPhone('0151 23456789')).toBe(true);
+            expect(german.normalizePhoneNumber('0151 23456789')).toBe('+4915123456789');
+            expect(engine.isValidPhone('0151 23456789', 'DE')).toBe(true);
+            expect(() => new ValidationEngine({ defaultPhoneRegion: 'EU' })).toThrow('defaultPhoneRegion must be one of');
+        });
+
+        it('should apply the phone settings from TOML', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'phone-settings-'));
+            try {
+                writeFileSync(join(dir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+[verifier]
+defaultPhoneRegion = "DE"
+voipRiskPenalty = 5
+`);
+                const config = await loadConfig(dir);
+                const german = new ValidationEngine(config.verifier);
+
+                expect(german.normalizePhoneNumber('030 1234567')).toBe('+49301234567');
+
+                const mobile = german.crossValidateAll({ success: true, userId: 'user_1', phone: '0151 23456789' });
+                const voip = german.crossValidateAll({ success: true, userId: 'user_2', phone: '032 12345678' });
+                expect(voip.validation.riskScore).toBe(mobile.validation.riskScore + 5);
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should flag VoIP numbers in pre-screening and raise risk', async () => {
+            const preScreen = await engine.preScreenUser({ userId: 'user_voip', email: 'user@example.com', phone: '+49 32 12345678' });
+
+            expect(preScreen.passed).toBe(true);
+            expect(preScreen.phone).toEqual({ country: 'DE', type: 'voip' });
+            expect(preScreen.issues).toContain('VoIP phone number');
+            expect(preScreen.score).toBe(85);
+
+            const mobile = engine.crossValidateAll({ success: true, userId: 'user_1', phone: '+49 151 23456789' });
+            const voip = engine.crossValidateAll({ success: true, userId: 'user_2', phone: '+49 32 12345678' });
+
+            expect(voip.validation.phoneType).toBe('voip');
+            expect(voip.validation.riskScore).toBe(mobile.validation.riskScore + 15);
+            expect(voip.validation.issues).toContain('VoIP phone number');
+        });
+    });
+});
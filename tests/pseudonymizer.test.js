@@ -0,0 +1,211 @@
+#!/usr/bin/env bun
+
+// __tests__/pseudonymizer.test.js - Keyed Pseudonymization Tests
+// HMAC pseudonyms, key rotation schedules, overlap windows and config validation
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { Pseudonymizer, createPseudonymizer, pseudonymizer as sharedPseudonymizer } from '../security/pseudonymizer.js';
+import { EnhancedRateLimiter } from '../security/enhanced-rate-limiter.js';
+import { OnePayMonitor } from '../monitoring/onepay-monitor.js';
+import { loadConfig } from '../config/core/config-loader.js';
+
+console.log("🎭 Pseudonymizer Test Suite - Loaded");
+
+const SECRET = 'test-pseudonymization-secret';
+const MONDAY = Date.parse('2026-10-19T06:00:00Z'); // First hours of ISO week 2026W43
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Pseudonymizer', () => {
+    let clock;
+    let pseudonymizer;
+
+    beforeEach(() => {
+        clock = MONDAY;
+        pseudonymizer = new Pseudonymizer({ secret: SECRET, now: () => clock });
+    });
+
+    it('should prefix pseudonyms with the id of the key that produced them', () => {
+        const pseudonym = pseudonymizer.pseudonymize('192.168.1.1');
+
+        expect(pseudonym).toMatch(/^2026W43:[0-9a-f]{16}$/);
+        expect(Pseudonymizer.keyIdOf(pseudonym)).toBe('2026W43');
+        expect(pseudonymizer.pseudonymize('192.168.1.1')).toBe(pseudonym);
+        expect(pseudonymizer.pseudonymize('192.168.1.2')).not.toBe(pseudonym);
+    });
+
+    it('should depend on the configured secret', () => {
+        const sameKey = new Pseudonymizer({ secret: SECRET, now: () => clock });
+        const otherKey = new Pseudonymizer({ secret: 'another-secret', now: () => clock });
+
+        expect(sameKey.pseudonymize('user_123')).toBe(pseudonymizer.pseudonymize('user_123'));
+        expect(otherKey.pseudonymize('user_123')).not.toBe(pseudonymizer.pseudonymize('user_123'));
+    });
+
+    it('should rotate keys on schedule', () => {
+        const before = pseudonymizer.pseudonymize('user_123');
+
+        clock = MONDAY + 7 * 24 * HOUR_MS;
+        const after = pseudonymizer.pseudonymize('user_123');
+
+        expect(Pseudonymizer.keyIdOf(after)).toBe('2026W44');
+        expect(after.split(':')[1]).not.toBe(before.split(':')[1]);
+    });
+
+    it('should name periods for every rotation schedule', () => {
+        const at = (rotation, time) => new Pseudonymizer({ secret: SECRET, rotation }).getKeyId(Date.parse(time));
+
+        expect(at('DAILY', '2026-10-19T23:59:59Z')).toBe('20261019');
+        expect(at('WEEKLY', '2027-01-01T00:00:00Z')).toBe('2026W53');
+        expect(at('WEEKLY', '2027-01-04T00:00:00Z')).toBe('2027W01');
+        expect(at('MONTHLY', '2026-10-19T00:00:00Z')).toBe('2026M10');
+        expect(at('NEVER', '2026-10-19T00:00:00Z')).toBe('static');
+        expect(() => new Pseudonymizer({ secret: SECRET, rotation: 'HOURLY' })).toThrow('Unknown pseudonymization rotation: HOURLY');
+    });
+
+    it('should keep the previous key active during the overlap window', () => {
+        expect(pseudonymizer.getActiveKeyIds()).toEqual(['2026W43', '2026W42']);
+        expect(pseudonymizer.candidates('user_123').map(Pseudonymizer.keyIdOf)).toEqual(['2026W43', '2026W42']);
+
+        clock = MONDAY + 24 * HOUR_MS;
+        expect(pseudonymizer.getActiveKeyIds()).toEqual(['2026W43']);
+        expect(pseudonymizer.candidates('user_123')).toEqual([pseudonymizer.pseudonymize('user_123')]);
+    });
+
+    it('should match pseudonyms from earlier periods', () => {
+        clock = MONDAY - 30 * 24 * HOUR_MS;
+        const oldPseudonym = pseudonymizer.pseudonymize('user_123');
+
+        clock = MONDAY;
+        expect(pseudonymizer.matches('user_123', oldPseudonym)).toBe(true);
+        expect(pseudonymizer.matches('user_456', oldPseudonym)).toBe(false);
+        expect(pseudonymizer.matches('user_123', oldPseudonym.split(':')[1])).toBe(false);
+        expect(pseudonymizer.matches('user_123', null)).toBe(false);
+    });
+
+    it('should fall back to an ephemeral key without a usable secret', () => {
+        const previous = process.env.PSEUDONYMIZATION_SECRET;
+        delete process.env.PSEUDONYMIZATION_SECRET;
+
+        try {
+            const first = createPseudonymizer({ secret: '${PSEUDONYMIZATION_SECRET}' });
+            const second = createPseudonymizer({});
+
+            expect(first.ephemeral).toBe(true);
+            expect(first.pseudonymize('user_123')).not.toBe(second.pseudonymize('user_123'));
+
+            process.env.PSEUDONYMIZATION_SECRET = SECRET;
+            expect(createPseudonymizer({ secret: '${PSEUDONYMIZATION_SECRET}' }).ephemeral).toBe(false);
+        } finally {
+            if (previous === undefined) {
+                delete process.env.PSEUDONYMIZATION_SECRET;
+            } else {
+                process.env.PSEUDONYMIZATION_SECRET = previous;
+            }
+        }
+    });
+
+    it('should pseudonymize monitor user IDs with the shared service', () => {
+        const outputDir = mkdtempSync(join(tmpdir(), 'onepay-monitor-'));
+        const monitor = new OnePayMonitor({ outputDir, pseudonymizer });
+
+        try {
+            expect(monitor.hashUserId('user_123')).toBe(pseudonymizer.pseudonymize('user_123'));
+            expect(monitor.hashUserId(null)).toBeNull();
+        } finally {
+            monitor.stop();
+            rmSync(outputDir, { recursive: true, force: true });
+        }
+    });
+
+    describe('config-loader integration', () => {
+        let configDir;
+
+        const writeConfig = (pseudonymizationToml) => {
+            writeFileSync(join(configDir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+${pseudonymizationToml}
+`);
+        };
+
+        beforeEach(() => {
+            configDir = mkdtempSync(join(tmpdir(), 'pseudonymization-'));
+        });
+
+        afterEach(() => {
+            rmSync(configDir, { recursive: true, force: true });
+        });
+
+        it('should build a pseudonymizer from [pseudonymization]', async () => {
+            writeConfig(`
+[pseudonymization]
+secret = "${SECRET}"
+rotation = "DAILY"
+hashLength = 24
+`);
+
+            const config = await loadConfig(configDir);
+            const fromConfig = createPseudonymizer(config.pseudonymization);
+
+            expect(fromConfig.ephemeral).toBe(false);
+            expect(fromConfig.overlapMs).toBe(24 * HOUR_MS);
+            expect(fromConfig.pseudonymize('user_123', '20261019')).toMatch(/^20261019:[0-9a-f]{24}$/);
+        });
+
+        it('should key the shared pseudonymizer used by the rate limiter', async () => {
+            const saved = { ...sharedPseudonymizer };
+            writeConfig(`
+[pseudonymization]
+secret = "${SECRET}"
+rotation = "MONTHLY"
+hashLength = 20
+`);
+
+            try {
+                await loadConfig(configDir);
+                const limiter = new EnhancedRateLimiter();
+                const expected = new Pseudonymizer({ secret: SECRET, rotation: 'MONTHLY', hashLength: 20 });
+
+                expect(sharedPseudonymizer.ephemeral).toBe(false);
+                expect(limiter.hashIP('10.0.0.1')).toBe(expected.pseudonymize('10.0.0.1'));
+                limiter.stop();
+
+                // Without a secret the ephemeral key survives reloads, so
+                // pseudonyms keep correlating within the process
+                const previous = process.env.PSEUDONYMIZATION_SECRET;
+                delete process.env.PSEUDONYMIZATION_SECRET;
+                try {
+                    writeConfig('');
+                    await loadConfig(configDir);
+                    const ephemeral = sharedPseudonymizer.pseudonymize('10.0.0.1');
+                    await loadConfig(configDir);
+
+                    expect(sharedPseudonymizer.ephemeral).toBe(true);
+                    expect(sharedPseudonymizer.pseudonymize('10.0.0.1')).toBe(ephemeral);
+                } finally {
+                    if (previous !== undefined) process.env.PSEUDONYMIZATION_SECRET = previous;
+                }
+            } finally {
+                Object.assign(sharedPseudonymizer, saved, { keyCache: new Map() });
+            }
+        });
+
+        it('should reject an unknown rotation schedule', async () => {
+            writeConfig(`
+[pseudonymization]
+rotation = "HOURLY"
+`);
+
+            await expect(loadConfig(configDir)).rejects.toThrow('pseudonymization.rotation must be one of DAILY, WEEKLY, MONTHLY, NEVER');
+        });
+    });
+});
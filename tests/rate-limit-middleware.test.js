@@ -0,0 +1,263 @@
+#!/usr/bin/env bun
+
+// __tests__/rate-limit-middleware.test.js - HTTP Rate Limit Middleware Tests
+// Bun.serve and Node http adapters with RateLimit-* / Retry-After headers
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { createServer } from 'http';
+import { EnhancedRateLimiter } from '../security/enhanced-rate-limiter.js';
+import {
+    getRateLimitHeaders,
+    extractNodeRequest,
+    createFetchRateLimitMiddleware,
+    createNodeRateLimitMiddleware
+} from '../security/rate-limit-middleware.js';
+
+console.log("🚦 Rate Limit Middleware Test Suite - Loaded");
+
+describe('Rate Limit Middleware', () => {
+    let limiter;
+
+    beforeEach(() => {
+        limiter = new EnhancedRateLimiter();
+    });
+
+    afterEach(() => {
+        limiter.stop();
+    });
+
+    describe('getRateLimitHeaders', () => {
+        it('should report the most constrained scope', () => {
+            const headers = getRateLimitHeaders({
+                allowed: true,
+                results: [
+                    { allowed: true, limit: 100, remaining: 99, resetMs: 60000 },
+                    { allowed: true, limit: 5, remaining: 2, resetMs: 45500 }
+                ]
+            });
+
+            expect(headers).toEqual({
+                'RateLimit-Limit': '5',
+                'RateLimit-Remaining': '2',
+                'RateLimit-Reset': '46'
+            });
+        });
+
+        it('should add Retry-After to rejections', () => {
+            const headers = getRateLimitHeaders({
+                allowed: false,
+                retryAfter: 900,
+                results: [{ allowed: false, limit: 5, retryAfter: 900 }]
+            });
+
+            expect(headers['RateLimit-Remaining']).toBe('0');
+            expect(headers['RateLimit-Reset']).toBe('900');
+            expect(headers['Retry-After']).toBe('900');
+        });
+
+        it('should omit Retry-After for open-ended denials', () => {
+            const headers = getRateLimitHeaders({
+                allowed: false,
+                reason: 'IP_DENYLISTED',
+                retryAfter: null,
+                results: []
+            });
+
+            expect(headers).toEqual({ 'RateLimit-Remaining': '0' });
+        });
+    });
+
+    describe('Bun.serve adapter', () => {
+        let server;
+        let seen;
+
+        beforeEach(() => {
+            seen = [];
+            const originalCheck = limiter.checkRateLimit.bind(limiter);
+            limiter.checkRateLimit = (request) => {
+                seen.push(request);
+                return originalCheck(request);
+            };
+
+            server = Bun.serve({
+                port: 0,
+                fetch: createFetchRateLimitMiddleware(() => new Response('ok'), { limiter, trustProxy: true, trustUserIdHeader: true })
+            });
+        });
+
+        afterEach(() => {
+            server.stop(true);
+        });
+
+        it('should pass allowed requests through with RateLimit headers', async () => {
+            const response = await fetch(`${server.url}api/funding`, {
+                method: 'POST',
+                headers: {
+                    'X-User-ID': 'user_fetch',
+                    'X-Device-Fingerprint': 'device_fetch',
+                    'X-Forwarded-For': '203.0.113.7, 10.0.0.1'
+                }
+            });
+
+            expect(response.status).toBe(200);
+            expect(await response.text()).toBe('ok');
+            expect(response.headers.get('RateLimit-Limit')).toBe('2');
+            expect(response.headers.get('RateLimit-Remaining')).toBe('1');
+            expect(Number(response.headers.get('RateLimit-Reset'))).toBeGreaterThan(0);
+
+            expect(seen[0]).toMatchObject({
+                ip: '203.0.113.7',
+                userId: 'user_fetch',
+                deviceFingerprint: 'device_fetch',
+                path: '/api/funding',
+                method: 'POST'
+            });
+        });
+
+        it('should reject with 429 and Retry-After once a scope is exhausted', async () => {
+            const send = () => fetch(`${server.url}api/funding`, {
+                method: 'POST',
+                headers: { 'X-Forwarded-For': '203.0.113.8' }
+            });
+
+            for (let i = 0; i < 5; i++) {
+                expect((await send()).status).toBe(200);
+            }
+
+            const response = await send();
+            const body = await response.json();
+
+            expect(response.status).toBe(429);
+            expect(response.headers.get('Retry-After')).toBe('1800');
+            expect(response.headers.get('RateLimit-Remaining')).toBe('0');
+            expect(body.error).toBe('RATE_LIMIT_EXCEEDED');
+            expect(body.scope).toBe('ip:funding');
+        });
+
+        it('should reject merchants over quota with QUOTA_EXHAUSTED', async () => {
+            limiter.setTenantQuota('merchant_fetch', { verification: { maxRequests: 1 } });
+            const send = (ip) => fetch(`${server.url}api/verify`, {
+                method: 'POST',
+                headers: { 'X-Forwarded-For': ip, 'X-Merchant-ID': 'merchant_fetch' }
+            });
+
+            expect((await send('203.0.113.20')).status).toBe(200);
+            expect(seen[0].tenantId).toBe('merchant_fetch');
+
+            const response = await send('203.0.113.21');
+            const body = await response.json();
+
+            expect(response.status).toBe(429);
+            expect(Number(response.headers.get('Retry-After'))).toBeGreaterThan(0);
+            expect(body.error).toBe('QUOTA_EXHAUSTED');
+            expect(body.scope).toBe('tenant:verification');
+        });
+
+        it('should ignore X-Forwarded-For and X-User-ID unless trusted', async () => {
+            const untrusted = Bun.serve({
+                port: 0,
+                fetch: createFetchRateLimitMiddleware(() => new Response('ok'), { limiter })
+            });
+
+            try {
+                await fetch(`${untrusted.url}api/verify`, { headers: { 'X-Forwarded-For': '198.51.100.1', 'X-User-ID': 'spoofed' } });
+                expect(seen[0].ip).not.toBe('198.51.100.1');
+                expect(seen[0].ip).toBeTruthy();
+                expect(seen[0].userId).toBeNull();
+            } finally {
+                untrusted.stop(true);
+            }
+        });
+    });
+
+    describe('Node http adapter', () => {
+        let server;
+        let baseUrl;
+
+        beforeEach(async () => {
+            const limit = createNodeRateLimitMiddleware({
+                limiter,
+                getUserId: (req) => req.headers.authorization?.replace('Bearer ', '') // Stands in for real auth
+            });
+
+            server = createServer(async (req, res) => {
+                if (await limit(req, res)) {
+                    res.end('ok');
+                }
+            });
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        it('should set RateLimit headers and reject with 429', async () => {
+            const send = () => fetch(`${baseUrl}/api/funding?source=test`, {
+                method: 'POST',
+                headers: { Authorization: 'Bearer user_node' }
+            });
+
+            const first = await send();
+            expect(first.status).toBe(200);
+            expect(first.headers.get('RateLimit-Limit')).toBe('3');
+            expect(first.headers.get('RateLimit-Remaining')).toBe('2');
+
+            await send();
+            await send();
+
+            const rejected = await send();
+            expect(rejected.status).toBe(429);
+            expect(rejected.headers.get('Retry-After')).toBe('3600');
+            expect((await rejected.json()).scope).toBe('userId:funding');
+        });
+    });
+
+    describe('Express-style usage', () => {
+        it('should read Express request fields and call next', async () => {
+            const middleware = createNodeRateLimitMiddleware({ limiter });
+            const req = {
+                ip: '192.0.2.10',
+                path: '/api/verify',
+                url: '/api/verify?x=1',
+                method: 'POST',
+                user: { id: 'express_user' },
+                headers: { 'x-device-fingerprint': 'express_device' }
+            };
+            const headers = {};
+            const res = { setHeader: (name, value) => { headers[name] = value; } };
+
+            expect(extractNodeRequest(req)).toMatchObject({
+                ip: '192.0.2.10',
+                userId: 'express_user',
+                deviceFingerprint: 'express_device',
+                path: '/api/verify'
+            });
+
+            let nextCalled = false;
+            await middleware(req, res, () => { nextCalled = true; });
+
+            expect(nextCalled).toBe(true);
+            expect(headers['RateLimit-Limit']).toBe('5');
+        });
+
+        it('should fail open or closed when the limiter errors', async () => {
+            const failing = { checkRateLimit: async () => { throw new Error('store down'); } };
+            const res = {
+                headers: {},
+                setHeader(name, value) { this.headers[name] = value; },
+                end(body) { this.body = body; }
+            };
+
+            let nextCalled = false;
+            await createNodeRateLimitMiddleware({ limiter: failing })({ headers: {}, url: '/' }, res, () => { nextCalled = true; });
+            expect(nextCalled).toBe(true);
+
+            const allowed = await createNodeRateLimitMiddleware({ limiter: failing, failOpen: false })({ headers: {}, url: '/' }, res);
+            expect(allowed).toBe(false);
+            expect(res.statusCode).toBe(503);
+        });
+    });
+});
@@ -0,0 +1,177 @@
+#!/usr/bin/env bun
+
+// __tests__/rate-limit-monitor-bridge.test.js - Rate Limiter Monitoring Tests
+// Rate limiter events as OnePayMonitor security metrics, alerts and dashboard data
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { EnhancedRateLimiter } from '../security/enhanced-rate-limiter.js';
+import { OnePayMonitor } from '../monitoring/onepay-monitor.js';
+import { connectRateLimiterToMonitor } from '../monitoring/rate-limit-bridge.js';
+
+console.log("🌉 Rate Limit Monitor Bridge Test Suite - Loaded");
+
+describe('Rate Limit Monitor Bridge', () => {
+    let limiter;
+    let monitor;
+    let bridge;
+    let outputDir;
+
+    beforeEach(() => {
+        outputDir = mkdtempSync(join(tmpdir(), 'onepay-monitor-'));
+        limiter = new EnhancedRateLimiter();
+        monitor = new OnePayMonitor({ outputDir });
+        bridge = connectRateLimiterToMonitor(limiter, monitor);
+    });
+
+    afterEach(async () => {
+        bridge.disconnect();
+        limiter.stop();
+        monitor.stop();
+        await monitor.alertLogWrite;
+        rmSync(outputDir, { recursive: true, force: true });
+    });
+
+    const alertsOfType = (type) => monitor.getActiveAlerts().filter(alert => alert.type === type);
+
+    it('should count rate limit blocks as security metrics', async () => {
+        const events = [];
+        monitor.on('security:event', event => events.push(event));
+
+        for (let i = 0; i < 6; i++) {
+            await limiter.checkRateLimit({ ip: '10.40.0.1', path: '/api/funding', method: 'POST' });
+        }
+
+        const dashboard = monitor.getDashboardData();
+        expect(dashboard.metrics.security.rateLimitBlocks).toBe(1);
+        expect(dashboard.rateLimiting.blocksByReason).toEqual({ RATE_LIMIT_EXCEEDED: 1 });
+        expect(dashboard.rateLimiting.blocksByScope).toEqual({ 'ip:funding': 1 });
+
+        const blockEvent = events.find(event => event.type === 'RATE_LIMIT_BLOCKED');
+        expect(blockEvent.details.scope).toBe('ip:funding');
+        // Identifiers stay pseudonymized
+        expect(blockEvent.details.ip).not.toBe('10.40.0.1');
+    });
+
+    it('should raise one bot alert per entity within the cooldown', async () => {
+        const request = { ip: '10.40.0.2', path: '/api/verify', method: 'POST' };
+        const startTime = Date.now();
+
+        for (let i = 0; i < 8; i++) {
+            request.timestamp = startTime + (i * 5000);
+            await limiter.checkRateLimit(request);
+        }
+
+        expect(monitor.getMetric('botDetections', 'security')).toBeGreaterThan(1);
+        expect(monitor.getRateLimitActivity().patterns.BOT_LIKE_PATTERN).toBeGreaterThan(1);
+
+        const botAlerts = alertsOfType('BOT_ACTIVITY_DETECTED');
+        expect(botAlerts.length).toBe(1);
+        expect(botAlerts[0].severity).toBe('HIGH');
+    });
+
+    it('should track bots even after they are blocked', async () => {
+        const request = { ip: '10.40.0.3', userId: 'bot_user', path: '/api/funding', method: 'POST' };
+        const startTime = Date.now();
+
+        let result;
+        for (let i = 0; i < 6; i++) {
+            request.timestamp = startTime + (i * 2000);
+            result = await limiter.checkRateLimit(request);
+        }
+
+        expect(result.allowed).toBe(false);
+        expect(result.patterns).toContain('BOT_LIKE_PATTERN');
+        expect(monitor.getMetric('botDetections', 'security')).toBeGreaterThan(0);
+    });
+
+    it('should alert on high-risk traffic', async () => {
+        // One device across four IPs (50) with three users on one of them (40)
+        const ips = ['10.41.0.1', '10.41.0.1', '10.41.0.2', '10.41.0.3', '10.41.0.4', '10.41.0.1'];
+        for (let i = 0; i < ips.length; i++) {
+            await limiter.checkRateLimit({
+                ip: ips[i],
+                userId: `rotating_${i}`,
+                deviceFingerprint: 'rotating_device',
+                path: '/api/verify',
+                method: 'POST'
+            });
+        }
+
+        const [alert] = alertsOfType('HIGH_RISK_TRAFFIC');
+        expect(alert.severity).toBe('HIGH');
+        expect(alert.details.riskScore).toBeGreaterThanOrEqual(80);
+    });
+
+    it('should report manual blocks without raw identifiers', async () => {
+        await limiter.blockEntity('userId', 'user_secret_id', 'ABUSE', 60 * 1000, { operator: 'analyst@onepay', ticket: 'TS-1' });
+        await limiter.unblockEntity('userId', 'user_secret_id', { operator: 'analyst@onepay' });
+
+        const dashboard = monitor.getDashboardData();
+        expect(dashboard.metrics.security.manualBlocks).toBe(1);
+        expect(dashboard.rateLimiting.recentEvents.map(event => event.type)).toEqual(['MANUAL_BLOCK', 'MANUAL_UNBLOCK']);
+        expect(JSON.stringify(dashboard)).not.toContain('user_secret_id');
+
+        const [alert] = alertsOfType('MANUAL_BLOCK_APPLIED');
+        expect(alert.severity).toBe('LOW');
+        expect(alert.details.ticket).toBe('TS-1');
+    });
+
+    it('should alert on block spikes and repeat offenders', () => {
+        monitor.rateLimitThresholds.blockSpikeCount = 3;
+
+        for (let i = 0; i < 3; i++) {
+            monitor.trackRateLimitBlock({ scope: 'ip:global', reason: 'RATE_LIMIT_EXCEEDED', ip: `hash${i}`, offenses: 1 });
+        }
+        monitor.trackRateLimitBlock({ scope: 'device:funding', reason: 'RATE_LIMIT_EXCEEDED', deviceFingerprint: 'devhash', offenses: 3 });
+
+        expect(alertsOfType('RATE_LIMIT_BLOCK_SPIKE').length).toBe(1);
+        expect(alertsOfType('RATE_LIMIT_BLOCK_SPIKE')[0].severity).toBe('HIGH');
+        expect(alertsOfType('REPEAT_RATE_LIMIT_OFFENDER')[0]).toMatchObject({
+            severity: 'MEDIUM',
+            details: { entity: 'devhash', offenses: 3 }
+        });
+        expect(monitor.getRateLimitActivity().blocksLastWindow).toBe(4);
+    });
+
+    it('should forget expired alert cooldowns', () => {
+        monitor.rateLimitThresholds.alertCooldownMs = 60 * 1000;
+        const startTime = Date.now();
+
+        for (let i = 0; i < 3; i++) {
+            monitor.triggerAlertOnce('HIGH_RISK_TRAFFIC', `hash${i}`, { riskScore: 90 });
+        }
+        expect(monitor.triggerAlertOnce('HIGH_RISK_TRAFFIC', 'hash0', { riskScore: 90 })).toBe(false);
+        expect(monitor.alertCooldowns.size).toBe(3);
+
+        const realNow = Date.now;
+        Date.now = () => startTime + 61 * 1000;
+        try {
+            expect(monitor.triggerAlertOnce('HIGH_RISK_TRAFFIC', 'hash3', { riskScore: 90 })).toBe(true);
+            expect([...monitor.alertCooldowns.keys()]).toEqual(['HIGH_RISK_TRAFFIC:hash3']);
+        } finally {
+            Date.now = realNow;
+        }
+    });
+
+    it('should append alerts to the alert log in order', async () => {
+        monitor.trackRateLimitBlock({ scope: 'device:funding', reason: 'RATE_LIMIT_EXCEEDED', deviceFingerprint: 'devhash', offenses: 3 });
+        monitor.triggerAlertOnce('HIGH_RISK_TRAFFIC', 'iphash', { riskScore: 90 });
+        await monitor.alertLogWrite;
+
+        const lines = readFileSync(join(outputDir, 'alerts.log'), 'utf-8').trim().split('\n');
+        expect(lines.map(line => line.split(' ')[2])).toEqual(['REPEAT_RATE_LIMIT_OFFENDER:', 'HIGH_RISK_TRAFFIC:']);
+    });
+
+    it('should stop forwarding after disconnect', async () => {
+        bridge.disconnect();
+
+        for (let i = 0; i < 6; i++) {
+            await limiter.checkRateLimit({ ip: '10.40.0.9', path: '/api/funding', method: 'POST' });
+        }
+
+        expect(monitor.getMetric('rateLimitBlocks', 'security')).toBe(0);
+    });
+});
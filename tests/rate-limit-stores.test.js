@@ -0,0 +1,324 @@
+#!/usr/bin/env bun
+
+// __tests__/rate-limit-stores.test.js - Rate Limit Storage Backend Tests
+// Shared-state tests for memory, SQLite and Redis-protocol stores
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    MemoryRateLimitStore,
+    SQLiteRateLimitStore,
+    RedisRateLimitStore,
+    createRateLimitStore
+} from '../security/rate-limit-stores.js';
+import { EnhancedRateLimiter } from '../security/enhanced-rate-limiter.js';
+
+console.log("🗄️ Rate Limit Stores Test Suite - Loaded");
+
+/**
+ * Local stand-in for a Redis server: implements the handful of commands the
+ * store sends (GET, SET PX, DEL, MGET, SCAN) with the same reply shapes, and
+ * runs EVAL of the store's compare-and-set script atomically
+ */
+class RedisStandIn {
+    constructor() {
+        this.data = new Map();
+        this.commands = [];
+        this.evaluations = 0;
+        this.conflicts = 0;
+    }
+
+    async send(command, args) {
+        this.commands.push(command);
+        this.expire();
+
+        switch (command) {
+            case 'GET':
+                return this.data.get(args[0])?.value ?? null;
+            case 'SET': {
+                const pxIndex = args.indexOf('PX');
+                const expiresAt = pxIndex >= 0 ? Date.now() + Number(args[pxIndex + 1]) : 0;
+                this.data.set(args[0], { value: args[1], expiresAt });
+                return 'OK';
+            }
+            case 'DEL':
+                return args.filter(key => this.data.delete(key)).length;
+            case 'MGET':
+                return args.map(key => this.data.get(key)?.value ?? null);
+            case 'EVAL': {
+                const [, , key, expected, next, ttlMs] = args;
+                this.evaluations++;
+                if ((this.data.get(key)?.value ?? '') !== expected) {
+                    this.conflicts++;
+                    return 0;
+                }
+                if (next === '') {
+                    this.data.delete(key);
+                } else {
+                    this.data.set(key, { value: next, expiresAt: Number(ttlMs) > 0 ? Date.now() + Number(ttlMs) : 0 });
+                }
+                return 1;
+            }
+            case 'SCAN': {
+                const pattern = args[args.indexOf('MATCH') + 1];
+                const prefix = pattern.replace(/\*$/, '');
+                const keys = Array.from(this.data.keys()).filter(key => key.startsWith(prefix));
+                return ['0', keys];
+            }
+            default:
+                throw new Error(`ERR unknown command '${command}'`);
+        }
+    }
+
+    expire() {
+        const now = Date.now();
+        for (const [key, entry] of this.data.entries()) {
+            if (entry.expiresAt && entry.expiresAt <= now) {
+                this.data.delete(key);
+            }
+        }
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Contract shared by every store implementation
+ */
+function describeStoreContract(name, createStore, destroyStore = async () => {}) {
+    describe(`${name} contract`, () => {
+        let store;
+
+        beforeEach(async () => {
+            store = await createStore();
+        });
+
+        afterEach(async () => {
+            await destroyStore(store);
+        });
+
+        it('should round-trip JSON values', async () => {
+            await store.set('counters', 'ip:global:1.2.3.4', { count: 3, windowStart: 1000 });
+
+            expect(await store.get('counters', 'ip:global:1.2.3.4')).toEqual({ count: 3, windowStart: 1000 });
+            expect(await store.get('counters', 'missing')).toBeNull();
+        });
+
+        it('should keep namespaces separate', async () => {
+            await store.set('counters', 'shared', { a: 1 });
+            await store.set('blocks', 'shared', { b: 2 });
+
+            expect(await store.entries('counters')).toEqual([['shared', { a: 1 }]]);
+            expect(await store.size('blocks')).toBe(1);
+        });
+
+        it('should expire entries after their TTL', async () => {
+            await store.set('blocks', 'ip:1.2.3.4', { reason: 'TEST' }, 20);
+            expect(await store.get('blocks', 'ip:1.2.3.4')).not.toBeNull();
+
+            await sleep(30);
+            await store.prune();
+
+            expect(await store.get('blocks', 'ip:1.2.3.4')).toBeNull();
+            expect(await store.size('blocks')).toBe(0);
+        });
+
+        it('should apply updates against the current value', async () => {
+            for (let i = 0; i < 5; i++) {
+                await store.update('counters', 'k', (current) => ({ count: (current?.count || 0) + 1 }));
+            }
+
+            expect(await store.get('counters', 'k')).toEqual({ count: 5 });
+        });
+
+        it('should take an update TTL from the updated value', async () => {
+            const ttlFor = (value) => (value.done ? 20 : 0);
+            await store.update('reviews', 'open', () => ({ done: false }), ttlFor);
+            await store.update('reviews', 'done', () => ({ done: true }), ttlFor);
+
+            await sleep(30);
+            await store.prune();
+
+            expect(await store.get('reviews', 'open')).toEqual({ done: false });
+            expect(await store.get('reviews', 'done')).toBeNull();
+        });
+
+        it('should delete entries when an update returns null', async () => {
+            await store.set('counters', 'k', { count: 1 });
+            await store.update('counters', 'k', () => null);
+
+            expect(await store.get('counters', 'k')).toBeNull();
+        });
+
+        it('should report whether a delete removed anything', async () => {
+            await store.set('blocks', 'k', { reason: 'TEST' });
+
+            expect(await store.delete('blocks', 'k')).toBe(true);
+            expect(await store.delete('blocks', 'k')).toBe(false);
+        });
+
+        it('should clear a single namespace', async () => {
+            await store.set('counters', 'a', 1);
+            await store.set('blocks', 'b', 2);
+            await store.clear('counters');
+
+            expect(await store.size('counters')).toBe(0);
+            expect(await store.size('blocks')).toBe(1);
+        });
+    });
+}
+
+describe('Rate Limit Stores', () => {
+    describeStoreContract('MemoryRateLimitStore', () => new MemoryRateLimitStore());
+
+    let sqliteDir;
+    describeStoreContract('SQLiteRateLimitStore', () => {
+        sqliteDir = mkdtempSync(join(tmpdir(), 'rate-limit-store-'));
+        return new SQLiteRateLimitStore({ path: join(sqliteDir, 'state.db') });
+    }, async (store) => {
+        await store.close();
+        rmSync(sqliteDir, { recursive: true, force: true });
+    });
+
+    describeStoreContract('RedisRateLimitStore', () => new RedisRateLimitStore({ client: new RedisStandIn() }));
+
+    describe('createRateLimitStore', () => {
+        it('should build stores by type', () => {
+            expect(createRateLimitStore()).toBeInstanceOf(MemoryRateLimitStore);
+            expect(createRateLimitStore({ type: 'sqlite', path: ':memory:' })).toBeInstanceOf(SQLiteRateLimitStore);
+            expect(createRateLimitStore({ type: 'redis', client: new RedisStandIn() })).toBeInstanceOf(RedisRateLimitStore);
+        });
+
+        it('should reject unknown store types', () => {
+            expect(() => createRateLimitStore({ type: 'memcached' })).toThrow('Unknown rate limit store type: memcached');
+        });
+    });
+
+    describe('RedisRateLimitStore', () => {
+        it('should prefix keys and set PX expiry', async () => {
+            const client = new RedisStandIn();
+            const store = new RedisRateLimitStore({ client, prefix: 'test:' });
+
+            await store.set('blocks', 'ip:1.2.3.4', { reason: 'TEST' }, 1000);
+
+            const [[key, entry]] = Array.from(client.data.entries());
+            expect(key).toBe('test:blocks:ip:1.2.3.4');
+            expect(entry.expiresAt).toBeGreaterThan(Date.now());
+        });
+
+        it('should serialize concurrent updates to the same key', async () => {
+            const store = new RedisRateLimitStore({ client: new RedisStandIn() });
+
+            await Promise.all(Array.from({ length: 10 }, () =>
+                store.update('counters', 'k', (current) => ({ count: (current?.count || 0) + 1 }))
+            ));
+
+            expect(await store.get('counters', 'k')).toEqual({ count: 10 });
+        });
+
+        it('should not lose updates made concurrently by other processes', async () => {
+            // Two stores on one server stand in for two replicas: their
+            // in-process queues do not see each other
+            const client = new RedisStandIn();
+            const replicas = [new RedisRateLimitStore({ client }), new RedisRateLimitStore({ client })];
+
+            await Promise.all(Array.from({ length: 20 }, (_, i) =>
+                replicas[i % 2].update('counters', 'k', (current) => ({ count: (current?.count || 0) + 1 }))
+            ));
+
+            expect(await replicas[0].get('counters', 'k')).toEqual({ count: 20 });
+            expect(client.conflicts).toBeGreaterThan(0);
+        });
+
+        it('should give up when updates keep conflicting', async () => {
+            const client = new RedisStandIn();
+            const store = new RedisRateLimitStore({ client, maxUpdateRetries: 3 });
+
+            // Another writer changes the key between every read and write
+            const send = client.send.bind(client);
+            client.send = async (command, args) => {
+                if (command === 'EVAL') {
+                    client.data.set(args[2], { value: JSON.stringify({ count: Math.random() }), expiresAt: 0 });
+                }
+                return send(command, args);
+            };
+
+            await expect(store.update('counters', 'k', () => ({ count: 1 }))).rejects.toThrow('kept conflicting after 3 attempts');
+            expect(client.evaluations).toBe(3);
+        });
+    });
+
+    describe('Shared state across limiter replicas', () => {
+        const fundingRequest = {
+            ip: '10.0.0.5',
+            path: '/api/funding',
+            method: 'POST'
+        };
+
+        async function exhaustAcrossReplicas(store) {
+            const replicaA = new EnhancedRateLimiter({ store });
+            const replicaB = new EnhancedRateLimiter({ store });
+
+            try {
+                // ip:funding allows 5 per minute in total, not per replica
+                const allowed = [];
+                for (let i = 0; i < 6; i++) {
+                    const replica = i % 2 === 0 ? replicaA : replicaB;
+                    allowed.push((await replica.checkRateLimit(fundingRequest)).allowed);
+                }
+
+                return {
+                    allowed,
+                    blockedOnA: await replicaA.isBlocked('ip', fundingRequest.ip),
+                    blockedOnB: await replicaB.isBlocked('ip', fundingRequest.ip),
+                    statistics: await replicaB.getStatistics()
+                };
+            } finally {
+                replicaA.stop();
+                replicaB.stop();
+            }
+        }
+
+        it('should enforce limits across replicas sharing a Redis-protocol store', async () => {
+            const result = await exhaustAcrossReplicas(new RedisRateLimitStore({ client: new RedisStandIn() }));
+
+            expect(result.allowed).toEqual([true, true, true, true, true, false]);
+            expect(result.blockedOnA).toBe(true);
+            expect(result.blockedOnB).toBe(true);
+            expect(result.statistics.activeBlocks).toBe(1);
+        });
+
+        it('should enforce limits across replicas sharing a SQLite file', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'rate-limit-replicas-'));
+            const path = join(dir, 'state.db');
+            const storeA = new SQLiteRateLimitStore({ path });
+            const storeB = new SQLiteRateLimitStore({ path });
+
+            try {
+                const replicaA = new EnhancedRateLimiter({ store: storeA });
+                const replicaB = new EnhancedRateLimiter({ store: storeB });
+
+                for (let i = 0; i < 5; i++) {
+                    const replica = i % 2 === 0 ? replicaA : replicaB;
+                    expect((await replica.checkRateLimit(fundingRequest)).allowed).toBe(true);
+                }
+
+                const blocked = await replicaB.checkRateLimit(fundingRequest);
+                expect(blocked.allowed).toBe(false);
+                expect(blocked.scope).toBe('ip:funding');
+
+                await replicaB.blockEntity('device', 'shared_device', 'MANUAL_BLOCK', 60 * 1000);
+                expect(await replicaA.isBlocked('device', 'shared_device')).toBe(true);
+
+                replicaA.stop();
+                replicaB.stop();
+            } finally {
+                await storeA.close();
+                await storeB.close();
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+});
@@ -0,0 +1,277 @@
+#!/usr/bin/env bun
+
+// __tests__/review-queue.test.js - Manual Review Queue Tests
+// Priorities, SLA deadlines, claim locks, decisions and finalization
+
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ReviewQueue } from '../utilities/review-queue.js';
+import { TensionRouter } from '../utilities/tension-router.js';
+
+console.log("📋 Review Queue Test Suite - Loaded");
+
+const START = Date.parse('2026-10-19T09:00:00Z');
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+describe('ReviewQueue', () => {
+    let clock;
+    let finalized;
+    let queue;
+
+    beforeEach(() => {
+        clock = START;
+        finalized = [];
+        queue = new ReviewQueue({
+            now: () => clock,
+            onDecision: async (item) => { finalized.push(item); }
+        });
+    });
+
+    it('should order open items by priority and SLA deadline', async () => {
+        const normal = await queue.enqueue({ verificationId: 'v_normal' });
+        clock += MINUTE_MS;
+        const critical = await queue.enqueue({ verificationId: 'v_critical' }, { priority: 'critical' });
+        const high = await queue.enqueue({ verificationId: 'v_high' }, { priority: 'high' });
+
+        expect(normal.slaDeadline).toBe(START + 24 * HOUR_MS);
+        expect(critical.slaDeadline).toBe(START + MINUTE_MS + HOUR_MS);
+        expect(high.slaDeadline).toBe(START + MINUTE_MS + 4 * HOUR_MS);
+        expect((await queue.list({ open: true })).map(item => item.verificationId)).toEqual(['v_critical', 'v_high', 'v_normal']);
+        expect(queue.openCount).toBe(3);
+
+        await expect(queue.enqueue({}, { priority: 'urgent' })).rejects.toThrow('Unknown review priority: urgent');
+    });
+
+    it('should lock claimed items to one reviewer until the lock expires', async () => {
+        const item = await queue.enqueue({ verificationId: 'v_1' });
+
+        const claimed = await queue.claim(item.id, 'alice');
+        expect(claimed.status).toBe('claimed');
+        expect(claimed.lockExpiresAt).toBe(START + 15 * MINUTE_MS);
+
+        await expect(queue.claim(item.id, 'bob')).rejects.toThrow(`Review ${item.id} is locked by another reviewer`);
+        expect(await queue.claimNext('bob')).toBeNull();
+
+        clock += 16 * MINUTE_MS;
+        const reclaimed = await queue.claimNext('bob');
+        expect(reclaimed.claimedBy).toBe('bob');
+
+        await expect(queue.decide(item.id, 'alice', { decision: 'approve' })).rejects.toThrow(`Review ${item.id} is not claimed by alice`);
+    });
+
+    it('should let only one of two concurrent claims win', async () => {
+        const item = await queue.enqueue({ verificationId: 'v_1' });
+        // A second replica sharing the same store
+        const replica = new ReviewQueue({ store: queue.store, now: () => clock });
+
+        const results = await Promise.allSettled([queue.claim(item.id, 'alice'), replica.claim(item.id, 'bob')]);
+
+        expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+        expect(results[1].reason.message).toBe(`Review ${item.id} is locked by another reviewer`);
+        expect((await queue.getItem(item.id)).claimedBy).toBe('alice');
+    });
+
+    it('should return released items to the queue', async () => {
+        const item = await queue.enqueue({ verificationId: 'v_1' });
+        await queue.claim(item.id, 'alice');
+
+        await expect(queue.release(item.id, 'bob')).rejects.toThrow('is not claimed by bob');
+
+        const released = await queue.release(item.id, 'alice');
+        expect(released.status).toBe('queued');
+        expect(released.claimedBy).toBeNull();
+        expect((await queue.claimNext('bob')).id).toBe(item.id);
+    });
+
+    it('should finalize approvals and rejections with reviewer notes', async () => {
+        const approved = await queue.enqueue({ verificationId: 'v_ok', userId: 'user_1' });
+        const rejected = await queue.enqueue({ verificationId: 'v_bad', userId: 'user_2' });
+
+        await queue.claim(approved.id, 'alice');
+        const approval = await queue.decide(approved.id, 'alice', { decision: 'approve', tier: 'STANDARD' });
+
+        expect(approval.status).toBe('approved');
+        expect(approval.decision).toEqual({ decision: 'approve', reviewerId: 'alice', tier: 'STANDARD', decidedAt: START });
+        expect(approval.finalization.status).toBe('finalized');
+
+        await queue.claim(rejected.id, 'alice');
+        await expect(queue.decide(rejected.id, 'alice', { decision: 'reject' })).rejects.toThrow('Reviewer notes are required to reject a review');
+
+        const rejection = await queue.decide(rejected.id, 'alice', { decision: 'reject', notes: 'Document photo does not match' });
+        expect(rejection.notes).toEqual([{ reviewerId: 'alice', at: START, decision: 'reject', text: 'Document photo does not match' }]);
+        expect(rejection.history.map(entry => entry.action)).toEqual(['queued', 'claimed', 'reject']);
+
+        expect(finalized.map(item => [item.verificationId, item.status])).toEqual([['v_ok', 'approved'], ['v_bad', 'rejected']]);
+        expect(queue.openCount).toBe(0);
+        await expect(queue.claim(approved.id, 'bob')).rejects.toThrow(`Review ${approved.id} is already approved`);
+    });
+
+    it('should escalate items one priority higher with a new deadline', async () => {
+        const escalations = [];
+        queue.on('review:escalated', (event) => escalations.push(event));
+
+        const item = await queue.enqueue({ verificationId: 'v_1' });
+        await queue.claim(item.id, 'alice');
+        clock += 10 * MINUTE_MS;
+
+        const escalated = await queue.decide(item.id, 'alice', { decision: 'escalate', notes: 'Possible synthetic identity' });
+
+        expect(escalated.status).toBe('escalated');
+        expect(escalated.priority).toBe('high');
+        expect(escalated.escalationLevel).toBe(1);
+        expect(escalated.slaDeadline).toBe(START + 10 * MINUTE_MS + 4 * HOUR_MS);
+        expect(escalations).toHaveLength(1);
+        expect(finalized).toHaveLength(0);
+
+        await queue.claim(item.id, 'lead');
+        expect((await queue.release(item.id, 'lead')).status).toBe('escalated');
+    });
+
+    it('should record failed finalizations and retry them', async () => {
+        let attempts = 0;
+        queue.onDecision = async () => {
+            attempts++;
+            if (attempts === 1) throw new Error('verification service unavailable');
+        };
+
+        const item = await queue.enqueue({ verificationId: 'v_1' });
+        await queue.claim(item.id, 'alice');
+        const decided = await queue.decide(item.id, 'alice', { decision: 'approve' });
+
+        expect(decided.finalization).toMatchObject({ status: 'failed', attempts: 1, error: 'verification service unavailable' });
+        expect((await queue.getStats()).failedFinalizations).toBe(1);
+
+        const retried = await queue.retryFinalization(item.id);
+        expect(retried.finalization).toMatchObject({ status: 'finalized', attempts: 2, error: null });
+        await expect(queue.retryFinalization(item.id)).rejects.toThrow('has no failed finalization');
+    });
+
+    it('should not let a rejected change overwrite a concurrent finalization', async () => {
+        queue.onDecision = async () => { throw new Error('verification service unavailable'); };
+        const item = await queue.enqueue({ verificationId: 'v_race' });
+        await queue.claim(item.id, 'alice');
+        await queue.decide(item.id, 'alice', { decision: 'approve' });
+
+        // The first plain write after this point is slow, so anything written
+        // outside the atomic update lands after the finalization
+        const set = queue.store.set.bind(queue.store);
+        let slowWrite = true;
+        queue.store.set = async (...args) => {
+            if (slowWrite) {
+                slowWrite = false;
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            return set(...args);
+        };
+
+        queue.onDecision = async () => {};
+        const [claim] = await Promise.allSettled([queue.claim(item.id, 'bob'), queue.retryFinalization(item.id)]);
+
+        expect(claim.reason.message).toBe(`Review ${item.id} is already approved`);
+        expect((await queue.getItem(item.id)).finalization).toMatchObject({ status: 'finalized', attempts: 2 });
+    });
+
+    it('should report SLA breaches once', async () => {
+        const breaches = [];
+        queue.on('review:sla_breached', (event) => breaches.push(event));
+
+        await queue.enqueue({ verificationId: 'v_critical' }, { priority: 'critical' });
+        await queue.enqueue({ verificationId: 'v_normal' });
+
+        clock += 2 * HOUR_MS;
+        expect((await queue.checkSla()).map(item => item.verificationId)).toEqual(['v_critical']);
+        expect(await queue.checkSla()).toEqual([]);
+
+        expect(breaches).toHaveLength(1);
+        expect(breaches[0].overdueMs).toBe(HOUR_MS);
+        expect(await queue.getStats()).toMatchObject({ open: 2, slaBreached: 1, oldestOpenMs: 2 * HOUR_MS, byPriority: { critical: 1, normal: 1 } });
+    });
+
+    it('should keep reviews across restarts with a SQLite store', async () => {
+        const dir = mkdtempSync(join(tmpdir(), 'review-queue-'));
+        const store = { type: 'sqlite', path: join(dir, 'reviews.db') };
+
+        try {
+            const first = new ReviewQueue({ store, now: () => clock });
+            const item = await first.enqueue({ verificationId: 'v_durable' }, { priority: 'high' });
+            await first.claim(item.id, 'alice');
+            await first.close();
+
+            const second = new ReviewQueue({ store, now: () => clock });
+            await expect(second.claim(item.id, 'bob')).rejects.toThrow('is locked by another reviewer');
+            expect((await second.decide(item.id, 'alice', { decision: 'approve' })).status).toBe('approved');
+            await second.close();
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should reject invalid settings', () => {
+        expect(() => new ReviewQueue({ lockMs: 0, slaMs: { urgent: 1000 } })).toThrow(
+            'verifier.reviewQueue.lockMs must be a positive number\n' +
+            'verifier.reviewQueue.slaMs.urgent: unknown priority (expected one of critical, high, normal, low)'
+        );
+    });
+
+    describe('TensionRouter integration', () => {
+        it('should queue manual reviews with a priority and finalize decisions', async () => {
+            const decisions = [];
+            const router = new TensionRouter({
+                enableAdaptiveRouting: false,
+                reviewQueue: { onDecision: async (item) => { decisions.push(item); } }
+            });
+
+            const routing = await router.routeToTier(
+                { userId: 'user_123', verificationId: 'verify_123', riskScore: 90, confidence: 100 },
+                { tier: 'FAST', riskScore: 20, confidence: 100 }
+            );
+
+            expect(routing.requiresManualReview).toBe(true);
+            expect(routing.reviewId).toBeDefined();
+
+            const [item] = await router.getManualReviewQueue();
+            expect(item.id).toBe(routing.reviewId);
+            expect(item.userId).toBe('us****23');
+            expect(item.priority).toBe('normal');
+            expect(item.warnings).toEqual(routing.warnings);
+            expect(router.getMetrics().manualReviewQueueSize).toBe(1);
+
+            await router.reviewQueue.claim(item.id, 'alice');
+            await router.reviewQueue.decide(item.id, 'alice', { decision: 'reject', notes: 'Risk scores disagree' });
+
+            expect(decisions.map(decision => [decision.verificationId, decision.status])).toEqual([['verify_123', 'rejected']]);
+            expect(await router.getManualReviewQueue()).toEqual([]);
+            expect((await router.healthCheck()).reviewQueue.byStatus).toEqual({ rejected: 1 });
+        });
+
+        it('should erase the reviews, history and conflicts of a user', async () => {
+            const router = new TensionRouter({ enableAdaptiveRouting: false });
+            const route = (userId, verificationId) => router.routeToTier(
+                { userId, verificationId, riskScore: 90, confidence: 100 },
+                { tier: 'FAST', riskScore: 20, confidence: 100 }
+            );
+
+            await route('user_123', 'verify_1');
+            await route('user_123', 'verify_2');
+            await route('user_456', 'verify_3');
+
+            expect(await router.eraseUserData('user_123')).toEqual({ routingHistory: 2, reviews: 2, conflicts: 2 });
+            expect(await router.reviewQueue.list({ userId: 'user_123' })).toEqual([]);
+            expect((await router.reviewQueue.list()).map(item => item.verificationId)).toEqual(['verify_3']);
+            expect(router.conflictLog.map(conflict => conflict.userId)).toEqual(['user_456']);
+            expect(router.getMetrics().manualReviewQueueSize).toBe(1);
+        });
+
+        it('should prioritize reviews above the escalation threshold', () => {
+            const router = new TensionRouter();
+
+            expect(router.getReviewPriority({ riskScore: 90, finalTier: 'REVIEW', conflicts: [] })).toBe('critical');
+            expect(router.getReviewPriority({ riskScore: 50, finalTier: 'REJECT', conflicts: [] })).toBe('high');
+            expect(router.getReviewPriority({ riskScore: 50, finalTier: 'REVIEW', conflicts: ['a', 'b'] })).toBe('high');
+            expect(router.getReviewPriority({ riskScore: 50, finalTier: 'REVIEW', conflicts: ['a'] })).toBe('normal');
+        });
+    });
+});
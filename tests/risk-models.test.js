@@ -0,0 +1,187 @@
+#!/usr/bin/env bun
+
+// __tests__/risk-models.test.js - Risk Model Tests
+// JSON model evaluation, blending, champion/challenger split and routing provenance
+
+import { describe, it, expect } from 'bun:test';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+    RiskScorer,
+    evaluateRiskModel,
+    extractFeatures,
+    parseRiskModelSettings,
+    validateRiskModel
+} from '../utilities/risk-models.js';
+import { TensionRouter } from '../utilities/tension-router.js';
+
+console.log("🧮 Risk Models Test Suite - Loaded");
+
+const sigmoid = (margin) => 1 / (1 + Math.exp(-margin));
+
+const identityModel = {
+    type: 'logistic',
+    version: 'identity-lr-1',
+    stage: 'identity',
+    intercept: -3,
+    weights: { documentsUnverified: 2, underage: 4, priorRiskScore: 0.02 }
+};
+
+const combinedTrees = {
+    type: 'gbt',
+    version: 'combined-gbt-1',
+    stage: 'combined',
+    baseScore: -1,
+    trees: [
+        {
+            feature: 'identityPlaid',
+            threshold: 0.6,
+            missing: 'right',
+            left: { leaf: 2 },
+            right: { feature: 'verificationRisk', threshold: 50, left: { leaf: -1 }, right: { leaf: 1 } }
+        },
+        { feature: 'plaidVerified', threshold: 0.5, left: { leaf: 0.5 }, right: { leaf: -0.5 } }
+    ]
+};
+
+describe('Risk Models', () => {
+    it('should evaluate logistic regression with feature defaults', () => {
+        const features = extractFeatures('identity', { documents: { verified: false }, riskScore: 50 });
+
+        expect(features).toMatchObject({ documentsUnverified: 1, emailUnverified: 1, underage: 0, priorRiskScore: 50, confidence: null });
+        expect(evaluateRiskModel(identityModel, features).score).toBeCloseTo(sigmoid(-3 + 2 + 1) * 100);
+        expect(evaluateRiskModel({ ...identityModel, defaults: { priorRiskScore: 100 } }, { documentsUnverified: 0 }).probability)
+            .toBeCloseTo(sigmoid(-1));
+    });
+
+    it('should walk gradient-boosted trees, sending missing values their configured way', () => {
+        const mismatch = extractFeatures('combined', {
+            riskScore: 20,
+            sources: { plaid: true },
+            validation: { crossValidation: { identityPlaid: 0.4 } }
+        }, {});
+        expect(evaluateRiskModel(combinedTrees, mismatch).score).toBeCloseTo(sigmoid(-1 + 2 - 0.5) * 100);
+
+        const noPlaid = extractFeatures('combined', { riskScore: 80 }, {});
+        expect(noPlaid.identityPlaid).toBeNull();
+        expect(evaluateRiskModel(combinedTrees, noPlaid).score).toBeCloseTo(sigmoid(-1 + 1 + 0.5) * 100);
+    });
+
+    it('should reject malformed models', () => {
+        expect(validateRiskModel({
+            type: 'gbt',
+            version: 'bad',
+            stage: 'identity',
+            trees: [{ feature: 'shoeSize', threshold: 'big', left: { leaf: 1 }, right: {} }]
+        }, 'combined', 'model')).toEqual([
+            'model.stage is identity, expected combined',
+            'model.trees[0].feature: unknown feature shoeSize',
+            'model.trees[0].threshold must be a number',
+            'model.trees[0].right.feature: unknown feature undefined',
+            'model.trees[0].right.threshold must be a number',
+            'model.trees[0].right.left must be a node',
+            'model.trees[0].right.right must be a node'
+        ]);
+
+        expect(parseRiskModelSettings({ combined: { mode: 'blend', challengerShare: 0.2 } }).errors).toEqual([
+            'verifier.riskModel.combined.champion is required in blend mode',
+            'verifier.riskModel.combined.challenger is required when challengerShare is above 0'
+        ]);
+    });
+
+    it('should load models from JSON files', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'risk-models-'));
+        const path = join(dir, 'identity.json');
+
+        try {
+            writeFileSync(path, JSON.stringify(identityModel));
+            const { stages, errors } = parseRiskModelSettings({ identity: { champion: { path } } });
+
+            expect(errors).toEqual([]);
+            expect(stages.identity).toMatchObject({ mode: 'replace', champion: { version: 'identity-lr-1' } });
+            expect(parseRiskModelSettings({ identity: { champion: { path: join(dir, 'missing.json') } } }).errors[0])
+                .toStartWith('verifier.riskModel.identity.champion: cannot load model');
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should blend model and heuristic scores', () => {
+        const scorer = new RiskScorer({ identity: { mode: 'blend', blendWeight: 0.25, champion: identityModel } });
+        const features = extractFeatures('identity', { documents: { verified: true } });
+        const modelScore = sigmoid(-3) * 100;
+
+        const { riskScore, model } = scorer.score('identity', features, 40, 'verify_1');
+
+        expect(riskScore).toBeCloseTo(0.75 * 40 + 0.25 * modelScore);
+        expect(model).toMatchObject({ stage: 'identity', version: 'identity-lr-1', arm: 'champion', mode: 'blend', heuristicScore: 40 });
+        expect(scorer.score('combined', {}, 40, 'verify_1')).toEqual({ riskScore: 40, model: null });
+    });
+
+    it('should split verifications between champion and challenger deterministically', () => {
+        const scorer = new RiskScorer({
+            identity: {
+                champion: identityModel,
+                challenger: { ...identityModel, version: 'identity-lr-2' },
+                challengerShare: 0.2
+            }
+        });
+
+        const arms = Array.from({ length: 1000 }, (_, i) => scorer.selectArm('identity', `verify_${i}`));
+        const challengers = arms.filter(arm => arm === 'challenger').length;
+
+        expect(challengers).toBeGreaterThan(150);
+        expect(challengers).toBeLessThan(250);
+        expect(Array.from({ length: 1000 }, (_, i) => scorer.selectArm('identity', `verify_${i}`))).toEqual(arms);
+        expect(scorer.getVersions().identity).toEqual({ mode: 'replace', champion: 'identity-lr-1', challenger: 'identity-lr-2', challengerShare: 0.2 });
+    });
+
+    describe('TensionRouter integration', () => {
+        it('should score the identity stage with the configured model', async () => {
+            const router = new TensionRouter({ enableAdaptiveRouting: false, riskModel: { identity: { champion: identityModel } } });
+
+            const strategy = await router.applyAdaptiveStrategy({ userId: 'user_123', verificationId: 'verify_1', confidence: 95, documents: { verified: false } });
+
+            expect(strategy.riskScore).toBeCloseTo(sigmoid(-1) * 100);
+            expect(strategy.riskModel).toMatchObject({ version: 'identity-lr-1', arm: 'champion', heuristicScore: 85 });
+            expect(strategy.reasons.find(reason => reason.code === 'RISK_MODEL_SCORE').values)
+                .toMatchObject({ stage: 'identity', version: 'identity-lr-1', arm: 'champion' });
+            expect(router.calculateRiskScore({ documents: { verified: false } })).toBeCloseTo(sigmoid(-1) * 100);
+        });
+
+        it('should record the model version on each routing', async () => {
+            const router = new TensionRouter({ enableAdaptiveRouting: false, riskModel: { combined: { champion: combinedTrees } } });
+
+            const routing = await router.routeToTier(
+                { userId: 'user_123', verificationId: 'verify_1', riskScore: 80, confidence: 100 },
+                { tier: 'FAST', riskScore: 20, confidence: 100 }
+            );
+
+            expect(routing.riskScore).toBeCloseTo(sigmoid(0.5) * 100);
+            expect(routing.riskModel).toMatchObject({ stage: 'combined', version: 'combined-gbt-1', arm: 'champion', mode: 'replace' });
+            expect(router.getMetrics().riskModelArms).toEqual({ champion: 1, challenger: 0 });
+            expect((await router.history.getLastRouting('user_123')).riskModel).toEqual({ version: 'combined-gbt-1', arm: 'champion' });
+            expect((await router.healthCheck()).config.riskModels.combined.champion).toBe('combined-gbt-1');
+        });
+
+        it('should replay history under a candidate model', async () => {
+            const router = new TensionRouter({ enableAdaptiveRouting: false });
+            await router.routeToTier(
+                { userId: 'user_123', verificationId: 'verify_1', riskScore: 10, confidence: 100 },
+                { tier: 'FAST', riskScore: 10, confidence: 100 }
+            );
+
+            const report = await router.replay(undefined, {
+                riskModel: { combined: { champion: { type: 'logistic', version: 'always-risky', intercept: 5, weights: { amount: 0 } } } }
+            });
+
+            expect(report.changes).toEqual([{
+                verificationId: 'verify_1',
+                from: 'FAST',
+                to: 'REJECT',
+                reasons: ['RISK_MODEL_SCORE', 'RISK_ABOVE_INSTANT', 'CONFIDENCE_BELOW_INSTANT', 'RISK_ABOVE_FAST', 'RISK_ABOVE_STANDARD', 'RISK_ABOVE_REVIEW', 'MANUAL_REVIEW_RISK', 'HIGH_RISK']
+            }]);
+        });
+    });
+});
@@ -0,0 +1,145 @@
+#!/usr/bin/env bun
+
+// __tests__/routing-history.test.js - Routing History Tests
+// Pseudonymized keys, key rotation, retention, erasure and durability
+
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RoutingHistory, HISTORY_NAMESPACE } from '../utilities/routing-history.js';
+import { Pseudonymizer } from '../security/pseudonymizer.js';
+import { MemoryRateLimitStore } from '../security/rate-limit-stores.js';
+import { TensionRouter } from '../utilities/tension-router.js';
+
+console.log("🗂️ Routing History Test Suite - Loaded");
+
+const START = Date.parse('2026-10-19T09:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SECRET = 'routing-history-test-secret';
+
+const routing = (id, finalTier, timestamp) => ({ verificationId: `verify_${id}`, finalTier, timestamp });
+
+describe('RoutingHistory', () => {
+    let clock;
+    let store;
+    let pseudonymizer;
+    let history;
+
+    beforeEach(() => {
+        clock = START;
+        store = new MemoryRateLimitStore();
+        pseudonymizer = new Pseudonymizer({ secret: SECRET, rotation: 'WEEKLY', now: () => clock });
+        history = new RoutingHistory({ store, pseudonymizer, now: () => clock });
+    });
+
+    it('should keep the last routings per user under a pseudonymized key', async () => {
+        for (let i = 1; i <= 12; i++) {
+            await history.record('user_123', routing(i, 'FAST', clock + i));
+        }
+
+        const entries = await history.getHistory('user_123');
+        expect(entries).toHaveLength(10);
+        expect(entries[0].verificationId).toBe('verify_3');
+        expect((await history.getLastRouting('user_123')).verificationId).toBe('verify_12');
+        expect(await history.getLastRouting('user_456')).toBeNull();
+
+        const [[key]] = await store.entries(HISTORY_NAMESPACE);
+        expect(key).toBe(pseudonymizer.pseudonymize('user_123'));
+        expect(JSON.stringify(await store.entries(HISTORY_NAMESPACE))).not.toContain('user_123');
+    });
+
+    it('should find history written under earlier keys', async () => {
+        await history.record('user_123', routing(1, 'FAST', clock));
+        clock += 8 * DAY_MS;
+        await history.record('user_123', routing(2, 'REVIEW', clock));
+
+        expect(await store.size(HISTORY_NAMESPACE)).toBe(2);
+        expect((await history.getHistory('user_123')).map(entry => entry.finalTier)).toEqual(['FAST', 'REVIEW']);
+    });
+
+    it('should ignore routings past the retention window', async () => {
+        history = new RoutingHistory({ store, pseudonymizer, retentionHours: 24, now: () => clock });
+
+        await history.record('user_123', routing(1, 'FAST', clock));
+        clock += 2 * DAY_MS;
+
+        expect(await history.getHistory('user_123')).toEqual([]);
+        expect(await history.entries()).toEqual([]);
+    });
+
+    it('should erase a user across key periods', async () => {
+        await history.record('user_123', routing(1, 'FAST', clock));
+        clock += 8 * DAY_MS;
+        await history.record('user_123', routing(2, 'FAST', clock));
+        await history.record('user_456', routing(3, 'FAST', clock));
+
+        expect(await history.erase('user_123')).toBe(2);
+        expect(await history.getHistory('user_123')).toEqual([]);
+        expect((await history.entries()).map(entry => entry.verificationId)).toEqual(['verify_3']);
+        expect(await history.erase('user_123')).toBe(0);
+    });
+
+    it('should reject invalid settings', () => {
+        expect(() => new RoutingHistory({ retentionHours: 0, maxEntries: 2.5 })).toThrow(
+            'verifier.history.retentionHours must be a positive number\n' +
+            'verifier.history.maxEntries must be a positive integer'
+        );
+    });
+
+    describe('TensionRouter integration', () => {
+        const identity = {
+            userId: 'user_123',
+            verificationId: 'verify_next',
+            confidence: 80,
+            documents: { verified: true },
+            email: { verified: true },
+            phone: { verified: true },
+            age: { verified: true, value: 30 },
+            address: { verified: true }
+        };
+
+        it('should apply prior outcomes after a restart with a SQLite store', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'routing-history-'));
+            const config = {
+                history: {
+                    store: { type: 'sqlite', path: join(dir, 'history.db') },
+                    pseudonymization: { secret: SECRET }
+                }
+            };
+
+            try {
+                const first = new TensionRouter(config);
+                await first.routeToTier(
+                    { userId: 'user_123', verificationId: 'verify_1', riskScore: 0, confidence: 100 },
+                    { tier: 'FAST', riskScore: 0, confidence: 100 }
+                );
+                await first.shutdown();
+
+                const second = new TensionRouter(config);
+                const strategy = await second.applyAdaptiveStrategy(identity);
+                const prior = strategy.reasons.find(reason => reason.code === 'ADAPTIVE_PRIOR_APPROVAL');
+
+                expect(prior.values.previousTier).toBe('FAST');
+                expect((await second.getReplayRecords()).map(record => record.verificationId)).toEqual(['verify_1']);
+
+                expect(await second.eraseUserHistory('user_123')).toBe(1);
+                const after = await second.applyAdaptiveStrategy(identity);
+                expect(after.reasons.map(reason => reason.code)).not.toContain('ADAPTIVE_PRIOR_APPROVAL');
+                await second.shutdown();
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should route without history when the store fails', async () => {
+            const router = new TensionRouter();
+            router.history.store.get = async () => { throw new Error('store offline'); };
+
+            const strategy = await router.applyAdaptiveStrategy(identity);
+
+            expect(strategy.error).toBeUndefined();
+            expect(strategy.tier).not.toBe('REJECT');
+        });
+    });
+});
@@ -229,7 +229,7 @@ export const TestDataFactory = {
         return {
             userId: 'user_123456',
             email: 'user@example.com',
-            phone: '+1234567890',
+            phone: '+15551234567',
             accountNumber: '123456789',
             routingNumber: '021000021',
             documents: {
@@ -248,7 +248,7 @@ export const TestDataFactory = {
             success: true,
             userId: 'user_123456',
             email: 'user@example.com',
-            phone: '+1234567890',
+            phone: '+15551234567',
             accountNumber: '123456789',
             verificationId: `ver_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             confidence: 85,
@@ -270,7 +270,7 @@ export const TestDataFactory = {
             success: true,
             userId: 'user_123456',
             email: 'user@example.com',
-            phone: '+1234567890',
+            phone: '+15551234567',
             accountNumber: '123456789',
             flowId: `flow_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             state: 'state_' + Math.random().toString(36).substr(2, 9),
@@ -290,7 +290,7 @@ export const TestDataFactory = {
             success: true,
             userId: 'user_123456',
             email: 'user@example.com',
-            phone: '+1234567890',
+            phone: '+15551234567',
             accountNumber: '123456789',
             linkToken: 'link-sandbox-test-token',
             accounts: [
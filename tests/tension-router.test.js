@@ -0,0 +1,419 @@
+#!/usr/bin/env bun
+
+// __tests__/tension-router.test.js - Tension Router Tests
+// Declarative routing rules, tier decisions and rule provenance
+
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { TensionRouter } from '../utilities/tension-router.js';
+import { parseRoutingRules } from '../utilities/routing-rules.js';
+import { loadConfig } from '../config/core/config-loader.js';
+
+console.log("🛣️ Tension Router Test Suite - Loaded");
+
+const verifiedIdentity = (overrides = {}) => ({
+    userId: 'user_123',
+    verificationId: 'verify_123',
+    confidence: 95,
+    documents: { verified: true },
+    email: { verified: true },
+    phone: { verified: true },
+    age: { verified: true, value: 30 },
+    address: { verified: true },
+    ...overrides
+});
+
+describe('TensionRouter', () => {
+    let router;
+
+    beforeEach(() => {
+        // Adaptive routing adjusts risk by time of day
+        router = new TensionRouter({ enableAdaptiveRouting: false });
+    });
+
+    describe('Built-in Rules', () => {
+        it('should route a fully verified identity to INSTANT', async () => {
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity());
+
+            expect(strategy.tier).toBe('INSTANT');
+            expect(strategy.requiresPlaidVerification).toBe(false);
+            expect(strategy.rules).toEqual({ version: 'builtin-1', verification: [], initialTier: 'tier_INSTANT' });
+        });
+
+        it('should record every verification rule that fired', async () => {
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity({
+                confidence: 65,
+                email: { verified: false },
+                phone: { verified: false }
+            }));
+
+            expect(strategy.riskScore).toBe(30);
+            expect(strategy.requiresCashAppVerification).toBe(true);
+            expect(strategy.requiresPlaidVerification).toBe(true);
+            expect(strategy.requiresManualReview).toBe(false);
+            expect(strategy.rules.verification).toEqual(['medium_risk', 'low_confidence']);
+            expect(strategy.tier).toBe('REVIEW');
+            expect(strategy.rules.initialTier).toBe('tier_REVIEW');
+        });
+
+        it('should apply the conflict penalty before the final tier', async () => {
+            const approvalDecision = { tier: 'FAST', riskScore: 10, confidence: 100 };
+            const finalResult = { userId: 'user_123', verificationId: 'verify_123', riskScore: 50, confidence: 100 };
+
+            const routing = await router.routeToTier(finalResult, approvalDecision);
+
+            // Risk 24 + 10, confidence 80 - 15 for one risk_assessment_conflict
+            expect(routing.conflicts).toEqual(['risk_assessment_conflict']);
+            expect(routing.finalTier).toBe('REVIEW');
+            expect(routing.rules).toEqual({ version: 'builtin-1', finalTier: 'tier_REVIEW' });
+        });
+
+        it('should fall back to REJECT when no rule matches', () => {
+            expect(router.selectFinalTier(100, 100, ['low_consistency'])).toMatchObject({ tier: 'REJECT', rule: 'fallback' });
+        });
+    });
+
+    describe('Configured Rules', () => {
+        it('should run custom rules before the tier ladder', async () => {
+            router = new TensionRouter({
+                enableAdaptiveRouting: false,
+                routingRules: {
+                    version: '2026-10-19',
+                    finalTier: {
+                        large_amount_review: { amountAbove: 10000, tier: 'REVIEW' },
+                        sanctioned_geography: { countries: ['KP', 'IR'], tier: 'REJECT', priority: -1 }
+                    }
+                }
+            });
+            const approvalDecision = await router.applyAdaptiveStrategy(verifiedIdentity());
+            const finalResult = { userId: 'user_123', confidence: 95, amount: 25000 };
+
+            const large = await router.routeToTier(finalResult, approvalDecision);
+            expect(large.finalTier).toBe('REVIEW');
+            expect(large.rules).toEqual({ version: '2026-10-19', finalTier: 'large_amount_review' });
+            expect(large.requiresManualReview).toBe(true);
+
+            const small = await router.routeToTier({ ...finalResult, amount: 50 }, approvalDecision);
+            expect(small.rules.finalTier).toBe('tier_STANDARD');
+
+            const sanctioned = await router.routeToTier({ ...finalResult, location: { country: 'kp' } }, approvalDecision);
+            expect(sanctioned.finalTier).toBe('REJECT');
+            expect(sanctioned.rules.finalTier).toBe('sanctioned_geography');
+        });
+
+        it('should match factor and conflict conditions', async () => {
+            router.setRoutingRules({
+                initialTier: {
+                    unverified_documents: { riskFactors: ['unverified_documents'], tier: 'STANDARD' }
+                },
+                verification: {
+                    unverified_address: { riskFactors: ['unverified_address'], require: ['plaid'] },
+                    document_only: { verified: ['documentVerification', 'addressVerification'], require: ['cashApp'] }
+                },
+                finalTier: {
+                    identity_mismatch: { conflicts: ['identity_plaid_mismatch'], tier: 'REVIEW' }
+                }
+            });
+
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity({ documents: { verified: false } }));
+            expect(strategy.rules.initialTier).toBe('unverified_documents');
+            expect(strategy.tier).toBe('STANDARD');
+            expect(strategy.rules.verification).toEqual([]);
+
+            const verified = await router.applyAdaptiveStrategy(verifiedIdentity());
+            expect(verified.rules.verification).toEqual(['document_only']);
+            expect(verified.requiresCashAppVerification).toBe(true);
+
+            expect(router.selectFinalTier(5, 100, ['identity_plaid_mismatch'])).toMatchObject({ tier: 'REVIEW', rule: 'identity_mismatch' });
+        });
+
+        it('should disable and override built-in rules by id', () => {
+            router.setRoutingRules({
+                verification: {
+                    medium_risk: { enabled: false },
+                    elevated_risk: { riskScoreAbove: 50 }
+                }
+            });
+
+            const rules = router.getRoutingRules().stages.verification;
+            expect(rules.map(rule => rule.id)).toEqual(['elevated_risk', 'very_high_risk', 'low_confidence']);
+            expect(rules[0].conditions).toEqual({ riskScoreAbove: 50 });
+            expect(rules[0].require).toEqual(['cashApp']);
+        });
+
+        it('should keep the active rules when new rules are invalid', () => {
+            expect(() => router.setRoutingRules({
+                version: 'broken',
+                finalTier: { bad: { amountAbove: 'lots', tier: 'VIP' } }
+            })).toThrow('verifier.routingRules.finalTier.bad.amountAbove must be a number');
+
+            expect(router.getRoutingRules().version).toBe('builtin-1');
+        });
+
+        it('should report invalid configured rules on init', async () => {
+            router = new TensionRouter({ routingRules: { verification: { typo: { riskAbove: 10, require: ['cashApp'] } } } });
+
+            await expect(router.init()).rejects.toThrow('verifier.routingRules.verification.typo.riskAbove: unknown rule field');
+        });
+
+        it('should validate rule actions per stage', () => {
+            const { errors } = parseRoutingRules({
+                replaceDefaults: true,
+                verification: { review: { tier: 'REVIEW', require: ['documents'] } },
+                conflictPenalty: { riskScore: -1 }
+            });
+
+            expect(errors).toEqual([
+                'verifier.routingRules.conflictPenalty.riskScore must be a non-negative number',
+                'verifier.routingRules.verification.review.tier is not supported in the verification stage (use require)',
+                'verifier.routingRules.verification.review.require must list any of cashApp, plaid, manualReview'
+            ]);
+        });
+    });
+
+    describe('Reason Codes', () => {
+        const codes = (reasons) => reasons.map(reason => reason.code);
+
+        it('should explain the strategy tier with contributing values', async () => {
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity({
+                confidence: 65,
+                email: { verified: false },
+                phone: { verified: false }
+            }));
+
+            expect(codes(strategy.reasons)).toEqual([
+                'FACTOR_UNVERIFIED_EMAIL',
+                'FACTOR_UNVERIFIED_PHONE',
+                'VERIFICATION_REQUIRED',
+                'VERIFICATION_REQUIRED',
+                'RISK_ABOVE_INSTANT',
+                'CONFIDENCE_BELOW_INSTANT',
+                'CONFIDENCE_BELOW_FAST',
+                'CONFIDENCE_BELOW_STANDARD'
+            ]);
+            expect(strategy.reasons[0]).toEqual({
+                code: 'FACTOR_UNVERIFIED_EMAIL',
+                category: 'factor',
+                message: 'Email address could not be verified',
+                values: { points: 15 }
+            });
+            expect(strategy.reasons[3].values).toEqual({ rule: 'low_confidence', requires: ['cashApp', 'plaid'], riskScore: 30, confidence: 65 });
+            expect(strategy.reasons[4]).toEqual({
+                code: 'RISK_ABOVE_INSTANT',
+                category: 'tier',
+                message: 'Risk score 30 is above the INSTANT tier limit of 20',
+                values: { value: 30, threshold: 20, tier: 'INSTANT', rule: 'tier_INSTANT' }
+            });
+        });
+
+        it('should explain conflicts, the final tier and manual review', async () => {
+            const routing = await router.routeToTier({
+                userId: 'user_123',
+                riskScore: 20,
+                confidence: 100,
+                sources: { plaid: true },
+                validation: { crossValidation: { overallConsistency: 0.8, identityPlaid: 0.4 } }
+            }, { tier: 'FAST', riskScore: 20, confidence: 100 });
+
+            expect(routing.finalTier).toBe('REVIEW');
+            expect(codes(routing.reasons)).toEqual([
+                'CONFLICT_IDENTITY_PLAID',
+                'CONFLICT_PENALTY',
+                'RISK_ABOVE_INSTANT',
+                'CONFIDENCE_BELOW_INSTANT',
+                'CONFIDENCE_BELOW_FAST',
+                'CONFIDENCE_BELOW_STANDARD',
+                'MANUAL_REVIEW_TIER',
+                'MANUAL_REVIEW_CONFLICTS'
+            ]);
+            expect(routing.reasons[0].values).toEqual({ value: 0.4, threshold: 0.6 });
+            expect(routing.reasons[1].values).toEqual({ conflicts: 1, riskScore: 16, adjustedRiskScore: 26, confidence: 80, adjustedConfidence: 65 });
+
+            const [review] = await router.getManualReviewQueue();
+            expect(codes(review.reasons)).toEqual(codes(routing.reasons));
+        });
+
+        it('should explain adaptive adjustments', async () => {
+            router = new TensionRouter();
+            await router.history.record('user_123', { finalTier: 'REJECT', timestamp: Date.now() });
+
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity());
+            const prior = strategy.reasons.find(reason => reason.code === 'ADAPTIVE_PRIOR_REJECT');
+
+            expect(prior.values).toEqual({ previousTier: 'REJECT', riskDelta: 15 });
+            expect(codes(strategy.reasons).some(code => ['ADAPTIVE_BUSINESS_HOURS', 'ADAPTIVE_OFF_HOURS', 'ADAPTIVE_HOLIDAY'].includes(code))).toBe(true);
+        });
+
+        it('should name the custom rule that picked the tier', async () => {
+            router.setRoutingRules({
+                finalTier: {
+                    large_amount_review: { amountAbove: 10000, tier: 'REVIEW', description: 'Large transfers are reviewed manually' }
+                }
+            });
+
+            const routing = await router.routeToTier({ userId: 'user_123', confidence: 100, amount: 20000 }, { confidence: 100 });
+            const ruleReason = routing.reasons.find(reason => reason.code === 'RULE_MATCHED');
+
+            expect(ruleReason.message).toBe('Large transfers are reviewed manually');
+            expect(ruleReason.values).toMatchObject({ rule: 'large_amount_review', tier: 'REVIEW' });
+            expect(codes(routing.reasons)).not.toContain('RISK_ABOVE_REVIEW');
+        });
+
+        it('should mark failed routings', async () => {
+            const routing = await router.routeToTier(null, {});
+
+            expect(routing.finalTier).toBe('REJECT');
+            expect(codes(routing.reasons)).toEqual(['ROUTING_ERROR']);
+        });
+    });
+
+    describe('Replay', () => {
+        const verification = (id, riskScore, confidence) => ({
+            userId: `user_${id}`,
+            verificationId: `verify_${id}`,
+            email: 'private@example.com',
+            riskScore,
+            confidence
+        });
+        const decision = (riskScore, confidence) => ({ tier: 'STANDARD', riskScore, confidence });
+        const lowerStandardBar = { tiers: { STANDARD: { minConfidence: 60 } } };
+
+        beforeEach(async () => {
+            // Combined (risk, confidence): (8, 64) REVIEW, (8, 80) FAST, (72, 80) REVIEW
+            await router.routeToTier(verification(1, 10, 80), decision(10, 80));
+            await router.routeToTier(verification(2, 10, 100), decision(10, 100));
+            await router.routeToTier(verification(3, 90, 100), decision(90, 100));
+        });
+
+        it('should report tier migrations and the approval rate delta', async () => {
+            const report = await router.replay(undefined, lowerStandardBar);
+
+            expect(report.records).toBe(3);
+            expect(report.baseline.tiers).toEqual({ INSTANT: 0, FAST: 1, STANDARD: 0, REVIEW: 2, REJECT: 0 });
+            expect(report.candidate.tiers).toEqual({ INSTANT: 0, FAST: 1, STANDARD: 1, REVIEW: 1, REJECT: 0 });
+            expect(report.migration.REVIEW).toEqual({ INSTANT: 0, FAST: 0, STANDARD: 1, REVIEW: 1, REJECT: 0 });
+            expect(report.migration.FAST.FAST).toBe(1);
+            expect(report.approvalRateDelta).toBeCloseTo(1 / 3);
+            expect(report.manualReviewRateDelta).toBeCloseTo(-1 / 3);
+            expect(report.changed).toBe(1);
+            expect(report.changes[0]).toMatchObject({ verificationId: 'verify_1', from: 'REVIEW', to: 'STANDARD' });
+            expect(report.changes[0].reasons).toContain('CONFIDENCE_BELOW_FAST');
+        });
+
+        it('should leave the live router untouched', async () => {
+            const metrics = router.getMetrics();
+
+            await router.replay(undefined, lowerStandardBar);
+
+            expect(router.getMetrics()).toEqual(metrics);
+            expect(router.config.tiers.STANDARD.minConfidence).toBe(70);
+            expect(await router.getManualReviewQueue()).toHaveLength(2);
+        });
+
+        it('should compare with the recorded tiers', async () => {
+            const records = await router.getReplayRecords();
+            records.find(record => record.verificationId === 'verify_2').recordedTier = 'INSTANT';
+
+            const report = await router.replay(records, {}, { baseline: 'recorded' });
+
+            expect(report.rulesVersion).toEqual({ baseline: 'recorded', candidate: 'builtin-1' });
+            expect(report.changes).toEqual([{ verificationId: 'verify_2', from: 'INSTANT', to: 'FAST', reasons: ['CONFIDENCE_BELOW_INSTANT'] }]);
+        });
+
+        it('should replay an exported file without personal data', async () => {
+            const dir = mkdtempSync(join(tmpdir(), 'routing-replay-'));
+            const file = join(dir, 'history.jsonl');
+
+            try {
+                expect(await router.exportReplayRecords(file)).toBe(3);
+
+                const content = readFileSync(file, 'utf8');
+                expect(content.trim().split('\n')).toHaveLength(3);
+                expect(content).not.toContain('user_');
+                expect(content).not.toContain('example.com');
+
+                writeFileSync(file, content + '{"verificationId":"incomplete"}\n');
+                const report = await router.replay(file, {
+                    routingRules: {
+                        version: 'candidate-2',
+                        finalTier: { high_risk: { riskScoreAbove: 70, tier: 'REJECT' } }
+                    }
+                });
+
+                expect(report.skipped).toBe(1);
+                expect(report.rulesVersion.candidate).toBe('candidate-2');
+                expect(report.changes).toEqual([{ verificationId: 'verify_3', from: 'REVIEW', to: 'REJECT', reasons: ['RULE_MATCHED', 'MANUAL_REVIEW_RISK', 'HIGH_RISK'] }]);
+                expect(report.approvalRateDelta).toBe(0);
+            } finally {
+                rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        it('should reject invalid alternative configs', async () => {
+            await expect(router.replay(undefined, { tiers: { FAST: { maxRiskScore: 140 } } })).rejects.toThrow('Invalid maxRiskScore for tier FAST');
+        });
+    });
+
+    describe('config-loader integration', () => {
+        let configDir;
+
+        const writeConfig = (routingToml) => {
+            writeFileSync(join(configDir, 'config.toml'), `
+[cashApp]
+clientId = "test_client_id"
+clientSecret = "test_client_secret"
+
+[plaid]
+clientId = "test_client_id"
+secret = "test_secret"
+
+${routingToml}
+`);
+        };
+
+        beforeEach(() => {
+            configDir = mkdtempSync(join(tmpdir(), 'routing-rules-'));
+        });
+
+        afterEach(() => {
+            rmSync(configDir, { recursive: true, force: true });
+        });
+
+        it('should load routing rules from [verifier.routingRules]', async () => {
+            writeConfig(`
+[verifier.routingRules]
+version = "2026-10-19"
+
+[verifier.routingRules.conflictPenalty]
+riskScore = 20
+
+[verifier.routingRules.verification.foreign_bank]
+excludeCountries = ["US"]
+require = ["plaid", "manualReview"]
+`);
+
+            const config = await loadConfig(configDir);
+            router = new TensionRouter(config.verifier);
+            await router.init();
+
+            const strategy = await router.applyAdaptiveStrategy(verifiedIdentity({ address: { verified: true, country: 'CA' } }));
+
+            expect(router.getRoutingRules().conflictPenalty).toEqual({ riskScore: 20, confidence: 15 });
+            expect(strategy.rules.version).toBe('2026-10-19');
+            expect(strategy.rules.verification).toContain('foreign_bank');
+            expect(strategy.requiresManualReview).toBe(true);
+        });
+
+        it('should reject rules routing to an unknown tier', async () => {
+            writeConfig(`
+[verifier.routingRules.finalTier.vip]
+confidenceAtLeast = 99
+tier = "VIP"
+`);
+
+            await expect(loadConfig(configDir)).rejects.toThrow('verifier.routingRules.finalTier.vip.tier must be one of INSTANT, FAST, STANDARD, REVIEW, REJECT');
+        });
+    });
+});
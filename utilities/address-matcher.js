@@ -0,0 +1,358 @@
+#!/usr/bin/env bun
+
+// modules/address-matcher.js - Postal Address Matching
+// Address parsing and normalization for US, CA and EU formats with a field-weighted similarity score
+
+import { levenshteinRatio, transliterate } from './name-matcher.js';
+
+console.log("📮 Address Matcher Module - Loaded");
+
+/**
+ * Addresses are accepted as objects (Plaid identity { street, city, region,
+ * postal_code, country }, line1/line2/state/zip and similar) or as
+ * comma-separated strings:
+ *   "123 Main St. Apt 4B, Springfield, IL 62704"
+ *   "Hauptstraße 5, 10115 Berlin, Germany"
+ *   "350 Rue Sainte-Catherine O, Montréal, QC H3B 1A1"
+ *
+ * Parsing normalizes letters (ß → ss, é → e), street types (Street → st,
+ * Boulevard → blvd, Hauptstraße → hauptstr), directions (North → n), unit
+ * designators (Apt, Suite, #, Whg) and postal codes (US ZIP+4 → ZIP, CA
+ * "h3b 1a1" → H3B1A1), and reads the house number before (US/CA/FR) or
+ * after (DE/NL/IT/ES) the street name.
+ *
+ * compareAddresses() scores the fields both addresses have, weighted by
+ * ADDRESS_FIELD_WEIGHTS. Street names less alike than STREET_MIN_RATIO are
+ * different streets ("Main St" vs "Elm St" scores 0, not 0.43). Addresses
+ * in different countries score 0, and so do addresses with neither a
+ * street nor a postal code to compare.
+ */
+
+export const ADDRESS_FIELD_WEIGHTS = {
+    postalCode: 0.3,
+    houseNumber: 0.25,
+    street: 0.25,
+    city: 0.1,
+    unit: 0.1
+};
+
+export const STREET_MIN_RATIO = 0.75;
+
+// Postal code formats (normalized: lowercase, single spaces)
+export const POSTAL_CODE_FORMATS = {
+    US: /^\d{5}(-\d{4})?$/,
+    CA: /^[a-z]\d[a-z] ?\d[a-z]\d$/,
+    NL: /^\d{4} ?[a-z]{2}$/,
+    PL: /^\d{2}-\d{3}$/,
+    PT: /^\d{4}-\d{3}$/,
+    IE: /^[a-z]\d[\dw] ?[a-z\d]{4}$/,
+    MT: /^[a-z]{3} ?\d{4}$/,
+    RO: /^\d{6}$/,
+    SE: /^\d{3} ?\d{2}$/,
+    CZ: /^\d{3} ?\d{2}$/,
+    SK: /^\d{3} ?\d{2}$/,
+    GR: /^\d{3} ?\d{2}$/,
+    DE: /^\d{5}$/,
+    FR: /^\d{5}$/,
+    IT: /^\d{5}$/,
+    ES: /^\d{5}$/,
+    FI: /^\d{5}$/,
+    EE: /^\d{5}$/,
+    HR: /^\d{5}$/,
+    LT: /^\d{5}$/,
+    AT: /^\d{4}$/,
+    BE: /^\d{4}$/,
+    BG: /^\d{4}$/,
+    CY: /^\d{4}$/,
+    DK: /^\d{4}$/,
+    HU: /^\d{4}$/,
+    LU: /^\d{4}$/,
+    LV: /^\d{4}$/,
+    SI: /^\d{4}$/
+};
+
+// Any postal code inside a line of text
+const POSTAL_CODE_SEARCH = /(?:^|\s)([a-z]\d[a-z] ?\d[a-z]\d|\d{4} ?[a-z]{2}|\d{5}-\d{4}|\d{2}-\d{3}|\d{4}-\d{3}|[a-z]\d[\dw] [a-z\d]{4}|\d{3} \d{2}|\d{4,6})(?=\s|$)/;
+
+const COUNTRY_NAMES = {
+    'united states': 'US', 'united states of america': 'US', usa: 'US', us: 'US',
+    canada: 'CA', ca: 'CA',
+    germany: 'DE', deutschland: 'DE', france: 'FR', spain: 'ES', espana: 'ES', italy: 'IT', italia: 'IT',
+    netherlands: 'NL', nederland: 'NL', belgium: 'BE', austria: 'AT', oesterreich: 'AT', ireland: 'IE',
+    portugal: 'PT', poland: 'PL', polska: 'PL', sweden: 'SE', sverige: 'SE', denmark: 'DK', danmark: 'DK',
+    finland: 'FI', luxembourg: 'LU', greece: 'GR', 'czech republic': 'CZ', czechia: 'CZ', slovakia: 'SK',
+    hungary: 'HU', romania: 'RO', bulgaria: 'BG', croatia: 'HR', slovenia: 'SI', estonia: 'EE',
+    latvia: 'LV', lithuania: 'LT', malta: 'MT', cyprus: 'CY'
+};
+
+// US states and Canadian provinces: full name → code
+const REGIONS = {
+    US: {
+        alabama: 'al', alaska: 'ak', arizona: 'az', arkansas: 'ar', california: 'ca', colorado: 'co',
+        connecticut: 'ct', delaware: 'de', 'district of columbia': 'dc', florida: 'fl', georgia: 'ga',
+        hawaii: 'hi', idaho: 'id', illinois: 'il', indiana: 'in', iowa: 'ia', kansas: 'ks', kentucky: 'ky',
+        louisiana: 'la', maine: 'me', maryland: 'md', massachusetts: 'ma', michigan: 'mi', minnesota: 'mn',
+        mississippi: 'ms', missouri: 'mo', montana: 'mt', nebraska: 'ne', nevada: 'nv', 'new hampshire': 'nh',
+        'new jersey': 'nj', 'new mexico': 'nm', 'new york': 'ny', 'north carolina': 'nc', 'north dakota': 'nd',
+        ohio: 'oh', oklahoma: 'ok', oregon: 'or', pennsylvania: 'pa', 'rhode island': 'ri',
+        'south carolina': 'sc', 'south dakota': 'sd', tennessee: 'tn', texas: 'tx', utah: 'ut', vermont: 'vt',
+        virginia: 'va', washington: 'wa', 'west virginia': 'wv', wisconsin: 'wi', wyoming: 'wy', 'puerto rico': 'pr'
+    },
+    CA: {
+        alberta: 'ab', 'british columbia': 'bc', manitoba: 'mb', 'new brunswick': 'nb',
+        'newfoundland and labrador': 'nl', 'nova scotia': 'ns', ontario: 'on', 'prince edward island': 'pe',
+        quebec: 'qc', saskatchewan: 'sk', 'northwest territories': 'nt', nunavut: 'nu', yukon: 'yt'
+    }
+};
+
+const REGION_CODES = Object.fromEntries(Object.entries(REGIONS).map(([country, names]) => [country, new Set(Object.values(names))]));
+
+// Street types, directions and their European equivalents → abbreviation
+const STREET_ABBREVIATIONS = {
+    street: 'st', avenue: 'ave', av: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+    court: 'ct', place: 'pl', terrace: 'ter', highway: 'hwy', parkway: 'pkwy', circle: 'cir',
+    square: 'sq', crescent: 'cres', trail: 'trl',
+    north: 'n', south: 's', east: 'e', west: 'w', northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+    nord: 'n', sud: 's', ouest: 'o',
+    strasse: 'str', platz: 'pl', avenida: 'ave', bd: 'blvd', calle: 'c', piazza: 'pza', viale: 'vle'
+};
+
+const UNIT_WORDS = '#|\\b(?:apt|apartment|unit|suite|ste|flat|app|appt|appartement|whg|wohnung|piso|etage)\\b';
+// Unit at the end of a street line, or a line of its own
+const UNIT_DESIGNATORS = new RegExp(`\\s*(?:${UNIT_WORDS})\\s*#?\\s*([a-z\\d-]+)\\s*$`);
+const UNIT_LINE = new RegExp(`^(?:${UNIT_WORDS})\\s*#?\\s*([a-z\\d-]+)$`);
+
+/**
+ * Lowercase ASCII text with punctuation reduced to spaces
+ */
+function normalizeText(value) {
+    return transliterate(value)
+        .replace(/[.,;:()'"]/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Normalized postal code (spaces dropped, US ZIP+4 cut to ZIP), null if it
+ * does not fit the country's format
+ */
+export function normalizePostalCode(value, country) {
+    if (!value) return null;
+
+    const code = normalizeText(String(value));
+    if (POSTAL_CODE_FORMATS[country] && !POSTAL_CODE_FORMATS[country].test(code)) {
+        return null;
+    }
+    if (country === 'US' || /^\d{5}-\d{4}$/.test(code)) {
+        return code.substring(0, 5);
+    }
+    return code.replace(/\s/g, '').toUpperCase();
+}
+
+/**
+ * Country a postal code's format points to (only unambiguous formats)
+ */
+function countryForPostalCode(code) {
+    const matches = Object.keys(POSTAL_CODE_FORMATS).filter(country => POSTAL_CODE_FORMATS[country].test(code));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+/**
+ * Normalized street name ("North Main Street" → "n main st")
+ */
+export function normalizeStreet(value) {
+    return normalizeText(value)
+        .split(' ')
+        .map(token => STREET_ABBREVIATIONS[token] || token.replace(/(strasse|str)$/, 'str'))
+        .join(' ');
+}
+
+/**
+ * Split a street line into house number, street and unit
+ */
+function parseStreetLine(line) {
+    let text = normalizeText(line);
+    let unit = null;
+
+    const unitMatch = text.match(UNIT_DESIGNATORS);
+    if (unitMatch) {
+        unit = unitMatch[1];
+        text = text.substring(0, unitMatch.index).trim();
+    }
+
+    let houseNumber = null;
+    let street = text;
+
+    const leading = text.match(/^(\d+[a-z]?)\s+(.+)$/);
+    const trailing = text.match(/^(.+?)\s+(\d+[a-z]?)$/);
+    if (leading) {
+        [, houseNumber, street] = leading;
+    } else if (trailing) {
+        [, street, houseNumber] = trailing;
+    }
+
+    return { houseNumber, street: street ? normalizeStreet(street) : null, unit };
+}
+
+/**
+ * Region code for a US state or Canadian province name or code
+ */
+function regionFor(value, country) {
+    const text = normalizeText(value);
+    for (const candidate of country ? [country] : Object.keys(REGIONS)) {
+        if (!REGIONS[candidate]) continue;
+        if (REGION_CODES[candidate].has(text)) return { region: text.toUpperCase(), country: candidate };
+        if (REGIONS[candidate][text]) return { region: REGIONS[candidate][text].toUpperCase(), country: candidate };
+    }
+    return null;
+}
+
+/**
+ * Parse a comma-separated address string
+ */
+function parseAddressString(value) {
+    const parts = String(value).split(/[,\n]/).map(part => normalizeText(part)).filter(Boolean);
+    const address = { ...parseStreetLine(parts.shift() || ''), city: null, region: null, postalCode: null, country: null };
+
+    const unitLine = parts[0]?.match(UNIT_LINE);
+    if (unitLine) {
+        address.unit = address.unit || unitLine[1];
+        parts.shift();
+    }
+
+    if (parts.length > 0 && COUNTRY_NAMES[parts[parts.length - 1]]) {
+        address.country = COUNTRY_NAMES[parts.pop()];
+    }
+
+    for (const part of parts) {
+        const postal = part.match(POSTAL_CODE_SEARCH);
+        let rest = part;
+
+        if (postal) {
+            address.postalCode = postal[1];
+            rest = `${part.substring(0, postal.index)} ${part.substring(postal.index + postal[0].length)}`.trim();
+        }
+
+        // The city comes first ("Washington, DC 20001"); a region follows it
+        // or shares the postal code's part ("springfield il 62704")
+        if (!address.region && rest && (postal || address.city)) {
+            const words = rest.split(' ');
+            const whole = regionFor(rest, address.country);
+            const region = whole || regionFor(words[words.length - 1], address.country);
+
+            if (region) {
+                address.region = region.region;
+                address.country = address.country || region.country;
+                rest = whole ? '' : words.slice(0, -1).join(' ');
+            }
+        }
+
+        if (rest && !address.city) {
+            address.city = rest;
+        }
+    }
+
+    return address;
+}
+
+/**
+ * Parse and normalize an address
+ *
+ * @param {string|object} input - Address string or object
+ * @returns {object|null} { houseNumber, street, unit, city, region,
+ *   postalCode, country } with missing fields null
+ */
+export function parseAddress(input) {
+    if (!input) return null;
+
+    let address;
+    if (typeof input === 'string') {
+        address = parseAddressString(input);
+    } else {
+        // Plaid identity addresses wrap the fields in data
+        const fields = input.data || input;
+        const line1 = fields.street || fields.line1 || fields.address1 || fields.street1 || fields.addressLine1 || '';
+        const line2 = fields.line2 || fields.address2 || fields.street2 || fields.addressLine2 || fields.unit;
+        const country = fields.country ? (COUNTRY_NAMES[normalizeText(fields.country)] || String(fields.country).toUpperCase()) : null;
+        const region = fields.region || fields.state || fields.province;
+
+        address = {
+            ...parseStreetLine(line1),
+            city: fields.city || fields.locality ? normalizeText(fields.city || fields.locality) : null,
+            region: region ? (regionFor(region, country)?.region || normalizeText(region)) : null,
+            postalCode: fields.postalCode || fields.postal_code || fields.zip || fields.zipCode || null,
+            country
+        };
+
+        if (line2) {
+            const unit = normalizeText(String(line2)).match(UNIT_DESIGNATORS);
+            address.unit = address.unit || (unit ? unit[1] : normalizeText(String(line2)));
+        }
+    }
+
+    if (address.postalCode) {
+        const code = normalizeText(String(address.postalCode));
+        address.country = address.country || countryForPostalCode(code);
+        address.postalCode = normalizePostalCode(code, address.country);
+    }
+
+    return address;
+}
+
+/**
+ * Compare two addresses field by field
+ *
+ * @returns {{ score: number, fields: object }} Weighted score (0-1) and
+ *   per-field similarity for the fields that were compared
+ */
+export function compareAddresses(input1, input2) {
+    const a = parseAddress(input1);
+    const b = parseAddress(input2);
+    if (!a || !b) return { score: 0, fields: {} };
+
+    if (a.country && b.country && a.country !== b.country) {
+        return { score: 0, fields: { country: 0 } };
+    }
+
+    const fields = {};
+    if (a.postalCode && b.postalCode) fields.postalCode = a.postalCode === b.postalCode ? 1 : 0;
+    if (a.houseNumber && b.houseNumber) fields.houseNumber = a.houseNumber === b.houseNumber ? 1 : 0;
+    if (a.street && b.street) {
+        const ratio = levenshteinRatio(a.street, b.street);
+        fields.street = ratio >= STREET_MIN_RATIO ? ratio : 0;
+    }
+    if (a.city && b.city) fields.city = levenshteinRatio(a.city, b.city);
+    // A unit on one side only may just have been left out
+    if (a.unit || b.unit) fields.unit = a.unit && b.unit ? (a.unit === b.unit ? 1 : 0) : 0.5;
+
+    if (fields.street === undefined && fields.postalCode === undefined) {
+        return { score: 0, fields };
+    }
+
+    let weighted = 0;
+    let weights = 0;
+    for (const [field, similarity] of Object.entries(fields)) {
+        weighted += ADDRESS_FIELD_WEIGHTS[field] * similarity;
+        weights += ADDRESS_FIELD_WEIGHTS[field];
+    }
+
+    return { score: weighted / weights, fields };
+}
+
+/**
+ * Address similarity score (0-1)
+ */
+export function addressSimilarity(input1, input2) {
+    return compareAddresses(input1, input2).score;
+}
+
+export default {
+    ADDRESS_FIELD_WEIGHTS,
+    STREET_MIN_RATIO,
+    POSTAL_CODE_FORMATS,
+    normalizePostalCode,
+    normalizeStreet,
+    parseAddress,
+    compareAddresses,
+    addressSimilarity
+};
@@ -0,0 +1,309 @@
+#!/usr/bin/env bun
+
+// modules/business-hours.js - Regional Business Hours and Reviewer Shifts
+// Time-zone aware business hours, holiday calendars and reviewer availability for TensionRouter
+
+console.log("🕘 Business Hours Module - Loaded");
+
+/**
+ * Requests are mapped to a region by country (regions.<name>.countries,
+ * falling back to defaultRegion) and checked against that region's hours in
+ * its own time zone:
+ *
+ * [verifier.businessHours.regions.EU]
+ * timeZone = "Europe/Berlin"
+ * days = ["mon", "tue", "wed", "thu", "fri"]
+ * start = "09:00"
+ * end = "18:00"
+ * holidays = ["01-01", "12-25", "2026-04-06"]
+ *
+ * Windows are [start, end) in local time; an end at or before the start
+ * runs past midnight and "24:00" ends at midnight. Holidays are local dates,
+ * either every year (MM-DD) or once (YYYY-MM-DD).
+ *
+ * Reviewers are on shift during any shift covering the region
+ * (shifts.<name>, same fields plus regions - all regions when omitted).
+ * Without shifts, reviewers work their region's business hours.
+ */
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const WORKWEEK = ['mon', 'tue', 'wed', 'thu', 'fri'];
+
+const EU_COUNTRIES = [
+    'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+    'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+export const DEFAULT_BUSINESS_HOURS = {
+    defaultRegion: 'US',
+    regions: {
+        US: { timeZone: 'America/New_York', days: WORKWEEK, start: '09:00', end: '18:00', holidays: ['01-01', '07-04', '12-25'], countries: ['US'] },
+        CA: { timeZone: 'America/Toronto', days: WORKWEEK, start: '09:00', end: '18:00', holidays: ['01-01', '07-01', '12-25'], countries: ['CA'] },
+        EU: { timeZone: 'Europe/Berlin', days: WORKWEEK, start: '09:00', end: '18:00', holidays: ['01-01', '12-25', '12-26'], countries: EU_COUNTRIES }
+    },
+    shifts: {},
+    queueBorderlineOnShift: true, // Send confidence-only rejections to reviewers on shift
+    autoDecideOffShift: false // Decide conflict-only reviews automatically when nobody is on shift
+};
+
+const WINDOW_FIELDS = ['timeZone', 'days', 'start', 'end', 'holidays'];
+const REGION_FIELDS = [...WINDOW_FIELDS, 'countries'];
+const SHIFT_FIELDS = [...WINDOW_FIELDS, 'regions'];
+const SETTINGS = ['defaultRegion', 'regions', 'shifts', 'queueBorderlineOnShift', 'autoDecideOffShift'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const HOLIDAY_PATTERN = /^(\d{4}-)?\d{2}-\d{2}$/;
+
+const formatters = new Map();
+
+/**
+ * Date, weekday and minutes since midnight at a point in time in a time zone
+ */
+export function localTime(time, timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }));
+    }
+
+    const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time))
+        .map(({ type, value }) => [type, value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: parts.weekday.toLowerCase(),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute),
+        time: `${parts.hour}:${parts.minute}`
+    };
+}
+
+function toMinutes(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function isTimeZone(value) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Matching holiday of a local date (null when it is a working day)
+ */
+function holidayOn(window, local) {
+    return (window.holidays || []).find(holiday => holiday === local.date || holiday === local.date.substring(5)) || null;
+}
+
+/**
+ * Whether a local time falls inside a window (holidays aside)
+ */
+function isInWindow(window, local) {
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+    const days = window.days;
+
+    if (start < end) {
+        return days.includes(local.day) && local.minutes >= start && local.minutes < end;
+    }
+
+    // Past midnight: the early hours belong to the previous day's window
+    const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(local.day) + 6) % 7];
+    return (days.includes(local.day) && local.minutes >= start) ||
+        (days.includes(previousDay) && local.minutes < end);
+}
+
+/**
+ * Check one region or shift table
+ */
+function validateWindow(prefix, window, fields, errors) {
+    if (!window || typeof window !== 'object') {
+        errors.push(`${prefix} must be a table`);
+        return;
+    }
+
+    for (const field of Object.keys(window)) {
+        if (!fields.includes(field)) {
+            errors.push(`${prefix}.${field}: unknown setting`);
+        }
+    }
+
+    if (window.timeZone !== undefined && (typeof window.timeZone !== 'string' || !isTimeZone(window.timeZone))) {
+        errors.push(`${prefix}.timeZone must be an IANA time zone (e.g. America/New_York)`);
+    }
+
+    if (window.days !== undefined &&
+        (!Array.isArray(window.days) || window.days.some(day => !WEEKDAYS.includes(day)))) {
+        errors.push(`${prefix}.days must list any of ${WEEKDAYS.join(', ')}`);
+    }
+
+    for (const field of ['start', 'end']) {
+        if (window[field] !== undefined && (typeof window[field] !== 'string' || !TIME_PATTERN.test(window[field]))) {
+            errors.push(`${prefix}.${field} must be a time like 09:00`);
+        }
+    }
+
+    if (window.holidays !== undefined &&
+        (!Array.isArray(window.holidays) || window.holidays.some(day => typeof day !== 'string' || !HOLIDAY_PATTERN.test(day)))) {
+        errors.push(`${prefix}.holidays must list dates as MM-DD or YYYY-MM-DD`);
+    }
+
+    for (const field of ['countries', 'regions']) {
+        if (window[field] !== undefined &&
+            (!Array.isArray(window[field]) || window[field].some(item => typeof item !== 'string'))) {
+            errors.push(`${prefix}.${field} must be a list of strings`);
+        }
+    }
+}
+
+/**
+ * Merge [verifier.businessHours] over the defaults (regions merge per region,
+ * shifts replace)
+ */
+export function resolveBusinessHours(settings = {}) {
+    const regions = structuredClone(DEFAULT_BUSINESS_HOURS.regions);
+    for (const [name, region] of Object.entries(settings.regions || {})) {
+        regions[name] = { ...(regions[name] || { days: WORKWEEK, start: '09:00', end: '18:00' }), ...region };
+    }
+
+    const shifts = {};
+    for (const [name, shift] of Object.entries(settings.shifts || {})) {
+        shifts[name] = { days: WORKWEEK, ...shift };
+    }
+
+    return { ...DEFAULT_BUSINESS_HOURS, ...settings, regions, shifts };
+}
+
+/**
+ * Check [verifier.businessHours] settings
+ */
+export function validateBusinessHoursSettings(settings = {}) {
+    const errors = [];
+    const prefix = 'verifier.businessHours';
+
+    for (const key of Object.keys(settings || {})) {
+        if (!SETTINGS.includes(key)) {
+            errors.push(`${prefix}.${key}: unknown setting`);
+        }
+    }
+
+    for (const field of ['queueBorderlineOnShift', 'autoDecideOffShift']) {
+        if (settings[field] !== undefined && typeof settings[field] !== 'boolean') {
+            errors.push(`${prefix}.${field} must be true or false`);
+        }
+    }
+
+    for (const [name, region] of Object.entries(settings.regions || {})) {
+        validateWindow(`${prefix}.regions.${name}`, region, REGION_FIELDS, errors);
+    }
+    for (const [name, shift] of Object.entries(settings.shifts || {})) {
+        validateWindow(`${prefix}.shifts.${name}`, shift, SHIFT_FIELDS, errors);
+    }
+    if (errors.length > 0) return errors;
+
+    const resolved = resolveBusinessHours(settings);
+    const regionNames = Object.keys(resolved.regions);
+
+    if (!resolved.regions[resolved.defaultRegion]) {
+        errors.push(`${prefix}.defaultRegion must be one of ${regionNames.join(', ')}`);
+    }
+
+    for (const [name, region] of Object.entries(resolved.regions)) {
+        if (!region.timeZone) {
+            errors.push(`${prefix}.regions.${name}.timeZone is required`);
+        }
+    }
+
+    for (const [name, shift] of Object.entries(resolved.shifts)) {
+        for (const field of ['timeZone', 'start', 'end']) {
+            if (!shift[field]) {
+                errors.push(`${prefix}.shifts.${name}.${field} is required`);
+            }
+        }
+        for (const region of shift.regions || []) {
+            if (!regionNames.includes(region)) {
+                errors.push(`${prefix}.shifts.${name}.regions: unknown region ${region}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+export class BusinessHours {
+    /**
+     * @param {object} settings - [verifier.businessHours] (merged over DEFAULT_BUSINESS_HOURS)
+     */
+    constructor(settings = {}) {
+        const errors = validateBusinessHoursSettings(settings);
+        if (errors.length > 0) {
+            throw new Error(`Invalid business hours settings:\n${errors.join('\n')}`);
+        }
+
+        this.settings = resolveBusinessHours(settings);
+    }
+
+    /**
+     * Region of a routing context ({ country }), by country
+     */
+    regionFor(context = {}) {
+        const country = context.country ? String(context.country).toUpperCase() : null;
+        const match = country && Object.entries(this.settings.regions)
+            .find(([, region]) => (region.countries || []).includes(country));
+
+        return match ? match[0] : this.settings.defaultRegion;
+    }
+
+    /**
+     * Business hours and reviewer availability for a request
+     *
+     * @param {object} context - Routing context ({ country })
+     * @param {number} [time] - Epoch ms (default now)
+     * @returns {{ region, timeZone, localTime, businessHours, holiday, reviewersOnShift, shifts }}
+     */
+    check(context = {}, time = Date.now()) {
+        const region = this.regionFor(context);
+        const hours = this.settings.regions[region];
+        const local = localTime(time, hours.timeZone);
+        const holiday = holidayOn(hours, local);
+        const businessHours = !holiday && isInWindow(hours, local);
+
+        const shifts = Object.entries(this.settings.shifts)
+            .filter(([, shift]) => !shift.regions || shift.regions.includes(region))
+            .filter(([, shift]) => {
+                const shiftLocal = localTime(time, shift.timeZone);
+                return !holidayOn(shift, shiftLocal) && isInWindow(shift, shiftLocal);
+            })
+            .map(([name]) => name);
+
+        return {
+            region,
+            timeZone: hours.timeZone,
+            localTime: `${local.day} ${local.time}`,
+            businessHours,
+            holiday,
+            reviewersOnShift: Object.keys(this.settings.shifts).length > 0 ? shifts.length > 0 : businessHours,
+            shifts
+        };
+    }
+}
+
+export default {
+    WEEKDAYS,
+    DEFAULT_BUSINESS_HOURS,
+    localTime,
+    resolveBusinessHours,
+    validateBusinessHoursSettings,
+    BusinessHours
+};
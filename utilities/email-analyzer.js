@@ -0,0 +1,291 @@
+#!/usr/bin/env bun
+
+// modules/email-analyzer.js - Email Intelligence
+// Disposable domains, role accounts, provider normalization and IDN homoglyph checks
+
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { domainToASCII, domainToUnicode, fileURLToPath } from 'url';
+
+console.log("📧 Email Analyzer Module - Loaded");
+
+/**
+ * analyze(email) returns structured findings, each
+ * { code, severity, message, values }, shaped like routing reason codes
+ * (see reason-codes.js):
+ * - EMAIL_DISPOSABLE_DOMAIN - domain (or a parent domain) is on the
+ *   disposable list, bundled in config/core/disposable-email-domains.txt
+ * - EMAIL_HOMOGLYPH_DOMAIN - domain mixes scripts (Latin "gm" + Cyrillic
+ *   "а" + "il") or is a lookalike of a protected domain such as gmail.com
+ * - EMAIL_ROLE_ACCOUNT - shared mailbox (admin@, support@, ...)
+ * - EMAIL_IDN_DOMAIN - other internationalized domains
+ * - EMAIL_SUBADDRESS - plus address (user+tag@)
+ *
+ * normalize(email) folds addresses that reach the same mailbox: lowercase,
+ * and for providers that ignore them, plus tags and dots (Gmail:
+ * a.b+x@gmail.com → ab@gmail.com; googlemail.com is gmail.com).
+ */
+
+export const EMAIL_FINDINGS = {
+    EMAIL_DISPOSABLE_DOMAIN: { severity: 'high', penalty: 30, blocking: true, message: (v) => `Email uses the disposable domain ${v.domain}` },
+    EMAIL_HOMOGLYPH_DOMAIN: { severity: 'high', penalty: 40, blocking: true, message: (v) => v.lookalike ? `Email domain ${v.domain} imitates ${v.lookalike}` : `Email domain ${v.domain} mixes writing systems` },
+    EMAIL_ROLE_ACCOUNT: { severity: 'warning', penalty: 10, blocking: false, message: (v) => `Email is a shared role account (${v.role})` },
+    EMAIL_IDN_DOMAIN: { severity: 'warning', penalty: 5, blocking: false, message: (v) => `Email uses the internationalized domain ${v.domain}` },
+    EMAIL_SUBADDRESS: { severity: 'info', penalty: 0, blocking: false, message: () => 'Email uses a plus address' }
+};
+
+export const DEFAULT_DISPOSABLE_DOMAINS_PATH = fileURLToPath(new URL('../config/core/disposable-email-domains.txt', import.meta.url));
+
+export const ROLE_ACCOUNTS = new Set([
+    'abuse', 'accounts', 'admin', 'administrator', 'billing', 'careers', 'contact', 'help', 'hello', 'hostmaster',
+    'hr', 'info', 'jobs', 'marketing', 'no-reply', 'noreply', 'office', 'postmaster', 'root', 'sales',
+    'security', 'support', 'team', 'webmaster'
+]);
+
+// Mailbox providers and the address variations they deliver to one inbox
+export const PROVIDER_RULES = {
+    'gmail.com': { dots: true, plus: true },
+    'googlemail.com': { dots: true, plus: true, canonical: 'gmail.com' },
+    'outlook.com': { plus: true },
+    'hotmail.com': { plus: true },
+    'live.com': { plus: true },
+    'icloud.com': { plus: true },
+    'me.com': { plus: true, canonical: 'icloud.com' },
+    'mac.com': { plus: true, canonical: 'icloud.com' },
+    'fastmail.com': { plus: true },
+    'protonmail.com': { plus: true },
+    'proton.me': { plus: true }
+};
+
+// Domains worth impersonating: mailbox providers and payment brands
+export const DEFAULT_PROTECTED_DOMAINS = [
+    ...Object.keys(PROVIDER_RULES),
+    'yahoo.com', 'aol.com', 'paypal.com', 'cash.app', 'squareup.com', 'apple.com', 'google.com', 'microsoft.com', 'amazon.com'
+];
+
+// Cyrillic and Greek letters that render like Latin ones
+const CONFUSABLES = {
+    а: 'a', в: 'b', е: 'e', ё: 'e', һ: 'h', і: 'i', ї: 'i', ј: 'j', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p',
+    с: 'c', т: 't', у: 'y', х: 'x', ѕ: 's', ԁ: 'd', ԛ: 'q', ԝ: 'w', ӏ: 'l', ɡ: 'g',
+    α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', μ: 'u', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x'
+};
+
+const SCRIPTS = ['Latin', 'Cyrillic', 'Greek', 'Armenian'].map(script => [script, new RegExp(`\\p{Script=${script}}`, 'u')]);
+
+/**
+ * Read a disposable domain list (one domain per line, # comments)
+ */
+export function loadDisposableDomains(path = DEFAULT_DISPOSABLE_DOMAINS_PATH) {
+    return readFileSync(resolve(path), 'utf8')
+        .split('\n')
+        .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Check [verifier.email] settings, loading the disposable domain list
+ */
+export function validateEmailSettings(settings = {}) {
+    const errors = [];
+    const prefix = 'verifier.email';
+
+    if (settings.rejectDisposable !== undefined && typeof settings.rejectDisposable !== 'boolean') {
+        errors.push(`${prefix}.rejectDisposable must be true or false`);
+    }
+
+    for (const field of ['disposableDomains', 'protectedDomains']) {
+        const value = settings[field];
+        if (value !== undefined && (!Array.isArray(value) || value.some(domain => typeof domain !== 'string'))) {
+            errors.push(`${prefix}.${field} must be a list of domains`);
+        }
+    }
+
+    if (settings.disposableDomainsPath !== undefined) {
+        try {
+            loadDisposableDomains(settings.disposableDomainsPath);
+        } catch (error) {
+            errors.push(`${prefix}.disposableDomainsPath: cannot load list (${error.message})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Map lookalike letters to Latin ("gmаil" with Cyrillic а → "gmail")
+ */
+function skeleton(value) {
+    return [...value].map(letter => CONFUSABLES[letter] || letter).join('');
+}
+
+/**
+ * Writing systems used by a domain label
+ */
+function scriptsOf(label) {
+    return SCRIPTS.filter(([, pattern]) => pattern.test(label)).map(([script]) => script);
+}
+
+export class EmailAnalyzer {
+    /**
+     * @param {object} [options] - [verifier.email] settings
+     * @param {string} [options.disposableDomainsPath] - List replacing the bundled one
+     * @param {string[]} [options.disposableDomains] - Extra disposable domains
+     * @param {string[]} [options.protectedDomains] - Extra lookalike targets
+     * @param {boolean} [options.rejectDisposable=true] - Fail pre-screening
+     *   on disposable domains
+     */
+    constructor(options = {}) {
+        const errors = validateEmailSettings(options);
+        if (errors.length > 0) {
+            throw new Error(`Invalid email settings:\n${errors.join('\n')}`);
+        }
+
+        this.settings = { rejectDisposable: true, ...options };
+        this.disposableDomains = new Set();
+        this.updateDisposableDomains(loadDisposableDomains(options.disposableDomainsPath));
+        this.updateDisposableDomains(options.disposableDomains || []);
+        this.protectedDomains = new Set([...DEFAULT_PROTECTED_DOMAINS, ...(options.protectedDomains || [])]);
+    }
+
+    /**
+     * Add domains to the disposable list (or replace it)
+     *
+     * @returns {number} Size of the list
+     */
+    updateDisposableDomains(domains, { replace = false } = {}) {
+        if (replace) {
+            this.disposableDomains.clear();
+        }
+        for (const domain of domains) {
+            this.disposableDomains.add(domainToASCII(domain.trim().toLowerCase()) || domain);
+        }
+        return this.disposableDomains.size;
+    }
+
+    /**
+     * Split an address into local part and domain (ASCII and Unicode forms)
+     */
+    parse(email) {
+        if (typeof email !== 'string') return null;
+
+        const at = email.trim().lastIndexOf('@');
+        if (at <= 0) return null;
+
+        const local = email.trim().substring(0, at).toLowerCase();
+        const domain = email.trim().substring(at + 1).toLowerCase().replace(/\.$/, '');
+        const asciiDomain = domainToASCII(domain);
+        if (!asciiDomain) return null;
+
+        return { local, asciiDomain, unicodeDomain: domainToUnicode(asciiDomain) };
+    }
+
+    /**
+     * Canonical mailbox for an address (null if unparseable)
+     */
+    normalize(email) {
+        const parsed = this.parse(email);
+        if (!parsed) return null;
+
+        const rules = PROVIDER_RULES[parsed.asciiDomain];
+        let local = parsed.local;
+
+        if (rules?.plus) local = local.replace(/\+.*$/, '');
+        if (rules?.dots) local = local.replace(/\./g, '');
+
+        return `${local}@${rules?.canonical || parsed.asciiDomain}`;
+    }
+
+    /**
+     * Disposable list entry covering a domain or one of its parents
+     */
+    findDisposableDomain(asciiDomain) {
+        const labels = asciiDomain.split('.');
+        for (let i = 0; i < labels.length - 1; i++) {
+            const candidate = labels.slice(i).join('.');
+            if (this.disposableDomains.has(candidate)) return candidate;
+        }
+        return null;
+    }
+
+    /**
+     * Protected domain a Unicode domain imitates (null if none)
+     */
+    findLookalike(unicodeDomain) {
+        const latin = skeleton(unicodeDomain);
+        return latin !== unicodeDomain && this.protectedDomains.has(latin) ? latin : null;
+    }
+
+    /**
+     * Analyze an address
+     *
+     * @returns {{ normalized: string|null, domain: string|null, findings: object[] }}
+     */
+    analyze(email) {
+        const parsed = this.parse(email);
+        if (!parsed) {
+            return { normalized: null, domain: null, findings: [] };
+        }
+
+        const findings = [];
+        const add = (code, values) => findings.push({
+            code,
+            severity: EMAIL_FINDINGS[code].severity,
+            message: EMAIL_FINDINGS[code].message(values),
+            values
+        });
+
+        const { local, asciiDomain, unicodeDomain } = parsed;
+
+        const disposable = this.findDisposableDomain(asciiDomain);
+        if (disposable) {
+            add('EMAIL_DISPOSABLE_DOMAIN', { domain: disposable });
+        }
+
+        if (unicodeDomain !== asciiDomain) {
+            const lookalike = this.findLookalike(unicodeDomain);
+            const mixedScripts = unicodeDomain.split('.').some(label => scriptsOf(label).length > 1);
+
+            if (lookalike || mixedScripts) {
+                add('EMAIL_HOMOGLYPH_DOMAIN', { domain: unicodeDomain, asciiDomain, lookalike });
+            } else {
+                add('EMAIL_IDN_DOMAIN', { domain: unicodeDomain, asciiDomain });
+            }
+        }
+
+        const role = local.replace(/\+.*$/, '');
+        if (ROLE_ACCOUNTS.has(role)) {
+            add('EMAIL_ROLE_ACCOUNT', { role });
+        }
+
+        if (/\+./.test(local)) {
+            add('EMAIL_SUBADDRESS', { domain: asciiDomain });
+        }
+
+        return { normalized: this.normalize(email), domain: asciiDomain, findings };
+    }
+
+    /**
+     * Whether a finding fails pre-screening
+     */
+    isBlocking(finding) {
+        if (finding.code === 'EMAIL_DISPOSABLE_DOMAIN') return this.settings.rejectDisposable;
+        return EMAIL_FINDINGS[finding.code].blocking;
+    }
+}
+
+// Shared analyzer with the bundled disposable list
+const emailAnalyzer = new EmailAnalyzer();
+
+export { emailAnalyzer };
+
+export default {
+    EMAIL_FINDINGS,
+    DEFAULT_DISPOSABLE_DOMAINS_PATH,
+    ROLE_ACCOUNTS,
+    PROVIDER_RULES,
+    DEFAULT_PROTECTED_DOMAINS,
+    loadDisposableDomains,
+    validateEmailSettings,
+    EmailAnalyzer,
+    emailAnalyzer
+};
@@ -0,0 +1,714 @@
+#!/usr/bin/env bun
+
+// modules/name-matcher.js - Person Name Matching
+// Token-order independent name comparison with transliteration, phonetic codes and nicknames
+
+console.log("🪪 Name Matcher Module - Loaded");
+
+/**
+ * Names are compared token by token after normalization:
+ * - Unicode: umlauts expand the German way (ü → ue), other letters are
+ *   transliterated (ß → ss, ø → o, ł → l) or lose their diacritics (é → e)
+ * - tokens split on spaces, hyphens, commas and dots; titles and suffixes
+ *   (Mr, Dr, Jr, III) are dropped, so "Garcia-Lopez, Maria" and
+ *   "Maria Garcia Lopez" have the same tokens
+ *
+ * Each token of the shorter name is paired with its best match in the
+ * longer one, scoring the strongest of:
+ *   exact 1.0 · nickname 0.95 (Bill ~ William) · Double Metaphone 0.9
+ *   (primary or alternate codes in common: Smith ~ Schmidt) ·
+ *   Soundex 0.85 · initial 0.8 (J ~ John) · Levenshtein ratio
+ * (phonetic codes only for tokens with a Levenshtein ratio of 0.5 or more)
+ * The name score is the mean pair score, less 0.1 per unpaired token (a
+ * missing middle name); a one-token name never scores above 0.6 against a
+ * longer one.
+ */
+
+export const TOKEN_SCORES = {
+    exact: 1,
+    nickname: 0.95,
+    metaphone: 0.9,
+    soundex: 0.85,
+    initial: 0.8
+};
+
+// Sounding alike only counts for tokens that are also spelled alike
+// (John and Jane share a Double Metaphone code)
+const PHONETIC_MIN_RATIO = 0.5;
+const UNPAIRED_TOKEN_PENALTY = 0.1;
+const SINGLE_TOKEN_CAP = 0.6;
+
+const IGNORED_TOKENS = new Set(['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof', 'sir', 'jr', 'sr', 'ii', 'iii', 'iv']);
+
+// Letters NFKD does not decompose, plus the German umlaut convention
+const TRANSLITERATIONS = {
+    ä: 'ae', ö: 'oe', ü: 'ue', ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', å: 'aa',
+    ł: 'l', đ: 'd', ð: 'd', þ: 'th', ı: 'i', ħ: 'h', ŧ: 't'
+};
+
+// Formal name → common nicknames and variants
+export const DEFAULT_NICKNAMES = {
+    alexander: ['alex', 'al', 'sasha', 'xander'],
+    alexandra: ['alex', 'sandra', 'sasha', 'lexi'],
+    alejandro: ['alex', 'ale'],
+    andrew: ['andy', 'drew'],
+    anthony: ['tony'],
+    benjamin: ['ben', 'benny'],
+    catherine: ['cathy', 'kate', 'katie', 'cat'],
+    charles: ['charlie', 'chuck', 'chas'],
+    christopher: ['chris', 'kit'],
+    daniel: ['dan', 'danny'],
+    david: ['dave', 'davey'],
+    deborah: ['deb', 'debbie'],
+    edward: ['ed', 'eddie', 'ted', 'ned'],
+    elizabeth: ['liz', 'beth', 'eliza', 'betty', 'lizzie', 'elisa'],
+    francisco: ['paco', 'pancho', 'frank'],
+    guillermo: ['memo', 'william'],
+    james: ['jim', 'jimmy', 'jamie'],
+    jennifer: ['jen', 'jenny'],
+    jessica: ['jess', 'jessie'],
+    john: ['jack', 'johnny', 'jon', 'juan', 'johann'],
+    jonathan: ['jon', 'jonny', 'nathan'],
+    jose: ['pepe'],
+    joseph: ['joe', 'joey'],
+    katherine: ['kathy', 'kate', 'katie', 'kat'],
+    margaret: ['maggie', 'meg', 'peggy', 'greta'],
+    matthew: ['matt'],
+    michael: ['mike', 'mikey', 'miguel'],
+    nicholas: ['nick', 'nicky'],
+    patricia: ['pat', 'patty', 'trish'],
+    patrick: ['pat', 'paddy'],
+    rebecca: ['becky', 'becca'],
+    richard: ['rick', 'ricky', 'dick', 'rich', 'richie'],
+    robert: ['bob', 'bobby', 'rob', 'robbie', 'bert'],
+    samuel: ['sam', 'sammy'],
+    stephen: ['steve', 'stevie', 'steven'],
+    susan: ['sue', 'susie'],
+    thomas: ['tom', 'tommy'],
+    timothy: ['tim', 'timmy'],
+    victoria: ['vicky', 'tori'],
+    william: ['bill', 'billy', 'will', 'willy', 'liam']
+};
+
+/**
+ * Lowercase ASCII form of a name
+ */
+export function transliterate(value) {
+    return String(value)
+        .toLowerCase()
+        .replace(/[äöüßæœøåłđðþıħŧ]/g, (letter) => TRANSLITERATIONS[letter])
+        .normalize('NFKD')
+        .replace(/\p{M}/gu, '');
+}
+
+/**
+ * Normalized name tokens ("Garcia-Lopez, Maria" → garcia, lopez, maria)
+ */
+export function tokenizeName(name) {
+    if (!name) return [];
+
+    return transliterate(name)
+        .split(/[^a-z']+/)
+        .map(token => token.replace(/'/g, ''))
+        .filter(token => token && !IGNORED_TOKENS.has(token));
+}
+
+/**
+ * American Soundex (e.g. Robert, Rupert → R163)
+ */
+export function soundex(token) {
+    const codes = { b: 1, f: 1, p: 1, v: 1, c: 2, g: 2, j: 2, k: 2, q: 2, s: 2, x: 2, z: 2, d: 3, t: 3, l: 4, m: 5, n: 5, r: 6 };
+    const letters = token.replace(/[^a-z]/g, '');
+    if (!letters) return '';
+
+    let result = letters[0].toUpperCase();
+    let previous = codes[letters[0]] || 0;
+
+    for (const letter of letters.slice(1)) {
+        const code = codes[letter] || 0;
+        if (code && code !== previous) {
+            result += code;
+        }
+        // H and W do not separate letters with the same code; vowels do
+        if (letter !== 'h' && letter !== 'w') {
+            previous = code;
+        }
+    }
+
+    return `${result}000`.substring(0, 4);
+}
+
+/**
+ * Double Metaphone (Lawrence Philips) - primary and alternate sound codes,
+ * the alternate covering non-English spellings: Smith → SM0/XMT and
+ * Schmidt → XMT/SMT share a code, as do Mueller and Muller (MLR). Codes
+ * are not truncated to four letters.
+ *
+ * @returns {[string, string]} [primary, alternate]
+ */
+export function doubleMetaphone(token) {
+    const value = token.replace(/[^a-z]/g, '').toUpperCase();
+    if (!value) return ['', ''];
+
+    const length = value.length;
+    const last = length - 1;
+    const at = (i) => (i >= 0 && i < length ? value[i] : '');
+    const stringAt = (start, size, ...options) => start >= 0 && options.includes(value.substring(start, start + size));
+    const isVowel = (i) => at(i) !== '' && 'AEIOUY'.includes(at(i));
+    const isSlavoGermanic = /W|K|CZ/.test(value);
+    const isGermanic = stringAt(0, 3, 'SCH');
+
+    let primary = '';
+    let alternate = '';
+    const add = (main, other = main) => {
+        primary += main;
+        alternate += other;
+    };
+
+    let index = 0;
+
+    // Silent first letters; an initial X sounds like S (Xavier)
+    if (stringAt(0, 2, 'GN', 'KN', 'PN', 'WR', 'PS')) index++;
+    if (at(0) === 'X') {
+        add('S');
+        index++;
+    }
+
+    while (index < length) {
+        const next = at(index + 1);
+
+        switch (at(index)) {
+            case 'A': case 'E': case 'I': case 'O': case 'U': case 'Y':
+                if (index === 0) add('A');
+                index++;
+                break;
+
+            case 'B':
+                add('P');
+                index += next === 'B' ? 2 : 1;
+                break;
+
+            case 'C':
+                // Germanic -ach- (Bacher, Macher)
+                if (index > 1 && !isVowel(index - 2) && stringAt(index - 1, 3, 'ACH') &&
+                    at(index + 2) !== 'I' && (at(index + 2) !== 'E' || stringAt(index - 2, 6, 'BACHER', 'MACHER'))) {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (index === 0 && stringAt(index, 6, 'CAESAR')) {
+                    add('S');
+                    index += 2;
+                    break;
+                }
+                // Italian Chianti
+                if (stringAt(index, 4, 'CHIA')) {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (stringAt(index, 2, 'CH')) {
+                    // Michael
+                    if (index > 0 && stringAt(index, 4, 'CHAE')) {
+                        add('K', 'X');
+                    } else if (index === 0 && (stringAt(index + 1, 5, 'HARAC', 'HARIS') || stringAt(index + 1, 3, 'HOR', 'HYM', 'HIA', 'HEM')) &&
+                        !stringAt(0, 5, 'CHORE')) {
+                        // Greek roots (Chorus, Charis)
+                        add('K');
+                    } else if (isGermanic || stringAt(index - 2, 6, 'ORCHES', 'ARCHIT', 'ORCHID') || stringAt(index + 2, 1, 'T', 'S') ||
+                        ((stringAt(index - 1, 1, 'A', 'O', 'U', 'E') || index === 0) && stringAt(index + 2, 1, 'L', 'R', 'N', 'M', 'B', 'H', 'F', 'V', 'W'))) {
+                        add('K');
+                    } else if (index > 0) {
+                        if (stringAt(0, 2, 'MC')) add('K');
+                        else add('X', 'K');
+                    } else {
+                        add('X');
+                    }
+                    index += 2;
+                    break;
+                }
+                // Czerny, but not Wicz
+                if (stringAt(index, 2, 'CZ') && !stringAt(index - 2, 4, 'WICZ')) {
+                    add('S', 'X');
+                    index += 2;
+                    break;
+                }
+                // Focaccia
+                if (stringAt(index + 1, 3, 'CIA')) {
+                    add('X');
+                    index += 3;
+                    break;
+                }
+                // Double C, but not McClellan
+                if (stringAt(index, 2, 'CC') && !(index === 1 && at(0) === 'M')) {
+                    if (stringAt(index + 2, 1, 'I', 'E', 'H') && !stringAt(index + 2, 2, 'HU')) {
+                        // Accident, Succeed; Bacci, Bertucci
+                        if ((index === 1 && at(0) === 'A') || stringAt(index - 1, 5, 'UCCEE', 'UCCES')) add('KS');
+                        else add('X');
+                        index += 3;
+                    } else {
+                        add('K');
+                        index += 2;
+                    }
+                    break;
+                }
+                if (stringAt(index, 2, 'CK', 'CG', 'CQ')) {
+                    add('K');
+                    index += 2;
+                    break;
+                }
+                if (stringAt(index, 2, 'CI', 'CE', 'CY')) {
+                    // Italian Ciotti
+                    if (stringAt(index, 3, 'CIO', 'CIE', 'CIA')) add('S', 'X');
+                    else add('S');
+                    index += 2;
+                    break;
+                }
+                add('K');
+                index += stringAt(index + 1, 1, 'C', 'K', 'Q') && !stringAt(index + 1, 2, 'CE', 'CI') ? 2 : 1;
+                break;
+
+            case 'D':
+                if (stringAt(index, 2, 'DG')) {
+                    // Edge; Edgar
+                    if (stringAt(index + 2, 1, 'I', 'E', 'Y')) {
+                        add('J');
+                        index += 3;
+                    } else {
+                        add('TK');
+                        index += 2;
+                    }
+                    break;
+                }
+                add('T');
+                index += stringAt(index, 2, 'DT', 'DD') ? 2 : 1;
+                break;
+
+            case 'F':
+                add('F');
+                index += next === 'F' ? 2 : 1;
+                break;
+
+            case 'G':
+                if (next === 'H') {
+                    if (index > 0 && !isVowel(index - 1)) {
+                        add('K');
+                    } else if (index === 0) {
+                        // Ghislane; Ghent
+                        add(at(index + 2) === 'I' ? 'J' : 'K');
+                    } else if ((index > 1 && stringAt(index - 2, 1, 'B', 'H', 'D')) || (index > 2 && stringAt(index - 3, 1, 'B', 'H', 'D')) ||
+                        (index > 3 && stringAt(index - 4, 1, 'B', 'H'))) {
+                        // Silent in Hugh, Bough, Broughton
+                    } else if (index > 2 && at(index - 1) === 'U' && stringAt(index - 3, 1, 'C', 'G', 'L', 'R', 'T')) {
+                        // Laugh, McLaughlin, Tough
+                        add('F');
+                    } else if (index > 0 && at(index - 1) !== 'I') {
+                        add('K');
+                    }
+                    index += 2;
+                    break;
+                }
+                if (next === 'N') {
+                    if (index === 1 && isVowel(0) && !isSlavoGermanic) add('KN', 'N');
+                    else if (!stringAt(index + 2, 2, 'EY') && !isSlavoGermanic) add('N', 'KN');
+                    else add('KN');
+                    index += 2;
+                    break;
+                }
+                // Tagliaro
+                if (stringAt(index + 1, 2, 'LI') && !isSlavoGermanic) {
+                    add('KL', 'L');
+                    index += 2;
+                    break;
+                }
+                // Ges-, Gep-, Gel-, Gie- at the start
+                if (index === 0 && (next === 'Y' || stringAt(index + 1, 2, 'ES', 'EP', 'EB', 'EL', 'EY', 'IB', 'IL', 'IN', 'IE', 'EI', 'ER'))) {
+                    add('K', 'J');
+                    index += 2;
+                    break;
+                }
+                // -ger-, -gy-
+                if ((stringAt(index + 1, 2, 'ER') || next === 'Y') && !stringAt(0, 6, 'DANGER', 'RANGER', 'MANGER') &&
+                    !stringAt(index - 1, 1, 'E', 'I') && !stringAt(index - 1, 3, 'RGY', 'OGY')) {
+                    add('K', 'J');
+                    index += 2;
+                    break;
+                }
+                // Italian Biaggi
+                if (stringAt(index + 1, 1, 'E', 'I', 'Y') || stringAt(index - 1, 4, 'AGGI', 'OGGI')) {
+                    if (isGermanic || stringAt(index + 1, 2, 'ET')) add('K');
+                    else if (stringAt(index + 1, 3, 'IER') && index + 4 === length) add('J');
+                    else add('J', 'K');
+                    index += 2;
+                    break;
+                }
+                add('K');
+                index += next === 'G' ? 2 : 1;
+                break;
+
+            case 'H':
+                // Only sounded first or between vowels
+                if ((index === 0 || isVowel(index - 1)) && isVowel(index + 1)) {
+                    add('H');
+                    index += 2;
+                } else {
+                    index++;
+                }
+                break;
+
+            case 'J':
+                // Spanish Jose
+                if (stringAt(index, 4, 'JOSE')) {
+                    if (index === 0 && index + 4 === length) add('H');
+                    else add('J', 'H');
+                    index++;
+                    break;
+                }
+                if (index === 0) {
+                    // Yankelovich / Jankelowicz
+                    add('J', 'A');
+                } else if (isVowel(index - 1) && !isSlavoGermanic && (next === 'A' || next === 'O')) {
+                    // Spanish Bajador
+                    add('J', 'H');
+                } else if (index === last) {
+                    add('J', '');
+                } else if (!stringAt(index + 1, 1, 'L', 'T', 'K', 'S', 'N', 'M', 'B', 'Z') && !stringAt(index - 1, 1, 'S', 'K', 'L')) {
+                    add('J');
+                }
+                index += next === 'J' ? 2 : 1;
+                break;
+
+            case 'K':
+                add('K');
+                index += next === 'K' ? 2 : 1;
+                break;
+
+            case 'L':
+                if (next === 'L') {
+                    // Spanish Cabrillo, Gallegos
+                    if ((index === length - 3 && stringAt(index - 1, 4, 'ILLO', 'ILLA', 'ALLE')) ||
+                        ((stringAt(last - 1, 2, 'AS', 'OS') || stringAt(last, 1, 'A', 'O')) && stringAt(index - 1, 4, 'ALLE'))) {
+                        add('L', '');
+                    } else {
+                        add('L');
+                    }
+                    index += 2;
+                    break;
+                }
+                add('L');
+                index++;
+                break;
+
+            case 'M':
+                add('M');
+                // Dumb, Thumbing: the B is silent
+                index += (stringAt(index - 1, 3, 'UMB') && (index + 1 === last || stringAt(index + 2, 2, 'ER'))) || next === 'M' ? 2 : 1;
+                break;
+
+            case 'N':
+                add('N');
+                index += next === 'N' ? 2 : 1;
+                break;
+
+            case 'P':
+                if (next === 'H') {
+                    add('F');
+                    index += 2;
+                    break;
+                }
+                add('P');
+                index += stringAt(index + 1, 1, 'P', 'B') ? 2 : 1;
+                break;
+
+            case 'Q':
+                add('K');
+                index += next === 'Q' ? 2 : 1;
+                break;
+
+            case 'R':
+                // French Rogier, but not Hochmeier
+                if (index === last && !isSlavoGermanic && stringAt(index - 2, 2, 'IE') && !stringAt(index - 4, 2, 'ME', 'MA')) add('', 'R');
+                else add('R');
+                index += next === 'R' ? 2 : 1;
+                break;
+
+            case 'S':
+                // Island, Carlisle
+                if (stringAt(index - 1, 3, 'ISL', 'YSL')) {
+                    index++;
+                    break;
+                }
+                if (index === 0 && stringAt(index, 5, 'SUGAR')) {
+                    add('X', 'S');
+                    index++;
+                    break;
+                }
+                if (stringAt(index, 2, 'SH')) {
+                    // Germanic Rosenheim, Holmes
+                    if (stringAt(index + 1, 4, 'HEIM', 'HOEK', 'HOLM', 'HOLZ')) add('S');
+                    else add('X');
+                    index += 2;
+                    break;
+                }
+                // Italian and Armenian (Sian, Siano)
+                if (stringAt(index, 3, 'SIO', 'SIA') || stringAt(index, 4, 'SIAN')) {
+                    if (isSlavoGermanic) add('S');
+                    else add('S', 'X');
+                    index += 3;
+                    break;
+                }
+                // Smith ~ Schmidt, Snider ~ Schneider; Slavic -sz-
+                if ((index === 0 && stringAt(index + 1, 1, 'M', 'N', 'L', 'W')) || next === 'Z') {
+                    add('S', 'X');
+                    index += next === 'Z' ? 2 : 1;
+                    break;
+                }
+                if (stringAt(index, 2, 'SC')) {
+                    if (at(index + 2) === 'H') {
+                        if (stringAt(index + 3, 2, 'OO', 'ER', 'EN', 'UY', 'ED', 'EM')) {
+                            // Dutch School, Schermerhorn
+                            if (stringAt(index + 3, 2, 'ER', 'EN')) add('X', 'SK');
+                            else add('SK');
+                        } else if (index === 0 && !isVowel(3) && at(3) !== 'W') {
+                            add('X', 'S');
+                        } else {
+                            add('X');
+                        }
+                    } else if (stringAt(index + 2, 1, 'I', 'E', 'Y')) {
+                        add('S');
+                    } else {
+                        add('SK');
+                    }
+                    index += 3;
+                    break;
+                }
+                // French Resnais, Artois
+                if (index === last && stringAt(index - 2, 2, 'AI', 'OI')) add('', 'S');
+                else add('S');
+                index += stringAt(index + 1, 1, 'S', 'Z') ? 2 : 1;
+                break;
+
+            case 'T':
+                if (stringAt(index, 4, 'TION') || stringAt(index, 3, 'TIA', 'TCH')) {
+                    add('X');
+                    index += 3;
+                    break;
+                }
+                if (stringAt(index, 2, 'TH') || stringAt(index, 3, 'TTH')) {
+                    // Thomas, Thames; Germanic
+                    if (stringAt(index + 2, 2, 'OM', 'AM') || isGermanic) add('T');
+                    else add('0', 'T');
+                    index += 2;
+                    break;
+                }
+                add('T');
+                index += stringAt(index + 1, 1, 'T', 'D') ? 2 : 1;
+                break;
+
+            case 'V':
+                add('F');
+                index += next === 'V' ? 2 : 1;
+                break;
+
+            case 'W':
+                if (stringAt(index, 2, 'WR')) {
+                    add('R');
+                    index += 2;
+                    break;
+                }
+                // Wasserman ~ Vasserman
+                if (index === 0 && (isVowel(index + 1) || stringAt(index, 2, 'WH'))) {
+                    if (isVowel(index + 1)) add('A', 'F');
+                    else add('A');
+                }
+                // Arnow ~ Arnoff, Polish -owski
+                if ((index === last && isVowel(index - 1)) || stringAt(index - 1, 5, 'EWSKI', 'EWSKY', 'OWSKI', 'OWSKY') || stringAt(0, 3, 'SCH')) {
+                    add('', 'F');
+                    index++;
+                    break;
+                }
+                // Polish Filipowicz
+                if (stringAt(index, 4, 'WICZ', 'WITZ')) {
+                    add('TS', 'FX');
+                    index += 4;
+                    break;
+                }
+                index++;
+                break;
+
+            case 'X':
+                // French Breaux
+                if (!(index === last && (stringAt(index - 3, 3, 'IAU', 'EAU') || stringAt(index - 2, 2, 'AU', 'OU')))) add('KS');
+                index += stringAt(index + 1, 1, 'C', 'X') ? 2 : 1;
+                break;
+
+            case 'Z':
+                // Chinese pinyin Zhao
+                if (next === 'H') {
+                    add('J');
+                    index += 2;
+                    break;
+                }
+                if (stringAt(index + 1, 2, 'ZO', 'ZI', 'ZA') || (isSlavoGermanic && index > 0 && at(index - 1) !== 'T')) add('S', 'TS');
+                else add('S');
+                index += next === 'Z' ? 2 : 1;
+                break;
+
+            default:
+                index++;
+        }
+    }
+
+    return [primary, alternate];
+}
+
+/**
+ * Levenshtein similarity ratio (1 - distance / longer length)
+ */
+export function levenshteinRatio(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = a[i - 1] === b[j - 1]
+                ? diagonal
+                : Math.min(diagonal, previous[j - 1], previous[j]) + 1;
+            diagonal = above;
+        }
+    }
+
+    const longest = Math.max(a.length, b.length);
+    return longest === 0 ? 1 : 1 - previous[b.length] / longest;
+}
+
+export class NameMatcher {
+    /**
+     * @param {object} [options]
+     * @param {object} [options.nicknames] - Extra formal name → nicknames
+     *   entries, merged with DEFAULT_NICKNAMES
+     */
+    constructor(options = {}) {
+        // Token → formal names it can stand for (formal names stand for themselves)
+        this.nicknameGroups = new Map();
+
+        const tables = [DEFAULT_NICKNAMES, options.nicknames || {}];
+        for (const table of tables) {
+            for (const [formal, nicknames] of Object.entries(table)) {
+                for (const name of [formal, ...nicknames]) {
+                    const token = transliterate(name);
+                    if (!this.nicknameGroups.has(token)) {
+                        this.nicknameGroups.set(token, new Set());
+                    }
+                    this.nicknameGroups.get(token).add(transliterate(formal));
+                }
+            }
+        }
+    }
+
+    /**
+     * Whether two tokens are nicknames or variants of the same name
+     */
+    areNicknames(a, b) {
+        const groupsA = this.nicknameGroups.get(a);
+        const groupsB = this.nicknameGroups.get(b);
+        if (!groupsA || !groupsB) return false;
+
+        return [...groupsA].some(formal => groupsB.has(formal));
+    }
+
+    /**
+     * Similarity of two normalized tokens and the rule that produced it
+     */
+    compareTokens(a, b) {
+        if (a === b) return { similarity: TOKEN_SCORES.exact, method: 'exact' };
+
+        const ratio = levenshteinRatio(a, b);
+        const candidates = [{ similarity: ratio, method: 'levenshtein' }];
+
+        if (this.areNicknames(a, b)) {
+            candidates.push({ similarity: TOKEN_SCORES.nickname, method: 'nickname' });
+        }
+        if ((a.length === 1 || b.length === 1) && a[0] === b[0]) {
+            candidates.push({ similarity: TOKEN_SCORES.initial, method: 'initial' });
+        } else if (a.length > 1 && b.length > 1 && ratio >= PHONETIC_MIN_RATIO) {
+            const codesA = doubleMetaphone(a).filter(Boolean);
+            const codesB = doubleMetaphone(b);
+            if (codesA.some(code => codesB.includes(code))) {
+                candidates.push({ similarity: TOKEN_SCORES.metaphone, method: 'metaphone' });
+            }
+            if (soundex(a) === soundex(b)) {
+                candidates.push({ similarity: TOKEN_SCORES.soundex, method: 'soundex' });
+            }
+        }
+
+        return candidates.reduce((best, candidate) => candidate.similarity > best.similarity ? candidate : best);
+    }
+
+    /**
+     * Compare two names
+     *
+     * @returns {{ score: number, pairs: Array<{ a, b, similarity, method }>, unpaired: string[] }}
+     */
+    compare(name1, name2) {
+        const tokens1 = tokenizeName(name1);
+        const tokens2 = tokenizeName(name2);
+
+        if (tokens1.length === 0 || tokens2.length === 0) {
+            return { score: 0, pairs: [], unpaired: [...tokens1, ...tokens2] };
+        }
+
+        const [shorter, longer] = tokens1.length <= tokens2.length ? [tokens1, tokens2] : [tokens2, tokens1];
+
+        // Best pairs first; each token is used once
+        const candidates = shorter.flatMap((a, i) => longer.map((b, j) => ({ i, j, a, b, ...this.compareTokens(a, b) })))
+            .sort((x, y) => y.similarity - x.similarity);
+
+        const usedShort = new Set();
+        const usedLong = new Set();
+        const pairs = [];
+
+        for (const candidate of candidates) {
+            if (usedShort.has(candidate.i) || usedLong.has(candidate.j)) continue;
+            usedShort.add(candidate.i);
+            usedLong.add(candidate.j);
+            pairs.push({ a: candidate.a, b: candidate.b, similarity: candidate.similarity, method: candidate.method });
+        }
+
+        const unpaired = longer.filter((_, j) => !usedLong.has(j));
+        const mean = pairs.reduce((sum, pair) => sum + pair.similarity, 0) / pairs.length;
+
+        let score = Math.max(0, mean - UNPAIRED_TOKEN_PENALTY * unpaired.length);
+        if (shorter.length === 1 && longer.length > 1) {
+            score = Math.min(score, SINGLE_TOKEN_CAP);
+        }
+
+        return { score, pairs, unpaired };
+    }
+
+    /**
+     * Name similarity between 0 and 1
+     */
+    similarity(name1, name2) {
+        return this.compare(name1, name2).score;
+    }
+}
+
+// Shared matcher with the default nickname table
+const nameMatcher = new NameMatcher();
+
+export { nameMatcher };
+
+export default {
+    TOKEN_SCORES,
+    DEFAULT_NICKNAMES,
+    transliterate,
+    tokenizeName,
+    soundex,
+    doubleMetaphone,
+    levenshteinRatio,
+    NameMatcher,
+    nameMatcher
+};
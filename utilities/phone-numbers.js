@@ -0,0 +1,196 @@
+#!/usr/bin/env bun
+
+// modules/phone-numbers.js - International Phone Numbers
+// E.164 parsing, trunk prefix handling and number type detection from bundled metadata
+
+console.log("📞 Phone Numbers Module - Loaded");
+
+/**
+ * Numbers are parsed against PHONE_METADATA, a local table for the regions
+ * we serve (onePayGDPRConfig.geographic: US, CA, EU member states, plus GB):
+ * - "+49 30 1234567" and, with DE as the default country, "0049 30 1234567"
+ *   and "030 1234567" all parse to +49301234567 (from US/CA the
+ *   international prefix is 011)
+ * - national (trunk) prefixes are dropped, including "+44 (0)20 ..."
+ * - US and CA share +1 and are told apart by area code
+ *
+ * The number type comes from the national number's leading digits, checked
+ * in this order: tollFree, premium, voip, mobile, then landline. NANP
+ * numbers do not show whether they are mobile, so US/CA numbers are
+ * landlineOrMobile, and NANP VoIP numbers cannot be detected without a
+ * carrier lookup.
+ */
+
+export const PHONE_TYPES = ['mobile', 'landline', 'landlineOrMobile', 'voip', 'tollFree', 'premium'];
+
+const range = (min, max) => Array.from({ length: max - min + 1 }, (_, i) => min + i);
+
+// Canadian NANP area codes (everything else under +1 is treated as US)
+const CA_AREA_CODES = new Set([
+    '204', '226', '236', '249', '250', '257', '263', '289', '306', '343', '354', '365', '367', '368',
+    '382', '403', '416', '418', '428', '431', '437', '438', '450', '460', '468', '474', '506', '514',
+    '519', '548', '579', '581', '584', '587', '600', '604', '613', '622', '639', '647', '672', '683',
+    '705', '709', '742', '753', '778', '780', '782', '807', '819', '825', '867', '873', '879', '902', '905'
+]);
+
+const NANP = {
+    callingCode: '1',
+    trunkPrefix: '1',
+    internationalPrefix: '011',
+    lengths: [10],
+    pattern: /^[2-9]\d{9}$/,
+    tollFree: /^8(00|33|44|55|66|77|88)/,
+    premium: /^900/,
+    defaultType: 'landlineOrMobile'
+};
+
+/**
+ * Per-country numbering plans: calling code, trunk prefix, national
+ * significant number lengths and leading-digit patterns per number type
+ */
+export const PHONE_METADATA = {
+    US: NANP,
+    CA: NANP,
+    AT: { callingCode: '43', trunkPrefix: '0', lengths: range(4, 13), mobile: /^6[5-9]/, voip: /^(720|780)/, tollFree: /^800/, premium: /^9[013]/ },
+    BE: { callingCode: '32', trunkPrefix: '0', lengths: [8, 9], mobile: /^4[5-9]/, tollFree: /^800/, premium: /^90/ },
+    BG: { callingCode: '359', trunkPrefix: '0', lengths: range(7, 9), mobile: /^(8[7-9]|9[89])/, tollFree: /^800/, premium: /^90/ },
+    HR: { callingCode: '385', trunkPrefix: '0', lengths: [8, 9], mobile: /^9[1-9]/, tollFree: /^80/, premium: /^6[01]/ },
+    CY: { callingCode: '357', lengths: [8], mobile: /^9/, tollFree: /^800/, premium: /^90/ },
+    CZ: { callingCode: '420', lengths: [9], mobile: /^(60[1-8]|7[0-9])/, voip: /^91/, tollFree: /^800/, premium: /^90/ },
+    DK: { callingCode: '45', lengths: [8], mobile: /^(2|3[01]|4[0-2]|5[0-3]|6[01]|71|81|9[1-3])/, tollFree: /^80/, premium: /^90/ },
+    EE: { callingCode: '372', lengths: [7, 8], mobile: /^5/, tollFree: /^800/, premium: /^90/ },
+    FI: { callingCode: '358', trunkPrefix: '0', lengths: range(5, 12), mobile: /^(4|50)/, tollFree: /^800/, premium: /^(60|70)/ },
+    FR: { callingCode: '33', trunkPrefix: '0', lengths: [9], mobile: /^[67]/, voip: /^9/, tollFree: /^80/, premium: /^8[1-9]/ },
+    DE: { callingCode: '49', trunkPrefix: '0', lengths: range(5, 13), mobile: /^1[5-7]/, voip: /^32/, tollFree: /^800/, premium: /^900/ },
+    GR: { callingCode: '30', lengths: [10], mobile: /^69/, tollFree: /^800/, premium: /^90/ },
+    HU: { callingCode: '36', trunkPrefix: '06', lengths: [8, 9], mobile: /^(20|3[01]|50|70)/, voip: /^21/, tollFree: /^80/, premium: /^9[01]/ },
+    IE: { callingCode: '353', trunkPrefix: '0', lengths: range(7, 10), mobile: /^8[3-9]/, voip: /^76/, tollFree: /^1800/, premium: /^15/ },
+    // Italian landlines keep their leading 0 (no trunk prefix)
+    IT: { callingCode: '39', lengths: range(6, 11), mobile: /^3/, voip: /^55/, tollFree: /^80[03]/, premium: /^89/ },
+    LV: { callingCode: '371', lengths: [8], mobile: /^2/, tollFree: /^80/, premium: /^90/ },
+    LT: { callingCode: '370', trunkPrefix: '8', lengths: [8], mobile: /^6/, tollFree: /^800/, premium: /^90/ },
+    LU: { callingCode: '352', lengths: range(4, 11), mobile: /^6[269]/, tollFree: /^800/, premium: /^90/ },
+    MT: { callingCode: '356', lengths: [8], mobile: /^(7[79]|9[1-9])/, tollFree: /^800/, premium: /^50/ },
+    NL: { callingCode: '31', trunkPrefix: '0', lengths: [9], mobile: /^6/, voip: /^(85|88|91)/, tollFree: /^800/, premium: /^90/ },
+    PL: { callingCode: '48', lengths: [9], mobile: /^(45|5[0137]|6[069]|7[2389]|88)/, voip: /^39/, tollFree: /^800/, premium: /^70/ },
+    PT: { callingCode: '351', lengths: [9], mobile: /^9[1236]/, voip: /^30/, tollFree: /^800/, premium: /^76/ },
+    RO: { callingCode: '40', trunkPrefix: '0', lengths: [9], mobile: /^7/, voip: /^37/, tollFree: /^800/, premium: /^90/ },
+    SK: { callingCode: '421', trunkPrefix: '0', lengths: [9], mobile: /^9/, tollFree: /^800/, premium: /^90/ },
+    SI: { callingCode: '386', trunkPrefix: '0', lengths: [8], mobile: /^(3[01]|4[01]|51|6[4589]|7[01])/, voip: /^(59|8[1-3])/, tollFree: /^80/, premium: /^90/ },
+    ES: { callingCode: '34', lengths: [9], mobile: /^(6|7[1-4])/, voip: /^51/, tollFree: /^[89]00/, premium: /^(80[3-7]|90[5-7])/ },
+    SE: { callingCode: '46', trunkPrefix: '0', lengths: range(7, 9), mobile: /^7[02369]/, tollFree: /^20/, premium: /^9[0-9]/ },
+    GB: { callingCode: '44', trunkPrefix: '0', lengths: [9, 10], mobile: /^7[1-57-9]/, voip: /^56/, tollFree: /^80/, premium: /^9/ }
+};
+
+// Calling code → first country using it (+1 is resolved by area code)
+const CALLING_CODES = new Map();
+for (const [country, metadata] of Object.entries(PHONE_METADATA)) {
+    if (!CALLING_CODES.has(metadata.callingCode)) {
+        CALLING_CODES.set(metadata.callingCode, country);
+    }
+}
+
+const MAX_E164_DIGITS = 15;
+const TYPE_ORDER = ['tollFree', 'premium', 'voip', 'mobile'];
+
+/**
+ * Country for a national number under a calling code
+ */
+function countryFor(callingCode, nationalNumber) {
+    if (callingCode === NANP.callingCode) {
+        return CA_AREA_CODES.has(nationalNumber.substring(0, 3)) ? 'CA' : 'US';
+    }
+    return CALLING_CODES.get(callingCode);
+}
+
+/**
+ * Drop a national (trunk) prefix when the rest is a valid length
+ */
+function stripTrunkPrefix(digits, metadata) {
+    const trunk = metadata.trunkPrefix;
+    if (trunk && digits.startsWith(trunk) && metadata.lengths.includes(digits.length - trunk.length)) {
+        return digits.substring(trunk.length);
+    }
+    return digits;
+}
+
+/**
+ * Number type from the national number's leading digits
+ */
+export function numberType(nationalNumber, metadata) {
+    const type = TYPE_ORDER.find(candidate => metadata[candidate]?.test(nationalNumber));
+    return type || metadata.defaultType || 'landline';
+}
+
+/**
+ * Parse a phone number written in international or national format
+ *
+ * @param {string} input - Phone number ("+49 30 1234567", "(555) 123-4567")
+ * @param {string} [defaultCountry='US'] - Country for numbers without a
+ *   calling code
+ * @returns {object|null} { e164, callingCode, country, nationalNumber, type,
+ *   valid }, or null when the input is not a phone number. e164 and type are
+ *   null for numbers that are not valid in their country.
+ */
+export function parsePhoneNumber(input, defaultCountry = 'US') {
+    if (input === null || input === undefined) return null;
+
+    const raw = String(input).trim();
+    if (!/^\+?[\d\s\-().\/]+$/.test(raw)) return null;
+
+    let digits = raw.replace(/\D/g, '');
+    let international = raw.startsWith('+');
+    const home = PHONE_METADATA[defaultCountry] || PHONE_METADATA.US;
+
+    // International dialing prefix (00 in Europe, 011 from NANP)
+    const internationalPrefix = home.internationalPrefix || '00';
+    if (!international && digits.startsWith(internationalPrefix)) {
+        digits = digits.substring(internationalPrefix.length);
+        international = true;
+    }
+
+    if (digits.length === 0) return null;
+
+    let callingCode = home.callingCode;
+    let nationalNumber = digits;
+
+    if (international) {
+        callingCode = [1, 2, 3].map(length => digits.substring(0, length)).find(code => CALLING_CODES.has(code));
+        if (!callingCode) {
+            return { e164: null, callingCode: null, country: null, nationalNumber: digits, type: null, valid: false };
+        }
+        nationalNumber = digits.substring(callingCode.length);
+    }
+
+    nationalNumber = stripTrunkPrefix(nationalNumber, PHONE_METADATA[countryFor(callingCode, nationalNumber)]);
+
+    const country = countryFor(callingCode, nationalNumber);
+    const metadata = PHONE_METADATA[country];
+    const valid = metadata.lengths.includes(nationalNumber.length) &&
+        (callingCode + nationalNumber).length <= MAX_E164_DIGITS &&
+        (!metadata.pattern || metadata.pattern.test(nationalNumber));
+
+    return {
+        e164: valid ? `+${callingCode}${nationalNumber}` : null,
+        callingCode,
+        country,
+        nationalNumber,
+        type: valid ? numberType(nationalNumber, metadata) : null,
+        valid
+    };
+}
+
+/**
+ * E.164 form of a phone number (null if invalid)
+ */
+export function formatE164(input, defaultCountry = 'US') {
+    return parsePhoneNumber(input, defaultCountry)?.e164 ?? null;
+}
+
+export default {
+    PHONE_TYPES,
+    PHONE_METADATA,
+    numberType,
+    parsePhoneNumber,
+    formatE164
+};
@@ -3,6 +3,8 @@
 // modules/plaid-verifier.js - Isolated Plaid Module
 // Bank account verification via Plaid API with caching and validation
 
+import { nameMatcher } from './name-matcher.js';
+
 console.log("🏦 Plaid Verifier Module - Loaded");
 
 /**
@@ -11,6 +13,8 @@ console.log("🏦 Plaid Verifier Module - Loaded");
  * Manages Plaid API integration, account verification, and caching:
  * - Link token generation
  * - Account verification and validation
+ * - Account owner name matching (Plaid identity owners vs userData.name,
+ *   threshold ownership.tolerance)
  * - Transaction analysis
  * - Balance verification
  */
@@ -126,6 +130,8 @@ export class PlaidVerifier {
                 verification: {
                     accountMatch: verification.accountMatch,
                     balanceVerified: verification.balanceVerified,
+                    ownerMatch: verification.ownerMatch,
+                    ownerScore: verification.ownerScore,
                     riskScore: verification.riskScore,
                     confidence: verification.confidence
                 },
@@ -254,6 +260,8 @@ export class PlaidVerifier {
         const verification = {
             accountMatch: false,
             balanceVerified: false,
+            ownerMatch: null,
+            ownerScore: null,
             riskScore: 0,
             confidence: 0
         };
@@ -263,6 +271,13 @@ export class PlaidVerifier {
             verification.accountMatch = this.verifyAccountNumbers(accounts, userData);
         }
         
+        // Check account owners (identity product) against the user's name
+        const ownerNames = accounts.flatMap(acc => (acc.owners || []).flatMap(owner => owner.names || []));
+        if (userData.name && ownerNames.length > 0) {
+            verification.ownerScore = Math.max(...ownerNames.map(owner => nameMatcher.similarity(userData.name, owner)));
+            verification.ownerMatch = verification.ownerScore >= (this.config.ownership?.tolerance ?? 0.75);
+        }
+        
         // Check account balances
         const totalBalance = accounts.reduce((sum, acc) => 
             sum + (acc.balances?.current || 0), 0);
@@ -272,6 +287,11 @@ export class PlaidVerifier {
         // Calculate risk score based on account types and balances
         verification.riskScore = this.calculateRiskScore(accounts, totalBalance);
         
+        // Accounts held by someone else
+        if (verification.ownerMatch === false) {
+            verification.riskScore = Math.min(verification.riskScore + 25, 100);
+        }
+        
         // Calculate confidence based on verification factors
         verification.confidence = this.calculateConfidence(verification);
         
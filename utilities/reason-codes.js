@@ -0,0 +1,134 @@
+#!/usr/bin/env bun
+
+// modules/reason-codes.js - Routing Reason Codes
+// Structured, explainable reasons behind TensionRouter tiers and review decisions
+
+console.log("🧾 Reason Codes Module - Loaded");
+
+/**
+ * Every reason is { code, category, message, values }: a stable code for
+ * programs, a category, a user-facing message (suitable for adverse-action
+ * notices) and the values that contributed to it.
+ *
+ * Tier codes name the tier that was missed, e.g. RISK_ABOVE_FAST (risk was
+ * above FAST's limit) or CONFIDENCE_BELOW_INSTANT; they are derived from the
+ * routing rule conditions that failed (see routing-rules.js).
+ */
+
+export const REASON_CATEGORIES = ['factor', 'adaptive', 'verification', 'conflict', 'tier', 'review', 'risk', 'error'];
+
+export const REASON_CODES = {
+    // Identity factors (risk score contributions)
+    FACTOR_UNVERIFIED_DOCUMENTS: { category: 'factor', message: () => 'Identity documents could not be verified' },
+    FACTOR_UNVERIFIED_EMAIL: { category: 'factor', message: () => 'Email address could not be verified' },
+    FACTOR_UNVERIFIED_PHONE: { category: 'factor', message: () => 'Phone number could not be verified' },
+    FACTOR_UNVERIFIED_AGE: { category: 'factor', message: () => 'Age could not be verified' },
+    FACTOR_UNDERAGE: { category: 'factor', message: () => 'Applicant does not meet the minimum age' },
+    FACTOR_UNVERIFIED_ADDRESS: { category: 'factor', message: () => 'Address could not be verified' },
+    FACTOR_PRIOR_RISK_SCORE: { category: 'factor', message: (v) => `Existing risk score of ${v.riskScore}` },
+
+    // Adaptive routing adjustments
+    ADAPTIVE_PRIOR_APPROVAL: { category: 'adaptive', message: (v) => `Previously approved (${v.previousTier})` },
+    ADAPTIVE_PRIOR_REJECT: { category: 'adaptive', message: () => 'Previous verification was rejected' },
+    ADAPTIVE_BUSINESS_HOURS: { category: 'adaptive', message: () => 'Submitted during business hours' },
+    ADAPTIVE_OFF_HOURS: { category: 'adaptive', message: () => 'Submitted outside business hours' },
+    ADAPTIVE_HOLIDAY: { category: 'adaptive', message: () => 'Submitted on a public holiday' },
+
+    // Verification requirements
+    VERIFICATION_REQUIRED: { category: 'verification', message: (v) => `Additional verification required: ${v.requires.join(', ')}` },
+
+    // Conflicts between verification sources
+    CONFLICT_LOW_CONSISTENCY: { category: 'conflict', message: () => 'Information is inconsistent across verification sources' },
+    CONFLICT_IDENTITY_CASHAPP: { category: 'conflict', message: () => 'Identity does not match the Cash App account' },
+    CONFLICT_IDENTITY_PLAID: { category: 'conflict', message: () => 'Identity does not match the bank account owner' },
+    CONFLICT_RISK_ASSESSMENT: { category: 'conflict', message: () => 'Risk assessments disagree' },
+    CONFLICT_CONFIDENCE: { category: 'conflict', message: () => 'Confidence scores disagree' },
+    CONFLICT_PENALTY: { category: 'conflict', message: (v) => `${v.conflicts} verification conflict(s) lowered the result` },
+
+    // Tier decisions
+    RULE_MATCHED: { category: 'tier', message: (v) => v.description || `Routing rule ${v.rule} assigned the ${v.tier} tier` },
+    NO_RULE_MATCHED: { category: 'tier', message: () => 'No routing rule matched' },
+
+    // Manual review and risk
+    MANUAL_REVIEW_TIER: { category: 'review', message: (v) => `The ${v.tier} tier requires manual review` },
+    MANUAL_REVIEW_RISK: { category: 'review', message: (v) => `Risk score ${v.value} is above the manual review threshold of ${v.threshold}` },
+    MANUAL_REVIEW_CONFLICTS: { category: 'review', message: () => 'Verification conflicts require manual review' },
+    REVIEWERS_ON_SHIFT: { category: 'review', message: () => 'Sent to manual review while reviewers are on shift' },
+    REVIEWERS_OFF_SHIFT: { category: 'review', message: () => 'Decided automatically while no reviewers are on shift' },
+    HIGH_RISK: { category: 'risk', message: (v) => `Risk score ${v.value} is above ${v.threshold}` },
+    RISK_MODEL_SCORE: { category: 'risk', message: (v) => `Risk model ${v.version} (${v.arm}) scored ${v.stage} risk at ${v.value}` },
+
+    ROUTING_ERROR: { category: 'error', message: () => 'Routing could not be completed' }
+};
+
+// Failed rule condition → tier reason prefix (the negated comparison)
+const FACT_NAMES = { riskScore: 'RISK', confidence: 'CONFIDENCE', amount: 'AMOUNT', conflictCount: 'CONFLICTS' };
+const NEGATED = { AtMost: 'ABOVE', AtLeast: 'BELOW', Above: 'AT_MOST', Below: 'AT_LEAST' };
+const COMPARISON_TEXT = { ABOVE: 'above', BELOW: 'below', AT_MOST: 'at or below', AT_LEAST: 'at or above' };
+const FACT_TEXT = { RISK: 'Risk score', CONFIDENCE: 'Confidence', AMOUNT: 'Amount', CONFLICTS: 'Conflict count' };
+
+// Detected conflict → reason code
+export const CONFLICT_REASONS = {
+    low_consistency: 'CONFLICT_LOW_CONSISTENCY',
+    identity_cashapp_mismatch: 'CONFLICT_IDENTITY_CASHAPP',
+    identity_plaid_mismatch: 'CONFLICT_IDENTITY_PLAID',
+    risk_assessment_conflict: 'CONFLICT_RISK_ASSESSMENT',
+    confidence_conflict: 'CONFLICT_CONFIDENCE'
+};
+
+/**
+ * Round contributing values so reasons stay readable (and stable in storage)
+ */
+function roundValues(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [
+        key,
+        typeof value === 'number' ? Math.round(value * 100) / 100 : value
+    ]));
+}
+
+/**
+ * Build a reason from the catalog
+ */
+export function createReason(code, values = {}) {
+    const definition = REASON_CODES[code];
+    if (!definition) {
+        throw new Error(`Unknown reason code: ${code}`);
+    }
+
+    const rounded = roundValues(values);
+    return { code, category: definition.category, message: definition.message(rounded), values: rounded };
+}
+
+/**
+ * Reason for a tier missed because of one failed numeric rule condition
+ * (e.g. riskScoreAtMost 40 on FAST → RISK_ABOVE_FAST)
+ */
+export function createTierReason(tier, condition) {
+    const fact = FACT_NAMES[condition.fact];
+    const comparison = NEGATED[condition.comparison];
+    const values = roundValues({ value: condition.actual, threshold: condition.expected, tier, rule: condition.rule });
+
+    return {
+        code: `${fact}_${comparison}_${tier}`,
+        category: 'tier',
+        message: `${FACT_TEXT[fact]} ${values.value} is ${COMPARISON_TEXT[comparison]} the ${tier} tier limit of ${values.threshold}`,
+        values
+    };
+}
+
+/**
+ * Drop repeated codes, keeping the first occurrence
+ */
+export function uniqueReasons(reasons) {
+    const seen = new Set();
+    return reasons.filter(reason => !seen.has(reason.code) && seen.add(reason.code));
+}
+
+export default {
+    REASON_CATEGORIES,
+    REASON_CODES,
+    CONFLICT_REASONS,
+    createReason,
+    createTierReason,
+    uniqueReasons
+};
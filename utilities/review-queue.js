@@ -0,0 +1,492 @@
+#!/usr/bin/env bun
+
+// modules/review-queue.js - Manual Review Queue
+// Durable reviewer workflow with priorities, SLA deadlines, claim locks and decisions
+
+import { EventEmitter } from 'events';
+import { createRateLimitStore } from '../security/rate-limit-stores.js';
+
+console.log("📋 Review Queue Module - Loaded");
+
+/**
+ * Review items live in the `reviews` namespace of any rate limit store
+ * (memory, sqlite, redis - see security/rate-limit-stores.js), so the queue
+ * survives restarts and is shared by replicas pointing at the same store.
+ * Every state change is a store update() of the one item, which each store
+ * applies atomically (see rate-limit-stores.js), so of two concurrent
+ * claims the second sees the first and is rejected.
+ *
+ * Lifecycle:
+ *   queued ──claim──▶ claimed ──approve/reject──▶ approved / rejected
+ *     ▲                 │
+ *     └──release────────┤
+ *   escalated ◀─escalate┘  (claimable again, one priority higher)
+ *
+ * A claim locks the item to one reviewer for lockMs; an expired lock can be
+ * claimed by anyone. Approve and reject are final and call the onDecision
+ * callback, which finalizes the pending verification; a failed callback is
+ * recorded on the item and can be retried with retryFinalization().
+ *
+ * Events: review:queued, review:claimed, review:released, review:escalated,
+ * review:decided, review:finalized, review:sla_breached, review:capacity_exceeded
+ */
+
+export const REVIEW_PRIORITIES = ['critical', 'high', 'normal', 'low'];
+export const REVIEW_DECISIONS = ['approve', 'reject', 'escalate'];
+export const OPEN_STATUSES = ['queued', 'claimed', 'escalated'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_REVIEW_QUEUE = {
+    lockMs: 15 * 60 * 1000, // How long a claim holds an item
+    retentionMs: 30 * 24 * HOUR_MS, // How long decided items are kept
+    maxQueueSize: 1000, // Open items before review:capacity_exceeded
+    slaMs: {
+        critical: HOUR_MS,
+        high: 4 * HOUR_MS,
+        normal: 24 * HOUR_MS,
+        low: 72 * HOUR_MS
+    }
+};
+
+/**
+ * Check [verifier.reviewQueue] settings (store options are checked when the
+ * store is created)
+ */
+export function validateReviewQueueSettings(settings = {}) {
+    const errors = [];
+    const prefix = 'verifier.reviewQueue';
+
+    for (const field of ['lockMs', 'retentionMs', 'maxQueueSize']) {
+        const value = settings[field];
+        if (value !== undefined && (typeof value !== 'number' || value <= 0)) {
+            errors.push(`${prefix}.${field} must be a positive number`);
+        }
+    }
+
+    for (const [priority, value] of Object.entries(settings.slaMs || {})) {
+        if (!REVIEW_PRIORITIES.includes(priority)) {
+            errors.push(`${prefix}.slaMs.${priority}: unknown priority (expected one of ${REVIEW_PRIORITIES.join(', ')})`);
+        } else if (typeof value !== 'number' || value <= 0) {
+            errors.push(`${prefix}.slaMs.${priority} must be a positive number`);
+        }
+    }
+
+    return errors;
+}
+
+export class ReviewQueue extends EventEmitter {
+    /**
+     * @param {object} options - DEFAULT_REVIEW_QUEUE overrides, plus:
+     * @param {object} [options.store] - Store instance or createRateLimitStore options
+     * @param {Function} [options.onDecision] - async (item) => void, finalizes the verification
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        super();
+
+        const errors = validateReviewQueueSettings(options);
+        if (errors.length > 0) {
+            throw new Error(`Invalid review queue settings:\n${errors.join('\n')}`);
+        }
+
+        this.settings = {
+            ...DEFAULT_REVIEW_QUEUE,
+            ...options,
+            slaMs: { ...DEFAULT_REVIEW_QUEUE.slaMs, ...options.slaMs }
+        };
+        this.ownsStore = typeof options.store?.update !== 'function';
+        this.store = this.ownsStore ? createRateLimitStore(options.store) : options.store;
+        this.onDecision = options.onDecision || null;
+        this.now = options.now || Date.now;
+        this.openCount = 0; // Last known number of open items (for sync metrics)
+    }
+
+    /**
+     * Add an item for review
+     *
+     * @param {object} item - Review details (userId, verificationId, tier, ...)
+     * @param {object} [options]
+     * @param {string} [options.priority] - One of REVIEW_PRIORITIES (default normal)
+     */
+    async enqueue(item, options = {}) {
+        const priority = options.priority || 'normal';
+        if (!REVIEW_PRIORITIES.includes(priority)) {
+            throw new Error(`Unknown review priority: ${priority}`);
+        }
+
+        const now = this.now();
+        const review = {
+            ...item,
+            id: item.id || `review_${now}_${Math.random().toString(36).substr(2, 9)}`,
+            status: 'queued',
+            priority,
+            escalationLevel: 0,
+            timestamp: now,
+            slaDeadline: now + this.settings.slaMs[priority],
+            slaBreached: false,
+            claimedBy: null,
+            lockExpiresAt: null,
+            decision: null,
+            notes: [],
+            history: [{ action: 'queued', at: now, priority }]
+        };
+
+        await this.store.set('reviews', review.id, review);
+        await this.refreshOpenCount();
+
+        this.emit('review:queued', this.summarize(review));
+
+        if (this.openCount > this.settings.maxQueueSize) {
+            // Reviews are never dropped; operators need to add reviewers
+            console.warn(`⚠️ Manual review queue over capacity: ${this.openCount}/${this.settings.maxQueueSize}`);
+            this.emit('review:capacity_exceeded', { open: this.openCount, maxQueueSize: this.settings.maxQueueSize });
+        }
+
+        return review;
+    }
+
+    /**
+     * Lock an open item to a reviewer (claiming again extends the lock)
+     */
+    async claim(itemId, reviewerId, options = {}) {
+        const now = this.now();
+        const lockMs = options.lockMs ?? this.settings.lockMs;
+
+        const review = await this.mutate(itemId, (item) => {
+            this.assertOpen(item);
+            if (this.isLockedByOther(item, reviewerId, now)) {
+                throw new Error(`Review ${itemId} is locked by another reviewer`);
+            }
+
+            return {
+                ...item,
+                status: 'claimed',
+                claimedBy: reviewerId,
+                lockExpiresAt: now + lockMs,
+                history: [...item.history, { action: 'claimed', at: now, reviewerId }]
+            };
+        });
+
+        this.emit('review:claimed', this.summarize(review));
+        return review;
+    }
+
+    /**
+     * Claim the most urgent unlocked item (priority, then SLA deadline)
+     * Returns null when nothing is available.
+     */
+    async claimNext(reviewerId, options = {}) {
+        const now = this.now();
+        const candidates = (await this.list({ open: true }))
+            .filter(item => !this.isLockedByOther(item, reviewerId, now));
+
+        for (const item of candidates) {
+            try {
+                return await this.claim(item.id, reviewerId, options);
+            } catch {
+                // Claimed by another replica in the meantime - try the next one
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Give a claimed item back to the queue
+     */
+    async release(itemId, reviewerId) {
+        const now = this.now();
+
+        const review = await this.mutate(itemId, (item) => {
+            this.assertLockHolder(item, reviewerId, now);
+
+            return {
+                ...item,
+                status: item.escalationLevel > 0 ? 'escalated' : 'queued',
+                claimedBy: null,
+                lockExpiresAt: null,
+                history: [...item.history, { action: 'released', at: now, reviewerId }]
+            };
+        });
+
+        this.emit('review:released', this.summarize(review));
+        return review;
+    }
+
+    /**
+     * Record a reviewer decision on an item the reviewer holds
+     *
+     * approve / reject are final and trigger onDecision; escalate re-queues the
+     * item one priority higher with a new SLA deadline. Reject and escalate
+     * require notes.
+     *
+     * @param {object} decision - { decision, notes, tier }
+     */
+    async decide(itemId, reviewerId, { decision, notes = '', tier = null } = {}) {
+        if (!REVIEW_DECISIONS.includes(decision)) {
+            throw new Error(`Unknown review decision: ${decision} (expected one of ${REVIEW_DECISIONS.join(', ')})`);
+        }
+        if (decision !== 'approve' && !String(notes).trim()) {
+            throw new Error(`Reviewer notes are required to ${decision} a review`);
+        }
+
+        const now = this.now();
+        const note = notes ? [{ reviewerId, at: now, decision, text: String(notes) }] : [];
+
+        const review = await this.mutate(itemId, (item) => {
+            this.assertLockHolder(item, reviewerId, now);
+
+            const base = {
+                ...item,
+                claimedBy: null,
+                lockExpiresAt: null,
+                notes: [...item.notes, ...note],
+                history: [...item.history, { action: decision, at: now, reviewerId }]
+            };
+
+            if (decision === 'escalate') {
+                const priority = REVIEW_PRIORITIES[Math.max(0, REVIEW_PRIORITIES.indexOf(item.priority) - 1)];
+                return {
+                    ...base,
+                    status: 'escalated',
+                    priority,
+                    escalationLevel: item.escalationLevel + 1,
+                    slaDeadline: now + this.settings.slaMs[priority],
+                    slaBreached: false
+                };
+            }
+
+            return {
+                ...base,
+                status: decision === 'approve' ? 'approved' : 'rejected',
+                decision: { decision, reviewerId, tier, decidedAt: now },
+                finalization: { status: 'pending', attempts: 0, error: null }
+            };
+        });
+
+        await this.refreshOpenCount();
+
+        if (decision === 'escalate') {
+            this.emit('review:escalated', this.summarize(review));
+            return review;
+        }
+
+        this.emit('review:decided', this.summarize(review));
+        return this.finalize(review);
+    }
+
+    /**
+     * Run onDecision again for a decided item whose finalization failed
+     */
+    async retryFinalization(itemId) {
+        const review = await this.getItem(itemId);
+        if (!review) throw new Error(`Review ${itemId} not found`);
+        if (review.finalization?.status !== 'failed') {
+            throw new Error(`Review ${itemId} has no failed finalization`);
+        }
+        return this.finalize(review);
+    }
+
+    /**
+     * Pass a decided item to onDecision and record the outcome
+     */
+    async finalize(review) {
+        if (!this.onDecision) return review;
+
+        let error = null;
+        try {
+            await this.onDecision(review);
+        } catch (failure) {
+            error = failure.message;
+            console.error(`❌ Review finalization failed for ${review.id}:`, failure);
+        }
+
+        const finalized = await this.mutate(review.id, (item) => ({
+            ...item,
+            finalization: {
+                status: error ? 'failed' : 'finalized',
+                attempts: (item.finalization?.attempts || 0) + 1,
+                error,
+                at: this.now()
+            }
+        }));
+
+        if (!error) {
+            this.emit('review:finalized', this.summarize(finalized));
+        }
+        return finalized;
+    }
+
+    /**
+     * Flag open items past their SLA deadline (each breach is reported once)
+     */
+    async checkSla() {
+        const now = this.now();
+        const breached = [];
+
+        for (const item of await this.list({ open: true })) {
+            if (item.slaBreached || item.slaDeadline > now) continue;
+
+            const review = await this.mutate(item.id, (current) => (
+                OPEN_STATUSES.includes(current.status) && !current.slaBreached
+                    ? { ...current, slaBreached: true, history: [...current.history, { action: 'sla_breached', at: now }] }
+                    : current
+            ));
+
+            breached.push(review);
+            this.emit('review:sla_breached', { ...this.summarize(review), overdueMs: now - review.slaDeadline });
+        }
+
+        return breached;
+    }
+
+    /**
+     * Items ordered by urgency (priority, then SLA deadline)
+     *
+     * @param {object} [filter] - { open, status, claimedBy, userId }
+     */
+    async list(filter = {}) {
+        return (await this.store.entries('reviews'))
+            .map(([, item]) => item)
+            .filter(item => !filter.open || OPEN_STATUSES.includes(item.status))
+            .filter(item => !filter.status || item.status === filter.status)
+            .filter(item => !filter.claimedBy || item.claimedBy === filter.claimedBy)
+            .filter(item => !filter.userId || item.userId === filter.userId)
+            .sort((a, b) =>
+                REVIEW_PRIORITIES.indexOf(a.priority) - REVIEW_PRIORITIES.indexOf(b.priority) ||
+                a.slaDeadline - b.slaDeadline);
+    }
+
+    /**
+     * Delete every review item of a user, open or decided (right to erasure)
+     *
+     * @returns {Promise<number>} Number of items erased
+     */
+    async eraseUser(userId) {
+        const items = await this.list({ userId });
+
+        for (const item of items) {
+            await this.store.delete('reviews', item.id);
+        }
+
+        await this.refreshOpenCount();
+        return items.length;
+    }
+
+    async getItem(itemId) {
+        return this.store.get('reviews', itemId);
+    }
+
+    /**
+     * Queue statistics by status and priority
+     */
+    async getStats() {
+        const now = this.now();
+        const items = await this.list();
+        const open = items.filter(item => OPEN_STATUSES.includes(item.status));
+        const count = (list, field) => list.reduce((counts, item) => {
+            counts[item[field]] = (counts[item[field]] || 0) + 1;
+            return counts;
+        }, {});
+
+        return {
+            total: items.length,
+            open: open.length,
+            byStatus: count(items, 'status'),
+            byPriority: count(open, 'priority'),
+            slaBreached: open.filter(item => item.slaBreached || item.slaDeadline <= now).length,
+            oldestOpenMs: open.length > 0 ? now - Math.min(...open.map(item => item.timestamp)) : 0,
+            failedFinalizations: items.filter(item => item.finalization?.status === 'failed').length
+        };
+    }
+
+    /**
+     * Read-modify-write one item; the updater throws to reject the change.
+     * Decided items keep whatever is left of their retention, set in the
+     * same atomic update.
+     */
+    async mutate(itemId, updater) {
+        let result;
+        let failure = null;
+
+        await this.store.update('reviews', itemId, (item) => {
+            if (!item) {
+                failure = new Error(`Review ${itemId} not found`);
+                return item;
+            }
+            try {
+                result = updater(item);
+            } catch (error) {
+                failure = error;
+                return item;
+            }
+            return result;
+        }, (stored) => this.retentionFor(stored));
+
+        if (failure) throw failure;
+        return result;
+    }
+
+    /**
+     * Store ttl for an item: open items are kept, decided ones until their
+     * retention runs out
+     */
+    retentionFor(item) {
+        if (OPEN_STATUSES.includes(item.status)) return 0;
+        return Math.max(1, item.decision.decidedAt + this.settings.retentionMs - this.now());
+    }
+
+    assertOpen(item) {
+        if (!OPEN_STATUSES.includes(item.status)) {
+            throw new Error(`Review ${item.id} is already ${item.status}`);
+        }
+    }
+
+    assertLockHolder(item, reviewerId, now) {
+        this.assertOpen(item);
+        if (item.claimedBy !== reviewerId || item.lockExpiresAt <= now) {
+            throw new Error(`Review ${item.id} is not claimed by ${reviewerId}`);
+        }
+    }
+
+    isLockedByOther(item, reviewerId, now) {
+        return item.claimedBy !== null && item.claimedBy !== reviewerId && item.lockExpiresAt > now;
+    }
+
+    async refreshOpenCount() {
+        this.openCount = (await this.list({ open: true })).length;
+    }
+
+    /**
+     * Event payload without notes and history
+     */
+    summarize(item) {
+        return {
+            id: item.id,
+            verificationId: item.verificationId,
+            status: item.status,
+            priority: item.priority,
+            slaDeadline: item.slaDeadline,
+            claimedBy: item.claimedBy,
+            decision: item.decision?.decision || null
+        };
+    }
+
+    /**
+     * Close the store if the queue created it
+     */
+    async close() {
+        if (this.ownsStore) {
+            await this.store.close();
+        }
+    }
+}
+
+export default {
+    REVIEW_PRIORITIES,
+    REVIEW_DECISIONS,
+    OPEN_STATUSES,
+    DEFAULT_REVIEW_QUEUE,
+    validateReviewQueueSettings,
+    ReviewQueue
+};
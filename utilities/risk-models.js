@@ -0,0 +1,382 @@
+#!/usr/bin/env bun
+
+// modules/risk-models.js - Pluggable Risk Models
+// JSON-exported scoring models (logistic regression, gradient-boosted trees) for TensionRouter risk scores
+
+import { createHash } from 'crypto';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+import { routingContext } from './routing-rules.js';
+
+console.log("🧮 Risk Models Module - Loaded");
+
+/**
+ * TensionRouter computes two risk scores (0-100): the identity score of
+ * applyAdaptiveStrategy (calculateRiskScore) and the combined score of
+ * routeToTier (calculateCombinedRisk). Each stage can be scored by a model
+ * instead of, or blended with, the built-in heuristic:
+ *
+ * [verifier.riskModel.combined]
+ * mode = "blend"            # heuristic | blend | replace
+ * blendWeight = 0.5         # model share of the blended score
+ * challengerShare = 0.1     # share of verifications scored by the challenger
+ *
+ * [verifier.riskModel.combined.champion]
+ * path = "./models/combined-lr-2026-10.json"
+ *
+ * Models are JSON, evaluated here without dependencies, and output a
+ * probability that is scaled to 0-100:
+ *
+ * { "type": "logistic", "version": "lr-2026-10", "stage": "combined",
+ *   "intercept": -3.2, "weights": { "identityPlaid": -2.1, ... },
+ *   "defaults": { "identityPlaid": 1 } }
+ *
+ * { "type": "gbt", "version": "gbt-7", "stage": "identity", "baseScore": -1.5,
+ *   "trees": [{ "feature": "documentsUnverified", "threshold": 0.5,
+ *               "left": { "leaf": -0.4 }, "right": { "leaf": 0.9 } }] }
+ *
+ * Tree nodes send a value below the threshold left; missing values go
+ * `missing` ("left" or "right", default left). Logistic regression uses
+ * `defaults` (else 0) for missing values.
+ *
+ * Verifications are split between champion and challenger by a hash of the
+ * verification id (user id when there is none), so a verification keeps its
+ * arm across both stages and across replays.
+ */
+
+export const RISK_MODEL_STAGES = ['identity', 'combined'];
+export const RISK_MODEL_TYPES = ['logistic', 'gbt'];
+export const RISK_MODEL_MODES = ['heuristic', 'blend', 'replace'];
+
+const flag = (value) => (value ? 1 : 0);
+const numberOrNull = (value) => (typeof value === 'number' ? value : null);
+
+// Feature name → extractor, per stage
+export const RISK_MODEL_FEATURES = {
+    identity: {
+        documentsUnverified: (identity) => flag(!identity.documents?.verified),
+        emailUnverified: (identity) => flag(!identity.email?.verified),
+        phoneUnverified: (identity) => flag(!identity.phone?.verified),
+        ageUnverified: (identity) => flag(!identity.age?.verified),
+        underage: (identity) => flag(identity.age?.value < 18),
+        addressUnverified: (identity) => flag(!identity.address?.verified),
+        priorRiskScore: (identity) => numberOrNull(identity.riskScore),
+        confidence: (identity) => numberOrNull(identity.confidence)
+    },
+    combined: {
+        verificationRisk: (result) => numberOrNull(result.riskScore),
+        strategyRisk: (_result, decision) => numberOrNull(decision.riskScore),
+        validationRisk: (result) => numberOrNull(result.validation?.riskScore),
+        verificationConfidence: (result) => numberOrNull(result.confidence),
+        strategyConfidence: (_result, decision) => numberOrNull(decision.confidence),
+        validationConfidence: (result) => numberOrNull(result.validation?.confidence),
+        overallConsistency: (result) => numberOrNull(result.validation?.crossValidation?.overallConsistency),
+        identityCashApp: (result) => numberOrNull(result.validation?.crossValidation?.identityCashApp),
+        identityPlaid: (result) => numberOrNull(result.validation?.crossValidation?.identityPlaid),
+        cashAppVerified: (result) => flag(result.sources?.cashApp),
+        plaidVerified: (result) => flag(result.sources?.plaid),
+        amount: (result) => routingContext(result).amount
+    }
+};
+
+/**
+ * Feature vector of a stage (null for values the request does not carry)
+ */
+export function extractFeatures(stage, ...sources) {
+    const inputs = sources.map(source => source || {});
+    return Object.fromEntries(Object.entries(RISK_MODEL_FEATURES[stage])
+        .map(([name, extract]) => [name, extract(...inputs)]));
+}
+
+const sigmoid = (margin) => 1 / (1 + Math.exp(-margin));
+
+/**
+ * Leaf value of one tree for a feature vector
+ */
+function evaluateTree(node, features) {
+    while (node.leaf === undefined) {
+        const value = features[node.feature];
+        const branch = value === null || value === undefined
+            ? (node.missing || 'left')
+            : (value < node.threshold ? 'left' : 'right');
+        node = node[branch];
+    }
+    return node.leaf;
+}
+
+/**
+ * Risk score (0-100) of a model for a feature vector
+ *
+ * @returns {{ score: number, probability: number }}
+ */
+export function evaluateRiskModel(model, features) {
+    let margin;
+
+    if (model.type === 'logistic') {
+        margin = Object.entries(model.weights).reduce((sum, [name, weight]) =>
+            sum + weight * (features[name] ?? model.defaults?.[name] ?? 0), model.intercept || 0);
+    } else if (model.type === 'gbt') {
+        margin = model.trees.reduce((sum, tree) => sum + evaluateTree(tree, features), model.baseScore || 0);
+    } else {
+        throw new Error(`Unknown risk model type: ${model.type}`);
+    }
+
+    const probability = sigmoid(margin);
+    return { score: probability * 100, probability };
+}
+
+/**
+ * Check one tree node (recursively)
+ */
+function validateTree(prefix, node, features, errors) {
+    if (!node || typeof node !== 'object') {
+        errors.push(`${prefix} must be a node`);
+        return;
+    }
+
+    if (node.leaf !== undefined) {
+        if (typeof node.leaf !== 'number' || !Number.isFinite(node.leaf)) {
+            errors.push(`${prefix}.leaf must be a number`);
+        }
+        return;
+    }
+
+    if (!features.includes(node.feature)) {
+        errors.push(`${prefix}.feature: unknown feature ${node.feature}`);
+    }
+    if (typeof node.threshold !== 'number') {
+        errors.push(`${prefix}.threshold must be a number`);
+    }
+    if (node.missing !== undefined && !['left', 'right'].includes(node.missing)) {
+        errors.push(`${prefix}.missing must be left or right`);
+    }
+
+    validateTree(`${prefix}.left`, node.left, features, errors);
+    validateTree(`${prefix}.right`, node.right, features, errors);
+}
+
+/**
+ * Check a model for a stage
+ */
+export function validateRiskModel(model, stage, prefix = 'riskModel') {
+    const errors = [];
+
+    if (!model || typeof model !== 'object') {
+        return [`${prefix} must be a model`];
+    }
+
+    if (!RISK_MODEL_TYPES.includes(model.type)) {
+        errors.push(`${prefix}.type must be one of ${RISK_MODEL_TYPES.join(', ')}`);
+    }
+    if (typeof model.version !== 'string' || !model.version) {
+        errors.push(`${prefix}.version must be a non-empty string`);
+    }
+    if (model.stage !== undefined && model.stage !== stage) {
+        errors.push(`${prefix}.stage is ${model.stage}, expected ${stage}`);
+    }
+
+    const features = Object.keys(RISK_MODEL_FEATURES[stage]);
+
+    if (model.type === 'logistic') {
+        if (model.intercept !== undefined && typeof model.intercept !== 'number') {
+            errors.push(`${prefix}.intercept must be a number`);
+        }
+        for (const table of ['weights', 'defaults']) {
+            for (const [name, value] of Object.entries(model[table] || {})) {
+                if (!features.includes(name)) {
+                    errors.push(`${prefix}.${table}.${name}: unknown feature`);
+                } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    errors.push(`${prefix}.${table}.${name} must be a number`);
+                }
+            }
+        }
+        if (!model.weights || Object.keys(model.weights).length === 0) {
+            errors.push(`${prefix}.weights must list at least one feature`);
+        }
+    } else if (model.type === 'gbt') {
+        if (model.baseScore !== undefined && typeof model.baseScore !== 'number') {
+            errors.push(`${prefix}.baseScore must be a number`);
+        }
+        if (!Array.isArray(model.trees) || model.trees.length === 0) {
+            errors.push(`${prefix}.trees must list at least one tree`);
+        } else {
+            for (const [index, tree] of model.trees.entries()) {
+                validateTree(`${prefix}.trees[${index}]`, tree, features, errors);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve a model setting: an inline model, or { path } to a JSON file
+ */
+export function loadRiskModel(spec) {
+    if (spec?.path === undefined) return spec;
+    return JSON.parse(readFileSync(resolve(spec.path), 'utf8'));
+}
+
+/**
+ * Check [verifier.riskModel] settings, loading model files
+ *
+ * @returns {{ stages: object, errors: string[] }} Stages with models resolved
+ */
+export function parseRiskModelSettings(settings = {}) {
+    const errors = [];
+    const stages = {};
+    const prefix = 'verifier.riskModel';
+
+    for (const [stage, slot] of Object.entries(settings || {})) {
+        const slotPrefix = `${prefix}.${stage}`;
+
+        if (!RISK_MODEL_STAGES.includes(stage)) {
+            errors.push(`${slotPrefix}: unknown stage (expected one of ${RISK_MODEL_STAGES.join(', ')})`);
+            continue;
+        }
+
+        for (const key of Object.keys(slot || {})) {
+            if (!['mode', 'blendWeight', 'challengerShare', 'champion', 'challenger'].includes(key)) {
+                errors.push(`${slotPrefix}.${key}: unknown setting`);
+            }
+        }
+
+        const resolved = {
+            mode: slot.mode ?? (slot.champion ? 'replace' : 'heuristic'),
+            blendWeight: slot.blendWeight ?? 0.5,
+            challengerShare: slot.challengerShare ?? 0,
+            champion: null,
+            challenger: null
+        };
+
+        if (!RISK_MODEL_MODES.includes(resolved.mode)) {
+            errors.push(`${slotPrefix}.mode must be one of ${RISK_MODEL_MODES.join(', ')}`);
+        }
+        for (const field of ['blendWeight', 'challengerShare']) {
+            if (typeof resolved[field] !== 'number' || resolved[field] < 0 || resolved[field] > 1) {
+                errors.push(`${slotPrefix}.${field} must be a number between 0 and 1`);
+            }
+        }
+
+        for (const arm of ['champion', 'challenger']) {
+            if (!slot[arm]) continue;
+            try {
+                resolved[arm] = loadRiskModel(slot[arm]);
+                errors.push(...validateRiskModel(resolved[arm], stage, `${slotPrefix}.${arm}`));
+            } catch (error) {
+                errors.push(`${slotPrefix}.${arm}: cannot load model (${error.message})`);
+            }
+        }
+
+        if (resolved.mode !== 'heuristic' && !slot.champion) {
+            errors.push(`${slotPrefix}.champion is required in ${resolved.mode} mode`);
+        }
+        if (resolved.challengerShare > 0 && !slot.challenger) {
+            errors.push(`${slotPrefix}.challenger is required when challengerShare is above 0`);
+        }
+
+        stages[stage] = resolved;
+    }
+
+    return { stages, errors };
+}
+
+/**
+ * Stable position of a key in [0, 1) for the champion/challenger split
+ */
+export function splitBucket(key) {
+    return createHash('sha256').update(String(key)).digest().readUInt32BE(0) / 0x100000000;
+}
+
+export class RiskScorer {
+    /**
+     * @param {object} settings - [verifier.riskModel] (stage → slot)
+     */
+    constructor(settings = {}) {
+        const { stages, errors } = parseRiskModelSettings(settings);
+        if (errors.length > 0) {
+            throw new Error(`Invalid risk model settings:\n${errors.join('\n')}`);
+        }
+
+        this.stages = stages;
+    }
+
+    /**
+     * Champion or challenger for a verification
+     */
+    selectArm(stage, key) {
+        const slot = this.stages[stage];
+        if (!slot?.challenger || key === undefined || key === null) return 'champion';
+        return splitBucket(key) < slot.challengerShare ? 'challenger' : 'champion';
+    }
+
+    /**
+     * Score a stage
+     *
+     * @param {string} stage - identity | combined
+     * @param {object} features - From extractFeatures
+     * @param {number} heuristicScore - Built-in score for the stage
+     * @param {string} [key] - Verification (or user) id for the split
+     * @returns {{ riskScore: number, model: object|null }} model is null when
+     *   the heuristic alone decided (no model, or the model failed)
+     */
+    score(stage, features, heuristicScore, key) {
+        const slot = this.stages[stage];
+        if (!slot || slot.mode === 'heuristic') {
+            return { riskScore: heuristicScore, model: null };
+        }
+
+        const arm = this.selectArm(stage, key);
+        const model = slot[arm];
+
+        let modelScore;
+        try {
+            modelScore = evaluateRiskModel(model, features).score;
+        } catch (error) {
+            console.warn(`⚠️ Risk model ${model.version} failed, using the heuristic: ${error.message}`);
+            return { riskScore: heuristicScore, model: null };
+        }
+
+        const riskScore = slot.mode === 'replace'
+            ? modelScore
+            : (1 - slot.blendWeight) * heuristicScore + slot.blendWeight * modelScore;
+
+        return {
+            riskScore: Math.min(Math.max(riskScore, 0), 100),
+            model: {
+                stage,
+                version: model.version,
+                arm,
+                mode: slot.mode,
+                score: modelScore,
+                heuristicScore
+            }
+        };
+    }
+
+    /**
+     * Model versions per stage and arm (for health checks)
+     */
+    getVersions() {
+        return Object.fromEntries(Object.entries(this.stages).map(([stage, slot]) => [stage, {
+            mode: slot.mode,
+            champion: slot.champion?.version ?? null,
+            challenger: slot.challenger?.version ?? null,
+            challengerShare: slot.challengerShare
+        }]));
+    }
+}
+
+export default {
+    RISK_MODEL_STAGES,
+    RISK_MODEL_TYPES,
+    RISK_MODEL_MODES,
+    RISK_MODEL_FEATURES,
+    extractFeatures,
+    evaluateRiskModel,
+    validateRiskModel,
+    loadRiskModel,
+    parseRiskModelSettings,
+    splitBucket,
+    RiskScorer
+};
@@ -0,0 +1,187 @@
+#!/usr/bin/env bun
+
+// modules/routing-history.js - Durable Routing History
+// Pseudonymized per-user routing outcomes for adaptive routing, with retention and erasure
+
+import { createRateLimitStore } from '../security/rate-limit-stores.js';
+import { createPseudonymizer, pseudonymizer as sharedPseudonymizer } from '../security/pseudonymizer.js';
+
+console.log("🗂️ Routing History Module - Loaded");
+
+/**
+ * A user's last routings live in the `routingHistory` namespace of any rate
+ * limit store (memory, sqlite, redis - see security/rate-limit-stores.js),
+ * so returning users keep their history across restarts and replicas.
+ *
+ * Store keys are pseudonyms of the user id (see security/pseudonymizer.js),
+ * never the id itself, and entries carry no user id either:
+ *
+ * { verificationId, finalTier, requiresManualReview, riskScore,
+ *   rulesVersion, riskModel: { version, arm }, timestamp, replay }
+ *
+ * New routings are written under the current key. Because keys rotate,
+ * reads and erasure cover every key period inside the retention window;
+ * older periods have expired by then. Pseudonyms only match across restarts
+ * when a pseudonymization secret is configured.
+ *
+ * Retention defaults to onePayGDPRConfig.dataMinimization.routing
+ * (30 days, last 10 routings per user).
+ */
+
+export const HISTORY_NAMESPACE = 'routingHistory';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const DEFAULT_ROUTING_HISTORY = {
+    retentionHours: 24 * 30, // dataMinimization.routing.maxRetentionHours
+    maxEntries: 10 // Routings kept per user
+};
+
+/**
+ * Check [verifier.history] settings (store and pseudonymization options are
+ * checked when they are created)
+ */
+export function validateRoutingHistorySettings(settings = {}) {
+    const errors = [];
+    const prefix = 'verifier.history';
+
+    if (settings.retentionHours !== undefined &&
+        (typeof settings.retentionHours !== 'number' || settings.retentionHours <= 0)) {
+        errors.push(`${prefix}.retentionHours must be a positive number`);
+    }
+
+    if (settings.maxEntries !== undefined &&
+        (!Number.isInteger(settings.maxEntries) || settings.maxEntries <= 0)) {
+        errors.push(`${prefix}.maxEntries must be a positive integer`);
+    }
+
+    return errors;
+}
+
+export class RoutingHistory {
+    /**
+     * @param {object} options - DEFAULT_ROUTING_HISTORY overrides, plus:
+     * @param {object} [options.store] - Store instance or createRateLimitStore options
+     * @param {object} [options.pseudonymizer] - Pseudonymizer instance
+     * @param {object} [options.pseudonymization] - createPseudonymizer options
+     *   (default: the shared pseudonymizer)
+     * @param {Function} [options.now] - Clock, injectable for tests
+     */
+    constructor(options = {}) {
+        const errors = validateRoutingHistorySettings(options);
+        if (errors.length > 0) {
+            throw new Error(`Invalid routing history settings:\n${errors.join('\n')}`);
+        }
+
+        this.settings = { ...DEFAULT_ROUTING_HISTORY, ...options };
+        this.ownsStore = typeof options.store?.update !== 'function';
+        this.store = this.ownsStore ? createRateLimitStore(options.store) : options.store;
+        this.pseudonymizer = options.pseudonymizer ||
+            (options.pseudonymization ? createPseudonymizer(options.pseudonymization) : sharedPseudonymizer);
+        this.now = options.now || Date.now;
+    }
+
+    get retentionMs() {
+        return this.settings.retentionHours * HOUR_MS;
+    }
+
+    /**
+     * Store keys a user's history may be under, current key first
+     */
+    keysFor(userId) {
+        const now = this.now();
+        return this.pseudonymizer.getKeyIdsBetween(now - this.retentionMs, now)
+            .map(keyId => this.pseudonymizer.pseudonymize(userId, keyId));
+    }
+
+    /**
+     * Append a routing outcome to a user's history
+     */
+    async record(userId, entry) {
+        const cutoff = this.now() - this.retentionMs;
+
+        await this.store.update(HISTORY_NAMESPACE, this.pseudonymizer.pseudonymize(userId), (entries) => [
+            ...(entries || []).filter(previous => previous.timestamp > cutoff),
+            entry
+        ].slice(-this.settings.maxEntries), this.retentionMs);
+    }
+
+    /**
+     * A user's routings inside the retention window (oldest first)
+     */
+    async getHistory(userId) {
+        const cutoff = this.now() - this.retentionMs;
+        const entries = [];
+
+        for (const key of this.keysFor(userId)) {
+            entries.push(...(await this.store.get(HISTORY_NAMESPACE, key) || []));
+        }
+
+        return entries
+            .filter(entry => entry.timestamp > cutoff)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-this.settings.maxEntries);
+    }
+
+    /**
+     * A user's most recent routing (null without history)
+     */
+    async getLastRouting(userId) {
+        const history = await this.getHistory(userId);
+        return history.length > 0 ? history[history.length - 1] : null;
+    }
+
+    /**
+     * Every routing inside the retention window, across users (oldest first)
+     */
+    async entries() {
+        const cutoff = this.now() - this.retentionMs;
+
+        return (await this.store.entries(HISTORY_NAMESPACE))
+            .flatMap(([, entries]) => entries)
+            .filter(entry => entry.timestamp > cutoff)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Delete a user's routing history (right to erasure)
+     *
+     * @returns {Promise<number>} Number of routings erased
+     */
+    async erase(userId) {
+        let erased = 0;
+
+        for (const key of this.keysFor(userId)) {
+            const entries = await this.store.get(HISTORY_NAMESPACE, key);
+            if (entries) {
+                erased += entries.length;
+                await this.store.delete(HISTORY_NAMESPACE, key);
+            }
+        }
+
+        return erased;
+    }
+
+    /**
+     * Drop expired entries from the store
+     */
+    async prune() {
+        return this.store.prune();
+    }
+
+    /**
+     * Close the store (history is kept for the next start)
+     */
+    async close() {
+        if (this.ownsStore) {
+            await this.store.close();
+        }
+    }
+}
+
+export default {
+    HISTORY_NAMESPACE,
+    DEFAULT_ROUTING_HISTORY,
+    validateRoutingHistorySettings,
+    RoutingHistory
+};
@@ -0,0 +1,171 @@
+#!/usr/bin/env bun
+
+// modules/routing-replay.js - Routing Replay and What-If Simulation
+// Replay records, record files and tier-migration reports for TensionRouter.replay
+
+import { readFile, writeFile } from 'fs/promises';
+import { routingContext } from './routing-rules.js';
+
+console.log("⏪ Routing Replay Module - Loaded");
+
+/**
+ * A replay record keeps only what tier routing reads from a verification
+ * (scores, cross-validation ratios, source flags, amount and geography) and
+ * from its approval decision (including reviewer availability at the time)
+ * - no names, contact details or account data:
+ *
+ * { verificationId, timestamp, recordedTier, requiresManualReview,
+ *   finalResult: {...}, approvalDecision: {...} }
+ *
+ * Record files are JSON lines (one record per line); a JSON array is
+ * accepted too.
+ */
+
+export const APPROVED_TIERS = ['INSTANT', 'FAST', 'STANDARD'];
+
+/**
+ * Numeric fields of an object (cross-validation ratios and scores)
+ */
+function numericFields(source) {
+    return Object.fromEntries(Object.entries(source || {}).filter(([, value]) => typeof value === 'number'));
+}
+
+/**
+ * Routing inputs of one verification, stripped down for replay
+ */
+export function replaySnapshot(finalResult = {}, approvalDecision = {}) {
+    const validation = finalResult.validation;
+
+    return {
+        finalResult: {
+            // Keeps the champion/challenger arm of the verification on replay
+            verificationId: finalResult.verificationId,
+            riskScore: finalResult.riskScore,
+            confidence: finalResult.confidence,
+            validation: validation ? {
+                ...numericFields(validation),
+                crossValidation: numericFields(validation.crossValidation)
+            } : undefined,
+            sources: {
+                cashApp: !!finalResult.sources?.cashApp,
+                plaid: !!finalResult.sources?.plaid
+            },
+            ...routingContext(finalResult)
+        },
+        approvalDecision: {
+            tier: approvalDecision.tier,
+            riskScore: approvalDecision.riskScore,
+            confidence: approvalDecision.confidence,
+            factors: approvalDecision.factors,
+            context: approvalDecision.context,
+            availability: approvalDecision.availability
+        }
+    };
+}
+
+/**
+ * Read replay records from a JSON lines (or JSON array) file
+ */
+export async function readReplayRecords(filePath) {
+    const content = (await readFile(filePath, 'utf8')).trim();
+    if (!content) return [];
+
+    if (content.startsWith('[')) {
+        return JSON.parse(content);
+    }
+
+    return content.split('\n')
+        .filter(line => line.trim())
+        .map((line, index) => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                throw new Error(`Invalid replay record on line ${index + 1} of ${filePath}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * Write replay records as JSON lines
+ */
+export async function writeReplayRecords(filePath, records) {
+    await writeFile(filePath, records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : ''));
+    return records.length;
+}
+
+/**
+ * Tier counts and rates for one side of a replay
+ */
+function summarizeDecisions(decisions, tiers, approvedTiers) {
+    const counts = Object.fromEntries(tiers.map(tier => [tier, 0]));
+    for (const decision of decisions) {
+        counts[decision.finalTier] = (counts[decision.finalTier] || 0) + 1;
+    }
+
+    const rate = (count) => decisions.length > 0 ? count / decisions.length : 0;
+
+    return {
+        tiers: counts,
+        approvalRate: rate(decisions.filter(decision => approvedTiers.includes(decision.finalTier)).length),
+        manualReviewRate: rate(decisions.filter(decision => decision.requiresManualReview).length)
+    };
+}
+
+/**
+ * Compare baseline and candidate decisions
+ *
+ * @param {Array<{ verificationId, from, to }>} outcomes - from/to are routing
+ *   evaluations ({ finalTier, requiresManualReview, reasons })
+ * @param {object} options - { tiers, skipped, rulesVersion, approvedTiers, limit }
+ * @returns {object} Tier counts and rates per side, deltas, the migration
+ *   matrix (baseline tier → candidate tier → count) and the changed records
+ */
+export function buildReplayReport(outcomes, options = {}) {
+    const approvedTiers = options.approvedTiers || APPROVED_TIERS;
+    const tiers = [...new Set([
+        ...(options.tiers || []),
+        ...outcomes.flatMap(({ from, to }) => [from.finalTier, to.finalTier])
+    ])].filter(Boolean);
+
+    const baseline = summarizeDecisions(outcomes.map(({ from }) => from), tiers, approvedTiers);
+    const candidate = summarizeDecisions(outcomes.map(({ to }) => to), tiers, approvedTiers);
+
+    const migration = Object.fromEntries(tiers.map(from => [from, Object.fromEntries(tiers.map(to => [to, 0]))]));
+    const changes = [];
+
+    for (const { verificationId, from, to } of outcomes) {
+        if (from.finalTier && to.finalTier) {
+            migration[from.finalTier][to.finalTier]++;
+        }
+
+        if (from.finalTier !== to.finalTier) {
+            changes.push({
+                verificationId,
+                from: from.finalTier,
+                to: to.finalTier,
+                reasons: (to.reasons || []).map(reason => reason.code)
+            });
+        }
+    }
+
+    return {
+        records: outcomes.length,
+        skipped: options.skipped || 0,
+        rulesVersion: options.rulesVersion || null,
+        baseline,
+        candidate,
+        approvalRateDelta: candidate.approvalRate - baseline.approvalRate,
+        manualReviewRateDelta: candidate.manualReviewRate - baseline.manualReviewRate,
+        migration,
+        changed: changes.length,
+        changes: changes.slice(0, options.limit ?? 100)
+    };
+}
+
+export default {
+    APPROVED_TIERS,
+    replaySnapshot,
+    readReplayRecords,
+    writeReplayRecords,
+    buildReplayReport
+};
@@ -0,0 +1,329 @@
+#!/usr/bin/env bun
+
+// modules/routing-rules.js - Declarative Routing Rules
+// Versioned rule sets for TensionRouter verification needs and tier decisions
+
+console.log("📐 Routing Rules Module - Loaded");
+
+/**
+ * A rule set has three stages:
+ * - verification - every matching rule adds its `require` list
+ *   (cashApp, plaid, manualReview)
+ * - initialTier - first matching rule picks the tier of applyAdaptiveStrategy
+ * - finalTier - first matching rule picks the tier of routeToTier, evaluated
+ *   on risk and confidence after the conflictPenalty
+ *
+ * Rules are tables keyed by rule id (so TOML can express them), ordered by
+ * priority (lower first, default 0) and then declaration order. Every
+ * condition on a rule must hold for it to match:
+ * - <fact>Above / <fact>AtLeast / <fact>Below / <fact>AtMost for the numeric
+ *   facts riskScore, confidence, amount and conflictCount
+ * - conflicts, riskFactors - any of the listed codes is present
+ * - verified - all listed identity factors are verified
+ *   (documentVerification, emailVerification, ...)
+ * - countries, regions - the request geography is one of the listed codes;
+ *   excludeCountries - it is none of them
+ * A rule on a fact the request does not carry (e.g. no amount) never matches.
+ *
+ * Without initialTier/finalTier rules both stages fall back to the tier
+ * ladder from config.tiers (rules tier_INSTANT ... tier_REJECT, priority 100+),
+ * so custom rules at the default priority run before it.
+ *
+ * [verifier.routingRules]
+ * version = "2026-10-19"
+ *
+ * [verifier.routingRules.finalTier.large_amount_review]
+ * amountAbove = 10000
+ * tier = "REVIEW"
+ */
+
+export const RULE_STAGES = ['verification', 'initialTier', 'finalTier'];
+export const VERIFICATION_REQUIREMENTS = ['cashApp', 'plaid', 'manualReview'];
+export const NUMERIC_FACTS = ['riskScore', 'confidence', 'amount', 'conflictCount'];
+export const FALLBACK_RULE = 'fallback';
+
+const COMPARISONS = {
+    Above: (value, limit) => value > limit,
+    AtLeast: (value, limit) => value >= limit,
+    Below: (value, limit) => value < limit,
+    AtMost: (value, limit) => value <= limit
+};
+
+const NUMERIC_CONDITION = new RegExp(`^(${NUMERIC_FACTS.join('|')})(${Object.keys(COMPARISONS).join('|')})$`);
+
+const LIST_CONDITIONS = {
+    conflicts: (facts, codes) => codes.some(code => facts.conflicts.includes(code)),
+    riskFactors: (facts, codes) => codes.some(code => facts.riskFactors.includes(code)),
+    verified: (facts, names) => names.every(name => facts.verified.includes(name)),
+    countries: (facts, codes) => facts.country !== null && codes.includes(facts.country),
+    excludeCountries: (facts, codes) => !codes.includes(facts.country),
+    regions: (facts, codes) => facts.region !== null && codes.includes(facts.region)
+};
+
+const RULE_FIELDS = ['priority', 'enabled', 'description', 'tier', 'require'];
+
+// Risk and confidence thresholds for the tier ladder (checked in order)
+export const DEFAULT_TIERS = {
+    INSTANT: { maxRiskScore: 20, minConfidence: 90, requiresManualReview: false },
+    FAST: { maxRiskScore: 40, minConfidence: 80, requiresManualReview: false },
+    STANDARD: { maxRiskScore: 60, minConfidence: 70, requiresManualReview: false },
+    REVIEW: { maxRiskScore: 80, minConfidence: 60, requiresManualReview: true },
+    REJECT: { maxRiskScore: 100, minConfidence: 0, requiresManualReview: false }
+};
+
+export const DEFAULT_ROUTING_RULES = {
+    version: 'builtin-1',
+    // Subtracted per detected conflict before the finalTier stage
+    conflictPenalty: { riskScore: 10, confidence: 15 },
+    verification: {
+        elevated_risk: { riskScoreAbove: 40, require: ['cashApp'] },
+        medium_risk: { riskScoreAbove: 20, require: ['plaid'] },
+        very_high_risk: { riskScoreAbove: 70, require: ['manualReview'] },
+        low_confidence: { confidenceBelow: 70, require: ['cashApp', 'plaid'] }
+    }
+};
+
+/**
+ * Tier ladder rules derived from a tiers table
+ */
+export function tierRules(tiers) {
+    return Object.fromEntries(Object.entries(tiers).map(([name, tier], index) => [
+        `tier_${name}`,
+        {
+            priority: 100 + index,
+            riskScoreAtMost: tier.maxRiskScore,
+            confidenceAtLeast: tier.minConfidence,
+            tier: name
+        }
+    ]));
+}
+
+/**
+ * Build a rule set from config (merged over the built-in rules by id unless
+ * replaceDefaults is set)
+ *
+ * @param {object} config - verifier.routingRules
+ * @param {object} tiers - Tier table the rules may route to
+ * @returns {{ ruleSet: { version, conflictPenalty, stages }, errors: string[] }}
+ */
+export function parseRoutingRules(config = {}, tiers = DEFAULT_TIERS) {
+    const errors = [];
+    const prefix = 'verifier.routingRules';
+    const settings = config || {};
+
+    for (const key of Object.keys(settings)) {
+        if (![...RULE_STAGES, 'version', 'replaceDefaults', 'conflictPenalty'].includes(key)) {
+            errors.push(`${prefix}.${key}: unknown setting`);
+        }
+    }
+
+    const version = settings.version ?? DEFAULT_ROUTING_RULES.version;
+    if (typeof version !== 'string' || !version) {
+        errors.push(`${prefix}.version must be a non-empty string`);
+    }
+
+    const conflictPenalty = { ...DEFAULT_ROUTING_RULES.conflictPenalty };
+    for (const [key, value] of Object.entries(settings.conflictPenalty || {})) {
+        if (!(key in conflictPenalty)) {
+            errors.push(`${prefix}.conflictPenalty.${key}: unknown setting`);
+        } else if (typeof value !== 'number' || value < 0) {
+            errors.push(`${prefix}.conflictPenalty.${key} must be a non-negative number`);
+        } else {
+            conflictPenalty[key] = value;
+        }
+    }
+
+    const builtins = settings.replaceDefaults === true ? {} : {
+        verification: DEFAULT_ROUTING_RULES.verification,
+        initialTier: tierRules(tiers),
+        finalTier: tierRules(tiers)
+    };
+
+    const stages = {};
+    for (const stage of RULE_STAGES) {
+        const merged = { ...builtins[stage] };
+        for (const [id, rule] of Object.entries(settings[stage] || {})) {
+            merged[id] = { ...merged[id], ...rule };
+        }
+
+        stages[stage] = Object.entries(merged)
+            .map(([id, rule], order) => parseRule(stage, id, rule, order, tiers, errors))
+            .filter(rule => rule?.enabled)
+            .sort((a, b) => a.priority - b.priority || a.order - b.order);
+    }
+
+    return {
+        ruleSet: { version: String(version), conflictPenalty, stages },
+        errors
+    };
+}
+
+/**
+ * Validate one rule and split it into conditions and actions
+ */
+function parseRule(stage, id, rule, order, tiers, errors) {
+    const prefix = `verifier.routingRules.${stage}.${id}`;
+    const errorCount = errors.length;
+
+    if (!rule || typeof rule !== 'object') {
+        errors.push(`${prefix} must be a table`);
+        return null;
+    }
+
+    const conditions = {};
+    for (const [field, value] of Object.entries(rule)) {
+        if (RULE_FIELDS.includes(field)) continue;
+
+        if (NUMERIC_CONDITION.test(field)) {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                errors.push(`${prefix}.${field} must be a number`);
+            }
+        } else if (LIST_CONDITIONS[field]) {
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                errors.push(`${prefix}.${field} must be a list of strings`);
+            }
+        } else {
+            errors.push(`${prefix}.${field}: unknown rule field`);
+            continue;
+        }
+        conditions[field] = value;
+    }
+
+    if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+        errors.push(`${prefix}.priority must be a number`);
+    }
+
+    if (stage === 'verification') {
+        if (rule.tier !== undefined) {
+            errors.push(`${prefix}.tier is not supported in the verification stage (use require)`);
+        }
+        if (!Array.isArray(rule.require) || rule.require.length === 0 ||
+            rule.require.some(need => !VERIFICATION_REQUIREMENTS.includes(need))) {
+            errors.push(`${prefix}.require must list any of ${VERIFICATION_REQUIREMENTS.join(', ')}`);
+        }
+    } else if (!tiers[rule.tier]) {
+        errors.push(`${prefix}.tier must be one of ${Object.keys(tiers).join(', ')}`);
+    }
+
+    if (errors.length > errorCount) return null;
+
+    return {
+        id,
+        stage,
+        order,
+        priority: rule.priority ?? 0,
+        enabled: rule.enabled !== false,
+        description: rule.description || null,
+        conditions,
+        ...(stage === 'verification' ? { require: [...rule.require] } : { tier: rule.tier })
+    };
+}
+
+/**
+ * Check whether every condition of a rule holds for a set of facts
+ */
+export function matchesRule(rule, facts) {
+    return Object.entries(rule.conditions).every(([field, expected]) => {
+        const numeric = field.match(NUMERIC_CONDITION);
+        if (numeric) {
+            const value = facts[numeric[1]];
+            return typeof value === 'number' && COMPARISONS[numeric[2]](value, expected);
+        }
+        return LIST_CONDITIONS[field](facts, expected);
+    });
+}
+
+/**
+ * Numeric conditions of a rule that do not hold (conditions on facts the
+ * request does not carry are skipped)
+ *
+ * @returns {Array<{ field, fact, comparison, expected, actual }>}
+ */
+export function failedConditions(rule, facts) {
+    const failed = [];
+
+    for (const [field, expected] of Object.entries(rule.conditions)) {
+        const numeric = field.match(NUMERIC_CONDITION);
+        if (!numeric || typeof facts[numeric[1]] !== 'number') continue;
+
+        const actual = facts[numeric[1]];
+        if (!COMPARISONS[numeric[2]](actual, expected)) {
+            failed.push({ field, fact: numeric[1], comparison: numeric[2], expected, actual });
+        }
+    }
+
+    return failed;
+}
+
+/**
+ * Whether a rule is (an override of) a tier ladder rule
+ */
+export function isTierLadderRule(rule) {
+    return rule.id === `tier_${rule.tier}`;
+}
+
+/**
+ * Rules of a stage that match, in evaluation order
+ */
+export function evaluateStage(ruleSet, stage, facts) {
+    return ruleSet.stages[stage].filter(rule => matchesRule(rule, facts));
+}
+
+/**
+ * First matching rule of a tier stage (null when none matches)
+ */
+export function selectRule(ruleSet, stage, facts) {
+    return ruleSet.stages[stage].find(rule => matchesRule(rule, facts)) || null;
+}
+
+/**
+ * Amount and geography carried by a verification result or identity result
+ */
+export function routingContext(source = {}) {
+    const amount = source.amount ?? source.transaction?.amount;
+    const country = source.country ?? source.location?.country ?? source.address?.country;
+    const region = source.region ?? source.location?.region ?? source.address?.region;
+
+    return {
+        amount: typeof amount === 'number' ? amount : null,
+        country: country ? String(country).toUpperCase() : null,
+        region: region ? String(region).toUpperCase() : null
+    };
+}
+
+/**
+ * Facts rules are evaluated against
+ */
+export function buildFacts({ riskScore, confidence, conflicts = [], factors = {}, context = {} }) {
+    return {
+        riskScore,
+        confidence,
+        amount: context.amount ?? null,
+        conflictCount: conflicts.length,
+        conflicts,
+        riskFactors: factors.riskFactors || [],
+        verified: Object.entries(factors)
+            .filter(([, value]) => value === true)
+            .map(([name]) => name),
+        country: context.country ?? null,
+        region: context.region ?? null
+    };
+}
+
+export default {
+    RULE_STAGES,
+    VERIFICATION_REQUIREMENTS,
+    NUMERIC_FACTS,
+    FALLBACK_RULE,
+    DEFAULT_TIERS,
+    DEFAULT_ROUTING_RULES,
+    tierRules,
+    parseRoutingRules,
+    matchesRule,
+    failedConditions,
+    isTierLadderRule,
+    evaluateStage,
+    selectRule,
+    routingContext,
+    buildFacts
+};
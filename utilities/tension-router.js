@@ -3,8 +3,28 @@
 // modules/tension-router.js - Isolated Tension Routing Module
 // Adaptive routing and tier decisions with conflict detection
 
+import {
+    DEFAULT_TIERS,
+    FALLBACK_RULE,
+    parseRoutingRules,
+    evaluateStage,
+    selectRule,
+    failedConditions,
+    isTierLadderRule,
+    routingContext,
+    buildFacts
+} from './routing-rules.js';
+import { ReviewQueue } from './review-queue.js';
+import { RoutingHistory } from './routing-history.js';
+import { BusinessHours } from './business-hours.js';
+import { RiskScorer, extractFeatures } from './risk-models.js';
+import { CONFLICT_REASONS, createReason, createTierReason, uniqueReasons } from './reason-codes.js';
+import { replaySnapshot, readReplayRecords, writeReplayRecords, buildReplayReport } from './routing-replay.js';
+
 console.log("🛣️ Tension Router Module - Loaded");
 
+const HIGH_RISK_WARNING_THRESHOLD = 60;
+
 /**
  * Tension Router for adaptive routing and tier decisions
  * 
@@ -12,19 +32,19 @@ console.log("🛣️ Tension Router Module - Loaded");
  * - Adaptive strategy application
  * - Tier routing and decision making
  * - Conflict detection and warnings
- * - Manual review queuing
+ * - Manual review queuing (durable reviewer workflow, see review-queue.js)
+ * - Declarative routing rules (config.routingRules, see routing-rules.js)
+ * - Structured reason codes on every result (see reason-codes.js)
+ * - Durable, pseudonymized routing history (see routing-history.js)
+ * - Regional business hours and reviewer shifts (see business-hours.js)
+ * - Pluggable risk models with a champion/challenger split (see risk-models.js)
+ * - Replay of routing history under alternative configs (see routing-replay.js)
  */
 export class TensionRouter {
     constructor(config = {}) {
         this.config = {
             // Risk thresholds for different tiers
-            tiers: {
-                INSTANT: { maxRiskScore: 20, minConfidence: 90, requiresManualReview: false },
-                FAST: { maxRiskScore: 40, minConfidence: 80, requiresManualReview: false },
-                STANDARD: { maxRiskScore: 60, minConfidence: 70, requiresManualReview: false },
-                REVIEW: { maxRiskScore: 80, minConfidence: 60, requiresManualReview: true },
-                REJECT: { maxRiskScore: 100, minConfidence: 0, requiresManualReview: false }
-            },
+            tiers: structuredClone(DEFAULT_TIERS),
             // Routing configuration
             routing: {
                 enableAdaptiveRouting: config.enableAdaptiveRouting !== false,
@@ -42,8 +62,22 @@ export class TensionRouter {
             ...config
         };
         
-        this.routingHistory = new Map();
-        this.manualReviewQueue = [];
+        // Invalid rules are dropped here and reported by validateConfig
+        const { ruleSet, errors } = parseRoutingRules(this.config.routingRules, this.config.tiers);
+        this.routingRules = ruleSet;
+        this.routingRuleErrors = errors;
+        
+        // config.history: retention, store and pseudonymization options
+        this.history = new RoutingHistory(this.config.history);
+        // config.businessHours: regional hours, holidays and reviewer shifts
+        this.businessHours = new BusinessHours(this.config.businessHours);
+        // config.riskModel: scoring models per stage (identity, combined)
+        this.riskScorer = new RiskScorer(this.config.riskModel);
+        // config.reviewQueue: queue settings, store options and onDecision
+        this.reviewQueue = new ReviewQueue({
+            maxQueueSize: this.config.performance.maxQueueSize,
+            ...this.config.reviewQueue
+        });
         this.conflictLog = [];
         this.metrics = {
             totalRoutings: 0,
@@ -51,7 +85,8 @@ export class TensionRouter {
             conflictsDetected: 0,
             manualReviewsQueued: 0,
             averageRoutingTime: 0,
-            adaptiveDecisions: 0
+            adaptiveDecisions: 0,
+            riskModelArms: { champion: 0, challenger: 0 }
         };
         
         this.initialized = false;
@@ -68,7 +103,7 @@ export class TensionRouter {
             this.validateConfig();
             
             // Clean old routing history
-            this.cleanupHistory();
+            await this.cleanupHistory();
             
             this.initialized = true;
             console.log('✅ Tension Router initialized');
@@ -82,12 +117,14 @@ export class TensionRouter {
     /**
      * Apply adaptive strategy based on identity result
      */
-    applyAdaptiveStrategy(identityResult) {
+    async applyAdaptiveStrategy(identityResult) {
         const startTime = performance.now();
         
         try {
             console.log(`🎯 Applying adaptive strategy for user: ${this.maskPII(identityResult.userId)}`);
             
+            const contributions = this.riskContributions(identityResult);
+            const identityRisk = this.scoreIdentityRisk(identityResult, contributions);
             const strategy = {
                 userId: identityResult.userId,
                 verificationId: identityResult.verificationId,
@@ -96,11 +133,19 @@ export class TensionRouter {
                 requiresPlaidVerification: false,
                 requiresManualReview: false,
                 confidence: identityResult.confidence || 0,
-                riskScore: this.calculateRiskScore(identityResult),
+                riskScore: identityRisk.riskScore,
+                riskModel: identityRisk.model,
                 factors: {},
+                context: routingContext(identityResult),
+                rules: { version: this.routingRules.version, verification: [], initialTier: null },
+                reasons: contributions.map(({ code, points, values }) => createReason(code, { points, ...values })),
                 timestamp: Date.now()
             };
             
+            if (identityRisk.model) {
+                strategy.reasons.push(this.riskModelReason(identityRisk));
+            }
+            
             // Analyze identity factors
             strategy.factors = this.analyzeIdentityFactors(identityResult);
             
@@ -109,15 +154,20 @@ export class TensionRouter {
             strategy.requiresCashAppVerification = verificationNeeds.cashApp;
             strategy.requiresPlaidVerification = verificationNeeds.plaid;
             strategy.requiresManualReview = verificationNeeds.manualReview;
+            strategy.rules.verification = verificationNeeds.rules;
+            strategy.reasons.push(...verificationNeeds.reasons);
             
             // Apply adaptive routing if enabled
             if (this.config.routing.enableAdaptiveRouting) {
-                this.applyAdaptiveRouting(strategy, identityResult);
+                await this.applyAdaptiveRouting(strategy, identityResult);
                 this.metrics.adaptiveDecisions++;
             }
             
             // Determine initial tier
-            strategy.tier = this.determineInitialTier(strategy);
+            const initial = this.selectTier('initialTier', this.buildStrategyFacts(strategy));
+            strategy.tier = initial.tier;
+            strategy.rules.initialTier = initial.rule;
+            strategy.reasons.push(...initial.reasons);
             
             const routingTime = performance.now() - startTime;
             strategy.routingTime = routingTime.toFixed(2);
@@ -133,6 +183,7 @@ export class TensionRouter {
                 requiresCashAppVerification: false,
                 requiresPlaidVerification: false,
                 requiresManualReview: true,
+                reasons: [createReason('ROUTING_ERROR', { error: error.message })],
                 error: error.message
             };
         }
@@ -151,60 +202,36 @@ export class TensionRouter {
             const routing = {
                 userId: finalResult.userId,
                 verificationId: finalResult.verificationId,
-                finalTier: 'STANDARD',
                 initialTier: approvalDecision.tier,
-                requiresManualReview: false,
+                ...this.evaluateRouting(finalResult, approvalDecision),
                 automated: true,
-                conflicts: [],
-                warnings: [],
                 routingTime: 0,
                 timestamp: Date.now()
             };
             
-            // Combine risk scores and confidence
-            const combinedRisk = this.calculateCombinedRisk(finalResult, approvalDecision);
-            const combinedConfidence = this.calculateCombinedConfidence(finalResult, approvalDecision);
-            
-            // Detect conflicts
-            if (this.config.routing.conflictDetection) {
-                routing.conflicts = this.detectConflicts(finalResult, approvalDecision);
-                if (routing.conflicts.length > 0) {
-                    this.metrics.conflictsDetected++;
-                    this.logConflict(routing);
-                }
+            if (routing.riskModel) {
+                this.metrics.riskModelArms[routing.riskModel.arm]++;
             }
             
-            // Determine final tier
-            routing.finalTier = this.determineFinalTier(
-                combinedRisk,
-                combinedConfidence,
-                routing.conflicts,
-                finalResult
-            );
-            
-            // Check for manual review requirements
-            routing.requiresManualReview = this.requiresManualReview(
-                routing.finalTier,
-                combinedRisk,
-                routing.conflicts
-            );
+            if (routing.conflicts.length > 0) {
+                this.metrics.conflictsDetected++;
+                this.logConflict(routing);
+            }
             
             // Queue for manual review if needed
             if (routing.requiresManualReview) {
-                this.queueManualReview(routing);
+                const review = await this.queueManualReview(routing);
+                routing.reviewId = review.id;
                 routing.automated = false;
             }
             
-            // Generate warnings
-            routing.warnings = this.generateWarnings(routing, combinedRisk);
-            
-            // Store routing history
-            this.storeRoutingHistory(routing);
-            
             const routingTime = performance.now() - startTime;
             routing.routingTime = routingTime.toFixed(2);
             this.updateMetrics(routingTime, routing.finalTier);
             
+            // Store routing history (with the inputs needed to replay it)
+            await this.storeRoutingHistory(routing, replaySnapshot(finalResult, approvalDecision));
+            
             console.log(`Routing completed: ${routing.finalTier} tier, automated: ${routing.automated}`);
             
             return routing;
@@ -215,11 +242,178 @@ export class TensionRouter {
                 finalTier: 'REJECT',
                 requiresManualReview: true,
                 automated: false,
+                reasons: [createReason('ROUTING_ERROR', { error: error.message })],
                 error: error.message
             };
         }
     }
     
+    /**
+     * Tier decision for a verification result, without side effects
+     * (no metrics, queueing or history - shared by routeToTier and replay)
+     */
+    evaluateRouting(finalResult, approvalDecision) {
+        const evaluation = {
+            finalTier: 'STANDARD',
+            requiresManualReview: false,
+            conflicts: [],
+            warnings: [],
+            rules: { version: this.routingRules.version, finalTier: null },
+            reasons: [],
+            riskScore: 0,
+            riskModel: null
+        };
+        
+        // Combine risk scores and confidence
+        const combined = this.scoreCombinedRisk(finalResult, approvalDecision);
+        const combinedRisk = combined.riskScore;
+        const combinedConfidence = this.calculateCombinedConfidence(finalResult, approvalDecision);
+        evaluation.riskScore = combinedRisk;
+        evaluation.riskModel = combined.model;
+        if (combined.model) {
+            evaluation.reasons.push(this.riskModelReason(combined));
+        }
+        
+        // Detect conflicts
+        if (this.config.routing.conflictDetection) {
+            const conflicts = this.detectConflictDetails(finalResult, approvalDecision);
+            evaluation.conflicts = conflicts.map(({ conflict }) => conflict);
+            evaluation.reasons.push(...conflicts.map(({ conflict, values }) => createReason(CONFLICT_REASONS[conflict], values)));
+        }
+        
+        // Determine final tier
+        const final = this.selectFinalTier(
+            combinedRisk,
+            combinedConfidence,
+            evaluation.conflicts,
+            finalResult,
+            approvalDecision
+        );
+        evaluation.finalTier = final.tier;
+        evaluation.rules.finalTier = final.rule;
+        evaluation.reasons.push(...final.reasons);
+        
+        // Check for manual review requirements
+        let reviewReasons = this.explainManualReview(
+            evaluation.finalTier,
+            combinedRisk,
+            evaluation.conflicts
+        );
+        if (approvalDecision.availability) {
+            reviewReasons = this.applyReviewerAvailability(evaluation, reviewReasons, combinedRisk, approvalDecision.availability);
+        }
+        evaluation.requiresManualReview = reviewReasons.length > 0;
+        evaluation.reasons.push(...reviewReasons);
+        
+        // Generate warnings
+        evaluation.warnings = this.generateWarnings(evaluation, combinedRisk);
+        if (combinedRisk > HIGH_RISK_WARNING_THRESHOLD) {
+            evaluation.reasons.push(createReason('HIGH_RISK', { value: combinedRisk, threshold: HIGH_RISK_WARNING_THRESHOLD }));
+        }
+        
+        return evaluation;
+    }
+    
+    /**
+     * Replay stored verification results under an alternative config and
+     * compare the tiers with the current config
+     *
+     * @param {Array|string} [source] - Replay records, a file written by
+     *   exportReplayRecords, or (default) the routing history
+     * @param {object} alternativeConfig - Constructor-style overrides; tiers
+     *   merge per tier and routing per setting, everything else replaces
+     * @param {object} [options] - { baseline: 'current' | 'recorded', approvedTiers, limit }
+     * @returns {Promise<object>} Report from buildReplayReport
+     */
+    async replay(source, alternativeConfig = {}, options = {}) {
+        const records = typeof source === 'string'
+            ? await readReplayRecords(source)
+            : (source || await this.getReplayRecords());
+        const candidate = this.createReplayRouter(alternativeConfig);
+        const outcomes = [];
+        let skipped = 0;
+        
+        for (const record of records) {
+            if (!record?.finalResult || !record?.approvalDecision) {
+                skipped++;
+                continue;
+            }
+            
+            // 'recorded' compares with what actually happened, 'current' with
+            // the current config (isolating the effect of the alternative)
+            const from = options.baseline === 'recorded'
+                ? { finalTier: record.recordedTier, requiresManualReview: !!record.requiresManualReview }
+                : this.evaluateRouting(record.finalResult, record.approvalDecision);
+            
+            outcomes.push({
+                verificationId: record.verificationId ?? null,
+                from,
+                to: candidate.evaluateRouting(record.finalResult, record.approvalDecision)
+            });
+        }
+        
+        const report = buildReplayReport(outcomes, {
+            ...options,
+            tiers: [...new Set([...Object.keys(this.config.tiers), ...Object.keys(candidate.config.tiers)])],
+            skipped,
+            rulesVersion: {
+                baseline: options.baseline === 'recorded' ? 'recorded' : this.routingRules.version,
+                candidate: candidate.routingRules.version
+            }
+        });
+        
+        console.log(`⏪ Replayed ${report.records} routings: ${report.changed} changed tier, approval rate ${report.approvalRateDelta >= 0 ? '+' : ''}${(report.approvalRateDelta * 100).toFixed(1)}%`);
+        
+        return report;
+    }
+    
+    /**
+     * Side-effect-free router for an alternative config
+     */
+    createReplayRouter(alternativeConfig = {}) {
+        const { tiers = {}, routing = {}, ...overrides } = alternativeConfig;
+        const mergedTiers = structuredClone(this.config.tiers);
+        
+        for (const [name, tier] of Object.entries(tiers)) {
+            mergedTiers[name] = { ...mergedTiers[name], ...tier };
+        }
+        
+        const candidate = new TensionRouter({
+            ...this.config,
+            ...overrides,
+            tiers: mergedTiers,
+            routing: { ...this.config.routing, ...routing },
+            // Replays never touch the live review queue or history
+            reviewQueue: undefined,
+            history: undefined
+        });
+        candidate.validateConfig();
+        
+        return candidate;
+    }
+    
+    /**
+     * Replay records for the routing history (oldest first)
+     */
+    async getReplayRecords() {
+        return (await this.history.entries())
+            .filter(routing => routing.replay)
+            .map(routing => ({
+                verificationId: routing.verificationId,
+                timestamp: routing.timestamp,
+                recordedTier: routing.finalTier,
+                requiresManualReview: routing.requiresManualReview,
+                ...routing.replay
+            }));
+    }
+    
+    /**
+     * Write the routing history as a replay file (JSON lines)
+     */
+    async exportReplayRecords(filePath) {
+        return writeReplayRecords(filePath, await this.getReplayRecords());
+    }
+    
     /**
      * Create rejection response
      */
@@ -278,34 +472,29 @@ export class TensionRouter {
     }
     
     /**
-     * Determine verification needs based on strategy
+     * Determine verification needs based on strategy (every matching
+     * verification rule adds its requirements)
      */
     determineVerificationNeeds(strategy) {
         const needs = {
             cashApp: false,
             plaid: false,
-            manualReview: false
+            manualReview: false,
+            rules: [],
+            reasons: []
         };
         
-        // High risk requires additional verification
-        if (strategy.riskScore > 40) {
-            needs.cashApp = true;
-        }
-        
-        // Medium risk requires bank verification
-        if (strategy.riskScore > 20) {
-            needs.plaid = true;
-        }
-        
-        // Very high risk requires manual review
-        if (strategy.riskScore > 70) {
-            needs.manualReview = true;
-        }
-        
-        // Low confidence requires additional verification
-        if (strategy.confidence < 70) {
-            needs.cashApp = true;
-            needs.plaid = true;
+        for (const rule of evaluateStage(this.routingRules, 'verification', this.buildStrategyFacts(strategy))) {
+            for (const need of rule.require) {
+                needs[need] = true;
+            }
+            needs.rules.push(rule.id);
+            needs.reasons.push(createReason('VERIFICATION_REQUIRED', {
+                rule: rule.id,
+                requires: rule.require,
+                riskScore: strategy.riskScore,
+                confidence: strategy.confidence
+            }));
         }
         
         return needs;
@@ -314,57 +503,169 @@ export class TensionRouter {
     /**
      * Apply adaptive routing logic
      */
-    applyAdaptiveRouting(strategy, identityResult) {
+    async applyAdaptiveRouting(strategy, identityResult) {
         // Check user history
-        const userHistory = this.routingHistory.get(identityResult.userId);
+        const lastRouting = await this.getLastRouting(identityResult.userId);
         
-        if (userHistory && userHistory.length > 0) {
-            const lastRouting = userHistory[userHistory.length - 1];
-            
+        if (lastRouting) {
             // If user was previously approved, reduce requirements
             if (lastRouting.finalTier !== 'REJECT' && lastRouting.finalTier !== 'REVIEW') {
                 strategy.riskScore = Math.max(0, strategy.riskScore - 10);
                 strategy.confidence = Math.min(100, strategy.confidence + 5);
+                strategy.reasons.push(createReason('ADAPTIVE_PRIOR_APPROVAL', {
+                    previousTier: lastRouting.finalTier,
+                    riskDelta: -10,
+                    confidenceDelta: 5
+                }));
             }
             
             // If user was previously rejected, increase requirements
             if (lastRouting.finalTier === 'REJECT') {
                 strategy.riskScore = Math.min(100, strategy.riskScore + 15);
                 strategy.requiresManualReview = true;
+                strategy.reasons.push(createReason('ADAPTIVE_PRIOR_REJECT', {
+                    previousTier: lastRouting.finalTier,
+                    riskDelta: 15
+                }));
             }
         }
         
-        // Apply time-based adjustments
-        const hour = new Date().getHours();
-        if (hour >= 9 && hour <= 17) {
+        // Apply time-based adjustments in the requester's region
+        const availability = this.businessHours.check(strategy.context, strategy.timestamp);
+        const { region, localTime, holiday } = availability;
+        strategy.availability = {
+            region,
+            businessHours: availability.businessHours,
+            reviewersOnShift: availability.reviewersOnShift
+        };
+        
+        if (availability.businessHours) {
             // Business hours - slightly more lenient
             strategy.riskScore = Math.max(0, strategy.riskScore - 5);
+            strategy.reasons.push(createReason('ADAPTIVE_BUSINESS_HOURS', { region, localTime, riskDelta: -5 }));
         } else {
-            // Non-business hours - more strict
+            // Non-business hours and holidays - more strict
             strategy.riskScore = Math.min(100, strategy.riskScore + 5);
+            strategy.reasons.push(holiday
+                ? createReason('ADAPTIVE_HOLIDAY', { region, holiday, riskDelta: 5 })
+                : createReason('ADAPTIVE_OFF_HOURS', { region, localTime, riskDelta: 5 }));
         }
     }
     
+    /**
+     * Prefer queueing while reviewers are on shift and automated decisions
+     * while they are not (config.businessHours.queueBorderlineOnShift /
+     * autoDecideOffShift); availability comes from applyAdaptiveStrategy
+     *
+     * @returns {Array} Manual review reasons after the adjustment
+     */
+    applyReviewerAvailability(evaluation, reviewReasons, riskScore, availability) {
+        const { queueBorderlineOnShift, autoDecideOffShift } = this.businessHours.settings;
+        const { region } = availability;
+        
+        // Rejected on confidence alone - let a reviewer on shift take a look
+        if (availability.reviewersOnShift && queueBorderlineOnShift &&
+            evaluation.finalTier === 'REJECT' && reviewReasons.length === 0 &&
+            riskScore <= this.config.routing.manualReviewThreshold) {
+            return [createReason('REVIEWERS_ON_SHIFT', { region, tier: evaluation.finalTier })];
+        }
+        
+        // Only conflicts call for review and nobody is there to do it
+        if (!availability.reviewersOnShift && autoDecideOffShift && reviewReasons.length > 0 &&
+            reviewReasons.every(reason => reason.code === 'MANUAL_REVIEW_CONFLICTS')) {
+            evaluation.reasons.push(createReason('REVIEWERS_OFF_SHIFT', { region, tier: evaluation.finalTier }));
+            return [];
+        }
+        
+        return reviewReasons;
+    }
+    
     /**
      * Determine initial tier based on strategy
      */
     determineInitialTier(strategy) {
-        const { tiers } = this.config;
+        return this.selectTier('initialTier', this.buildStrategyFacts(strategy)).tier;
+    }
+    
+    /**
+     * First matching rule of a tier stage (REJECT when none matches), with
+     * the reasons it was picked over better tiers
+     */
+    selectTier(stage, facts) {
+        const rule = selectRule(this.routingRules, stage, facts);
+        const selected = rule
+            ? { tier: rule.tier, rule: rule.id }
+            : { tier: 'REJECT', rule: FALLBACK_RULE };
         
-        for (const [tierName, tierConfig] of Object.entries(tiers)) {
-            if (strategy.riskScore <= tierConfig.maxRiskScore &&
-                strategy.confidence >= tierConfig.minConfidence) {
-                return tierName;
+        return { ...selected, reasons: this.explainTier(stage, facts, rule, selected.tier) };
+    }
+    
+    /**
+     * Tier reasons: each failed threshold of a better tier checked before the
+     * selected rule (e.g. RISK_ABOVE_FAST), plus the custom rule that fired
+     */
+    explainTier(stage, facts, selectedRule, tier) {
+        const tierNames = Object.keys(this.config.tiers);
+        const reasons = [];
+        
+        for (const rule of this.routingRules.stages[stage]) {
+            if (rule === selectedRule) break;
+            if (tierNames.indexOf(rule.tier) >= tierNames.indexOf(tier)) continue;
+            
+            for (const condition of failedConditions(rule, facts)) {
+                reasons.push(createTierReason(rule.tier, { ...condition, rule: rule.id }));
             }
         }
         
-        return 'REJECT';
+        if (!selectedRule) {
+            reasons.push(createReason('NO_RULE_MATCHED', { tier }));
+        } else if (!isTierLadderRule(selectedRule)) {
+            reasons.push(createReason('RULE_MATCHED', {
+                rule: selectedRule.id,
+                tier,
+                description: selectedRule.description
+            }));
+        }
+        
+        return uniqueReasons(reasons);
+    }
+    
+    /**
+     * Rule facts for an adaptive strategy
+     */
+    buildStrategyFacts(strategy) {
+        return buildFacts({
+            riskScore: strategy.riskScore,
+            confidence: strategy.confidence,
+            factors: strategy.factors,
+            context: strategy.context
+        });
     }
     
     /**
      * Calculate combined risk score
      */
     calculateCombinedRisk(finalResult, approvalDecision) {
+        return this.scoreCombinedRisk(finalResult, approvalDecision).riskScore;
+    }
+    
+    /**
+     * Combined risk from the configured model (or the heuristic), with the
+     * model that scored it
+     */
+    scoreCombinedRisk(finalResult, approvalDecision) {
+        return this.riskScorer.score(
+            'combined',
+            extractFeatures('combined', finalResult, approvalDecision),
+            this.heuristicCombinedRisk(finalResult, approvalDecision),
+            finalResult.verificationId ?? finalResult.userId
+        );
+    }
+    
+    /**
+     * Built-in weighted combination of the risk scores
+     */
+    heuristicCombinedRisk(finalResult, approvalDecision) {
         let combinedRisk = 0;
         
         // Weight individual risk scores
@@ -411,6 +712,13 @@ export class TensionRouter {
      * Detect conflicts between verification sources
      */
     detectConflicts(finalResult, approvalDecision) {
+        return this.detectConflictDetails(finalResult, approvalDecision).map(({ conflict }) => conflict);
+    }
+    
+    /**
+     * Detected conflicts with the values that triggered them
+     */
+    detectConflictDetails(finalResult, approvalDecision) {
         const conflicts = [];
         
         // Check for inconsistent information
@@ -418,15 +726,15 @@ export class TensionRouter {
             const { crossValidation } = finalResult.validation;
             
             if (crossValidation.overallConsistency < 0.5) {
-                conflicts.push('low_consistency');
+                conflicts.push({ conflict: 'low_consistency', values: { value: crossValidation.overallConsistency, threshold: 0.5 } });
             }
             
             if (crossValidation.identityCashApp < 0.6 && finalResult.sources?.cashApp) {
-                conflicts.push('identity_cashapp_mismatch');
+                conflicts.push({ conflict: 'identity_cashapp_mismatch', values: { value: crossValidation.identityCashApp, threshold: 0.6 } });
             }
             
             if (crossValidation.identityPlaid < 0.6 && finalResult.sources?.plaid) {
-                conflicts.push('identity_plaid_mismatch');
+                conflicts.push({ conflict: 'identity_plaid_mismatch', values: { value: crossValidation.identityPlaid, threshold: 0.6 } });
             }
         }
         
@@ -434,7 +742,10 @@ export class TensionRouter {
         if (finalResult.riskScore && approvalDecision.riskScore) {
             const riskDiff = Math.abs(finalResult.riskScore - approvalDecision.riskScore);
             if (riskDiff > 30) {
-                conflicts.push('risk_assessment_conflict');
+                conflicts.push({
+                    conflict: 'risk_assessment_conflict',
+                    values: { verificationRisk: finalResult.riskScore, strategyRisk: approvalDecision.riskScore, difference: riskDiff, threshold: 30 }
+                });
             }
         }
         
@@ -442,7 +753,10 @@ export class TensionRouter {
         if (finalResult.confidence && approvalDecision.confidence) {
             const confidenceDiff = Math.abs(finalResult.confidence - approvalDecision.confidence);
             if (confidenceDiff > 25) {
-                conflicts.push('confidence_conflict');
+                conflicts.push({
+                    conflict: 'confidence_conflict',
+                    values: { verificationConfidence: finalResult.confidence, strategyConfidence: approvalDecision.confidence, difference: confidenceDiff, threshold: 25 }
+                });
             }
         }
         
@@ -452,48 +766,80 @@ export class TensionRouter {
     /**
      * Determine final tier considering all factors
      */
-    determineFinalTier(combinedRisk, combinedConfidence, conflicts, finalResult) {
-        const { tiers } = this.config;
+    determineFinalTier(combinedRisk, combinedConfidence, conflicts, finalResult, approvalDecision = {}) {
+        return this.selectFinalTier(combinedRisk, combinedConfidence, conflicts, finalResult, approvalDecision).tier;
+    }
+    
+    /**
+     * Final tier and the rule that picked it
+     */
+    selectFinalTier(combinedRisk, combinedConfidence, conflicts, finalResult = {}, approvalDecision = {}) {
+        const { conflictPenalty } = this.routingRules;
         
-        // Adjust risk based on conflicts
-        const adjustedRisk = combinedRisk + (conflicts.length * 10);
+        // Adjust risk and confidence based on conflicts
+        const adjustedRisk = combinedRisk + (conflicts.length * conflictPenalty.riskScore);
+        const adjustedConfidence = Math.max(0, combinedConfidence - (conflicts.length * conflictPenalty.confidence));
         
-        // Adjust confidence based on conflicts
-        const adjustedConfidence = Math.max(0, combinedConfidence - (conflicts.length * 15));
+        // The verification result's amount and geography win over the strategy's
+        const context = routingContext(finalResult);
+        const strategyContext = approvalDecision.context || {};
         
-        for (const [tierName, tierConfig] of Object.entries(tiers)) {
-            if (adjustedRisk <= tierConfig.maxRiskScore &&
-                adjustedConfidence >= tierConfig.minConfidence) {
-                return tierName;
+        const selected = this.selectTier('finalTier', buildFacts({
+            riskScore: adjustedRisk,
+            confidence: adjustedConfidence,
+            conflicts,
+            factors: approvalDecision.factors,
+            context: {
+                amount: context.amount ?? strategyContext.amount,
+                country: context.country ?? strategyContext.country,
+                region: context.region ?? strategyContext.region
             }
+        }));
+        
+        if (conflicts.length > 0) {
+            selected.reasons.unshift(createReason('CONFLICT_PENALTY', {
+                conflicts: conflicts.length,
+                riskScore: combinedRisk,
+                adjustedRiskScore: adjustedRisk,
+                confidence: combinedConfidence,
+                adjustedConfidence
+            }));
         }
         
-        return 'REJECT';
+        return selected;
     }
     
     /**
      * Check if manual review is required
      */
     requiresManualReview(tier, riskScore, conflicts) {
+        return this.explainManualReview(tier, riskScore, conflicts).length > 0;
+    }
+    
+    /**
+     * Reasons a routing needs manual review (empty when it does not)
+     */
+    explainManualReview(tier, riskScore, conflicts) {
         const { routing } = this.config;
+        const reasons = [];
         
         // Check tier requirements
         const tierConfig = this.config.tiers[tier];
         if (tierConfig?.requiresManualReview) {
-            return true;
+            reasons.push(createReason('MANUAL_REVIEW_TIER', { tier }));
         }
         
         // Check risk threshold
         if (riskScore > routing.manualReviewThreshold) {
-            return true;
+            reasons.push(createReason('MANUAL_REVIEW_RISK', { value: riskScore, threshold: routing.manualReviewThreshold }));
         }
         
         // Check conflicts
         if (conflicts.length > 0) {
-            return true;
+            reasons.push(createReason('MANUAL_REVIEW_CONFLICTS', { count: conflicts.length, conflicts }));
         }
         
-        return false;
+        return reasons;
     }
     
     /**
@@ -502,7 +848,7 @@ export class TensionRouter {
     generateWarnings(routing, riskScore) {
         const warnings = [];
         
-        if (riskScore > 60) {
+        if (riskScore > HIGH_RISK_WARNING_THRESHOLD) {
             warnings.push('high_risk_detected');
         }
         
@@ -524,47 +870,102 @@ export class TensionRouter {
     /**
      * Queue manual review
      */
-    queueManualReview(routing) {
-        const reviewItem = {
-            id: `review_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    async queueManualReview(routing) {
+        const reviewItem = await this.reviewQueue.enqueue({
             userId: routing.userId,
             verificationId: routing.verificationId,
             tier: routing.finalTier,
             riskScore: routing.riskScore,
             conflicts: routing.conflicts,
             warnings: routing.warnings,
-            timestamp: Date.now(),
-            status: 'queued'
-        };
+            rules: routing.rules,
+            reasons: routing.reasons
+        }, { priority: this.getReviewPriority(routing) });
         
-        this.manualReviewQueue.push(reviewItem);
         this.metrics.manualReviewsQueued++;
         
-        console.log(`📋 Queued manual review for user: ${this.maskPII(routing.userId)}`);
+        console.log(`📋 Queued manual review for user: ${this.maskPII(routing.userId)} (${reviewItem.priority})`);
         
-        // Limit queue size
-        if (this.manualReviewQueue.length > this.config.performance.maxQueueSize) {
-            this.manualReviewQueue.shift();
-        }
+        return reviewItem;
     }
     
     /**
-     * Store routing history
+     * Review priority: critical above the escalation threshold, high for
+     * rejections or several conflicts, normal otherwise
      */
-    storeRoutingHistory(routing) {
-        if (!this.routingHistory.has(routing.userId)) {
-            this.routingHistory.set(routing.userId, []);
+    getReviewPriority(routing) {
+        if (routing.riskScore >= this.config.routing.escalationThreshold) {
+            return 'critical';
         }
         
-        const userHistory = this.routingHistory.get(routing.userId);
-        userHistory.push(routing);
+        if (routing.finalTier === 'REJECT' || routing.conflicts?.length > 1) {
+            return 'high';
+        }
         
-        // Keep only last 10 routings per user
-        if (userHistory.length > 10) {
-            userHistory.shift();
+        return 'normal';
+    }
+    
+    /**
+     * Store routing history (only the outcome - no user id or personal data)
+     */
+    async storeRoutingHistory(routing, replay = null) {
+        try {
+            await this.history.record(routing.userId, {
+                verificationId: routing.verificationId,
+                finalTier: routing.finalTier,
+                requiresManualReview: routing.requiresManualReview,
+                riskScore: routing.riskScore,
+                rulesVersion: routing.rules?.version ?? null,
+                riskModel: routing.riskModel ? { version: routing.riskModel.version, arm: routing.riskModel.arm } : null,
+                timestamp: routing.timestamp,
+                ...(replay ? { replay } : {})
+            });
+        } catch (error) {
+            // The routing itself stands; only future adaptive routing loses it
+            console.warn(`⚠️ Routing history unavailable: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Most recent routing of a user (null without history, or when the
+     * history store is unavailable)
+     */
+    async getLastRouting(userId) {
+        try {
+            return await this.history.getLastRouting(userId);
+        } catch (error) {
+            console.warn(`⚠️ Routing history unavailable: ${error.message}`);
+            return null;
         }
     }
     
+    /**
+     * Erase a user's routing history (GDPR Article 17)
+     *
+     * @returns {Promise<number>} Number of routings erased
+     */
+    async eraseUserHistory(userId) {
+        const erased = await this.history.erase(userId);
+        console.log(`🗑️ Erased ${erased} routing(s) for user: ${this.maskPII(userId)}`);
+        return erased;
+    }
+    
+    /**
+     * Erase everything the router holds on a user (GDPR Article 17): routing
+     * history, review items and logged conflicts
+     *
+     * @returns {Promise<{ routingHistory: number, reviews: number, conflicts: number }>} Counts erased
+     */
+    async eraseUserData(userId) {
+        const routingHistory = await this.eraseUserHistory(userId);
+        const reviews = await this.reviewQueue.eraseUser(userId);
+        
+        const conflictCount = this.conflictLog.length;
+        this.conflictLog = this.conflictLog.filter(conflict => conflict.userId !== userId);
+        
+        return { routingHistory, reviews, conflicts: conflictCount - this.conflictLog.length };
+    }
+    
     /**
      * Log conflict for analysis
      */
@@ -589,55 +990,91 @@ export class TensionRouter {
      * Calculate risk score for identity result
      */
     calculateRiskScore(identityResult) {
-        let riskScore = 0;
+        return this.scoreIdentityRisk(identityResult).riskScore;
+    }
+    
+    /**
+     * Identity risk from the configured model (or the heuristic), with the
+     * model that scored it
+     */
+    scoreIdentityRisk(identityResult, contributions = this.riskContributions(identityResult)) {
+        return this.riskScorer.score(
+            'identity',
+            extractFeatures('identity', identityResult),
+            this.sumRiskContributions(contributions),
+            identityResult.verificationId ?? identityResult.userId
+        );
+    }
+    
+    /**
+     * Reason recording which model scored a stage
+     */
+    riskModelReason({ riskScore, model }) {
+        return createReason('RISK_MODEL_SCORE', {
+            stage: model.stage,
+            version: model.version,
+            arm: model.arm,
+            mode: model.mode,
+            value: riskScore,
+            modelScore: model.score,
+            heuristicScore: model.heuristicScore
+        });
+    }
+    
+    sumRiskContributions(contributions) {
+        return Math.min(contributions.reduce((riskScore, { points }) => riskScore + points, 0), 100);
+    }
+    
+    /**
+     * Risk score contributions of an identity result, as reason codes
+     */
+    riskContributions(identityResult) {
+        const contributions = [];
         
         // Document verification
         if (!identityResult.documents?.verified) {
-            riskScore += 20;
+            contributions.push({ code: 'FACTOR_UNVERIFIED_DOCUMENTS', points: 20 });
         }
         
         // Email verification
         if (!identityResult.email?.verified) {
-            riskScore += 15;
+            contributions.push({ code: 'FACTOR_UNVERIFIED_EMAIL', points: 15 });
         }
         
         // Phone verification
         if (!identityResult.phone?.verified) {
-            riskScore += 15;
+            contributions.push({ code: 'FACTOR_UNVERIFIED_PHONE', points: 15 });
         }
         
         // Age verification
-        if (!identityResult.age?.verified || identityResult.age?.value < 18) {
-            riskScore += 25;
+        if (identityResult.age?.value < 18) {
+            contributions.push({ code: 'FACTOR_UNDERAGE', points: 25, values: { age: identityResult.age.value } });
+        } else if (!identityResult.age?.verified) {
+            contributions.push({ code: 'FACTOR_UNVERIFIED_AGE', points: 25 });
         }
         
         // Address verification
         if (!identityResult.address?.verified) {
-            riskScore += 10;
+            contributions.push({ code: 'FACTOR_UNVERIFIED_ADDRESS', points: 10 });
         }
         
         // Existing risk score
         if (identityResult.riskScore) {
-            riskScore += identityResult.riskScore * 0.3;
+            contributions.push({
+                code: 'FACTOR_PRIOR_RISK_SCORE',
+                points: identityResult.riskScore * 0.3,
+                values: { riskScore: identityResult.riskScore }
+            });
         }
         
-        return Math.min(riskScore, 100);
+        return contributions;
     }
     
     /**
-     * Clean old routing history
+     * Clean old routing history (entries past config.history.retentionHours)
      */
-    cleanupHistory() {
-        const cutoffTime = Date.now() - (30 * 24 * 60 * 60 * 1000); // 30 days
-        
-        for (const [userId, history] of this.routingHistory.entries()) {
-            const recentHistory = history.filter(routing => routing.timestamp > cutoffTime);
-            if (recentHistory.length === 0) {
-                this.routingHistory.delete(userId);
-            } else {
-                this.routingHistory.set(userId, recentHistory);
-            }
-        }
+    async cleanupHistory() {
+        return this.history.prune();
     }
     
     /**
@@ -660,22 +1097,54 @@ export class TensionRouter {
             ...this.metrics,
             successRate: this.metrics.totalRoutings > 0 ? 
                 ((this.metrics.tierDecisions.INSTANT + this.metrics.tierDecisions.FAST + this.metrics.tierDecisions.STANDARD) / this.metrics.totalRoutings) * 100 : 0,
-            manualReviewQueueSize: this.manualReviewQueue.length,
+            manualReviewQueueSize: this.reviewQueue.openCount,
             conflictRate: this.metrics.totalRoutings > 0 ? 
                 (this.metrics.conflictsDetected / this.metrics.totalRoutings) * 100 : 0
         };
     }
     
     /**
-     * Get manual review queue
+     * Get manual review queue (open items by default, most urgent first)
      */
-    getManualReviewQueue() {
-        return this.manualReviewQueue.map(item => ({
+    async getManualReviewQueue(filter = { open: true }) {
+        return (await this.reviewQueue.list(filter)).map(item => ({
             ...item,
             userId: this.maskPII(item.userId)
         }));
     }
     
+    /**
+     * Replace the routing rules (config.routingRules format); the previous
+     * rules stay active if the new ones are invalid
+     */
+    setRoutingRules(rules) {
+        const { ruleSet, errors } = parseRoutingRules(rules, this.config.tiers);
+        if (errors.length > 0) {
+            throw new Error(`Invalid routing rules:\n${errors.join('\n')}`);
+        }
+        
+        this.config.routingRules = rules;
+        this.routingRules = ruleSet;
+        this.routingRuleErrors = [];
+        
+        console.log(`📐 Routing rules ${ruleSet.version} applied`);
+        return ruleSet;
+    }
+    
+    /**
+     * Active routing rules in evaluation order
+     */
+    getRoutingRules() {
+        return {
+            version: this.routingRules.version,
+            conflictPenalty: { ...this.routingRules.conflictPenalty },
+            stages: Object.fromEntries(Object.entries(this.routingRules.stages).map(([stage, rules]) => [
+                stage,
+                rules.map(({ order, ...rule }) => rule)
+            ]))
+        };
+    }
+    
     /**
      * Validate configuration
      */
@@ -689,6 +1158,10 @@ export class TensionRouter {
                 throw new Error(`Invalid minConfidence for tier ${tierName}`);
             }
         }
+        
+        if (this.routingRuleErrors.length > 0) {
+            throw new Error(`Invalid routing rules:\n${this.routingRuleErrors.join('\n')}`);
+        }
     }
     
     /**
@@ -700,17 +1173,23 @@ export class TensionRouter {
             this.validateConfig();
             
             // Clean old data
-            this.cleanupHistory();
+            await this.cleanupHistory();
+            
+            // Flag reviews past their SLA deadline
+            await this.reviewQueue.checkSla();
             
             return {
                 status: 'healthy',
                 initialized: this.initialized,
                 metrics: this.getMetrics(),
+                reviewQueue: await this.reviewQueue.getStats(),
                 config: {
                     tiersConfigured: Object.keys(this.config.tiers).length,
                     adaptiveRouting: this.config.routing.enableAdaptiveRouting,
                     conflictDetection: this.config.routing.conflictDetection,
-                    manualReviewThreshold: this.config.routing.manualReviewThreshold
+                    manualReviewThreshold: this.config.routing.manualReviewThreshold,
+                    routingRulesVersion: this.routingRules.version,
+                    riskModels: this.riskScorer.getVersions()
                 }
             };
             
@@ -735,8 +1214,9 @@ export class TensionRouter {
     async shutdown() {
         console.log('🔄 Shutting down Tension Router...');
         
-        this.routingHistory.clear();
-        this.manualReviewQueue = [];
+        // Pending reviews and routing history stay in their stores for the next start
+        await this.reviewQueue.close();
+        await this.history.close();
         this.conflictLog = [];
         this.initialized = false;
         
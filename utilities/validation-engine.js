@@ -3,8 +3,46 @@
 // modules/validation-engine.js - Isolated Validation Module
 // Cross-validation, fuzzy matching, and verification logic
 
+import { NameMatcher, nameMatcher } from './name-matcher.js';
+import { PHONE_METADATA, parsePhoneNumber } from './phone-numbers.js';
+import { EMAIL_FINDINGS, EmailAnalyzer, emailAnalyzer } from './email-analyzer.js';
+import { addressSimilarity, parseAddress } from './address-matcher.js';
+
 console.log("🔍 Validation Engine Module - Loaded");
 
+// Points each field adds to a source pair's consistency score (0-100) when
+// its similarity reaches the field's threshold; [verifier.matchWeights]
+// overrides them per pair
+export const DEFAULT_MATCH_WEIGHTS = {
+    identityCashApp: { email: 30, phone: 35, name: 25, userId: 10 },
+    identityPlaid: { email: 30, phone: 35, account: 35, owner: 25, address: 20 },
+    cashAppPlaid: { email: 40, phone: 60 }
+};
+
+/**
+ * Check [verifier.matchWeights] settings
+ */
+export function validateMatchWeights(weights = {}) {
+    const errors = [];
+    const prefix = 'verifier.matchWeights';
+
+    for (const [pair, fields] of Object.entries(weights)) {
+        if (!DEFAULT_MATCH_WEIGHTS[pair]) {
+            errors.push(`${prefix}.${pair}: unknown source pair (expected one of ${Object.keys(DEFAULT_MATCH_WEIGHTS).join(', ')})`);
+            continue;
+        }
+        for (const [field, weight] of Object.entries(fields || {})) {
+            if (DEFAULT_MATCH_WEIGHTS[pair][field] === undefined) {
+                errors.push(`${prefix}.${pair}.${field}: unknown field (expected one of ${Object.keys(DEFAULT_MATCH_WEIGHTS[pair]).join(', ')})`);
+            } else if (typeof weight !== 'number' || weight < 0 || weight > 100) {
+                errors.push(`${prefix}.${pair}.${field} must be a number between 0 and 100`);
+            }
+        }
+    }
+
+    return errors;
+}
+
 /**
  * Validation Engine for cross-validation and fuzzy matching
  * 
@@ -12,6 +50,19 @@ console.log("🔍 Validation Engine Module - Loaded");
  * - Pre-screening validation
  * - Cross-validation of multiple verification sources
  * - Fuzzy string matching algorithms
+ * - Person name matching (nicknames, transliteration, phonetic codes,
+ *   token order - see name-matcher.js)
+ * - International phone numbers (E.164, trunk prefixes, number types -
+ *   see phone-numbers.js); VoIP numbers add voipRiskPenalty to the risk
+ * - Email intelligence (disposable domains, role accounts, homoglyph
+ *   domains - see email-analyzer.js); findings are added to pre-screen
+ *   issues as { field, code, severity, message, values }, and emails are
+ *   compared in normalized form (a.b+x@gmail.com ~ ab@gmail.com)
+ * - Postal address matching (US/CA/EU formats - see address-matcher.js),
+ *   scored against Plaid and as the crossValidation.address dimension
+ * - Per-field match weights ([verifier.matchWeights]) and a match report
+ *   on each verification (matchReport.<pair>: masked values, similarity,
+ *   threshold, weight and pass/fail per compared field)
  * - Risk assessment and confidence scoring
  */
 export class ValidationEngine {
@@ -41,16 +92,44 @@ export class ValidationEngine {
             }
         }
         
+        if (config.addressMatchThreshold !== undefined) {
+            if (typeof config.addressMatchThreshold !== 'number' || config.addressMatchThreshold < 0 || config.addressMatchThreshold > 1) {
+                throw new Error('addressMatchThreshold must be between 0 and 1');
+            }
+        }
+        
+        if (config.defaultPhoneRegion !== undefined && !PHONE_METADATA[config.defaultPhoneRegion]) {
+            throw new Error(`defaultPhoneRegion must be one of ${Object.keys(PHONE_METADATA).join(', ')}`);
+        }
+        
+        const weightErrors = validateMatchWeights(config.matchWeights);
+        if (weightErrors.length > 0) {
+            throw new Error(`Invalid match weights:\n${weightErrors.join('\n')}`);
+        }
+        
         this.config = {
             fuzzyThreshold: config.fuzzyThreshold || 0.8,
             phoneMatchThreshold: config.phoneMatchThreshold || 0.9,
             emailMatchThreshold: config.emailMatchThreshold || 0.85,
             nameMatchThreshold: config.nameMatchThreshold || 0.75,
+            addressMatchThreshold: config.addressMatchThreshold || 0.8,
+            defaultPhoneRegion: 'US', // Country for numbers without a calling code
+            voipRiskPenalty: 15,
             verificationExpiry: config.verificationExpiry || 86400000, // 24 hours
             maxRetries: config.maxRetries || 3,
             ...config
         };
         
+        this.config.matchWeights = Object.fromEntries(Object.entries(DEFAULT_MATCH_WEIGHTS).map(
+            ([pair, weights]) => [pair, { ...weights, ...config.matchWeights?.[pair] }]
+        ));
+        
+        // Extra nickname entries get their own matcher
+        this.nameMatcher = config.nicknames ? new NameMatcher({ nicknames: config.nicknames }) : nameMatcher;
+        
+        // [verifier.email] settings get their own analyzer
+        this.emailAnalyzer = config.email ? new EmailAnalyzer(config.email) : emailAnalyzer;
+        
         this.verificationStore = new Map();
         this.validationCache = new Map();
         this._metrics = {
@@ -59,7 +138,9 @@ export class ValidationEngine {
             failedValidations: 0,
             averageValidationTime: 0,
             crossValidations: 0,
-            fuzzyMatches: 0
+            fuzzyMatches: 0,
+            nameMatches: 0,
+            addressMatches: 0
         };
         
         this.initialized = false;
@@ -89,6 +170,9 @@ export class ValidationEngine {
     
     /**
      * Pre-screen user for basic validation
+     * 
+     * issues are plain messages; findings holds the structured email
+     * findings ({ field, code, severity, message, values }) behind them
      */
     async preScreenUser(userData) {
         const startTime = performance.now();
@@ -100,6 +184,7 @@ export class ValidationEngine {
                 userId: userData.userId,
                 passed: true,
                 issues: [],
+                findings: [],
                 score: 100,
                 timestamp: Date.now()
             };
@@ -109,12 +194,30 @@ export class ValidationEngine {
                 preScreen.passed = false;
                 preScreen.issues.push('Invalid email format');
                 preScreen.score -= 30;
+            } else {
+                for (const finding of this.emailAnalyzer.analyze(userData.email).findings) {
+                    preScreen.issues.push(finding.message);
+                    preScreen.findings.push({ field: 'email', ...finding });
+                    preScreen.score -= EMAIL_FINDINGS[finding.code].penalty;
+                    
+                    if (this.emailAnalyzer.isBlocking(finding)) {
+                        preScreen.passed = false;
+                    }
+                }
             }
             
-            if (!userData.phone || !this.isValidPhone(userData.phone)) {
+            const phone = parsePhoneNumber(userData.phone, this.phoneRegionFor(userData));
+            if (!phone?.valid) {
                 preScreen.passed = false;
                 preScreen.issues.push('Invalid phone format');
                 preScreen.score -= 25;
+            } else {
+                preScreen.phone = { country: phone.country, type: phone.type };
+                
+                if (phone.type === 'voip') {
+                    preScreen.issues.push('VoIP phone number');
+                    preScreen.score -= this.config.voipRiskPenalty;
+                }
             }
             
             if (!userData.userId || userData.userId.length < 3) {
@@ -151,6 +254,7 @@ export class ValidationEngine {
             return {
                 passed: false,
                 issues: [error.message],
+                findings: [],
                 score: 0,
                 userId: userData.userId
             };
@@ -188,6 +292,7 @@ export class ValidationEngine {
                     passed: true,
                     confidence: 0,
                     riskScore: 0,
+                    phoneType: this.parsePhone(identityResult.phone, identityResult)?.type ?? null,
                     issues: [],
                     matches: {}
                 },
@@ -195,30 +300,46 @@ export class ValidationEngine {
                     identityCashApp: 0,
                     identityPlaid: 0,
                     cashAppPlaid: 0,
+                    address: 0,
                     overallConsistency: 0
+                },
+                matchReport: {
+                    identityCashApp: [],
+                    identityPlaid: [],
+                    cashAppPlaid: []
                 }
             };
             
             // Cross-validate identity with Cash App
             if (identityResult.success && cashAppResult?.success) {
                 verification.crossValidation.identityCashApp = 
-                    this.validateIdentityCashAppMatch(identityResult, cashAppResult);
+                    this.validateIdentityCashAppMatch(identityResult, cashAppResult, verification.matchReport.identityCashApp);
             }
             
             // Cross-validate identity with Plaid
             if (identityResult.success && plaidResult?.success) {
                 verification.crossValidation.identityPlaid = 
-                    this.validateIdentityPlaidMatch(identityResult, plaidResult);
+                    this.validateIdentityPlaidMatch(identityResult, plaidResult, verification.matchReport.identityPlaid);
             }
             
             // Cross-validate Cash App with Plaid
             if (cashAppResult?.success && plaidResult?.success) {
                 verification.crossValidation.cashAppPlaid = 
-                    this.validateCashAppPlaidMatch(cashAppResult, plaidResult);
+                    this.validateCashAppPlaidMatch(cashAppResult, plaidResult, verification.matchReport.cashAppPlaid);
             }
             
-            // Calculate overall consistency
-            const scores = Object.values(verification.crossValidation).filter(score => score > 0);
+            // Cross-validate postal addresses across all sources
+            const addressMatch = this.matchAddresses(identityResult, cashAppResult, plaidResult);
+            verification.crossValidation.address = addressMatch.score;
+            
+            // Calculate overall consistency over the dimensions that were
+            // compared, so a complete mismatch (0) lowers it
+            const scores = ['identityCashApp', 'identityPlaid', 'cashAppPlaid']
+                .filter(pair => verification.matchReport[pair].length > 0)
+                .map(pair => verification.crossValidation[pair]);
+            if (addressMatch.pairs > 0) {
+                scores.push(addressMatch.score);
+            }
             verification.crossValidation.overallConsistency = 
                 scores.length > 0 ? scores.reduce((a, b) => a + b, 0) / scores.length : 0;
             
@@ -262,91 +383,258 @@ export class ValidationEngine {
     
     /**
      * Validate identity and Cash App match
+     * 
+     * @param {object[]} [report] - Receives the per-field match report
      */
-    validateIdentityCashAppMatch(identityResult, cashAppResult) {
-        let score = 0;
-        const matches = {};
+    validateIdentityCashAppMatch(identityResult, cashAppResult, report = []) {
+        const { score, fields } = this.matchIdentityCashApp(identityResult, cashAppResult);
+        report.push(...fields);
+        return score;
+    }
+    
+    /**
+     * Compare identity and Cash App field by field
+     * 
+     * @returns {{ score: number, fields: object[] }} Consistency score (0-100) and match report
+     */
+    matchIdentityCashApp(identityResult, cashAppResult) {
+        const comparisons = [];
         
         // Email matching
         if (identityResult.email && cashAppResult.email) {
-            const emailScore = this.fuzzyMatch(identityResult.email, cashAppResult.email);
-            matches.email = emailScore;
-            if (emailScore >= this.config.emailMatchThreshold) score += 30;
+            comparisons.push({
+                field: 'email',
+                values: [identityResult.email, cashAppResult.email],
+                similarity: this.compareEmails(identityResult.email, cashAppResult.email),
+                threshold: this.config.emailMatchThreshold
+            });
         }
         
         // Phone matching
         if (identityResult.phone && cashAppResult.phone) {
-            const phoneScore = this.comparePhoneNumbers(identityResult.phone, cashAppResult.phone);
-            matches.phone = phoneScore;
-            if (phoneScore >= this.config.phoneMatchThreshold) score += 35;
+            comparisons.push({
+                field: 'phone',
+                values: [identityResult.phone, cashAppResult.phone],
+                similarity: this.comparePhoneNumbers(identityResult.phone, cashAppResult.phone, this.phoneRegionFor(identityResult)),
+                threshold: this.config.phoneMatchThreshold
+            });
         }
         
         // Name matching
         if (identityResult.name && cashAppResult.name) {
-            const nameScore = this.fuzzyMatch(identityResult.name, cashAppResult.name);
-            matches.name = nameScore;
-            if (nameScore >= this.config.nameMatchThreshold) score += 25;
+            comparisons.push({
+                field: 'name',
+                values: [identityResult.name, cashAppResult.name],
+                similarity: this.compareNames(identityResult.name, cashAppResult.name),
+                threshold: this.config.nameMatchThreshold
+            });
         }
         
         // User ID matching
-        if (identityResult.userId === cashAppResult.userId) {
-            matches.userId = 1.0;
-            score += 10;
-        }
-        
-        return Math.min(score, 100);
+        comparisons.push({
+            field: 'userId',
+            values: [identityResult.userId, cashAppResult.userId],
+            similarity: identityResult.userId === cashAppResult.userId ? 1.0 : 0,
+            threshold: 1.0
+        });
+        
+        return this.scoreMatches('identityCashApp', comparisons);
     }
     
     /**
      * Validate identity and Plaid match
+     * 
+     * @param {object[]} [report] - Receives the per-field match report
      */
-    validateIdentityPlaidMatch(identityResult, plaidResult) {
-        let score = 0;
-        const matches = {};
+    validateIdentityPlaidMatch(identityResult, plaidResult, report = []) {
+        const { score, fields } = this.matchIdentityPlaid(identityResult, plaidResult);
+        report.push(...fields);
+        return score;
+    }
+    
+    /**
+     * Compare identity and Plaid field by field
+     * 
+     * @returns {{ score: number, fields: object[] }} Consistency score (0-100) and match report
+     */
+    matchIdentityPlaid(identityResult, plaidResult) {
+        const comparisons = [];
         
         // Email matching
         if (identityResult.email && plaidResult.email) {
-            const emailScore = this.fuzzyMatch(identityResult.email, plaidResult.email);
-            matches.email = emailScore;
-            if (emailScore >= this.config.emailMatchThreshold) score += 30;
+            comparisons.push({
+                field: 'email',
+                values: [identityResult.email, plaidResult.email],
+                similarity: this.compareEmails(identityResult.email, plaidResult.email),
+                threshold: this.config.emailMatchThreshold
+            });
         }
         
         // Phone matching
         if (identityResult.phone && plaidResult.phone) {
-            const phoneScore = this.comparePhoneNumbers(identityResult.phone, plaidResult.phone);
-            matches.phone = phoneScore;
-            if (phoneScore >= this.config.phoneMatchThreshold) score += 35;
+            comparisons.push({
+                field: 'phone',
+                values: [identityResult.phone, plaidResult.phone],
+                similarity: this.comparePhoneNumbers(identityResult.phone, plaidResult.phone, this.phoneRegionFor(identityResult)),
+                threshold: this.config.phoneMatchThreshold
+            });
         }
         
         // Account matching
         if (identityResult.accountNumber && plaidResult.accounts?.length > 0) {
-            const accountScore = this.validateAccountMatch(identityResult, plaidResult.accounts);
-            matches.account = accountScore;
-            if (accountScore >= this.config.fuzzyThreshold) score += 35;
+            comparisons.push({
+                field: 'account',
+                values: [identityResult.accountNumber, plaidResult.accounts.map(account => account.account_id)],
+                similarity: this.validateAccountMatch(identityResult, plaidResult.accounts),
+                threshold: this.config.fuzzyThreshold
+            });
+        }
+        
+        // Account owner matching (best matching owner)
+        const ownerNames = this.getPlaidOwnerNames(plaidResult);
+        if (identityResult.name && ownerNames.length > 0) {
+            const [owner, ownerScore] = ownerNames
+                .map(name => [name, this.compareNames(identityResult.name, name)])
+                .reduce((best, candidate) => candidate[1] > best[1] ? candidate : best);
+            comparisons.push({
+                field: 'owner',
+                values: [identityResult.name, owner],
+                similarity: ownerScore,
+                threshold: this.config.nameMatchThreshold
+            });
         }
         
-        return Math.min(score, 100);
+        // Address matching (best matching pair)
+        const identityAddresses = this.getAddresses(identityResult);
+        const plaidAddresses = this.getAddresses(plaidResult);
+        if (identityAddresses.length > 0 && plaidAddresses.length > 0) {
+            const { score, addresses } = this.bestAddressMatch(identityAddresses, plaidAddresses);
+            comparisons.push({
+                field: 'address',
+                values: addresses,
+                similarity: score,
+                threshold: this.config.addressMatchThreshold
+            });
+        }
+        
+        return this.scoreMatches('identityPlaid', comparisons);
+    }
+    
+    /**
+     * Address consistency across sources (0-100): mean of the best address
+     * match between each pair of sources with addresses
+     */
+    validateAddressConsistency(identityResult, cashAppResult, plaidResult) {
+        return this.matchAddresses(identityResult, cashAppResult, plaidResult).score;
+    }
+    
+    /**
+     * Compare addresses between each pair of sources with addresses
+     * 
+     * @returns {{ score: number, pairs: number }} Consistency score (0-100) and number of pairs compared
+     */
+    matchAddresses(identityResult, cashAppResult, plaidResult) {
+        const sources = [identityResult, cashAppResult, plaidResult]
+            .filter(result => result?.success)
+            .map(result => this.getAddresses(result))
+            .filter(addresses => addresses.length > 0);
+        
+        const scores = [];
+        for (let i = 0; i < sources.length; i++) {
+            for (let j = i + 1; j < sources.length; j++) {
+                scores.push(this.bestAddressMatch(sources[i], sources[j]).score);
+            }
+        }
+        
+        return {
+            score: scores.length > 0 ? (scores.reduce((a, b) => a + b, 0) / scores.length) * 100 : 0,
+            pairs: scores.length
+        };
     }
     
     /**
      * Validate Cash App and Plaid match
+     * 
+     * @param {object[]} [report] - Receives the per-field match report
      */
-    validateCashAppPlaidMatch(cashAppResult, plaidResult) {
-        let score = 0;
+    validateCashAppPlaidMatch(cashAppResult, plaidResult, report = []) {
+        const { score, fields } = this.matchCashAppPlaid(cashAppResult, plaidResult);
+        report.push(...fields);
+        return score;
+    }
+    
+    /**
+     * Compare Cash App and Plaid field by field
+     * 
+     * @returns {{ score: number, fields: object[] }} Consistency score (0-100) and match report
+     */
+    matchCashAppPlaid(cashAppResult, plaidResult) {
+        const comparisons = [];
         
         // Email matching
         if (cashAppResult.email && plaidResult.email) {
-            const emailScore = this.fuzzyMatch(cashAppResult.email, plaidResult.email);
-            if (emailScore >= this.config.emailMatchThreshold) score += 40;
+            comparisons.push({
+                field: 'email',
+                values: [cashAppResult.email, plaidResult.email],
+                similarity: this.compareEmails(cashAppResult.email, plaidResult.email),
+                threshold: this.config.emailMatchThreshold
+            });
         }
         
         // Phone matching
         if (cashAppResult.phone && plaidResult.phone) {
-            const phoneScore = this.comparePhoneNumbers(cashAppResult.phone, plaidResult.phone);
-            if (phoneScore >= this.config.phoneMatchThreshold) score += 60;
+            comparisons.push({
+                field: 'phone',
+                values: [cashAppResult.phone, plaidResult.phone],
+                similarity: this.comparePhoneNumbers(cashAppResult.phone, plaidResult.phone, this.phoneRegionFor(cashAppResult)),
+                threshold: this.config.phoneMatchThreshold
+            });
         }
         
-        return Math.min(score, 100);
+        return this.scoreMatches('cashAppPlaid', comparisons);
+    }
+    
+    /**
+     * Score field comparisons for a source pair: each field that reaches
+     * its threshold adds its weight (capped at 100). Values in the report
+     * are masked.
+     */
+    scoreMatches(pair, comparisons) {
+        const weights = this.config.matchWeights[pair];
+        let score = 0;
+        
+        const fields = comparisons.map(({ field, values, similarity, threshold }) => {
+            const passed = similarity >= threshold;
+            if (passed) score += weights[field];
+            
+            return {
+                field,
+                values: values.map(value => this.maskMatchValue(value)),
+                similarity: Math.round(similarity * 1000) / 1000,
+                threshold,
+                weight: weights[field],
+                passed
+            };
+        });
+        
+        return { score: Math.min(score, 100), fields };
+    }
+    
+    /**
+     * Mask a compared value for the match report (addresses are masked
+     * in their normalized form, account lists per account)
+     */
+    maskMatchValue(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.maskMatchValue(item)).join(', ');
+        }
+        if (value && typeof value === 'object') {
+            const address = parseAddress(value);
+            value = address
+                ? [address.houseNumber, address.street, address.city, address.region, address.postalCode].filter(Boolean).join(' ')
+                : null;
+        }
+        return this.maskSensitiveData(value);
     }
     
     /**
@@ -373,6 +661,90 @@ export class ValidationEngine {
         return similarity;
     }
     
+    /**
+     * Compare email addresses as mailboxes (provider plus tags and dots
+     * ignored)
+     */
+    compareEmails(email1, email2) {
+        const normalized1 = this.emailAnalyzer.normalize(email1);
+        const normalized2 = this.emailAnalyzer.normalize(email2);
+        
+        if (normalized1 && normalized1 === normalized2) return 1.0;
+        return this.fuzzyMatch(normalized1 || email1, normalized2 || email2);
+    }
+    
+    /**
+     * Compare person names ("Bill Smith" ~ "William Smith",
+     * "Müller" ~ "Mueller", "Garcia Lopez, Maria" ~ "Maria Garcia Lopez")
+     */
+    compareNames(name1, name2) {
+        if (!name1 || !name2) return 0;
+        
+        this._metrics.nameMatches++;
+        return this.nameMatcher.similarity(name1, name2);
+    }
+    
+    /**
+     * Account owner names from a Plaid result (top-level owners or
+     * per-account identity owners)
+     */
+    getPlaidOwnerNames(plaidResult) {
+        const owners = [
+            ...(plaidResult.owners || []),
+            ...(plaidResult.accounts || []).flatMap(account => account.owners || [])
+        ];
+        
+        return owners.flatMap(owner => typeof owner === 'string' ? [owner] : owner?.names || []);
+    }
+    
+    /**
+     * Postal addresses on a verification result (address, addresses, Plaid
+     * identity owners), skipping entries without a street or postal code
+     */
+    getAddresses(result) {
+        if (!result) return [];
+        
+        const owners = [
+            ...(result.owners || []),
+            ...(result.accounts || []).flatMap(account => account.owners || [])
+        ].filter(owner => typeof owner === 'object');
+        
+        return [
+            ...(result.address ? [result.address] : []),
+            ...(result.addresses || []),
+            ...owners.flatMap(owner => owner.addresses || [])
+        ].filter(address => {
+            const parsed = parseAddress(address);
+            return parsed && (parsed.street || parsed.postalCode);
+        });
+    }
+    
+    /**
+     * Compare postal addresses (0-1)
+     */
+    compareAddresses(address1, address2) {
+        if (!address1 || !address2) return 0;
+        
+        this._metrics.addressMatches++;
+        return addressSimilarity(address1, address2);
+    }
+    
+    /**
+     * Best match between two lists of addresses
+     * 
+     * @returns {{ score: number, addresses: Array }} Score and the matching pair
+     */
+    bestAddressMatch(addresses1, addresses2) {
+        let best = { score: 0, addresses: [addresses1[0], addresses2[0]] };
+        for (const address1 of addresses1) {
+            for (const address2 of addresses2) {
+                const score = this.compareAddresses(address1, address2);
+                if (score > best.score) best = { score, addresses: [address1, address2] };
+            }
+        }
+        return best;
+    }
+    
     /**
      * Calculate Levenshtein distance between two strings
      */
@@ -405,11 +777,38 @@ export class ValidationEngine {
     }
     
     /**
-     * Compare phone numbers (handles different formats)
+     * Country for a user's national-format phone numbers (their country
+     * when known, else defaultPhoneRegion)
+     */
+    phoneRegionFor(data = {}) {
+        const country = data.country || data.location?.country || data.location;
+        return PHONE_METADATA[country] ? country : this.config.defaultPhoneRegion;
+    }
+    
+    /**
+     * Parse a phone number (null unless valid)
      */
-    comparePhoneNumbers(phone1, phone2) {
+    parsePhone(phone, data) {
+        const parsed = parsePhoneNumber(phone, this.phoneRegionFor(data));
+        return parsed?.valid ? parsed : null;
+    }
+    
+    /**
+     * Compare phone numbers (handles different formats and country codes)
+     */
+    comparePhoneNumbers(phone1, phone2, defaultCountry = this.config.defaultPhoneRegion) {
         if (!phone1 || !phone2) return 0;
         
+        // Valid numbers compare in E.164 form; numbers under different
+        // calling codes are different lines however alike the digits
+        const parsed1 = parsePhoneNumber(phone1, defaultCountry);
+        const parsed2 = parsePhoneNumber(phone2, defaultCountry);
+        if (parsed1?.valid && parsed2?.valid) {
+            if (parsed1.e164 === parsed2.e164) return 1.0;
+            if (parsed1.callingCode !== parsed2.callingCode) return 0;
+            return this.fuzzyMatch(parsed1.nationalNumber, parsed2.nationalNumber);
+        }
+        
         // Normalize phone numbers (remove formatting but keep digits)
         const normalized1 = phone1.replace(/\D/g, '');
         const normalized2 = phone2.replace(/\D/g, '');
@@ -448,13 +847,10 @@ export class ValidationEngine {
     }
     
     /**
-     * Normalize phone number for comparison
+     * Normalize phone number to E.164 (null if invalid)
      */
-    normalizePhoneNumber(phone) {
-        return phone
-            .replace(/\D/g, '') // Remove all non-digits
-            .replace(/^1/, '') // Remove US country code if present
-            .substring(0, 10); // Take last 10 digits
+    normalizePhoneNumber(phone, defaultCountry = this.config.defaultPhoneRegion) {
+        return parsePhoneNumber(phone, defaultCountry)?.e164 ?? null;
     }
     
     /**
@@ -566,6 +962,11 @@ export class ValidationEngine {
             riskScore += 20;
         }
         
+        // VoIP numbers are cheap to obtain in bulk
+        if (verification.validation.phoneType === 'voip') {
+            riskScore += this.config.voipRiskPenalty;
+        }
+        
         return Math.min(riskScore, 100);
     }
     
@@ -591,6 +992,10 @@ export class ValidationEngine {
             issues.push('High risk detected');
         }
         
+        if (verification.validation.phoneType === 'voip') {
+            issues.push('VoIP phone number');
+        }
+        
         return issues;
     }
     
@@ -640,11 +1045,10 @@ export class ValidationEngine {
     }
     
     /**
-     * Validate phone format
+     * Validate phone number for its country
      */
-    isValidPhone(phone) {
-        const phoneRegex = /^\+?[\d\s\-\(\)]+$/;
-        return phoneRegex.test(phone) && phone.replace(/\D/g, '').length >= 10;
+    isValidPhone(phone, defaultCountry = this.config.defaultPhoneRegion) {
+        return parsePhoneNumber(phone, defaultCountry)?.valid === true;
     }
     
     /**
@@ -689,7 +1093,8 @@ export class ValidationEngine {
             'fuzzyThreshold',
             'phoneMatchThreshold',
             'emailMatchThreshold',
-            'nameMatchThreshold'
+            'nameMatchThreshold',
+            'addressMatchThreshold'
         ];
         
         for (const threshold of thresholds) {
@@ -774,7 +1179,8 @@ export class ValidationEngine {
                     fuzzyThreshold: this.config.fuzzyThreshold,
                     phoneMatchThreshold: this.config.phoneMatchThreshold,
                     emailMatchThreshold: this.config.emailMatchThreshold,
-                    nameMatchThreshold: this.config.nameMatchThreshold
+                    nameMatchThreshold: this.config.nameMatchThreshold,
+                    addressMatchThreshold: this.config.addressMatchThreshold
                 }
             };
             
@@ -815,13 +1221,15 @@ export class ValidationEngine {
                 userId: identityResult.userId,
                 email: identityResult.email,
                 phone: identityResult.phone,
-                accountNumber: identityResult.accountNumber
+                accountNumber: identityResult.accountNumber,
+                address: identityResult.address
             },
             cashApp: cashAppResult ? {
                 userId: cashAppResult.userId,
                 email: cashAppResult.email,
                 phone: cashAppResult.phone,
-                accountNumber: cashAppResult.accountNumber
+                accountNumber: cashAppResult.accountNumber,
+                address: cashAppResult.address
             } : null,
             plaid: plaidResult ? {
                 userId: plaidResult.userId,